@@ -0,0 +1,292 @@
+/**
+ * Shared UTF-8 encoder
+ */
+export const textEncoder = new TextEncoder();
+
+/**
+ * Shared UTF-8 decoder
+ */
+export const textDecoder = new TextDecoder();
+
+/**
+ * Growable byte buffer used by the binary codecs
+ */
+export class ByteWriter {
+  /**
+   * @param {number} [capacity=256] Initial size (bytes)
+   */
+  constructor(capacity = 256) {
+    /** @private */
+    this._bytes = new Uint8Array(capacity);
+
+    /** @private */
+    this._view = new DataView(this._bytes.buffer);
+
+    /** @private */
+    this._length = 0;
+  }
+
+  /**
+   * @param {number} value
+   */
+  uint8(value) {
+    this._reserve(1);
+    this._view.setUint8(this._length, value);
+    this._length += 1;
+  }
+
+  /**
+   * @param {number} value
+   */
+  uint16(value) {
+    this._reserve(2);
+    this._view.setUint16(this._length, value);
+    this._length += 2;
+  }
+
+  /**
+   * @param {number} value
+   */
+  uint32(value) {
+    this._reserve(4);
+    this._view.setUint32(this._length, value);
+    this._length += 4;
+  }
+
+  /**
+   * @param {bigint} value
+   */
+  uint64(value) {
+    this._reserve(8);
+    this._view.setBigUint64(this._length, value);
+    this._length += 8;
+  }
+
+  /**
+   * @param {bigint} value
+   */
+  int64(value) {
+    this._reserve(8);
+    this._view.setBigInt64(this._length, value);
+    this._length += 8;
+  }
+
+  /**
+   * @param {number} value
+   */
+  float64(value) {
+    this._reserve(8);
+    this._view.setFloat64(this._length, value);
+    this._length += 8;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  bytes(bytes) {
+    this._reserve(bytes.byteLength);
+    this._bytes.set(bytes, this._length);
+    this._length += bytes.byteLength;
+  }
+
+  /**
+   * Written bytes
+   * @returns {Uint8Array}
+   */
+  finish() {
+    return this._bytes.slice(0, this._length);
+  }
+
+  /**
+   * @private
+   * @param {number} size
+   */
+  _reserve(size) {
+    if (this._length + size <= this._bytes.byteLength) return;
+
+    let capacity = this._bytes.byteLength * 2;
+    while (capacity < this._length + size) capacity *= 2;
+
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this._bytes.subarray(0, this._length));
+    this._bytes = bytes;
+    this._view = new DataView(bytes.buffer);
+  }
+}
+
+/**
+ * Sequential reader over binary data
+ */
+export class ByteReader {
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    /** @private */
+    this._bytes = bytes;
+
+    /** @private */
+    this._view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    this.offset = 0;
+  }
+
+  /**
+   * Whether every byte was read
+   */
+  get done() {
+    return this.offset >= this._bytes.byteLength;
+  }
+
+  /**
+   * Next byte, without consuming it
+   * @returns {number}
+   */
+  peek() {
+    this._check(1);
+    return this._bytes[this.offset];
+  }
+
+  uint8() {
+    this._check(1);
+    return this._view.getUint8(this.offset++);
+  }
+
+  uint16() {
+    this._check(2);
+    const value = this._view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    this._check(4);
+    const value = this._view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Unsigned 64-bit integer, as a number when it is safe
+   * @returns {number|bigint}
+   */
+  uint64() {
+    this._check(8);
+    const value = this._view.getBigUint64(this.offset);
+    this.offset += 8;
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+
+  /**
+   * Signed 64-bit integer, as a number when it is safe
+   * @returns {number|bigint}
+   */
+  int64() {
+    this._check(8);
+    const value = this._view.getBigInt64(this.offset);
+    this.offset += 8;
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+
+  int8() {
+    this._check(1);
+    return this._view.getInt8(this.offset++);
+  }
+
+  int16() {
+    this._check(2);
+    const value = this._view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int32() {
+    this._check(4);
+    const value = this._view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  float16() {
+    const half = this.uint16();
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+
+    if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+  }
+
+  float32() {
+    this._check(4);
+    const value = this._view.getFloat32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  float64() {
+    this._check(8);
+    const value = this._view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  /**
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  bytes(length) {
+    this._check(length);
+    const bytes = this._bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  /**
+   * @param {number} length
+   * @returns {string}
+   */
+  string(length) {
+    this._check(length);
+    const value = textDecoder.decode(this._bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  /**
+   * @private
+   * @param {number} size
+   */
+  _check(size) {
+    if (this.offset + size > this._bytes.byteLength) {
+      throw new RangeError('Unexpected end of data');
+    }
+  }
+}
+
+/**
+ * Views binary data as bytes
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+export const toBytes = data => (data instanceof Uint8Array
+  ? data
+  : ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data));
+
+/**
+ * Sets a decoded map entry, `__proto__` becoming an own property as with `JSON.parse`
+ * @param {Object} map
+ * @param {any} key
+ * @param {any} value
+ */
+export const defineEntry = (map, key, value) => {
+  key = String(key);
+  if (key === '__proto__') {
+    Object.defineProperty(map, key, { value, enumerable: true, configurable: true, writable: true });
+  } else {
+    map[key] = value;
+  }
+};
@@ -0,0 +1,266 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { ByteReader, ByteWriter, defineEntry, textEncoder, toBytes } from './bytes';
+
+/**
+ * CBOR major types
+ * @private
+ */
+const Major = {
+  UNSIGNED: 0,
+  NEGATIVE: 1,
+  BYTES: 2,
+  TEXT: 3,
+  ARRAY: 4,
+  MAP: 5,
+  TAG: 6,
+  SIMPLE: 7
+};
+
+/**
+ * Indefinite length marker, in the additional information bits
+ * @private
+ */
+const INDEFINITE = 31;
+
+/**
+ * Ends an indefinite length item
+ * @private
+ */
+const BREAK = 0xff;
+
+/**
+ * CBOR (RFC 8949) codec, covering the types JSON can carry plus binary data.
+ * Tags are decoded as their content.
+ */
+export class CborCodec {
+  constructor() {
+    this.name = 'cbor';
+  }
+
+  /**
+   * @param {any} value
+   * @returns {Uint8Array}
+   */
+  encode(value) {
+    const writer = new ByteWriter();
+    this._write(writer, value);
+    return writer.finish();
+  }
+
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} data
+   * @returns {any}
+   * @throws {StarlingError} `INVALID_MESSAGE` when the data is not valid CBOR
+   */
+  decode(data) {
+    try {
+      const reader = new ByteReader(toBytes(data));
+      const value = this._read(reader);
+      if (!reader.done) throw new RangeError('Trailing bytes');
+      return value;
+    } catch (cause) {
+      throw new StarlingError(`Invalid CBOR data: ${cause.message}`, { code: ErrorCodes.INVALID_MESSAGE, cause });
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteWriter} writer
+   * @param {any} value
+   */
+  _write(writer, value) {
+    if (value === null || value === undefined) {
+      writer.uint8(0xf6);
+    } else if (typeof value === 'boolean') {
+      writer.uint8(value ? 0xf5 : 0xf4);
+    } else if (typeof value === 'number') {
+      if (Number.isSafeInteger(value)) {
+        value >= 0
+          ? this._writeHead(writer, Major.UNSIGNED, value)
+          : this._writeHead(writer, Major.NEGATIVE, -1 - value);
+      } else {
+        writer.uint8(0xfb);
+        writer.float64(value);
+      }
+    } else if (typeof value === 'bigint') {
+      value >= 0n
+        ? this._writeHead(writer, Major.UNSIGNED, value)
+        : this._writeHead(writer, Major.NEGATIVE, -1n - value);
+    } else if (typeof value === 'string') {
+      const bytes = textEncoder.encode(value);
+      this._writeHead(writer, Major.TEXT, bytes.byteLength);
+      writer.bytes(bytes);
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      const bytes = toBytes(value);
+      this._writeHead(writer, Major.BYTES, bytes.byteLength);
+      writer.bytes(bytes);
+    } else if (Array.isArray(value)) {
+      this._writeHead(writer, Major.ARRAY, value.length);
+      value.forEach(item => this._write(writer, item));
+    } else if (typeof value.toJSON === 'function') {
+      // Same representation as JSON (dates become ISO strings)
+      this._write(writer, value.toJSON());
+    } else {
+      const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+      this._writeHead(writer, Major.MAP, entries.length);
+      for (const [key, item] of entries) {
+        this._write(writer, key);
+        this._write(writer, item);
+      }
+    }
+  }
+
+  /**
+   * Writes a major type with its argument in the shortest form
+   * @private
+   * @param {ByteWriter} writer
+   * @param {number} major
+   * @param {number|bigint} argument
+   */
+  _writeHead(writer, major, argument) {
+    const type = major << 5;
+
+    if (argument < 24) {
+      writer.uint8(type | Number(argument));
+    } else if (argument < 0x100) {
+      writer.uint8(type | 24);
+      writer.uint8(Number(argument));
+    } else if (argument < 0x10000) {
+      writer.uint8(type | 25);
+      writer.uint16(Number(argument));
+    } else if (argument < 0x100000000) {
+      writer.uint8(type | 26);
+      writer.uint32(Number(argument));
+    } else {
+      writer.uint8(type | 27);
+      writer.uint64(BigInt(argument));
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteReader} reader
+   * @returns {any}
+   */
+  _read(reader) {
+    const initial = reader.uint8();
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === Major.SIMPLE) {
+      return this._readSimple(reader, info);
+    }
+
+    if (info === INDEFINITE) {
+      return this._readIndefinite(reader, major);
+    }
+
+    const argument = this._readArgument(reader, info);
+
+    switch (major) {
+      case Major.UNSIGNED:
+        return argument;
+      case Major.NEGATIVE:
+        return typeof argument === 'bigint' ? -1n - argument : -1 - argument;
+      case Major.BYTES:
+        return reader.bytes(Number(argument));
+      case Major.TEXT:
+        return reader.string(Number(argument));
+      case Major.ARRAY: {
+        const array = new Array(Number(argument));
+        for (let i = 0; i < array.length; i++) {
+          array[i] = this._read(reader);
+        }
+        return array;
+      }
+      case Major.MAP: {
+        const map = {};
+        for (let i = 0; i < argument; i++) {
+          defineEntry(map, this._read(reader), this._read(reader));
+        }
+        return map;
+      }
+      case Major.TAG:
+        return this._read(reader);
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteReader} reader
+   * @param {number} info
+   * @returns {number|bigint}
+   */
+  _readArgument(reader, info) {
+    if (info < 24) return info;
+
+    switch (info) {
+      case 24: return reader.uint8();
+      case 25: return reader.uint16();
+      case 26: return reader.uint32();
+      case 27: return reader.uint64();
+      default:
+        throw new TypeError(`Invalid additional information ${info}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteReader} reader
+   * @param {number} info
+   * @returns {any}
+   */
+  _readSimple(reader, info) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: return reader.float16();
+      case 26: return reader.float32();
+      case 27: return reader.float64();
+      default:
+        throw new TypeError(`Unsupported simple value ${info}`);
+    }
+  }
+
+  /**
+   * Reads an indefinite length string, array or map, up to its break
+   * @private
+   * @param {ByteReader} reader
+   * @param {number} major
+   * @returns {any}
+   */
+  _readIndefinite(reader, major) {
+    const items = [];
+    while (reader.peek() !== BREAK) {
+      items.push(this._read(reader));
+    }
+    reader.uint8();
+
+    switch (major) {
+      case Major.BYTES: {
+        const bytes = new Uint8Array(items.reduce((total, chunk) => total + chunk.byteLength, 0));
+        let offset = 0;
+        for (const chunk of items) {
+          bytes.set(chunk, offset);
+          offset += chunk.byteLength;
+        }
+        return bytes;
+      }
+      case Major.TEXT:
+        return items.join('');
+      case Major.ARRAY:
+        return items;
+      case Major.MAP: {
+        const map = {};
+        for (let i = 0; i < items.length; i += 2) {
+          defineEntry(map, items[i], items[i + 1]);
+        }
+        return map;
+      }
+      default:
+        throw new TypeError(`Major type ${major} cannot have an indefinite length`);
+    }
+  }
+}
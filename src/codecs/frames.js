@@ -0,0 +1,121 @@
+import { textDecoder, textEncoder, toBytes } from './bytes';
+
+/**
+ * Flags stored in the first byte of a binary frame
+ * @readonly
+ * @enum {number}
+ */
+export const FrameFlags = Object.freeze({
+  NONE: 0,
+  DEFLATE: 1
+});
+
+/**
+ * Whether deflate is available (`CompressionStream`)
+ * @returns {boolean}
+ */
+export const compressionSupported = () => typeof globalThis.CompressionStream === 'function'
+  && typeof globalThis.DecompressionStream === 'function';
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+const pipe = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export const deflate = bytes => pipe(bytes, new CompressionStream('deflate'));
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export const inflate = bytes => pipe(bytes, new DecompressionStream('deflate'));
+
+/**
+ * @typedef {Object} FrameCodecOptions
+ * @property {import('./index').Codec} codec
+ * @property {boolean} [compression=false] Deflate the payloads above the threshold
+ * @property {number} [threshold=1024] Smallest payload compressed (bytes)
+ */
+
+/**
+ * Converts the JSON text of protocol messages to wire frames and back.
+ *
+ * JSON payloads that are not compressed travel as text frames. Everything else
+ * travels as binary frames: one flag byte (see {@link FrameFlags}) followed by
+ * the encoded, possibly deflated, payload.
+ *
+ * The client builds and handles messages as JSON text, so frames are re-encoded from it and decoded back to it:
+ * codecs shrink the wire format but messages only carry the values JSON can. Binary values, such as a
+ * `Uint8Array`, do not survive the round trip and must be sent encoded, e.g. in base64.
+ */
+export class FrameCodec {
+  /**
+   * @param {FrameCodecOptions} options
+   */
+  constructor(options) {
+    this.codec = options.codec;
+    this.compression = !!options.compression;
+    this.threshold = options.threshold ?? 1024;
+
+    /**
+     * JSON messages are already JSON text, they are sent as they are
+     * @private
+     */
+    this._passthrough = this.codec.name === 'json';
+  }
+
+  /**
+   * @param {string} text JSON text of a message
+   * @returns {Promise<string|Uint8Array>}
+   */
+  async encode(text) {
+    const encoded = this._passthrough ? text : this.codec.encode(JSON.parse(text));
+    let payload = typeof encoded === 'string' ? textEncoder.encode(encoded) : encoded;
+
+    let flags = FrameFlags.NONE;
+    if (this.compression && payload.byteLength >= this.threshold) {
+      payload = await deflate(payload);
+      flags |= FrameFlags.DEFLATE;
+    } else if (typeof encoded === 'string') {
+      return encoded;
+    }
+
+    const frame = new Uint8Array(payload.byteLength + 1);
+    frame[0] = flags;
+    frame.set(payload, 1);
+    return frame;
+  }
+
+  /**
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} data Frame received
+   * @returns {Promise<string>} JSON text of the message
+   * @throws {import('../core/errors').StarlingError} `INVALID_MESSAGE` when the frame cannot be decoded
+   */
+  async decode(data) {
+    if (typeof data === 'string') {
+      return this._passthrough ? data : JSON.stringify(this.codec.decode(data));
+    }
+
+    const frame = typeof data?.arrayBuffer === 'function' && !ArrayBuffer.isView(data)
+      ? new Uint8Array(await data.arrayBuffer())
+      : toBytes(data);
+
+    let payload = frame.subarray(1);
+    if (frame[0] & FrameFlags.DEFLATE) {
+      payload = await inflate(payload);
+    }
+
+    return this._passthrough
+      ? textDecoder.decode(payload)
+      : JSON.stringify(this.codec.decode(payload));
+  }
+}
@@ -0,0 +1,72 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { CborCodec } from './cbor';
+import { JsonCodec } from './json';
+import { MessagePackCodec } from './msgpack';
+
+export { CborCodec, JsonCodec, MessagePackCodec };
+export { FrameCodec, FrameFlags, compressionSupported, deflate, inflate } from './frames';
+
+/**
+ * @typedef {Object} Codec
+ * @property {string} name Identifier used in the negotiated subprotocol
+ * @property {(value: any) => string|Uint8Array} encode
+ * @property {(data: string|Uint8Array) => any} decode
+ */
+
+/**
+ * @typedef {'json'|'msgpack'|'cbor'|Codec} CodecOption
+ */
+
+/**
+ * Default prefix of the codec subprotocols, e.g. `starling.msgpack+deflate`
+ */
+export const CODEC_PROTOCOL_PREFIX = 'starling.';
+
+/**
+ * Resolves a codec option into a codec
+ * @param {CodecOption} option Codec, or built-in codec name
+ * @returns {Codec}
+ * @throws {StarlingError} When the option is not supported
+ */
+export const resolveCodec = option => {
+  switch (option) {
+    case 'json':
+      return new JsonCodec();
+    case 'msgpack':
+      return new MessagePackCodec();
+    case 'cbor':
+      return new CborCodec();
+  }
+
+  if (typeof option?.name === 'string' && typeof option.encode === 'function' && typeof option.decode === 'function') {
+    return option;
+  }
+
+  throw new StarlingError(`Unsupported codec: ${String(option?.name ?? option)}`, { code: ErrorCodes.INVALID_CONFIGURATION });
+};
+
+/**
+ * Subprotocol announcing a codec
+ * @param {Codec} codec
+ * @param {boolean} compression
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+export const codecProtocol = (codec, compression, prefix = CODEC_PROTOCOL_PREFIX) => `${prefix}${codec.name}${compression ? '+deflate' : ''}`;
+
+/**
+ * Finds the codec a subprotocol announces
+ * @param {string} protocol Negotiated subprotocol
+ * @param {Codec[]} codecs Known codecs
+ * @param {string} [prefix]
+ * @returns {{codec: Codec, compression: boolean}|null} Null when the subprotocol is not a codec one
+ */
+export const parseCodecProtocol = (protocol, codecs, prefix = CODEC_PROTOCOL_PREFIX) => {
+  if (typeof protocol !== 'string' || !protocol.startsWith(prefix)) return null;
+
+  const [name, extension] = protocol.slice(prefix.length).split('+');
+  const codec = codecs.find(candidate => candidate.name === name);
+  if (!codec || (extension !== undefined && extension !== 'deflate')) return null;
+
+  return { codec, compression: extension === 'deflate' };
+};
@@ -0,0 +1,32 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { textDecoder, toBytes } from './bytes';
+
+/**
+ * JSON codec, the protocol default
+ */
+export class JsonCodec {
+  constructor() {
+    this.name = 'json';
+  }
+
+  /**
+   * @param {any} value
+   * @returns {string}
+   */
+  encode(value) {
+    return JSON.stringify(value);
+  }
+
+  /**
+   * @param {string|ArrayBuffer|ArrayBufferView} data Text, or UTF-8 bytes
+   * @returns {any}
+   * @throws {StarlingError} `INVALID_MESSAGE` when the data is not valid JSON
+   */
+  decode(data) {
+    try {
+      return JSON.parse(typeof data === 'string' ? data : textDecoder.decode(toBytes(data)));
+    } catch (cause) {
+      throw new StarlingError(`Invalid JSON data: ${cause.message}`, { code: ErrorCodes.INVALID_MESSAGE, cause });
+    }
+  }
+}
@@ -0,0 +1,213 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { ByteReader, ByteWriter, defineEntry, textEncoder, toBytes } from './bytes';
+
+/**
+ * MessagePack codec, covering the types JSON can carry plus binary data
+ */
+export class MessagePackCodec {
+  constructor() {
+    this.name = 'msgpack';
+  }
+
+  /**
+   * @param {any} value
+   * @returns {Uint8Array}
+   */
+  encode(value) {
+    const writer = new ByteWriter();
+    this._write(writer, value);
+    return writer.finish();
+  }
+
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} data
+   * @returns {any}
+   * @throws {StarlingError} `INVALID_MESSAGE` when the data is not valid MessagePack
+   */
+  decode(data) {
+    try {
+      const reader = new ByteReader(toBytes(data));
+      const value = this._read(reader);
+      if (!reader.done) throw new RangeError('Trailing bytes');
+      return value;
+    } catch (cause) {
+      throw new StarlingError(`Invalid MessagePack data: ${cause.message}`, { code: ErrorCodes.INVALID_MESSAGE, cause });
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteWriter} writer
+   * @param {any} value
+   */
+  _write(writer, value) {
+    if (value === null || value === undefined) {
+      writer.uint8(0xc0);
+    } else if (typeof value === 'boolean') {
+      writer.uint8(value ? 0xc3 : 0xc2);
+    } else if (typeof value === 'number') {
+      this._writeNumber(writer, value);
+    } else if (typeof value === 'bigint') {
+      writer.uint8(value < 0n ? 0xd3 : 0xcf);
+      value < 0n ? writer.int64(value) : writer.uint64(value);
+    } else if (typeof value === 'string') {
+      const bytes = textEncoder.encode(value);
+      this._writeHeader(writer, bytes.byteLength, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+      writer.bytes(bytes);
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      const bytes = toBytes(value);
+      this._writeHeader(writer, bytes.byteLength, null, 0, [0xc4, 0xc5, 0xc6]);
+      writer.bytes(bytes);
+    } else if (Array.isArray(value)) {
+      this._writeHeader(writer, value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+      value.forEach(item => this._write(writer, item));
+    } else if (typeof value.toJSON === 'function') {
+      // Same representation as JSON (dates become ISO strings)
+      this._write(writer, value.toJSON());
+    } else {
+      const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+      this._writeHeader(writer, entries.length, 0x80, 16, [null, 0xde, 0xdf]);
+      for (const [key, item] of entries) {
+        this._write(writer, key);
+        this._write(writer, item);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteWriter} writer
+   * @param {number} value
+   */
+  _writeNumber(writer, value) {
+    if (!Number.isSafeInteger(value)) {
+      writer.uint8(0xcb);
+      writer.float64(value);
+    } else if (value >= 0) {
+      if (value < 0x80) {
+        writer.uint8(value);
+      } else if (value < 0x100) {
+        writer.uint8(0xcc);
+        writer.uint8(value);
+      } else if (value < 0x10000) {
+        writer.uint8(0xcd);
+        writer.uint16(value);
+      } else if (value < 0x100000000) {
+        writer.uint8(0xce);
+        writer.uint32(value);
+      } else {
+        writer.uint8(0xcf);
+        writer.uint64(BigInt(value));
+      }
+    } else if (value >= -32) {
+      writer.uint8(value & 0xff);
+    } else if (value >= -0x80) {
+      writer.uint8(0xd0);
+      writer.uint8(value & 0xff);
+    } else if (value >= -0x8000) {
+      writer.uint8(0xd1);
+      writer.uint16(value & 0xffff);
+    } else if (value >= -0x80000000) {
+      writer.uint8(0xd2);
+      writer.uint32(value >>> 0);
+    } else {
+      writer.uint8(0xd3);
+      writer.int64(BigInt(value));
+    }
+  }
+
+  /**
+   * Writes a length prefixed header: fixed form when short enough, then 8, 16 or 32-bit lengths
+   * @private
+   * @param {ByteWriter} writer
+   * @param {number} length
+   * @param {number|null} fixed Prefix of the fixed form
+   * @param {number} fixedLimit Lengths below it use the fixed form
+   * @param {Array<number|null>} prefixes 8, 16 and 32-bit forms, null when not defined
+   */
+  _writeHeader(writer, length, fixed, fixedLimit, [prefix8, prefix16, prefix32]) {
+    if (fixed !== null && length < fixedLimit) {
+      writer.uint8(fixed | length);
+    } else if (prefix8 !== null && length < 0x100) {
+      writer.uint8(prefix8);
+      writer.uint8(length);
+    } else if (length < 0x10000) {
+      writer.uint8(prefix16);
+      writer.uint16(length);
+    } else {
+      writer.uint8(prefix32);
+      writer.uint32(length);
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteReader} reader
+   * @returns {any}
+   */
+  _read(reader) {
+    const type = reader.uint8();
+
+    if (type < 0x80) return type;
+    if (type < 0x90) return this._readMap(reader, type & 0x0f);
+    if (type < 0xa0) return this._readArray(reader, type & 0x0f);
+    if (type < 0xc0) return reader.string(type & 0x1f);
+    if (type >= 0xe0) return type - 0x100;
+
+    switch (type) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return reader.bytes(reader.uint8());
+      case 0xc5: return reader.bytes(reader.uint16());
+      case 0xc6: return reader.bytes(reader.uint32());
+      case 0xca: return reader.float32();
+      case 0xcb: return reader.float64();
+      case 0xcc: return reader.uint8();
+      case 0xcd: return reader.uint16();
+      case 0xce: return reader.uint32();
+      case 0xcf: return reader.uint64();
+      case 0xd0: return reader.int8();
+      case 0xd1: return reader.int16();
+      case 0xd2: return reader.int32();
+      case 0xd3: return reader.int64();
+      case 0xd9: return reader.string(reader.uint8());
+      case 0xda: return reader.string(reader.uint16());
+      case 0xdb: return reader.string(reader.uint32());
+      case 0xdc: return this._readArray(reader, reader.uint16());
+      case 0xdd: return this._readArray(reader, reader.uint32());
+      case 0xde: return this._readMap(reader, reader.uint16());
+      case 0xdf: return this._readMap(reader, reader.uint32());
+      default:
+        throw new TypeError(`Unsupported type 0x${type.toString(16)}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {ByteReader} reader
+   * @param {number} length
+   * @returns {any[]}
+   */
+  _readArray(reader, length) {
+    const array = new Array(length);
+    for (let i = 0; i < length; i++) {
+      array[i] = this._read(reader);
+    }
+    return array;
+  }
+
+  /**
+   * @private
+   * @param {ByteReader} reader
+   * @param {number} length
+   * @returns {Object}
+   */
+  _readMap(reader, length) {
+    const map = {};
+    for (let i = 0; i < length; i++) {
+      defineEntry(map, this._read(reader), this._read(reader));
+    }
+    return map;
+  }
+}
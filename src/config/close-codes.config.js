@@ -0,0 +1,75 @@
+/**
+ * WebSocket close codes with a meaning for Starling
+ * @readonly
+ * @enum {number}
+ */
+export const CloseCodes = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  ABNORMAL: 1006,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  MANDATORY_EXTENSION: 1010,
+  INTERNAL_ERROR: 1011,
+  SERVICE_RESTART: 1012,
+  TRY_AGAIN_LATER: 1013,
+  HEARTBEAT_TIMEOUT: 4000,
+  UNAUTHORIZED: 4001,
+  FORBIDDEN: 4003,
+  SESSION_REPLACED: 4009
+});
+
+/**
+ * What to do after a close:
+ * - `retry`: reconnect with the regular backoff
+ * - `delay`: reconnect, but not before the close code delay
+ * - `fatal`: do not reconnect
+ * @typedef {'retry'|'delay'|'fatal'} CloseAction
+ */
+
+/**
+ * Close codes by action. Keys are single codes or inclusive ranges such as `'4000-4099'`.
+ * @typedef {Object<string, CloseAction>} CloseCodeActions
+ */
+
+/**
+ * Default classification, codes not listed are retried
+ * @type {Readonly<CloseCodeActions>}
+ */
+export const defaultCloseCodeActions = Object.freeze({
+  [CloseCodes.GOING_AWAY]: 'delay',
+  [CloseCodes.PROTOCOL_ERROR]: 'fatal',
+  [CloseCodes.UNSUPPORTED_DATA]: 'fatal',
+  [CloseCodes.INVALID_PAYLOAD]: 'fatal',
+  [CloseCodes.POLICY_VIOLATION]: 'fatal',
+  [CloseCodes.MESSAGE_TOO_BIG]: 'fatal',
+  [CloseCodes.MANDATORY_EXTENSION]: 'fatal',
+  [CloseCodes.SERVICE_RESTART]: 'delay',
+  [CloseCodes.TRY_AGAIN_LATER]: 'delay',
+  [CloseCodes.UNAUTHORIZED]: 'fatal',
+  [CloseCodes.FORBIDDEN]: 'fatal',
+  [CloseCodes.SESSION_REPLACED]: 'fatal'
+});
+
+/**
+ * Classifies a close code, single codes taking precedence over ranges
+ * @param {number|undefined} code Close code
+ * @param {CloseCodeActions} [actions] Classification, defaults to {@link defaultCloseCodeActions}
+ * @returns {CloseAction}
+ */
+export const classifyCloseCode = (code, actions = defaultCloseCodeActions) => {
+  if (code === undefined || code === null) return 'retry';
+  if (actions[code]) return actions[code];
+
+  for (const [key, action] of Object.entries(actions)) {
+    const [from, to] = key.split('-').map(Number);
+    if (to !== undefined && code >= from && code <= to) {
+      return action;
+    }
+  }
+
+  return 'retry';
+};
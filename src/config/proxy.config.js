@@ -1,20 +1,45 @@
 import { handleMessageError, handleNotification, handleRequest, handleResponse } from "@helios-starling/utils";
 
 /**
- * @type {import("@helios-starling/utils").ProxyHandlers}
+ * @typedef {'request'|'response'|'notification'|'error'} MessageType
+ */
+
+/**
+ * @typedef {Object} ProxyHooks
+ * @property {(context: any) => boolean} [notification] Runs before a notification is dispatched, returning false drops it
+ * @property {(type: MessageType, context: any, handle: () => void) => Promise<void>|void} [intercept] Wraps the handling of every message, which only happens when it calls `handle`
  */
-export const proxyConfiguration = {
-    request: async context => {
-        
-        handleRequest(context.starling, context);
-    },
-    response: async context => {
-        handleResponse(context.starling, context);
-    },
-    notification: async context => {
-        handleNotification(context.starling, context);
-    },
-    errorMessage: async context => {
-        handleMessageError(context.starling, context);
+
+/**
+ * @param {MessageType} type
+ * @param {(starling: any, context: any) => void} handler
+ * @param {ProxyHooks} hooks
+ * @returns {(context: any) => Promise<void>}
+ */
+const proxy = (type, handler, hooks) => async context => {
+    if (hooks[type] && hooks[type](context) === false) return;
+
+    const handle = () => handler(context.starling, context);
+    if (hooks.intercept) {
+        await hooks.intercept(type, context, handle);
+    } else {
+        handle();
     }
-}
\ No newline at end of file
+};
+
+/**
+ * Creates the message handlers, with hooks run before the default handling
+ * @param {ProxyHooks} [hooks]
+ * @returns {import("@helios-starling/utils").ProxyHandlers}
+ */
+export const createProxyConfiguration = (hooks = {}) => ({
+    request: proxy("request", handleRequest, hooks),
+    response: proxy("response", handleResponse, hooks),
+    notification: proxy("notification", handleNotification, hooks),
+    errorMessage: proxy("error", handleMessageError, hooks)
+});
+
+/**
+ * @type {import("@helios-starling/utils").ProxyHandlers}
+ */
+export const proxyConfiguration = createProxyConfiguration();
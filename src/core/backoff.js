@@ -0,0 +1,56 @@
+/**
+ * @typedef {Object} BackoffContext
+ * @property {number} attempt Attempts already made since the last reset
+ * @property {number} previousDelay Previous delay (ms)
+ * @property {number} minDelay Minimum delay (ms)
+ * @property {number} maxDelay Maximum delay (ms)
+ * @property {number} multiplier Exponential backoff multiplier
+ * @property {number} step Linear increment (ms)
+ * @property {() => number} random Random source in [0, 1)
+ * @property {import('../managers/reconnection').ReconnectionMetrics} metrics Current reconnection metrics
+ */
+
+/**
+ * @typedef {(context: BackoffContext) => number} BackoffPolicy
+ */
+
+/**
+ * Exponential ceiling for an attempt
+ * @param {BackoffContext} context
+ * @returns {number}
+ */
+const exponentialCeiling = ({ attempt, minDelay, maxDelay, multiplier }) =>
+  Math.min(minDelay * Math.pow(multiplier, attempt), maxDelay);
+
+/**
+ * Built-in backoff policies.
+ * Jittered policies spread clients reconnecting at the same time, see
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ * @type {Readonly<Record<string, BackoffPolicy>>}
+ */
+export const BackoffStrategies = Object.freeze({
+  /** Deterministic exponential growth of the previous delay */
+  exponential: ({ previousDelay, maxDelay, multiplier }) =>
+    Math.min(previousDelay * multiplier, maxDelay),
+
+  /** Random delay between 0 and the exponential ceiling */
+  'full-jitter': context =>
+    context.random() * exponentialCeiling(context),
+
+  /** Half of the exponential ceiling plus a random share of the other half */
+  'equal-jitter': context => {
+    const ceiling = exponentialCeiling(context);
+    return ceiling / 2 + context.random() * (ceiling / 2);
+  },
+
+  /** Random delay between the minimum and three times the previous delay */
+  'decorrelated-jitter': ({ previousDelay, minDelay, maxDelay, random }) =>
+    Math.min(maxDelay, minDelay + random() * (Math.max(previousDelay * 3, minDelay) - minDelay)),
+
+  /** Minimum delay increased by a fixed step per attempt */
+  linear: ({ attempt, minDelay, maxDelay, step }) =>
+    Math.min(minDelay + step * attempt, maxDelay),
+
+  /** Always the minimum delay */
+  fixed: ({ minDelay }) => minDelay
+});
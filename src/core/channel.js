@@ -0,0 +1,287 @@
+import { ErrorCodes, StarlingError } from './errors';
+import { createRpcProxy } from './rpc';
+
+/**
+ * @typedef {'connected'|'disconnected'|'close'} ChannelEvent
+ */
+
+/**
+ * Scoped handle over a shared connection: its methods and topics are prefixed with its name,
+ * `chat.request('send')` calling `chat:send`
+ * @template [M=any] Method map typing {@link Channel#api}, without the channel prefix
+ */
+export class Channel {
+  /**
+   * @param {import('../managers/channels').ChannelManager} manager
+   * @param {string} name
+   * @param {string} separator
+   */
+  constructor(manager, name, separator) {
+    /** @private */
+    this._manager = manager;
+
+    /** @type {string} */
+    this.name = name;
+
+    /** @private */
+    this._prefix = `${name}${separator}`;
+
+    /** @private */
+    this._closed = false;
+
+    /**
+     * Handlers by method name, without the prefix
+     * @private
+     * @type {Map<string, Function>}
+     */
+    this._methods = new Map();
+
+    /**
+     * Handlers by topic, without the prefix
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    this._topics = new Map();
+
+    /**
+     * Server subscriptions made through the channel, with the prefix
+     * @private
+     * @type {Set<string>}
+     */
+    this._subscriptions = new Set();
+
+    /**
+     * @private
+     * @type {Map<ChannelEvent, Set<Function>>}
+     */
+    this._listeners = new Map();
+
+    /**
+     * Methods of the channel as nested functions: `api.message.send(payload)` requests `<name>:message:send`
+     * @type {import('./rpc').RpcApi<M>}
+     */
+    this.api = createRpcProxy((method, payload, options) => this.request(method, payload, options), { separator });
+  }
+
+  /**
+   * Whether the channel has been closed
+   * @returns {boolean}
+   */
+  get closed() {
+    return this._closed;
+  }
+
+  /**
+   * Whether the shared connection is open
+   * @returns {boolean}
+   */
+  get connected() {
+    return this._manager.connected;
+  }
+
+  /**
+   * Prefixes a method or topic with the channel name
+   * @param {string} name
+   * @returns {string}
+   */
+  qualify(name) {
+    return `${this._prefix}${name}`;
+  }
+
+  /**
+   * Sends a request to a method of the channel
+   * @param {string} method
+   * @param {any} [payload]
+   * @param {Object} [options] Request options
+   * @returns {Promise<any>}
+   */
+  request(method, payload, options) {
+    if (this._closed) return Promise.reject(this._closedError());
+    return this._manager.starling.request(this.qualify(method), payload, options);
+  }
+
+  /**
+   * Sends a notification on a topic of the channel
+   * @param {string} topic
+   * @param {any} data
+   * @param {string} [requestId]
+   */
+  notify(topic, data, requestId) {
+    this._assertOpen();
+    return this._manager.starling.notify(this.qualify(topic), data, requestId);
+  }
+
+  /**
+   * Registers a method handler, replacing the previous one
+   * @param {string} name
+   * @param {Function} handler
+   * @param {Object & {schema?: import('../managers/validation').MethodSchema}} [options]
+   * @returns {() => void} Removes the handler
+   */
+  method(name, handler, options = {}) {
+    this._assertOpen();
+
+    const { schema, ...methodOptions } = options;
+    const wrapped = schema ? this._manager.starling.validation.method(this.qualify(name), handler, schema) : handler;
+
+    this._methods.set(name, wrapped);
+    this._manager.registerMethod(this, name, methodOptions);
+
+    return () => {
+      if (this._methods.get(name) === wrapped) this._methods.delete(name);
+    };
+  }
+
+  /**
+   * Registers a topic handler
+   * @param {string} topic
+   * @param {Function} handler
+   * @param {{schema?: import('../managers/validation').Schema}} [options]
+   * @returns {() => void} Removes the handler
+   */
+  on(topic, handler, options = {}) {
+    this._assertOpen();
+
+    const wrapped = options.schema ? this._manager.starling.validation.topic(this.qualify(topic), handler, options.schema) : handler;
+
+    if (!this._topics.has(topic)) {
+      this._topics.set(topic, new Set());
+    }
+    this._topics.get(topic).add(wrapped);
+    this._manager.registerTopic(this, topic);
+
+    return () => this._topics.get(topic)?.delete(wrapped);
+  }
+
+  /**
+   * Subscribes to a topic of the channel on the server, unsubscribed when the channel closes
+   * @param {string} topic
+   * @param {Function|Object} [handler] Handler, or the options when there is none
+   * @param {Object} [options] Options sent to the server, except `schema` validating the notification data
+   * @returns {Promise<import('../managers/subscriptions').Subscription>}
+   * @throws {StarlingError} `SUBSCRIPTION_FAILED` when the server refuses it
+   */
+  async subscribe(topic, handler, options) {
+    if (typeof handler !== 'function') {
+      options = handler;
+      handler = null;
+    }
+    this._assertOpen();
+
+    const { schema, ...serverOptions } = options || {};
+    if (handler) {
+      this.on(topic, handler, { schema });
+    }
+
+    this._subscriptions.add(this.qualify(topic));
+    return this._manager.starling.subscribe(this.qualify(topic), options ? serverOptions : undefined);
+  }
+
+  /**
+   * Removes a server subscription of the channel, and the handlers of its topic
+   * @param {string} topic
+   * @returns {Promise<boolean>} Whether the topic was subscribed
+   * @throws {StarlingError} `CHANNEL_CLOSED` once closed
+   */
+  async unsubscribe(topic) {
+    this._assertOpen();
+    this._topics.delete(topic);
+    this._subscriptions.delete(this.qualify(topic));
+    return this._manager.starling.unsubscribe(this.qualify(topic));
+  }
+
+  /**
+   * Listens to the lifecycle of the channel: `connected` and `disconnected` follow the shared connection,
+   * `close` is emitted once by {@link close}
+   * @param {ChannelEvent} event
+   * @param {Function} listener
+   * @returns {() => void} Removes the listener
+   */
+  addListener(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this._listeners.get(event)?.delete(listener);
+  }
+
+  onconnected = (handler) => this.addListener('connected', handler);
+  ondisconnected = (handler) => this.addListener('disconnected', handler);
+  onclose = (handler) => this.addListener('close', handler);
+
+  /**
+   * Unregisters the handlers and listeners of the channel and drops its server subscriptions.
+   * Requests already sent still settle.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) return;
+    this._closed = true;
+
+    this._methods.clear();
+    this._topics.clear();
+    this._manager.release(this);
+
+    const subscriptions = [...this._subscriptions];
+    this._subscriptions.clear();
+    // A failed unsubscribe does not keep the channel half closed
+    const results = await Promise.allSettled(subscriptions.map(topic => this._manager.starling.unsubscribe(topic)));
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        this._manager.logger.warn('Channel unsubscribe failed', { channel: this.name, error: result.reason });
+      }
+    }
+
+    this.emit('close', { name: this.name });
+    this._listeners.clear();
+  }
+
+  /**
+   * Runs the listeners of a lifecycle event
+   * @param {ChannelEvent} event
+   * @param {any} data
+   */
+  emit(event, data) {
+    for (const listener of [...(this._listeners.get(event) || [])]) {
+      try {
+        listener(data);
+      } catch (error) {
+        this._manager.logger.error(`Channel ${event} listener failed`, { channel: this.name, error });
+      }
+    }
+  }
+
+  /**
+   * Method handler registered under a name, without the prefix
+   * @param {string} name
+   * @returns {Function|undefined}
+   */
+  handlerOf(name) {
+    return this._methods.get(name);
+  }
+
+  /**
+   * Topic handlers registered under a topic, without the prefix
+   * @param {string} topic
+   * @returns {Function[]}
+   */
+  listenersOf(topic) {
+    return [...(this._topics.get(topic) || [])];
+  }
+
+  /**
+   * @private
+   * @throws {StarlingError} `CHANNEL_CLOSED` once closed
+   */
+  _assertOpen() {
+    if (this._closed) throw this._closedError();
+  }
+
+  /**
+   * @private
+   * @returns {StarlingError}
+   */
+  _closedError() {
+    return new StarlingError(`Channel ${this.name} is closed`, { code: ErrorCodes.CHANNEL_CLOSED });
+  }
+}
@@ -0,0 +1,69 @@
+import { Starling } from './starling';
+import { ErrorCodes, StarlingError } from './errors';
+
+/**
+ * Options of {@link createClient}: the client options, plus shorthands for the reconnection ones
+ * @typedef {Partial<import('./starling').StarlingOptions> & {
+ *  reconnect?: boolean,
+ *  reconnectDelay?: number,
+ *  maxReconnectAttempts?: number,
+ *  debug?: boolean
+ * }} ClientOptions
+ */
+
+/**
+ * Checks that a shorthand is a non-negative number
+ * @param {string} name
+ * @param {any} value
+ * @throws {StarlingError} When the value is invalid
+ */
+const assertNonNegative = (name, value) => {
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+    throw new StarlingError(`${name} must be a non-negative number`, { code: ErrorCodes.INVALID_CONFIGURATION });
+  }
+};
+
+/**
+ * Turns the client shorthands into client options.
+ * `reconnect: false` disables the reconnection, `reconnectDelay` and `maxReconnectAttempts`
+ * become its `minDelay` and `maxAttempts`, `debug` lowers the default log level.
+ * Options given under `reconnection` take precedence over the shorthands.
+ * @param {ClientOptions} [options]
+ * @returns {import('./starling').StarlingOptions}
+ * @throws {StarlingError} When a shorthand is invalid
+ */
+export const normalizeClientOptions = (options = {}) => {
+  const { reconnect, reconnectDelay, maxReconnectAttempts, ...rest } = options;
+
+  if (reconnectDelay !== undefined) assertNonNegative('reconnectDelay', reconnectDelay);
+  if (maxReconnectAttempts !== undefined) assertNonNegative('maxReconnectAttempts', maxReconnectAttempts);
+
+  const normalized = { ...rest };
+
+  if (reconnect === false || rest.reconnection === false) {
+    normalized.reconnection = false;
+  } else if (reconnectDelay !== undefined || maxReconnectAttempts !== undefined) {
+    normalized.reconnection = {
+      ...(reconnectDelay !== undefined && { minDelay: reconnectDelay }),
+      ...(maxReconnectAttempts !== undefined && { maxAttempts: maxReconnectAttempts }),
+      ...rest.reconnection
+    };
+  }
+
+  if (rest.debug && rest.logger === undefined) {
+    normalized.logger = { level: 'debug' };
+  }
+
+  return /** @type {import('./starling').StarlingOptions} */ (normalized);
+};
+
+/**
+ * Creates a client. The method map typing `client.api` is given as a type parameter:
+ * `createClient<Methods>(url)`, or `@type {Starling<Methods>}` in JavaScript.
+ * @template [M=any]
+ * @param {import('../managers/endpoints').EndpointInput|import('../managers/endpoints').EndpointInput[]|import('../managers/endpoints').EndpointResolver} url Server URL, list of endpoints or resolver
+ * @param {ClientOptions} [options]
+ * @returns {Starling<M>}
+ * @throws {StarlingError} When an option is invalid
+ */
+export const createClient = (url, options = {}) => new Starling(url, normalizeClientOptions(options));
@@ -0,0 +1,211 @@
+/**
+ * Stable error codes, safe to branch on
+ * @readonly
+ * @enum {string}
+ */
+export const ErrorCodes = Object.freeze({
+  /** Connection could not be established */
+  CONNECTION_FAILED: 'CONNECTION_FAILED',
+  /** Connection lost unexpectedly */
+  CONNECTION_LOST: 'CONNECTION_LOST',
+  /** `connect()` cancelled through its signal or `disconnect()` */
+  CONNECTION_ABORTED: 'CONNECTION_ABORTED',
+  /** `connect()` did not complete in time */
+  CONNECTION_TIMEOUT: 'CONNECTION_TIMEOUT',
+  /** `connect()` called while already connected or connecting */
+  ALREADY_CONNECTED: 'ALREADY_CONNECTED',
+  /** Credentials missing or rejected */
+  AUTH_FAILED: 'AUTH_FAILED',
+  /** Request timed out */
+  REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
+  /** Request failed to execute */
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  /** Failed to refresh the state token */
+  STATE_REFRESH_FAILED: 'STATE_REFRESH_FAILED',
+  /** A refresh is already running */
+  STATE_REFRESH_IN_PROGRESS: 'STATE_REFRESH_IN_PROGRESS',
+  /** Refreshed again before the minimum interval */
+  STATE_REFRESH_THROTTLED: 'STATE_REFRESH_THROTTLED',
+  /** Reconnection gave up */
+  RECONNECTION_FAILED: 'RECONNECTION_FAILED',
+  /** `waitFor()` did not see the expected status in time */
+  STATUS_TIMEOUT: 'STATUS_TIMEOUT',
+  /** Invalid option */
+  INVALID_CONFIGURATION: 'INVALID_CONFIGURATION',
+  /** Invalid message received */
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  /** Outbox entry rejected, expired or cancelled */
+  OUTBOX_FAILED: 'OUTBOX_FAILED',
+  /** Subscription refused by the server */
+  SUBSCRIPTION_FAILED: 'SUBSCRIPTION_FAILED',
+  /** Message rejected by a middleware */
+  MESSAGE_REJECTED: 'MESSAGE_REJECTED',
+  /** Payload, result or notification data not matching its schema */
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  /** Channel used after being closed */
+  CHANNEL_CLOSED: 'CHANNEL_CLOSED',
+  /** Stream aborted through its signal */
+  STREAM_CANCELLED: 'STREAM_CANCELLED',
+  /** Stream lost with the connection or the session, safe to open again */
+  STREAM_INTERRUPTED: 'STREAM_INTERRUPTED'
+});
+
+/**
+ * @typedef {Object} StarlingErrorOptions
+ * @property {ErrorCodes|string} [code] Stable error code
+ * @property {any} [cause] Underlying error
+ * @property {boolean} [retryable=false] Whether trying again may succeed
+ * @property {Object} [details] Extra context (e.g. the close code)
+ */
+
+/**
+ * Base class of every error thrown by the client
+ */
+export class StarlingError extends Error {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+
+    this.name = new.target.name;
+
+    /** @type {string} */
+    this.code = options.code || 'STARLING_ERROR';
+
+    /** @type {boolean} */
+    this.retryable = options.retryable ?? false;
+
+    /** @type {Object|undefined} */
+    this.details = options.details;
+  }
+
+  /**
+   * Checks an error's code, whatever its class
+   * @param {any} error
+   * @param {ErrorCodes|string} code
+   * @returns {boolean}
+   */
+  static is(error, code) {
+    return error?.code === code;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+/**
+ * Errors while opening or keeping the connection
+ */
+export class ConnectionError extends StarlingError {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: ErrorCodes.CONNECTION_FAILED,
+      retryable: true,
+      ...options
+    });
+  }
+}
+
+/**
+ * Missing or rejected credentials
+ */
+export class AuthenticationError extends StarlingError {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: ErrorCodes.AUTH_FAILED,
+      ...options
+    });
+  }
+}
+
+/**
+ * Errors of the state token lifecycle
+ */
+export class StateError extends StarlingError {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: ErrorCodes.STATE_REFRESH_FAILED,
+      retryable: true,
+      ...options
+    });
+  }
+}
+
+/**
+ * Errors of the reconnection process
+ */
+export class ReconnectionError extends StarlingError {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: ErrorCodes.RECONNECTION_FAILED,
+      ...options
+    });
+  }
+}
+
+/**
+ * Errors of queued calls
+ */
+export class OutboxError extends StarlingError {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: ErrorCodes.OUTBOX_FAILED,
+      ...options
+    });
+  }
+}
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {Array<string|number>} path Location of the invalid value
+ * @property {string} message
+ * @property {string} [code] Issue code of the schema library
+ */
+
+/**
+ * Values not matching their schema, `details.issues` listing what is invalid
+ */
+export class ValidationError extends StarlingError {
+  /**
+   * @param {string} message
+   * @param {StarlingErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: ErrorCodes.VALIDATION_FAILED,
+      ...options
+    });
+  }
+}
@@ -0,0 +1,265 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError } from './errors';
+
+/**
+ * Log levels by severity, `silent` disables every record
+ * @readonly
+ * @enum {number}
+ */
+export const LogLevels = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+});
+
+/**
+ * @typedef {'debug'|'info'|'warn'|'error'|'silent'} LogLevel
+ */
+
+/**
+ * @typedef {Object} LogRecord
+ * @property {number} timestamp
+ * @property {Exclude<LogLevel, 'silent'>} level
+ * @property {string} namespace Emitting component, e.g. `starling:reconnection`
+ * @property {string} message
+ * @property {Object} fields Structured context (attempt number, endpoint, close code...)
+ */
+
+/**
+ * @typedef {(record: LogRecord) => void} LogSink
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {'console'|'json'|LogSink} [sink='console'] Where records are written
+ * @property {LogLevel} [level='info'] Minimum level written
+ * @property {Object<string, LogLevel>} [levels] Level overrides by namespace, e.g. `{ 'starling:reconnection': 'debug' }`
+ * @property {Object} [fields] Fields added to every record
+ */
+
+/**
+ * @typedef {boolean|'console'|'json'|LogSink|LoggerOptions|Logger|{debug: Function, info: Function, warn: Function, error: Function}} LoggerOption
+ */
+
+/**
+ * Writes records to the console, one method per level
+ * @param {Pick<Console, 'debug'|'info'|'warn'|'error'>} [target=console]
+ * @returns {LogSink}
+ */
+export const consoleSink = (target = console) => record => {
+  const args = [`[${record.namespace}] ${record.message}`];
+  if (Object.keys(record.fields).length > 0) {
+    args.push(record.fields);
+  }
+  target[record.level](...args);
+};
+
+/**
+ * Writes records as JSON lines, for log collectors
+ * @param {(line: string) => void} [write] Defaults to the process standard output, or the console outside Node and Bun
+ * @returns {LogSink}
+ */
+export const jsonLinesSink = (write = defaultWrite) => record => {
+  write(`${JSON.stringify({
+    time: new Date(record.timestamp).toISOString(),
+    level: record.level,
+    namespace: record.namespace,
+    message: record.message,
+    ...serializeFields(record.fields)
+  })}\n`);
+};
+
+/**
+ * @param {string} line
+ */
+const defaultWrite = line => {
+  if (globalThis.process?.stdout?.write) {
+    globalThis.process.stdout.write(line);
+  } else {
+    console.log(line.trimEnd());
+  }
+};
+
+/**
+ * Makes errors readable once serialized
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const serializeFields = fields => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [
+    key,
+    value instanceof Error
+      ? { name: value.name, message: value.message, ...(value.code && { code: value.code }) }
+      : value
+  ])
+);
+
+/**
+ * Namespaced, leveled logger writing structured records to a sink
+ */
+export class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {LogSink|null} [options.sink] No sink makes the logger silent
+   * @param {LogLevel} [options.level='info']
+   * @param {Object<string, LogLevel>} [options.levels] Level overrides by namespace
+   * @param {string} [options.namespace='starling']
+   * @param {Object} [options.fields] Fields added to every record
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._sink = options.sink || null;
+
+    /** @private */
+    this._levels = options.levels || {};
+
+    /** @private */
+    this._namespace = options.namespace || 'starling';
+
+    /** @private */
+    this._level = this._levels[this._namespace] || options.level || 'info';
+
+    /** @private */
+    this._fields = options.fields || {};
+
+    if (!(this._level in LogLevels)) {
+      throw new StarlingError(`Unknown log level: ${this._level}`, { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+  }
+
+  /**
+   * @returns {string}
+   */
+  get namespace() {
+    return this._namespace;
+  }
+
+  /**
+   * @returns {LogLevel}
+   */
+  get level() {
+    return this._sink ? this._level : 'silent';
+  }
+
+  /**
+   * Whether records of a level are written
+   * @param {LogLevel} level
+   * @returns {boolean}
+   */
+  enabled(level) {
+    return !!this._sink && LogLevels[level] >= LogLevels[this._level];
+  }
+
+  /**
+   * Creates a logger for a component, sharing the sink
+   * @param {string} name Appended to the namespace
+   * @param {{level?: LogLevel, fields?: Object}} [options] `level` applies unless the namespace has its own override
+   * @returns {Logger}
+   */
+  child(name, options = {}) {
+    return new Logger({
+      sink: this._sink,
+      levels: this._levels,
+      namespace: `${this._namespace}:${name}`,
+      level: options.level || this._level,
+      fields: { ...this._fields, ...options.fields }
+    });
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+
+  /**
+   * @private
+   * @param {Exclude<LogLevel, 'silent'>} level
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  _write(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    try {
+      this._sink({
+        timestamp: getCurrentTimestamp(),
+        level,
+        namespace: this._namespace,
+        message,
+        fields: { ...this._fields, ...fields }
+      });
+    } catch {
+      // A failing sink never breaks the client
+    }
+  }
+}
+
+/**
+ * Builds the logger from the `logger` option, silent unless configured
+ * @param {LoggerOption} [option]
+ * @returns {Logger}
+ * @throws {StarlingError} When the option is not supported
+ */
+export const createLogger = option => {
+  if (option instanceof Logger) {
+    return option;
+  }
+  if (!option) {
+    return new Logger();
+  }
+  if (option === true || option === 'console') {
+    return new Logger({ sink: consoleSink() });
+  }
+  if (option === 'json') {
+    return new Logger({ sink: jsonLinesSink() });
+  }
+  if (typeof option === 'function') {
+    return new Logger({ sink: option });
+  }
+  if (typeof option === 'object') {
+    // Existing loggers such as pino or winston
+    if (['debug', 'info', 'warn', 'error'].every(level => typeof option[level] === 'function')) {
+      return new Logger({
+        sink: record => option[record.level]({ namespace: record.namespace, ...record.fields }, record.message),
+        level: 'debug'
+      });
+    }
+
+    const { sink = 'console', ...options } = option;
+    return new Logger({
+      ...options,
+      sink: sink === 'console' ? consoleSink() : sink === 'json' ? jsonLinesSink() : sink
+    });
+  }
+
+  throw new StarlingError(`Unsupported logger option: ${String(option)}`, { code: ErrorCodes.INVALID_CONFIGURATION });
+};
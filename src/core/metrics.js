@@ -0,0 +1,255 @@
+/**
+ * Default latency buckets (ms)
+ * @type {number[]}
+ */
+export const DEFAULT_LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * @typedef {Object} HistogramSnapshot
+ * @property {number} count
+ * @property {number} sum
+ * @property {number|null} min
+ * @property {number|null} max
+ * @property {number} mean
+ * @property {number|null} p50
+ * @property {number|null} p90
+ * @property {number|null} p95
+ * @property {number|null} p99
+ * @property {number[]} bounds Upper bounds of the buckets
+ * @property {number[]} buckets Count per bucket (not cumulative), the last one counting values above every bound
+ */
+
+/**
+ * Bucketed distribution with percentiles over the latest samples
+ */
+export class Histogram {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.buckets] Upper bounds, sorted ascending
+   * @param {number} [options.sampleSize=1000] Samples kept to compute percentiles
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._bounds = [...(options.buckets || DEFAULT_LATENCY_BUCKETS)].sort((a, b) => a - b);
+
+    /** @private */
+    this._sampleSize = options.sampleSize ?? 1000;
+
+    this.reset();
+  }
+
+  /**
+   * @param {number} value
+   */
+  record(value) {
+    this._count++;
+    this._sum += value;
+    this._min = this._min === null ? value : Math.min(this._min, value);
+    this._max = this._max === null ? value : Math.max(this._max, value);
+
+    const index = this._bounds.findIndex(bound => value <= bound);
+    this._buckets[index === -1 ? this._bounds.length : index]++;
+
+    this._samples.push(value);
+    if (this._samples.length > this._sampleSize) {
+      this._samples.shift();
+    }
+  }
+
+  /**
+   * Value below which a share of the latest samples fall
+   * @param {number} percentile Between 0 and 100
+   * @returns {number|null}
+   */
+  percentile(percentile) {
+    if (this._samples.length === 0) return null;
+
+    const sorted = [...this._samples].sort((a, b) => a - b);
+    const rank = Math.ceil((percentile / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+  }
+
+  /**
+   * @returns {HistogramSnapshot}
+   */
+  snapshot() {
+    return {
+      count: this._count,
+      sum: this._sum,
+      min: this._min,
+      max: this._max,
+      mean: this._count > 0 ? this._sum / this._count : 0,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      bounds: [...this._bounds],
+      buckets: [...this._buckets]
+    };
+  }
+
+  reset() {
+    /** @private */
+    this._count = 0;
+    /** @private */
+    this._sum = 0;
+    /** @private */
+    this._min = null;
+    /** @private */
+    this._max = null;
+    /** @private */
+    this._buckets = new Array(this._bounds.length + 1).fill(0);
+    /** @private */
+    this._samples = [];
+  }
+}
+
+/**
+ * @typedef {Object} MetricDescriptor
+ * @property {string} name Name without prefix
+ * @property {'counter'|'gauge'} type
+ * @property {string} help
+ * @property {string} [unit]
+ * @property {(snapshot: import('../managers/metrics').MetricsSnapshot) => number|null|undefined} value
+ */
+
+/**
+ * Scalar metrics shared by the exporters
+ * @type {MetricDescriptor[]}
+ */
+const descriptors = [
+  { name: 'up', type: 'gauge', help: 'Whether the connection is open', value: s => (s.status === 'open' ? 1 : 0) },
+  { name: 'messages_sent_total', type: 'counter', help: 'Messages sent', value: s => s.traffic.messagesSent },
+  { name: 'messages_received_total', type: 'counter', help: 'Messages received', value: s => s.traffic.messagesReceived },
+  { name: 'bytes_sent_total', type: 'counter', help: 'Bytes sent', unit: 'By', value: s => s.traffic.bytesSent },
+  { name: 'bytes_received_total', type: 'counter', help: 'Bytes received', unit: 'By', value: s => s.traffic.bytesReceived },
+  { name: 'requests_total', type: 'counter', help: 'Requests sent', value: s => s.requests.total },
+  { name: 'requests_failed_total', type: 'counter', help: 'Requests that failed', value: s => s.requests.failed },
+  { name: 'requests_timed_out_total', type: 'counter', help: 'Requests that timed out', value: s => s.requests.timedOut },
+  { name: 'requests_in_flight', type: 'gauge', help: 'Requests waiting for a response', value: s => s.requests.inFlight },
+  { name: 'buffer_depth', type: 'gauge', help: 'Messages waiting in the send buffer', value: s => s.buffer.depth },
+  { name: 'outbox_size', type: 'gauge', help: 'Calls waiting in the outbox', value: s => s.outbox.size },
+  { name: 'reconnect_attempts_total', type: 'counter', help: 'Reconnection attempts', value: s => s.reconnection.totalAttempts },
+  { name: 'reconnections_total', type: 'counter', help: 'Successful reconnections', value: s => s.reconnection.successfulReconnections },
+  { name: 'downtime_milliseconds_total', type: 'counter', help: 'Time spent disconnected', unit: 'ms', value: s => s.state.totalDowntime },
+  { name: 'heartbeat_latency_milliseconds', type: 'gauge', help: 'Last heartbeat round trip', unit: 'ms', value: s => s.heartbeat.latency },
+  { name: 'heartbeat_missed_total', type: 'counter', help: 'Missed heartbeats', value: s => s.heartbeat.totalMissed },
+  { name: 'notification_gaps_total', type: 'counter', help: 'Gaps detected in notification sequences', value: s => s.sequences.gaps },
+  { name: 'notifications_missed_total', type: 'counter', help: 'Notifications missed', value: s => s.sequences.missed },
+  { name: 'notification_duplicates_total', type: 'counter', help: 'Notifications received twice', value: s => s.sequences.duplicates },
+  { name: 'state_refreshes_total', type: 'counter', help: 'State token refreshes', value: s => s.state.refreshes },
+  { name: 'state_refresh_failures_total', type: 'counter', help: 'Failed state token refresh attempts', value: s => s.state.refreshFailures }
+];
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [prefix='starling'] Metric name prefix
+ * @property {Object<string, string>} [labels] Labels (attributes) added to every sample
+ */
+
+/**
+ * Formats a snapshot in the Prometheus text exposition format
+ * @param {import('../managers/metrics').MetricsSnapshot} snapshot
+ * @param {ExportOptions} [options]
+ * @returns {string}
+ */
+export const toPrometheus = (snapshot, options = {}) => {
+  const prefix = options.prefix ?? 'starling';
+  const labels = options.labels || {};
+  const lines = [];
+
+  for (const descriptor of descriptors) {
+    const value = descriptor.value(snapshot);
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+    const name = `${prefix}_${descriptor.name}`;
+    lines.push(`# HELP ${name} ${descriptor.help}`);
+    lines.push(`# TYPE ${name} ${descriptor.type}`);
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+
+  const latency = snapshot.requests.latency;
+  const name = `${prefix}_request_duration_milliseconds`;
+  lines.push(`# HELP ${name} Request round trip`);
+  lines.push(`# TYPE ${name} histogram`);
+
+  let cumulative = 0;
+  latency.bounds.forEach((bound, index) => {
+    cumulative += latency.buckets[index];
+    lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${cumulative}`);
+  });
+  lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${latency.count}`);
+  lines.push(`${name}_sum${formatLabels(labels)} ${latency.sum}`);
+  lines.push(`${name}_count${formatLabels(labels)} ${latency.count}`);
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Converts a snapshot into OpenTelemetry metric data (OTLP JSON scope metrics)
+ * @param {import('../managers/metrics').MetricsSnapshot} snapshot
+ * @param {ExportOptions} [options]
+ * @returns {{scope: {name: string}, metrics: Object[]}}
+ */
+export const toOpenTelemetry = (snapshot, options = {}) => {
+  const prefix = options.prefix ?? 'starling';
+  const attributes = Object.entries(options.labels || {}).map(([key, value]) => ({
+    key,
+    value: { stringValue: String(value) }
+  }));
+  const timeUnixNano = String(BigInt(snapshot.timestamp) * 1000000n);
+  const startTimeUnixNano = String(BigInt(snapshot.createdAt ?? snapshot.timestamp) * 1000000n);
+  const metrics = [];
+
+  for (const descriptor of descriptors) {
+    const value = descriptor.value(snapshot);
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+    const point = { attributes, timeUnixNano, [Number.isInteger(value) ? 'asInt' : 'asDouble']: value };
+    metrics.push({
+      name: `${prefix}.${descriptor.name.replace(/_total$/, '').replace(/_/g, '.')}`,
+      description: descriptor.help,
+      unit: descriptor.unit || '1',
+      ...(descriptor.type === 'counter'
+        ? { sum: { dataPoints: [{ ...point, startTimeUnixNano }], aggregationTemporality: 2, isMonotonic: true } }
+        : { gauge: { dataPoints: [point] } })
+    });
+  }
+
+  const latency = snapshot.requests.latency;
+  metrics.push({
+    name: `${prefix}.request.duration`,
+    description: 'Request round trip',
+    unit: 'ms',
+    histogram: {
+      aggregationTemporality: 2,
+      dataPoints: [{
+        attributes,
+        startTimeUnixNano,
+        timeUnixNano,
+        count: latency.count,
+        sum: latency.sum,
+        ...(latency.min !== null && { min: latency.min, max: latency.max }),
+        bucketCounts: latency.buckets,
+        explicitBounds: latency.bounds
+      }]
+    }
+  });
+
+  return {
+    scope: { name: '@helios-starling/starling' },
+    metrics
+  };
+};
+
+/**
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+};
@@ -0,0 +1,86 @@
+import { ErrorCodes, StarlingError } from './errors';
+
+/**
+ * Map of the methods a server exposes, shared with the server code, e.g.
+ * `{ 'user:get': (payload: { id: string }) => User }`
+ * @typedef {Object<string, (payload?: any) => any>} MethodMap
+ */
+
+/**
+ * @typedef {(method: string, payload?: any, options?: Object) => Promise<any>} RequestFunction
+ */
+
+/**
+ * @typedef {Object} RpcOptions
+ * @property {string} [separator=':'] Joins the property path into the method name, the typing of the proxy assumes `:`
+ */
+
+/**
+ * Calls a method of the map, resolving with its result
+ * @template F
+ * @typedef {F extends (...args: infer A) => infer R
+ *   ? A extends []
+ *     ? (payload?: undefined, options?: Object) => Promise<Awaited<R>>
+ *     : A extends [infer P]
+ *       ? (payload: P, options?: Object) => Promise<Awaited<R>>
+ *       : (payload?: A[0], options?: Object) => Promise<Awaited<R>>
+ *   : never} RpcMethod
+ */
+
+/**
+ * First segment of a method name
+ * @template {string} K
+ * @typedef {K extends `${infer Head}:${string}` ? Head : K} MethodHead
+ */
+
+/**
+ * Proxy of an untyped client, any path is a method
+ * @typedef {{(payload?: any, options?: Object): Promise<any>, [segment: string]: LooseRpcApi}} LooseRpcApi
+ */
+
+/**
+ * Proxy exposing the methods of a map as nested functions, `user:get` becoming `api.user.get()`
+ * @template M
+ * @typedef {string extends keyof M ? LooseRpcApi : {
+ *   [H in MethodHead<keyof M & string>]: (H extends keyof M ? RpcMethod<M[H]> : unknown) & RpcApi<{
+ *     [K in keyof M & string as K extends `${H}:${infer Rest}` ? Rest : never]: M[K]
+ *   }>
+ * }} RpcApi
+ */
+
+/**
+ * Creates a proxy turning property paths into requests: `api.user.get(payload, options)`
+ * sends `request('user:get', payload, options)`
+ * @template [M=any]
+ * @param {RequestFunction} request
+ * @param {RpcOptions} [options]
+ * @returns {RpcApi<M>}
+ */
+export const createRpcProxy = (request, options = {}) => {
+  const separator = options.separator ?? ':';
+  const cache = new Map();
+
+  const build = path => {
+    const method = path.join(separator);
+    if (cache.has(method)) return cache.get(method);
+
+    const target = (payload, requestOptions) => {
+      if (path.length === 0) {
+        throw new StarlingError('The RPC proxy is not a method, call one of its properties', { code: ErrorCodes.INVALID_CONFIGURATION });
+      }
+      return request(method, payload, requestOptions);
+    };
+    const proxy = new Proxy(target, {
+      get: (target, property) => {
+        // Not a thenable, so an awaited proxy resolves to itself
+        if (typeof property === 'symbol' || property === 'then') return undefined;
+        return build([...path, property]);
+      }
+    });
+
+    cache.set(method, proxy);
+    return proxy;
+  };
+
+  return build([]);
+};
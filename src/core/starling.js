@@ -1,35 +1,81 @@
 import { BaseStarling, getCurrentTimestamp, NetworkNode } from "@helios-starling/utils";
 import { StateManager } from "../managers/state";
 import { ReconnectionManager } from "../managers/reconnection";
-import { proxyConfiguration } from "../config/proxy.config";
+import { HeartbeatManager } from "../managers/heartbeat";
+import { EndpointManager } from "../managers/endpoints";
+import { LifecycleManager } from "../managers/lifecycle";
+import { AuthManager } from "../managers/auth";
+import { OutboxManager } from "../managers/outbox";
+import { MetricsManager } from "../managers/metrics";
+import { SessionManager } from "../managers/session";
+import { SubscriptionManager } from "../managers/subscriptions";
+import { SequenceManager } from "../managers/sequence";
+import { CodecManager } from "../managers/codec";
+import { MiddlewareManager } from "../managers/middleware";
+import { ValidationManager } from "../managers/validation";
+import { ChannelManager } from "../managers/channels";
+import { StreamManager } from "../managers/streams";
+import { createProxyConfiguration } from "../config/proxy.config";
+import { ReadyState, Transport } from "./transport";
+import { ConnectionStatus, StatusMachine } from "./status";
+import { ConnectionError, ErrorCodes, StarlingError, StateError } from "./errors";
+import { createLogger } from "./logger";
+import { createRpcProxy } from "./rpc";
+import { CloseCodes } from "../config/close-codes.config";
 
 /**
 * @typedef {import('@helios-starling/utils').BaseStarlingOptions} BaseStarlingOptions
 */
 
 /**
-* @typedef {import("@helios-starling/utils").NetworkNodeOptions & {
+* @typedef {import("@helios-starling/utils").NetworkNodeOptions & import("./transport").TransportOptions & {
 *  connectTimeout: number=10000,
 *  state: import("../managers/state").StateManagerOptions,
-*  reconnection: import("../managers/reconnection").ReconnectionOptions | false
+*  reconnection: import("../managers/reconnection").ReconnectionOptions | false,
+*  heartbeat: import("../managers/heartbeat").HeartbeatOptions | false,
+*  endpoints: import("../managers/endpoints").EndpointOptions,
+*  lifecycle: import("../managers/lifecycle").LifecycleOptions | false,
+*  auth: import("../managers/auth").AuthOptions,
+*  outbox: import("../managers/outbox").OutboxOptions | boolean,
+*  logger: import("./logger").LoggerOption,
+*  metrics: import("../managers/metrics").MetricsOptions,
+*  session: import("../managers/session").SessionOptions,
+*  subscriptions: import("../managers/subscriptions").SubscriptionManagerOptions,
+*  streams: import("../managers/streams").StreamManagerOptions,
+*  sequence: import("../managers/sequence").SequenceOptions | false,
+*  codec: import("../managers/codec").CodecOptions,
+*  middleware: {debug?: boolean},
+*  validation: import("../managers/validation").ValidationOptions,
+*  channels: import("../managers/channels").ChannelOptions,
+*  rpc: import("./rpc").RpcOptions
 * }} StarlingOptions
 */
 
+/**
+* @typedef {Object} ConnectOptions
+* @property {AbortSignal} [signal] Cancels the connection, closing the pending socket
+* @property {number} [timeout] Overrides `connectTimeout` (ms)
+*/
+
 
 
 /**
 * Client Starling instance
+* @template [M=any] Method map typing {@link Starling#api}
 */
 export class Starling extends NetworkNode {
     /**
-    * @param {string|URL} url
+    * @param {import("../managers/endpoints").EndpointInput|import("../managers/endpoints").EndpointInput[]|import("../managers/endpoints").EndpointResolver} url Server URL, list of endpoints or resolver called before each connection
     * @param {StarlingOptions} options 
     */
     constructor(url, options = {}) {
         
         super({
             builtInMethods: {},
-            proxyConfiguration
+            proxyConfiguration: createProxyConfiguration({
+                notification: context => this._sequences.accept(context),
+                intercept: (type, context, handle) => this._middleware.incoming(type, context, handle)
+            })
         }, {...options});
 
         this._options = {
@@ -37,7 +83,19 @@ export class Starling extends NetworkNode {
             ...options
         }
         
-        this.url = url instanceof URL ? url : new URL(url);
+        /** @private */
+        this._logger = createLogger(this._options.logger);
+        
+        this._endpoints = new EndpointManager(this, url, this._options.endpoints || {});
+        
+        const [primary] = this._endpoints.list().sort((a, b) => a.priority - b.priority);
+        /** @type {URL|null} */
+        this.url = primary ? new URL(primary.url) : null;
+
+        this._transport = new Transport(this._options);
+        this._codec = new CodecManager(this, this._options.codec || {});
+        this._middleware = new MiddlewareManager(this, this._options.middleware || {});
+        this._validation = new ValidationManager(this, this._options.validation || {});
         
         this._starling = new BaseStarling({
             id: this.id,
@@ -46,14 +104,55 @@ export class Starling extends NetworkNode {
         }, this.events);
         this._starling.events = this.events;
         
+        this._status = new StatusMachine(this.events);
+        this._bindStatusEvents();
+        
+        /**
+        * Cancels the connection in progress
+        * @private
+        * @type {((error: Error) => void)|null}
+        */
+        this._cancelConnect = null;
+        
+        /**
+        * Set by destroy(), the client cannot connect anymore
+        * @private
+        */
+        this._destroyed = false;
+        
         this._stateManager = new StateManager(this, this._options?.state || {});
+        this._session = new SessionManager(this, this._options.session || {});
+        this._subscriptions = new SubscriptionManager(this, this._options.subscriptions || {});
+        this._streams = new StreamManager(this, this._options.streams || {});
+        this._channels = new ChannelManager(this, this._options.channels || {});
+        this._sequences = new SequenceManager(this, this._options.sequence === false ? { enabled: false } : this._options.sequence || {});
         this._reconnection = new ReconnectionManager(this, this._options.reconnection || {});
+        this._heartbeat = new HeartbeatManager(this, this._options.heartbeat === false ? { enabled: false } : this._options.heartbeat || {});
+        this._auth = new AuthManager(this, this._options.auth);
+        this._lifecycle = new LifecycleManager(this, this._options.lifecycle === false ? { enabled: false } : this._options.lifecycle || {});
+
+        this._outbox = new OutboxManager(this, this._options.outbox);
+        this._metrics = new MetricsManager(this, this._options.metrics || {});
 
         this.send = this._starling.send.bind(this._starling);
-        this.notify = this._starling.notify.bind(this._starling);
-        this.request = this._starling.request.bind(this._starling);
         this.sendError = this._starling.sendError.bind(this._starling);
 
+        const notify = this._starling.notify.bind(this._starling);
+        const request = this._starling.request.bind(this._starling);
+
+        this.notify = (topic, data, requestId) => this._outbox.shouldQueue()
+            ? this._outbox.enqueueNotification(topic, data)
+            : notify(topic, data, requestId);
+        const send = (method, payload, options) => this._outbox.shouldQueue(options)
+            ? this._outbox.enqueueRequest(method, payload, options)
+            : this._metrics.trackRequest(request(method, payload, options));
+        this.request = (method, payload, options) => this._validation.request(method, payload, options, send);
+
+        /**
+        * Methods of the server as nested functions: `api.user.get(payload)` requests `user:get`
+        * @type {import("./rpc").RpcApi<M>}
+        */
+        this.api = createRpcProxy((method, payload, options) => this.request(method, payload, options), this._options.rpc);
 
     }
     
@@ -67,27 +166,155 @@ export class Starling extends NetworkNode {
     
     /**
     * Connects to the Helios server
+    * @param {ConnectOptions} [options]
     * @returns {Promise<void>}
-    * @throws {Error}
+    * @throws {StarlingError} A {@link ConnectionError} with code `CONNECTION_ABORTED` when the signal aborts, `CONNECTION_TIMEOUT` when the timeout elapses, `ALREADY_CONNECTED` when a connection exists
     */
-    async connect() {
+    async connect(options = {}) {
+        const { signal = null, timeout = this._options.connectTimeout || 10000 } = options;
+        
+        this._throwIfAborted(signal);
+        if (this._destroyed) {
+            throw this._createAbortError("Client destroyed");
+        }
+        if (this.connected || this.connecting || this._cancelConnect) {
+            throw this._createAlreadyConnectedError();
+        }
+        
+        // The signal, the timeout and disconnect() cancel the attempt from its first await on
+        const attempt = new AbortController();
+        const cancel = error => attempt.abort(error);
+        const onAbort = () => cancel(this._createAbortError(signal.reason));
+        const timer = setTimeout(() => {
+            cancel(new ConnectionError(`Connection timeout after ${timeout}ms`, {
+                code: ErrorCodes.CONNECTION_TIMEOUT,
+                details: { url: this.url.toString(), timeout }
+            }));
+        }, timeout);
+        
+        const release = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            if (this._cancelConnect === cancel) {
+                this._cancelConnect = null;
+            }
+        };
+        
+        signal?.addEventListener('abort', onAbort, { once: true });
+        this._cancelConnect = cancel;
+        
+        try {
+            await this._untilCancelled(this._stateManager.ready, attempt.signal);
+        } catch (error) {
+            release();
+            throw error;
+        }
+        
         if (this.connected || this.connecting) {
-            throw new Error('Already connected or connecting');
+            release();
+            throw this._createAlreadyConnectedError();
         }
         
+        // Attempts made by the reconnection manager keep the reconnecting status
+        if (!this._reconnection.active) {
+            this._status.transition(ConnectionStatus.CONNECTING);
+        }
+        
+        let endpoint = null;
+        
         try {
-            const token = this.state.token;
+            endpoint = await this._untilCancelled(this._endpoints.select(), attempt.signal);
+            await this._untilCancelled(this._auth.prepare(), attempt.signal);
+            if (attempt.signal.aborted) {
+                throw attempt.signal.reason;
+            }
+            
+            if (this.connected || this.connecting) {
+                endpoint = null;
+                throw this._createAlreadyConnectedError();
+            }
+            
+            // The recovery token travels with the session, whatever node serves it
+            this.url = new URL(endpoint.url);
+            
+            const token = this._stateManager.token;
             if (token) {
                 this.url.searchParams.set('recover', token);
+            } else {
+                this.url.searchParams.delete('recover');
             }
+            this._auth.applyToUrl(this.url);
             
             return await new Promise((resolve, reject) => {
-                this._ws = new WebSocket(this.url);
+                const startedAt = getCurrentTimestamp();
+                let opened = false;
+                let settled = false;
                 
-                this._ws.onopen = () => {
-                    console.log('✨ Starling connected to Helios server');
+                const ws = this._transport.open(this.url, [...this._auth.protocols(), ...this._codec.protocols()]);
+                this._metrics.instrument(ws);
+                this._ws = ws;
+                
+                const settle = () => {
+                    settled = true;
+                    attempt.signal.removeEventListener('abort', drop);
+                    release();
+                };
+                
+                // Drops the pending socket so no late callback reaches the client
+                const drop = () => {
+                    if (settled) return;
+                    const error = attempt.signal.reason;
+                    settle();
+                    
+                    ws.onopen = ws.onclose = ws.onerror = ws.onmessage = null;
+                    try {
+                        ws.close(CloseCodes.NORMAL, error.message);
+                    } catch (closeError) {
+                        // The socket may already be closing
+                    }
+                    if (this._ws === ws) {
+                        this._ws = null;
+                    }
+                    reject(error);
+                };
+                
+                attempt.signal.addEventListener('abort', drop, { once: true });
+                
+                ws.onopen = async () => {
+                    opened = true;
+                    this._codec.negotiate(ws);
+                    this._middleware.attach(ws);
+                    this._endpoints.reportSuccess(endpoint, getCurrentTimestamp() - startedAt);
+                    
+                    if (token) {
+                        this._status.transition(ConnectionStatus.RECOVERING);
+                    }
+                    
+                    try {
+                        await this._auth.authenticate();
+                    } catch (error) {
+                        if (settled) return;
+                        settle();
+                        ws.close(CloseCodes.UNAUTHORIZED, 'Authentication failed');
+                        reject(error);
+                        return;
+                    }
+                    
+                    if (settled) return;
+                    await this._session.resolve(token);
+                    
+                    // Cancelled while authenticating or recovering
+                    if (settled) return;
+                    settle();
+                    
+                    this._logger.info('Connected', {
+                        endpoint: endpoint.url,
+                        recovering: !!token,
+                        duration: getCurrentTimestamp() - startedAt
+                    });
                     
                     this._lastConnected = getCurrentTimestamp();
+                    this._status.transition(ConnectionStatus.OPEN);
                     
                     this._starling.events.emit('starling:connected', {
                         debug: {
@@ -98,21 +325,43 @@ export class Starling extends NetworkNode {
                     
                     this._starling._buffer.flush();
                     
+                    await this._restore();
                     resolve();
                 };
                 
-                this._ws.onclose = () => this._handleClose();
-                this._ws.onerror = error => this._handleError(error);
-                this._ws.onmessage = message => this._starling.handleMessage(message.data);
-                
-                // Timeout
-                setTimeout(() => {
-                    if (!this.connected) {
-                        reject(new Error('Connection timeout'));
+                ws.onclose = event => {
+                    if (!settled) {
+                        settle();
+                        reject(new ConnectionError(opened ? 'Connection closed while authenticating' : 'Connection closed before opening', {
+                            details: { url: this.url.toString(), code: event?.code, reason: event?.reason }
+                        }));
                     }
-                }, this._options.connectTimeout || 10000);
+                    this._handleClose(event);
+                };
+                ws.onerror = error => this._handleError(error);
+                ws.onmessage = message => {
+                    this._metrics.recordReceived(message.data);
+                    this._codec.receive(message.data, data => this._starling.handleMessage(data));
+                };
             })
-        } catch (error) {
+        } catch (cause) {
+            release();
+            const error = cause instanceof StarlingError
+                ? cause
+                : new ConnectionError(`Failed to connect: ${cause.message}`, { cause });
+            const aborted = error.code === ErrorCodes.CONNECTION_ABORTED;
+            
+            // Neither a rejected credential nor an abort says anything about the endpoint health
+            if (endpoint && error.code !== ErrorCodes.AUTH_FAILED && !aborted) {
+                this._endpoints.reportFailure(endpoint, error);
+            }
+            
+            if (this.status === ConnectionStatus.CONNECTING || this.status === ConnectionStatus.RECOVERING) {
+                this._status.transition(this._reconnection.active
+                    ? ConnectionStatus.RECONNECTING
+                    : aborted ? ConnectionStatus.CLOSED : ConnectionStatus.FAILED);
+            }
+            
             this.events.emit('starling:connect:failed', {
                 error,
                 debug: {
@@ -127,12 +376,22 @@ export class Starling extends NetworkNode {
     /**
     * Closes the WebSocket connection
     * @param {string} [reason] Reason for closing
+    * @param {{keepToken?: boolean}} [options] `keepToken` keeps the recovery token, so the session can be recovered by another client
     * @returns {Promise<void>}
     */
-    async disconnect(reason = 'Connection closed') {
-        if (!this._ws) return;
-        
+    async disconnect(reason = 'Connection closed', options = {}) {
+        if (!options.keepToken) {
+            this._stateManager.clear();
+        }
         this._reconnection.stop();
+        this._cancelConnect?.(this._createAbortError(reason));
+
+        if (!this._ws) {
+            this._status.transition(ConnectionStatus.CLOSED);
+            return;
+        }
+        
+        this._status.transition(ConnectionStatus.DISCONNECTING);
         this._starling._requests.cancelAll(reason);
         this._starling._buffer.flush();
         this._starling._data.clear();
@@ -141,6 +400,7 @@ export class Starling extends NetworkNode {
         return new Promise((resolve) => {
             const cleanup = () => {
                 this._ws = null;
+                this._status.transition(ConnectionStatus.CLOSED);
                 resolve();
             };
             
@@ -148,19 +408,160 @@ export class Starling extends NetworkNode {
                 this._ws.onclose = cleanup;
                 this._ws.close(1000, reason);
             } catch (error) {
-                console.error('Failed to close connection:', error);
+                this._logger.error('Failed to close connection', { error });
                 cleanup();
             }
         })
     }
     
     
+    /**
+    * Disconnects for good, stopping the heartbeat, the metrics export and the page lifecycle listeners.
+    * The client cannot connect anymore.
+    * @param {string} [reason] Reason for closing
+    * @param {{keepToken?: boolean}} [options] See {@link disconnect}
+    * @returns {Promise<void>}
+    */
+    async destroy(reason = "Client destroyed", options = {}) {
+        if (this._destroyed) return;
+        this._destroyed = true;
+        
+        await this.disconnect(reason, options);
+        this._heartbeat.stop();
+        this._lifecycle.destroy();
+        this._metrics.destroy();
+    }
+    
+    /**
+    * Pings the server and measures the round-trip latency
+    * @returns {Promise<number|null>} Latency in ms, null when the server did not answer in time
+    */
+    async ping() {
+        return this._heartbeat.ping();
+    }
+    
+    /**
+    * Snapshot of the client metrics: traffic, request latencies and every manager
+    * @returns {import("../managers/metrics").MetricsSnapshot}
+    */
+    metrics() {
+        return this._metrics.snapshot();
+    }
+    
+    /**
+    * Formats the metrics for a monitoring backend
+    * @param {'prometheus'|'opentelemetry'} format Prometheus text, or OpenTelemetry scope metrics
+    * @param {import("./metrics").ExportOptions} [options]
+    * @returns {string|Object}
+    */
+    exportMetrics(format, options) {
+        return this._metrics.export(format, options);
+    }
+    
+    /**
+    * Adds a middleware for the messages sent and received
+    * @param {import("../managers/middleware").Middleware} middleware
+    * @param {import("../managers/middleware").MiddlewareOptions} [options] Direction, message types and priority
+    * @returns {() => void} Removes the middleware
+    */
+    use(middleware, options) {
+        return this._middleware.use(middleware, options);
+    }
+    
+    /**
+    * Registers a method handler, `options.schema` validating its payload and result
+    * @param {string} name
+    * @param {Function} handler
+    * @param {Object & {schema?: import("../managers/validation").MethodSchema}} [options]
+    */
+    method(name, handler, options = {}) {
+        const { schema, ...methodOptions } = options;
+        return super.method(name, this._validation.method(name, handler, schema), methodOptions);
+    }
+    
+    /**
+    * Registers a topic handler, `options.schema` validating the notification data
+    * @param {string} topic
+    * @param {Function} handler
+    * @param {Object & {schema?: import("../managers/validation").Schema}} [options]
+    */
+    on(topic, handler, options = {}) {
+        const { schema, ...topicOptions } = options;
+        return super.on(topic, this._validation.topic(topic, handler, schema), topicOptions);
+    }
+    
+    /**
+    * Subscribes to a topic on the server, the subscription being replayed after every new session
+    * @param {string} topic
+    * @param {import("../managers/subscriptions").TopicHandler|Object} [handler] Handler, or the options when there is none
+    * @param {Object} [options] Options sent to the server, except `schema` validating the notification data
+    * @returns {Promise<import("../managers/subscriptions").Subscription>}
+    * @throws {StarlingError} `SUBSCRIPTION_FAILED` when the server refuses it
+    */
+    subscribe(topic, handler, options) {
+        return this._subscriptions.subscribe(topic, handler, options);
+    }
+    
+    /**
+    * Removes a subscription and its handlers
+    * @param {string} topic
+    * @returns {Promise<boolean>} Whether the topic was subscribed
+    */
+    unsubscribe(topic) {
+        return this._subscriptions.unsubscribe(topic);
+    }
+    
+    /**
+    * Sends a streaming request, its partial responses being read with `for await`.
+    * The server sends up to `window` frames ahead of the reader, breaking out of the loop or aborting the signal
+    * cancels the stream on the server, and the stream resumes after a recovered reconnection.
+    * @template [T=any] Type of the frames data
+    * @param {string} method
+    * @param {any} [payload]
+    * @param {import("./stream").StreamOptions} [options]
+    * @returns {import("./stream").Stream<T>}
+    * @throws {StarlingError} When the window is invalid
+    */
+    stream(method, payload, options) {
+        return this._streams.open(method, payload, options);
+    }
+    
+    /**
+    * Scoped handle whose methods and topics are prefixed with its name, sharing the connection.
+    * The same handle is returned until it is closed.
+    * @template [C=any] Method map of the channel, without the prefix
+    * @param {string} name
+    * @returns {import("./channel").Channel<C>}
+    * @throws {StarlingError} When the name is empty
+    */
+    channel(name) {
+        return this._channels.open(name);
+    }
+    
+    /**
+    * Waits until the connection reaches a status
+    * @param {ConnectionStatus|ConnectionStatus[]} status Expected status, or any of several
+    * @param {{timeout?: number}} [options]
+    * @returns {Promise<ConnectionStatus>} The status reached
+    * @throws {Error} When the timeout elapses first
+    */
+    waitFor(status, options = {}) {
+        return this._status.waitFor(status, options);
+    }
+    
+    
+    /**
+    * Refreshes the recovery token
+    * @returns {Promise<string>}
+    * @throws {StateError}
+    */
     async sync() {
         try {
             const token = await this._stateManager.refresh();
             return token;
         } catch (error) {
-            throw new Error(`Failed to get recovery token: ${error.message}`);
+            if (error instanceof StarlingError) throw error;
+            throw new StateError('Failed to get recovery token', { cause: error });
         }
     }
     
@@ -168,22 +569,169 @@ export class Starling extends NetworkNode {
     /**
     * Gère la fermeture de la connexion
     * @private
+    * @param {CloseEvent} [event]
     */
-    _handleClose() {
+    _handleClose(event) {
         this._ws = null;
-        console.log('❌ Starling disconnected');
+        this._logger.info('Disconnected', {
+            code: event?.code,
+            reason: event?.reason,
+            wasClean: event?.wasClean
+        });
         
         this._emitEvent('starling:disconnected', {
             lastConnected: this._lastConnected,
+            code: event?.code,
+            reason: event?.reason,
+            wasClean: event?.wasClean,
             debug: {
                 type: 'disconnection',
-                message: `Starling disconnected`
+                message: `Starling disconnected${event?.code ? ` (${event.code}${event.reason ? `: ${event.reason}` : ''})` : ''}`
             }
         });
         
+        const previous = this.status;
+        
         if (!(this._options.reconnection === false)) {
-            this._reconnection.start();   
+            this._reconnection.start(event);   
         }
+        
+        // Not taken over by the reconnection manager
+        if (!this._reconnection.active && this.status !== ConnectionStatus.FAILED) {
+            this._status.transition(previous === ConnectionStatus.CONNECTING ? ConnectionStatus.FAILED : ConnectionStatus.CLOSED, {
+                code: event?.code
+            });
+        }
+    }
+    
+    /**
+    * Suit les décisions des managers qui changent le statut
+    * @private
+    */
+    _bindStatusEvents() {
+        this.events.on('starling:reconnect:started', () => {
+            this._status.transition(ConnectionStatus.RECONNECTING);
+        });
+        this.events.on('starling:reconnect:max_attempts', () => {
+            this._status.transition(ConnectionStatus.FAILED);
+        });
+        this.events.on('starling:reconnect:aborted', ({ code }) => {
+            this._status.transition(ConnectionStatus.FAILED, { code });
+        });
+        this.events.on('starling:auth:failed', () => {
+            // A failed refresh leaves the open connection usable
+            if (this.status !== ConnectionStatus.OPEN) {
+                this._status.transition(ConnectionStatus.FAILED);
+            }
+        });
+    }
+    
+    /**
+    * Rétablit l'état lié à la session après l'ouverture, étape par étape.
+    * Une étape en échec est signalée sans empêcher les suivantes ni la connexion.
+    * @private
+    * @returns {Promise<void>}
+    */
+    async _restore() {
+        const steps = [
+            ["subscriptions", () => this._subscriptions.replay()],
+            ["sequences", () => this._sequences.replay()],
+            ["streams", () => this._streams.resume()],
+            ["resync", () => this._session.resync()]
+        ];
+        
+        for (const [step, run] of steps) {
+            try {
+                await run();
+            } catch (error) {
+                this._logger.error("Restore step failed", { step, error });
+                this.events.emit("starling:restore:failed", {
+                    step,
+                    error,
+                    debug: {
+                        type: "error",
+                        message: `Failed to restore ${step}: ${error.message}`
+                    }
+                });
+            }
+        }
+    }
+    
+    /**
+    * Abandonne une connexion morte sans attendre la fin du handshake de fermeture
+    * @private
+    * @param {number} code
+    * @param {string} reason
+    */
+    _terminate(code, reason) {
+        const ws = this._ws;
+        if (!ws) return;
+        
+        ws.onopen = ws.onclose = ws.onerror = ws.onmessage = null;
+        try {
+            ws.close(code, reason);
+        } catch (error) {
+            // The socket may already be closing
+        }
+        
+        this._handleClose({ code, reason, wasClean: false });
+    }
+    
+    /**
+    * Interrompt la connexion si le signal a été déclenché
+    * @private
+    * @param {AbortSignal|null} signal
+    * @throws {Error}
+    */
+    _throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw this._createAbortError(signal.reason);
+        }
+    }
+    
+    /**
+    * Attend une étape de la connexion, ou rejette dès que la tentative est annulée
+    * @private
+    * @template T
+    * @param {Promise<T>} promise
+    * @param {AbortSignal} signal Signal de la tentative
+    * @returns {Promise<T>}
+    */
+    _untilCancelled(promise, signal) {
+        if (signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(promise).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+    
+    /**
+    * Crée l'erreur d'une connexion annulée
+    * @private
+    * @param {any} [cause] Raison de l'annulation
+    * @returns {ConnectionError}
+    */
+    _createAbortError(cause) {
+        return new ConnectionError('Connection aborted', {
+            code: ErrorCodes.CONNECTION_ABORTED,
+            cause,
+            retryable: false
+        });
+    }
+    
+    /**
+    * Crée l'erreur d'une connexion déjà établie ou en cours
+    * @private
+    * @returns {ConnectionError}
+    */
+    _createAlreadyConnectedError() {
+        return new ConnectionError('Already connected or connecting', {
+            code: ErrorCodes.ALREADY_CONNECTED,
+            retryable: false
+        });
     }
     
     /**
@@ -193,7 +741,7 @@ export class Starling extends NetworkNode {
     _handleError(event) {
         
         this._emitEvent('error', {
-            error: new Error('Starling WebSocket error'),
+            error: new ConnectionError('Starling WebSocket error', { cause: event }),
             event,
             timestamp: getCurrentTimestamp(),
         });
@@ -214,6 +762,129 @@ export class Starling extends NetworkNode {
     ondisconnected = (handler) => this.events.on('starling:disconnected', handler);
 
     onstatechange = (handler) => this.events.on('starling:state', handler);
+    onstatuschange = (handler) => this.events.on('starling:status', handler);
+    
+    /**
+    * Connection status, see {@link ConnectionStatus}
+    * @returns {ConnectionStatus}
+    */
+    get status() {
+        return this._status.current;
+    }
+    
+    /**
+    * Logger of the client, managers log through its children
+    * @returns {import("./logger").Logger}
+    */
+    get logger() {
+        return this._logger;
+    }
+    
+    /**
+    * Health of the known endpoints
+    * @returns {import("../managers/endpoints").EndpointStatus[]}
+    */
+    get endpoints() {
+        return this._endpoints.list();
+    }
+    
+    /**
+    * Endpoint of the current or last connection
+    * @returns {import("../managers/endpoints").EndpointStatus|null}
+    */
+    get endpoint() {
+        return this._endpoints.current;
+    }
+    
+    /**
+    * Codec negotiated for the current connection
+    * @returns {import("../managers/codec").NegotiatedCodec}
+    */
+    get codec() {
+        return this._codec.current;
+    }
+    
+    /**
+    * Recovery token: refreshes, persistence and hand over between clients
+    * @returns {StateManager}
+    */
+    get recovery() {
+        return this._stateManager;
+    }
+    
+    /**
+    * Server session: recovery outcome and resync callbacks
+    * @returns {SessionManager}
+    */
+    get session() {
+        return this._session;
+    }
+    
+    /**
+    * Method and topic schemas
+    * @returns {ValidationManager}
+    */
+    get validation() {
+        return this._validation;
+    }
+    
+    /**
+    * Topic subscriptions replayed after every new session
+    * @returns {SubscriptionManager}
+    */
+    get subscriptions() {
+        return this._subscriptions;
+    }
+    
+    /**
+    * Streaming requests, resumed after a recovered reconnection
+    * @returns {StreamManager}
+    */
+    get streams() {
+        return this._streams;
+    }
+    
+    /**
+    * Sequence numbers of the incoming notifications: gaps and duplicates
+    * @returns {SequenceManager}
+    */
+    get sequences() {
+        return this._sequences;
+    }
+    
+    /**
+    * Durable queue of the calls made while disconnected
+    * @returns {OutboxManager}
+    */
+    get outbox() {
+        return this._outbox;
+    }
+    
+    /**
+    * Reconnection attempts and their metrics
+    * @returns {ReconnectionManager}
+    */
+    get reconnection() {
+        return this._reconnection;
+    }
+    
+    /**
+    * Pings and their latencies
+    * @returns {HeartbeatManager}
+    */
+    get heartbeat() {
+        return this._heartbeat;
+    }
+    
+    /**
+    * Messages waiting in the send buffer, null when unknown
+    * @returns {number|null}
+    */
+    get buffered() {
+        const buffer = this._starling._buffer;
+        const depth = buffer?.size ?? buffer?.length;
+        return typeof depth === "number" ? depth : null;
+    }
     
     get createdAt() {
         return this._starling.createdAt;
@@ -236,19 +907,19 @@ export class Starling extends NetworkNode {
     }
     
     get connected() {
-        return this._ws && this._ws.readyState === WebSocket.OPEN;
+        return this._ws && this._ws.readyState === ReadyState.OPEN;
     }
     
     get connecting() {
-        return this._ws && this._ws.readyState === WebSocket.CONNECTING;
+        return this._ws && this._ws.readyState === ReadyState.CONNECTING;
     }
     
     get closing() {
-        return this._ws && this._ws.readyState === WebSocket.CLOSING;
+        return this._ws && this._ws.readyState === ReadyState.CLOSING;
     }
     
     get closed() {
-        return this._ws && this._ws.readyState === WebSocket.CLOSED;
+        return this._ws && this._ws.readyState === ReadyState.CLOSED;
     }
 
 
@@ -0,0 +1,170 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError } from './errors';
+
+/**
+ * Connection statuses
+ * @readonly
+ * @enum {string}
+ */
+export const ConnectionStatus = Object.freeze({
+  /** Never connected */
+  IDLE: 'idle',
+  /** First connection in progress */
+  CONNECTING: 'connecting',
+  /** Socket open, session being restored */
+  RECOVERING: 'recovering',
+  /** Connected and ready */
+  OPEN: 'open',
+  /** Connection lost, reconnection in progress */
+  RECONNECTING: 'reconnecting',
+  /** Explicit disconnection in progress */
+  DISCONNECTING: 'disconnecting',
+  /** Disconnected, nothing will happen until `connect()` */
+  CLOSED: 'closed',
+  /** Gave up: fatal close code, rejected credentials or too many attempts */
+  FAILED: 'failed'
+});
+
+/**
+ * Allowed transitions from each status
+ * @type {Readonly<Record<string, string[]>>}
+ */
+export const StatusTransitions = Object.freeze({
+  idle: ['connecting', 'reconnecting', 'closed'],
+  connecting: ['recovering', 'open', 'reconnecting', 'disconnecting', 'closed', 'failed'],
+  recovering: ['open', 'reconnecting', 'disconnecting', 'closed', 'failed'],
+  open: ['reconnecting', 'disconnecting', 'closed', 'failed'],
+  reconnecting: ['recovering', 'open', 'disconnecting', 'closed', 'failed'],
+  disconnecting: ['closed'],
+  closed: ['connecting', 'reconnecting'],
+  failed: ['connecting', 'reconnecting', 'closed']
+});
+
+/**
+ * Validated connection status, emitting `starling:status` on every change
+ */
+export class StatusMachine {
+  /**
+   * @param {{emit: (event: string, data: any) => void}} events
+   * @param {ConnectionStatus} [initial='idle']
+   */
+  constructor(events, initial = ConnectionStatus.IDLE) {
+    /** @private */
+    this._events = events;
+
+    /** @private */
+    this._status = initial;
+
+    /** @private */
+    this._since = getCurrentTimestamp();
+
+    /**
+     * @private
+     * @type {Set<(status: string) => void>}
+     */
+    this._watchers = new Set();
+  }
+
+  /**
+   * @returns {ConnectionStatus}
+   */
+  get current() {
+    return this._status;
+  }
+
+  /**
+   * Timestamp of the last change
+   * @returns {number}
+   */
+  get since() {
+    return this._since;
+  }
+
+  /**
+   * Whether the machine may move to a status
+   * @param {ConnectionStatus} next
+   * @returns {boolean}
+   */
+  can(next) {
+    return StatusTransitions[this._status]?.includes(next) ?? false;
+  }
+
+  /**
+   * Moves to a status
+   * @param {ConnectionStatus} next
+   * @param {Object} [details] Extra event data (e.g. the close code)
+   * @returns {boolean} Whether the transition was valid; staying in the same status counts as valid
+   */
+  transition(next, details = {}) {
+    const previous = this._status;
+    if (next === previous) return true;
+
+    if (!this.can(next)) {
+      this._events.emit('starling:status:invalid', {
+        previous,
+        next,
+        debug: {
+          type: 'warning',
+          message: `Invalid status transition from ${previous} to ${next}`
+        }
+      });
+      return false;
+    }
+
+    this._status = next;
+    this._since = getCurrentTimestamp();
+
+    this._events.emit('starling:status', {
+      ...details,
+      previous,
+      next,
+      timestamp: this._since,
+      debug: {
+        type: 'info',
+        message: `Status ${previous} → ${next}`
+      }
+    });
+
+    for (const watcher of [...this._watchers]) {
+      watcher(next);
+    }
+    return true;
+  }
+
+  /**
+   * Resolves once the machine reaches one of the statuses
+   * @param {ConnectionStatus|ConnectionStatus[]} statuses
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<ConnectionStatus>}
+   * @throws {StarlingError} With code `STATUS_TIMEOUT` when the timeout elapses first
+   */
+  waitFor(statuses, options = {}) {
+    const expected = [statuses].flat();
+    if (expected.includes(this._status)) {
+      return Promise.resolve(this._status);
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const watcher = status => {
+        if (!expected.includes(status)) return;
+        this._watchers.delete(watcher);
+        clearTimeout(timer);
+        resolve(status);
+      };
+      this._watchers.add(watcher);
+
+      if (options.timeout !== undefined) {
+        timer = setTimeout(() => {
+          this._watchers.delete(watcher);
+          reject(new StarlingError(`Timed out waiting for status ${expected.join(' or ')} (current: ${this._status})`, {
+            code: ErrorCodes.STATUS_TIMEOUT,
+            retryable: true,
+            details: { expected, current: this._status }
+          }));
+        }, options.timeout);
+      }
+    });
+  }
+}
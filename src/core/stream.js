@@ -0,0 +1,293 @@
+import { ErrorCodes, StarlingError } from './errors';
+
+/**
+ * @typedef {'opening'|'open'|'interrupted'|'done'|'cancelled'|'failed'} StreamStatus
+ * `opening`: waiting for the server to accept it, `open`: receiving frames, `interrupted`: connection lost,
+ * resumed once the session is recovered, `done`, `cancelled` and `failed` are final
+ */
+
+/**
+ * @typedef {Object} StreamFrame
+ * @property {string} id Stream id
+ * @property {number} sequence Position of the frame in the stream, from 1
+ * @property {any} [data] Partial result, or the final result with `done`
+ * @property {boolean} [done] Last frame of the stream
+ * @property {{code: string, message: string, details?: Object}} [error] The stream failed on the server
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number} [window] Frames the server may send ahead of the consumer, defaults to the manager's
+ * @property {AbortSignal} [signal] Cancels the stream, on the server too
+ * @property {number} [timeout] Timeout of the request opening the stream (ms), defaults to the manager's
+ */
+
+/**
+ * Partial responses of a streaming request, consumed with `for await`.
+ * Reading credits the server with more frames, breaking out of the loop cancels the stream.
+ * @template [T=any] Type of the frames data
+ */
+export class Stream {
+  /**
+   * @param {import('../managers/streams').StreamManager} manager
+   * @param {string} id
+   * @param {string} method
+   * @param {any} payload
+   * @param {number} window
+   */
+  constructor(manager, id, method, payload, window) {
+    /** @private */
+    this._manager = manager;
+
+    /** @type {string} */
+    this.id = id;
+
+    /** @type {string} */
+    this.method = method;
+
+    /** @type {any} */
+    this.payload = payload;
+
+    /** @type {number} */
+    this.window = window;
+
+    /**
+     * @private
+     * @type {StreamStatus}
+     */
+    this._status = 'opening';
+
+    /**
+     * Frames received and not read yet
+     * @private
+     * @type {StreamFrame[]}
+     */
+    this._buffer = [];
+
+    /** @private */
+    this._received = 0;
+
+    /** @private */
+    this._consumed = 0;
+
+    /** @private */
+    this._acknowledged = 0;
+
+    /**
+     * Why the stream failed or was aborted
+     * @private
+     * @type {Error|null}
+     */
+    this._error = null;
+
+    /** @private */
+    this._result = undefined;
+
+    /**
+     * Pending `next()` call
+     * @private
+     * @type {{resolve: Function, reject: Function}|null}
+     */
+    this._waiting = null;
+  }
+
+  /**
+   * @returns {StreamStatus}
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * Sequence of the last frame received
+   * @returns {number}
+   */
+  get received() {
+    return this._received;
+  }
+
+  /**
+   * Sequence of the last frame read
+   * @returns {number}
+   */
+  get consumed() {
+    return this._consumed;
+  }
+
+  /**
+   * Frames received and not read yet
+   * @returns {number}
+   */
+  get buffered() {
+    return this._buffer.length;
+  }
+
+  /**
+   * Whether the stream is over: done, cancelled or failed
+   * @returns {boolean}
+   */
+  get finished() {
+    return ['done', 'cancelled', 'failed'].includes(this._status);
+  }
+
+  /**
+   * @returns {AsyncIterator<T, any>}
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Next frame, waiting for the server when none is buffered
+   * @returns {Promise<IteratorResult<T, any>>}
+   * @throws {StarlingError} When the stream failed or was aborted
+   */
+  next() {
+    if (this._buffer.length > 0) {
+      try {
+        return Promise.resolve(this._read(this._buffer.shift()));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    if (this._error) return Promise.reject(this._error);
+    if (this.finished) return Promise.resolve({ done: true, value: this._result });
+    if (this._waiting) {
+      return Promise.reject(new StarlingError('Stream is already being read', { code: ErrorCodes.INVALID_CONFIGURATION }));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Stops reading, cancelling the stream on the server when it is not over. Called when leaving a `for await` loop.
+   * @returns {Promise<IteratorResult<T, any>>}
+   */
+  async return() {
+    this.cancel();
+    return { done: true, value: this._result };
+  }
+
+  /**
+   * Cancels the stream, on the server too, dropping the frames not read yet
+   * @param {string} [reason] Sent to the server
+   * @param {Error} [error] Rejects the reads instead of ending the iteration
+   */
+  cancel(reason = 'Cancelled by the client', error = null) {
+    if (this.finished) return;
+    this._buffer = [];
+    this._finish(error ? 'failed' : 'cancelled', error);
+    this._manager.cancel(this, reason);
+    this._settle(error ? null : { done: true, value: undefined }, error);
+  }
+
+  /**
+   * Adds a frame sent by the server, ignoring those already received
+   * @param {StreamFrame} frame
+   */
+  push(frame) {
+    if (this.finished || typeof frame.sequence !== 'number' || frame.sequence <= this._received) return;
+    this._received = frame.sequence;
+    this._status = 'open';
+
+    if (this._waiting && this._buffer.length === 0) {
+      try {
+        this._settle(this._read(frame));
+      } catch (error) {
+        this._settle(null, error);
+      }
+    } else {
+      this._buffer.push(frame);
+    }
+  }
+
+  /**
+   * Marks the stream as accepted by the server
+   */
+  opened() {
+    if (this._status === 'opening') this._status = 'open';
+  }
+
+  /**
+   * Marks the stream as waiting for a recovered session
+   */
+  interrupt() {
+    if (!this.finished) this._status = 'interrupted';
+  }
+
+  /**
+   * Fails the stream once the frames already received are read
+   * @param {Error} error
+   */
+  fail(error) {
+    if (this.finished) return;
+    this._finish('failed', error);
+    if (this._buffer.length === 0) this._settle(null, error);
+  }
+
+  /**
+   * Credit to give the server when resuming: the frames it may send past {@link received}
+   * @returns {number}
+   */
+  credit() {
+    return Math.max(this.window - this._buffer.length, 0);
+  }
+
+  /**
+   * @private
+   * @param {StreamFrame} frame
+   * @returns {IteratorResult<T, any>}
+   * @throws {StarlingError} For an error frame
+   */
+  _read(frame) {
+    if (frame.error) {
+      const { code, message, details } = frame.error;
+      const error = new StarlingError(message, { code, details: { ...details, stream: this.id } });
+      this._finish('failed', error);
+      throw error;
+    }
+    if (frame.done) {
+      this._result = frame.data;
+      this._finish('done');
+      return { done: true, value: frame.data };
+    }
+
+    this._consumed = frame.sequence;
+    if (this._consumed - this._acknowledged >= Math.ceil(this.window / 2)) {
+      this._acknowledged = this._consumed;
+      this._manager.acknowledge(this);
+    }
+    return { done: false, value: frame.data };
+  }
+
+  /**
+   * @private
+   * @param {StreamStatus} status
+   * @param {Error} [error]
+   */
+  _finish(status, error = null) {
+    this._status = status;
+    this._error = error;
+    this._manager.release(this);
+  }
+
+  /**
+   * Settles the pending read
+   * @private
+   * @param {IteratorResult<T, any>|null} result
+   * @param {Error} [error]
+   */
+  _settle(result, error) {
+    const waiting = this._waiting;
+    if (!waiting) return;
+    this._waiting = null;
+
+    if (error) {
+      waiting.reject(error);
+    } else {
+      waiting.resolve(result);
+    }
+  }
+}
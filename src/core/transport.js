@@ -0,0 +1,104 @@
+import { ErrorCodes, StarlingError } from './errors';
+
+/**
+ * Standard WebSocket ready states, shared by browsers, Bun, Node and the `ws` package
+ * @readonly
+ * @enum {number}
+ */
+export const ReadyState = Object.freeze({
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+});
+
+/**
+ * @typedef {new (url: string, protocols?: string|string[], ...args: any[]) => WebSocket} WebSocketConstructor
+ */
+
+/**
+ * @typedef {(url: string, protocols?: string[], ...args: any[]) => WebSocket} WebSocketFactory
+ */
+
+/**
+ * @typedef {Object} TransportOptions
+ * @property {WebSocketConstructor} [websocket] WebSocket-compatible constructor (defaults to the global `WebSocket`)
+ * @property {WebSocketFactory} [transport] Factory creating the socket, takes precedence over `websocket`
+ * @property {string|string[]|((url: URL) => string|string[]|undefined)} [protocols] Subprotocols, resolved on every connection
+ * @property {any[]|((url: URL) => any[])} [websocketArguments] Extra constructor arguments passed after the subprotocols (e.g. `ws` client options)
+ */
+
+/**
+ * Creates the sockets used by a Starling instance
+ */
+export class Transport {
+  /**
+   * @param {TransportOptions} [options]
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._options = {
+      websocket: options.websocket,
+      transport: options.transport,
+      protocols: options.protocols,
+      websocketArguments: options.websocketArguments
+    };
+  }
+
+  /**
+   * Opens a new socket to the given URL
+   * @param {URL} url
+   * @param {string[]} [extraProtocols] Subprotocols specific to this connection, offered first
+   * @returns {WebSocket}
+   * @throws {Error} When no WebSocket implementation is available
+   */
+  open(url, extraProtocols = []) {
+    const protocols = [...extraProtocols, ...this.resolveProtocols(url)];
+    const extra = this._resolveArguments(url);
+    const args = protocols.length || extra.length
+      ? [protocols.length ? protocols : undefined, ...extra]
+      : [];
+
+    if (typeof this._options.transport === 'function') {
+      return this._options.transport(url.toString(), ...args);
+    }
+
+    const WebSocketImpl = this._options.websocket || globalThis.WebSocket;
+    if (typeof WebSocketImpl !== 'function') {
+      throw new StarlingError('No WebSocket implementation available, provide one with the `websocket` or `transport` option', {
+        code: ErrorCodes.INVALID_CONFIGURATION
+      });
+    }
+
+    return new WebSocketImpl(url.toString(), ...args);
+  }
+
+  /**
+   * Resolves the subprotocols for a connection
+   * @param {URL} url
+   * @returns {string[]}
+   */
+  resolveProtocols(url) {
+    const configured = typeof this._options.protocols === 'function'
+      ? this._options.protocols(url)
+      : this._options.protocols;
+
+    return [configured]
+      .flat()
+      .filter(protocol => typeof protocol === 'string' && protocol.length > 0);
+  }
+
+  /**
+   * Resolves the extra constructor arguments for a connection
+   * @private
+   * @param {URL} url
+   * @returns {any[]}
+   */
+  _resolveArguments(url) {
+    const args = typeof this._options.websocketArguments === 'function'
+      ? this._options.websocketArguments(url)
+      : this._options.websocketArguments;
+
+    return Array.isArray(args) ? args : [];
+  }
+}
@@ -1,5 +1,26 @@
 export * from './core/starling';
+export * from './core/client';
+export * from './core/rpc';
+export * from './core/channel';
+export * from './core/stream';
+export * from './core/transport';
+export * from './core/status';
+export * from './core/errors';
+export * from './core/logger';
+export * from './core/metrics';
+export * from './core/backoff';
+export * from './config/close-codes.config';
+export * from './storage';
+export * from './codecs';
+export * from './shared';
 
 /**
  * @typedef {import('./core/starling').StarlingOptions} StarlingOptions
+ * @typedef {import('./managers/validation').Schema} Schema
+ * @typedef {import('./managers/validation').MethodSchema} MethodSchema
+ */
+
+/**
+ * @template {Object<string, MethodSchema>} S
+ * @typedef {import('./managers/validation').InferMethods<S>} InferMethods
  */
\ No newline at end of file
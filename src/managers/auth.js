@@ -0,0 +1,319 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { CloseCodes } from '../config/close-codes.config';
+import { AuthenticationError } from '../core/errors';
+
+/**
+ * @typedef {Object} AuthCredentials
+ * @property {string} token Credential sent to the server
+ * @property {number} [expiresAt] Expiry timestamp, enables refreshing before expiry
+ */
+
+/**
+ * @typedef {Object} AuthContext
+ * @property {'connect'|'reconnect'|'refresh'} reason Why the credential is needed
+ * @property {AuthCredentials|null} previous Previously provided credential
+ */
+
+/**
+ * @typedef {(context: AuthContext) => string|AuthCredentials|Promise<string|AuthCredentials>} TokenProvider
+ */
+
+/**
+ * @typedef {Object} AuthOptions
+ * @property {TokenProvider} token Called before every connection, reconnection and refresh
+ * @property {'query'|'protocol'|'message'} [mode='query'] How the credential is sent
+ * @property {string} [param='token'] Query parameter name with `query`
+ * @property {string} [protocolPrefix='auth.'] Subprotocol prefix with `protocol` (the subprotocol is the prefix followed by the token)
+ * @property {string} [method='auth'] Method of the authentication request with `message`, and of refreshes
+ * @property {number} [timeout=10000] Timeout of the authentication request (ms)
+ * @property {number} [refreshBefore=30000] Refresh that long before the credential expires (ms)
+ * @property {number[]} [failureCodes] Close codes meaning the server rejected the credential
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * Obtains credentials and sends them on every connection
+ */
+export class AuthManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {AuthOptions|null} [options] Authentication is disabled without a token provider
+   */
+  constructor(starling, options = null) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options || {});
+
+    /** @private */
+    this._logger = starling.logger.child('auth', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * @private
+     * @type {AuthCredentials|null}
+     */
+    this._credentials = null;
+
+    /** @private */
+    this._refreshTimer = null;
+
+    /**
+     * Whether the current connection already failed to authenticate
+     * @private
+     */
+    this._failed = false;
+
+    if (this.enabled) {
+      this._bindConnectionEvents();
+    }
+  }
+
+  /**
+   * Whether a token provider was configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return typeof this._options.token === 'function';
+  }
+
+  /**
+   * Current credentials
+   * @returns {AuthCredentials|null}
+   */
+  get credentials() {
+    return this._credentials;
+  }
+
+  /**
+   * Asks the provider for a credential before a connection
+   * @returns {Promise<AuthCredentials|null>}
+   */
+  async prepare() {
+    if (!this.enabled) return null;
+
+    this._failed = false;
+    const reason = this._starling._reconnection.active ? 'reconnect' : 'connect';
+    return this._obtain(reason);
+  }
+
+  /**
+   * Adds the credential to the connection URL with `query`
+   * @param {URL} url
+   */
+  applyToUrl(url) {
+    if (!this.enabled || this._options.mode !== 'query') return;
+
+    if (this._credentials) {
+      url.searchParams.set(this._options.param, this._credentials.token);
+    } else {
+      url.searchParams.delete(this._options.param);
+    }
+  }
+
+  /**
+   * Subprotocols carrying the credential with `protocol`
+   * @returns {string[]}
+   */
+  protocols() {
+    if (!this.enabled || this._options.mode !== 'protocol' || !this._credentials) return [];
+    return [`${this._options.protocolPrefix}${this._credentials.token}`];
+  }
+
+  /**
+   * Authenticates an open connection with `message`, resolves immediately otherwise
+   * @returns {Promise<void>}
+   */
+  async authenticate() {
+    if (!this.enabled) return;
+
+    if (this._options.mode === 'message') {
+      await this._send();
+    }
+    this._scheduleRefresh();
+  }
+
+  /**
+   * Gets a fresh credential and sends it over the open connection
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.enabled) return;
+
+    try {
+      await this._obtain('refresh');
+      if (this._starling.connected) {
+        await this._send();
+      }
+
+      this._starling.events.emit('starling:auth:refreshed', {
+        expiresAt: this._credentials?.expiresAt ?? null,
+        debug: {
+          type: 'info',
+          message: 'Credentials refreshed'
+        }
+      });
+      this._scheduleRefresh();
+    } catch (error) {
+      this._log(`Refresh failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {AuthOptions} userOptions
+   * @returns {AuthOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      mode: 'query',
+      param: 'token',
+      protocolPrefix: 'auth.',
+      method: 'auth',
+      timeout: 10000,
+      refreshBefore: 30000,
+      failureCodes: [CloseCodes.UNAUTHORIZED, CloseCodes.FORBIDDEN],
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * Binds event handlers for connection states
+   * @private
+   */
+  _bindConnectionEvents() {
+    this._starling.events.on('starling:disconnected', ({ code, reason }) => {
+      this._clearRefreshTimer();
+      // The close following a rejected authentication request was already reported
+      if (!this._failed && this._options.failureCodes.includes(code)) {
+        this._fail(this._createError(`Server rejected the credentials${reason ? `: ${reason}` : ''}`), 'server');
+      }
+    });
+  }
+
+  /**
+   * Calls the token provider
+   * @private
+   * @param {AuthContext['reason']} reason
+   * @returns {Promise<AuthCredentials>}
+   * @throws {AuthenticationError} When the provider fails or returns no token
+   */
+  async _obtain(reason) {
+    let result;
+    try {
+      result = await this._options.token({ reason, previous: this._credentials });
+    } catch (error) {
+      throw this._fail(this._createError(`Token provider failed: ${error.message}`, error), 'provider');
+    }
+
+    const credentials = typeof result === 'string' ? { token: result } : result;
+    if (!credentials?.token) {
+      throw this._fail(this._createError('Token provider returned no token'), 'provider');
+    }
+
+    this._credentials = credentials;
+    return credentials;
+  }
+
+  /**
+   * Sends the authentication request
+   * @private
+   * @returns {Promise<void>}
+   * @throws {AuthenticationError} When the server rejects the credential
+   */
+  async _send() {
+    try {
+      await this._starling.request(this._options.method, { token: this._credentials.token }, {
+        timeout: this._options.timeout,
+        outbox: false
+      });
+    } catch (error) {
+      throw this._fail(this._createError(`Authentication failed: ${error.message}`, error), 'server');
+    }
+  }
+
+  /**
+   * Reports a failure and stops reconnecting, so the application can prompt for login
+   * @private
+   * @param {AuthenticationError} error
+   * @param {'provider'|'server'} source
+   * @returns {AuthenticationError}
+   */
+  _fail(error, source) {
+    this._logger.error('Authentication failed', { source, error });
+    this._failed = true;
+    this._clearRefreshTimer();
+    if (this._starling._reconnection.active) {
+      this._starling._reconnection.stop();
+    }
+
+    this._starling.events.emit('starling:auth:failed', {
+      error,
+      source,
+      debug: {
+        type: 'error',
+        message: error.message
+      }
+    });
+
+    return error;
+  }
+
+  /**
+   * @private
+   * @param {string} message
+   * @param {Error} [cause]
+   * @returns {AuthenticationError}
+   */
+  _createError(message, cause) {
+    return new AuthenticationError(message, { cause });
+  }
+
+  /**
+   * @private
+   */
+  _scheduleRefresh() {
+    this._clearRefreshTimer();
+
+    const expiresAt = this._credentials?.expiresAt;
+    if (!expiresAt) return;
+
+    const delay = Math.max(0, expiresAt - this._options.refreshBefore - getCurrentTimestamp());
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this.refresh();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  _clearRefreshTimer() {
+    if (this._refreshTimer) {
+      clearTimeout(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:auth:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[AuthManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,247 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { Channel } from '../core/channel';
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { ConnectionStatus } from '../core/status';
+
+/**
+ * @typedef {Object} ChannelOptions
+ * @property {string} [separator=':'] Joins the channel name and the method or topic
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * Multiplexes named channels over the connection, routing their methods and topics by prefix
+ */
+export class ChannelManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {ChannelOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = {
+      separator: ':',
+      debug: false,
+      ...options
+    };
+
+    /** @private */
+    this._logger = starling.logger.child('channels', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * Open channels by name
+     * @private
+     * @type {Map<string, Channel>}
+     */
+    this._channels = new Map();
+
+    /**
+     * Qualified names registered on the connection, with the channel and local name they route to.
+     * They stay registered once their channel closes, answering or dropping until it is opened again.
+     * @private
+     * @type {Map<string, {channel: string, name: string}>}
+     */
+    this._methods = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, {channel: string, name: string}>}
+     */
+    this._topics = new Map();
+
+    this._bindConnectionEvents();
+  }
+
+  /**
+   * @returns {import('../core/starling').Starling}
+   */
+  get starling() {
+    return this._starling;
+  }
+
+  /**
+   * @returns {import('../core/logger').Logger}
+   */
+  get logger() {
+    return this._logger;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get connected() {
+    return Boolean(this._starling.connected);
+  }
+
+  /**
+   * Returns the open channel with this name, opening it when there is none
+   * @template [M=any]
+   * @param {string} name
+   * @returns {Channel<M>}
+   * @throws {StarlingError} When the name is empty
+   */
+  open(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new StarlingError('Channel name must be a non-empty string', { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
+    const existing = this._channels.get(name);
+    if (existing) return existing;
+
+    const channel = new Channel(this, name, this._options.separator);
+    this._channels.set(name, channel);
+
+    this._log(`Channel ${name} opened`);
+    this._starling.events.emit('starling:channel:opened', {
+      name,
+      debug: {
+        type: 'info',
+        message: `Channel ${name} opened`
+      }
+    });
+    return channel;
+  }
+
+  /**
+   * Open channel with this name
+   * @param {string} name
+   * @returns {Channel|undefined}
+   */
+  get(name) {
+    return this._channels.get(name);
+  }
+
+  /**
+   * Names of the open channels
+   * @returns {string[]}
+   */
+  list() {
+    return [...this._channels.keys()];
+  }
+
+  /**
+   * Closes every open channel
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    await Promise.all([...this._channels.values()].map(channel => channel.close()));
+  }
+
+  /**
+   * Forgets a channel being closed
+   * @param {Channel} channel
+   */
+  release(channel) {
+    if (this._channels.get(channel.name) !== channel) return;
+    this._channels.delete(channel.name);
+
+    this._log(`Channel ${channel.name} closed`);
+    this._starling.events.emit('starling:channel:closed', {
+      name: channel.name,
+      debug: {
+        type: 'info',
+        message: `Channel ${channel.name} closed`
+      }
+    });
+  }
+
+  /**
+   * Registers the method routing to a channel method, once per qualified name
+   * @param {Channel} channel
+   * @param {string} name Method name, without the prefix
+   * @param {Object} [options] Method options
+   */
+  registerMethod(channel, name, options) {
+    const qualified = channel.qualify(name);
+    if (this._methods.has(qualified)) return;
+
+    this._methods.set(qualified, { channel: channel.name, name });
+    this._starling.method(qualified, context => this._dispatchMethod(qualified, context), options);
+  }
+
+  /**
+   * Registers the handler routing to a channel topic, once per qualified topic
+   * @param {Channel} channel
+   * @param {string} topic Topic, without the prefix
+   */
+  registerTopic(channel, topic) {
+    const qualified = channel.qualify(topic);
+    if (this._topics.has(qualified)) return;
+
+    this._topics.set(qualified, { channel: channel.name, name: topic });
+    this._starling.on(qualified, context => this._dispatchTopic(qualified, context));
+  }
+
+  /**
+   * @private
+   * @param {string} qualified
+   * @param {Object} context Request context
+   */
+  _dispatchMethod(qualified, context) {
+    const route = this._methods.get(qualified);
+    const handler = this._channels.get(route.channel)?.handlerOf(route.name);
+
+    if (!handler) {
+      this._log(`No handler for ${qualified}`);
+      context.error('METHOD_NOT_FOUND', `Method ${qualified} not found`);
+      return;
+    }
+    return handler(context);
+  }
+
+  /**
+   * @private
+   * @param {string} qualified
+   * @param {Object} context Notification context
+   */
+  _dispatchTopic(qualified, context) {
+    const route = this._topics.get(qualified);
+    const handlers = this._channels.get(route.channel)?.listenersOf(route.name) || [];
+
+    const failed = error => this._logger.error('Topic handler failed', { channel: route.channel, topic: route.name, error });
+    for (const handler of handlers) {
+      try {
+        Promise.resolve(handler(context)).catch(failed);
+      } catch (error) {
+        failed(error);
+      }
+    }
+  }
+
+  /**
+   * Relays the connection lifecycle to the channels, closing on purpose included
+   * @private
+   */
+  _bindConnectionEvents() {
+    this._starling.events.on('starling:status', ({ previous, next, timestamp }) => {
+      if (next === ConnectionStatus.OPEN) {
+        this._channels.forEach(channel => channel.emit('connected', { timestamp }));
+      } else if (previous === ConnectionStatus.OPEN) {
+        this._channels.forEach(channel => channel.emit('disconnected', { status: next, timestamp }));
+      }
+    });
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:channels:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[ChannelManager] ${message}`
+        }
+      });
+    }
+  }
+}
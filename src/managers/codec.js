@@ -0,0 +1,204 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { CODEC_PROTOCOL_PREFIX, codecProtocol, compressionSupported, FrameCodec, parseCodecProtocol, resolveCodec } from '../codecs';
+import { ReadyState } from '../core/transport';
+
+/**
+ * @typedef {Object} CodecOptions
+ * @property {import('../codecs').CodecOption[]} [codecs=['json']] Codecs offered, preferred first
+ * @property {boolean} [compression=false] Offer deflate for large payloads, when `CompressionStream` is available
+ * @property {number} [threshold=1024] Smallest payload compressed (bytes)
+ * @property {string} [protocolPrefix='starling.'] Prefix of the codec subprotocols
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {Object} NegotiatedCodec
+ * @property {string} codec Codec name, `json` when the server chose none
+ * @property {boolean} compression Whether large payloads are deflated
+ */
+
+/**
+ * Offers codecs as subprotocols and encodes the traffic with the one the server selects
+ */
+export class CodecManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {CodecOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('codec', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * @private
+     * @type {import('../codecs').Codec[]}
+     */
+    this._codecs = this._options.codecs.map(resolveCodec);
+
+    /**
+     * Frame codec of the current connection, null for plain JSON
+     * @private
+     * @type {FrameCodec|null}
+     */
+    this._frames = null;
+
+    /**
+     * Keeps the received messages in order while they are decoded
+     * @private
+     */
+    this._inbound = Promise.resolve();
+  }
+
+  /**
+   * Codec of the current connection
+   * @returns {NegotiatedCodec}
+   */
+  get current() {
+    return {
+      codec: this._frames?.codec.name ?? 'json',
+      compression: this._frames?.compression ?? false
+    };
+  }
+
+  /**
+   * Subprotocols announcing the codecs, empty for plain JSON
+   * @returns {string[]}
+   */
+  protocols() {
+    const compression = this._options.compression && compressionSupported();
+
+    return this._codecs.flatMap(codec => [
+      ...(compression ? [codecProtocol(codec, true, this._options.protocolPrefix)] : []),
+      // Plain JSON needs no negotiation
+      ...(codec.name !== 'json' ? [codecProtocol(codec, false, this._options.protocolPrefix)] : [])
+    ]);
+  }
+
+  /**
+   * Applies the codec selected by the server to an open socket, falling back to JSON
+   * @param {WebSocket} ws
+   */
+  negotiate(ws) {
+    const offered = this.protocols();
+    const negotiated = parseCodecProtocol(ws.protocol, this._codecs, this._options.protocolPrefix);
+
+    this._inbound = Promise.resolve();
+    this._frames = negotiated && new FrameCodec({ ...negotiated, threshold: this._options.threshold });
+
+    if (!this._frames) {
+      if (offered.length > 0) {
+        this._log('Codecs not supported by the server, using JSON', { protocol: ws.protocol });
+      }
+      return;
+    }
+
+    ws.binaryType = 'arraybuffer';
+    this._wrapSend(ws, this._frames);
+
+    this._log(`Using ${ws.protocol}`);
+    this._starling.events.emit('starling:codec', {
+      ...this.current,
+      debug: {
+        type: 'info',
+        message: `Codec ${this._frames.codec.name}${this._frames.compression ? ' with deflate' : ''} negotiated`
+      }
+    });
+  }
+
+  /**
+   * Decodes a received frame, handing messages over in the order they arrived
+   * @param {any} data
+   * @param {(message: string) => void} handler Receives the JSON text of the message
+   */
+  receive(data, handler) {
+    if (!this._frames) {
+      handler(data);
+      return;
+    }
+
+    const frames = this._frames;
+    this._inbound = this._inbound
+      .then(() => frames.decode(data))
+      .then(handler)
+      .catch(error => {
+        this._logger.warn('Message dropped', { error });
+        this._starling.events.emit('starling:message:invalid', {
+          error,
+          debug: {
+            type: 'error',
+            message: `Message dropped: ${error.message}`
+          }
+        });
+      });
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {CodecOptions} userOptions
+   * @returns {CodecOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      codecs: ['json'],
+      compression: false,
+      threshold: 1024,
+      protocolPrefix: CODEC_PROTOCOL_PREFIX,
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * Encodes the JSON text the client sends, keeping the order of the messages
+   * @private
+   * @param {WebSocket} ws
+   * @param {FrameCodec} frames
+   */
+  _wrapSend(ws, frames) {
+    const send = ws.send;
+    let outbound = Promise.resolve();
+
+    ws.send = (data, ...args) => {
+      // Closed sockets fail (or drop the frame) right away, as usual
+      if (typeof data !== 'string' || ws.readyState !== ReadyState.OPEN) {
+        return send.call(ws, data, ...args);
+      }
+
+      outbound = outbound
+        .then(() => frames.encode(data))
+        .then(frame => {
+          if (ws.readyState === ReadyState.OPEN) {
+            send.call(ws, frame, ...args);
+          }
+        })
+        .catch(error => this._logger.error('Failed to send a message', { error }));
+    };
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:codec:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[CodecManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,316 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ConnectionError, ErrorCodes, StarlingError } from '../core/errors';
+
+/**
+ * @typedef {Object} EndpointDescriptor
+ * @property {string|URL} url Endpoint URL
+ * @property {number} [priority] Lower is preferred (defaults to the position in the list)
+ */
+
+/**
+ * @typedef {string|URL|EndpointDescriptor} EndpointInput
+ */
+
+/**
+ * @typedef {() => EndpointInput|EndpointInput[]|Promise<EndpointInput|EndpointInput[]>} EndpointResolver
+ */
+
+/**
+ * @typedef {Object} EndpointOptions
+ * @property {'round-robin'|'priority'|'lowest-latency'} [strategy='priority'] Endpoint selection strategy
+ * @property {number} [maxFailures=1] Consecutive failures before an endpoint is put in cooldown
+ * @property {number} [cooldown=30000] Time an endpoint is skipped after too many failures (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {Object} EndpointStatus
+ * @property {string} url Endpoint URL
+ * @property {number} priority
+ * @property {number} failures Consecutive failures
+ * @property {number} totalFailures Total failures
+ * @property {number} successes Successful connections
+ * @property {number|null} latency Smoothed latency (ms), null until measured
+ * @property {number|null} lastFailure Last failure timestamp
+ * @property {number|null} lastSuccess Last success timestamp
+ * @property {number|null} cooldownUntil End of the current cooldown, null when available
+ */
+
+/**
+ * Tracks the health of the server endpoints and picks the next one to connect to
+ */
+export class EndpointManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {EndpointInput|EndpointInput[]|EndpointResolver} source Endpoints or resolver
+   * @param {EndpointOptions} [options]
+   */
+  constructor(starling, source, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('endpoints', { level: this._options.debug ? 'debug' : undefined });
+
+    /** @private */
+    this._resolver = typeof source === 'function' ? source : null;
+
+    /**
+     * Endpoint statuses by URL
+     * @private
+     * @type {Map<string, EndpointStatus>}
+     */
+    this._endpoints = new Map();
+
+    /** @private */
+    this._current = null;
+
+    /** @private */
+    this._cursor = -1;
+
+    if (!this._resolver) {
+      this._update(source);
+      if (this._endpoints.size === 0) {
+        throw new StarlingError('At least one endpoint is required', { code: ErrorCodes.INVALID_CONFIGURATION });
+      }
+    }
+
+    this._bindConnectionEvents();
+  }
+
+  /**
+   * Picks the endpoint for the next connection
+   * @returns {Promise<EndpointStatus>}
+   */
+  async select() {
+    if (this._resolver) {
+      this._update(await this._resolver());
+    }
+
+    const candidates = this._candidates();
+    if (candidates.length === 0) {
+      throw new ConnectionError('No endpoint available', { details: { endpoints: this._endpoints.size } });
+    }
+
+    const endpoint = this._pick(candidates);
+    this._current = endpoint;
+
+    this._starling.events.emit('starling:endpoint:selected', {
+      endpoint: { ...endpoint },
+      debug: {
+        type: 'info',
+        message: `Endpoint ${endpoint.url} selected (${this._options.strategy})`
+      }
+    });
+
+    return endpoint;
+  }
+
+  /**
+   * Records a successful connection
+   * @param {EndpointStatus} endpoint
+   * @param {number} [latency] Connection setup time (ms)
+   */
+  reportSuccess(endpoint, latency) {
+    endpoint.failures = 0;
+    endpoint.successes++;
+    endpoint.lastSuccess = getCurrentTimestamp();
+    endpoint.cooldownUntil = null;
+    if (latency !== undefined) {
+      this.reportLatency(endpoint, latency);
+    }
+  }
+
+  /**
+   * Records a failure, putting the endpoint in cooldown when it failed too often
+   * @param {EndpointStatus} endpoint
+   * @param {Error} [error]
+   */
+  reportFailure(endpoint, error) {
+    const now = getCurrentTimestamp();
+    endpoint.failures++;
+    endpoint.totalFailures++;
+    endpoint.lastFailure = now;
+
+    if (endpoint.failures >= this._options.maxFailures) {
+      endpoint.cooldownUntil = now + this._options.cooldown;
+    }
+
+    this._logger.warn('Endpoint failed', {
+      endpoint: endpoint.url,
+      failures: endpoint.failures,
+      cooldownUntil: endpoint.cooldownUntil,
+      error
+    });
+
+    this._starling.events.emit('starling:endpoint:failed', {
+      endpoint: { ...endpoint },
+      error,
+      debug: {
+        type: 'warning',
+        message: `Endpoint ${endpoint.url} failed (${endpoint.failures} consecutive)${endpoint.cooldownUntil ? `, cooling down for ${this._options.cooldown}ms` : ''}`
+      }
+    });
+  }
+
+  /**
+   * Records a latency sample, smoothed with an exponential moving average
+   * @param {EndpointStatus} endpoint
+   * @param {number} latency
+   */
+  reportLatency(endpoint, latency) {
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : Math.round(endpoint.latency * 0.7 + latency * 0.3);
+  }
+
+  /**
+   * Snapshot of every known endpoint
+   * @returns {EndpointStatus[]}
+   */
+  list() {
+    return [...this._endpoints.values()].map(endpoint => ({ ...endpoint }));
+  }
+
+  /**
+   * Endpoint of the current or last connection
+   * @returns {EndpointStatus|null}
+   */
+  get current() {
+    return this._current;
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {EndpointOptions} userOptions
+   * @returns {EndpointOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      strategy: 'priority',
+      maxFailures: 1,
+      cooldown: 30000,
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * Binds event handlers feeding endpoint health
+   * @private
+   */
+  _bindConnectionEvents() {
+    this._starling.events.on('starling:heartbeat', ({ latency }) => {
+      if (this._current) {
+        this.reportLatency(this._current, latency);
+      }
+    });
+
+    this._starling.events.on('starling:stale', () => {
+      if (this._current) {
+        this.reportFailure(this._current, new ConnectionError('Connection declared dead', { code: ErrorCodes.CONNECTION_LOST }));
+      }
+    });
+  }
+
+  /**
+   * Merges a list of endpoints into the known ones, keeping their statistics
+   * @private
+   * @param {EndpointInput|EndpointInput[]} source
+   */
+  _update(source) {
+    const inputs = [source].flat().filter(Boolean);
+    const known = this._endpoints;
+    this._endpoints = new Map();
+
+    inputs.forEach((input, index) => {
+      const descriptor = typeof input === 'string' || input instanceof URL ? { url: input } : input;
+      const url = new URL(descriptor.url.toString()).toString();
+      const endpoint = known.get(url) || {
+        url,
+        priority: index,
+        failures: 0,
+        totalFailures: 0,
+        successes: 0,
+        latency: null,
+        lastFailure: null,
+        lastSuccess: null,
+        cooldownUntil: null
+      };
+      endpoint.priority = descriptor.priority ?? index;
+      this._endpoints.set(url, endpoint);
+    });
+  }
+
+  /**
+   * Endpoints not in cooldown, or the one leaving cooldown first when all are
+   * @private
+   * @returns {EndpointStatus[]}
+   */
+  _candidates() {
+    const now = getCurrentTimestamp();
+    const endpoints = [...this._endpoints.values()];
+    const available = endpoints.filter(endpoint => !endpoint.cooldownUntil || endpoint.cooldownUntil <= now);
+    if (available.length > 0 || endpoints.length === 0) {
+      return available;
+    }
+
+    this._log('Every endpoint is cooling down, using the one available first');
+    return [endpoints.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a))];
+  }
+
+  /**
+   * Applies the selection strategy
+   * @private
+   * @param {EndpointStatus[]} candidates
+   * @returns {EndpointStatus}
+   */
+  _pick(candidates) {
+    const byPriority = [...candidates].sort((a, b) => a.priority - b.priority);
+
+    switch (this._options.strategy) {
+      case 'round-robin': {
+        const all = [...this._endpoints.values()];
+        for (let offset = 1; offset <= all.length; offset++) {
+          const endpoint = all[(this._cursor + offset) % all.length];
+          if (candidates.includes(endpoint)) {
+            this._cursor = all.indexOf(endpoint);
+            return endpoint;
+          }
+        }
+        return byPriority[0];
+      }
+      case 'lowest-latency':
+        return byPriority.reduce((best, endpoint) =>
+          (endpoint.latency ?? Infinity) < (best.latency ?? Infinity) ? endpoint : best
+        );
+      case 'priority':
+      default:
+        return byPriority[0];
+    }
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:endpoint:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[EndpointManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,353 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes } from '../core/errors';
+import { ConnectionStatus } from '../core/status';
+
+/**
+ * Codes of the failures raised by the client itself before any answer, every other code comes from a response
+ * @type {Set<string>}
+ */
+const CLIENT_CODES = new Set([ErrorCodes.REQUEST_TIMEOUT, ErrorCodes.CONNECTION_LOST, ErrorCodes.CONNECTION_ABORTED]);
+
+/**
+ * @typedef {Object} HeartbeatOptions
+ * @property {boolean} [enabled=true] Enable the heartbeat
+ * @property {number} [interval=30000] Delay between two pings (ms)
+ * @property {number} [timeout=10000] Time to wait for a pong (ms)
+ * @property {number} [maxMissed=2] Consecutive missed pongs before the connection is declared dead
+ * @property {string} [method='starling:ping'] Protocol method used for pings
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {Object} HeartbeatMetrics
+ * @property {number} sent Pings sent
+ * @property {number} received Pongs received
+ * @property {number} missed Consecutive missed pongs
+ * @property {number} totalMissed Total missed pongs
+ * @property {number|null} latency Last round-trip latency (ms)
+ * @property {number|null} minLatency Lowest round-trip latency (ms)
+ * @property {number|null} maxLatency Highest round-trip latency (ms)
+ * @property {number} averageLatency Average of the last round-trip latencies (ms)
+ * @property {number|null} lastPong Last pong timestamp
+ * @property {number} staleConnections Connections declared dead
+ */
+
+/**
+ * Periodically pings the server to measure latency and detect dead connections
+ */
+export class HeartbeatManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {HeartbeatOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('heartbeat', { level: this._options.debug ? 'debug' : undefined });
+
+    /** @private */
+    this._state = {
+      running: false,
+      timeoutId: null,
+      pending: null,
+      interval: null,
+      rejectedPing: null
+    };
+
+    /** @private */
+    this._metrics = this._initializeMetrics();
+
+    this._bindConnectionEvents();
+  }
+
+  /**
+   * Starts pinging the server
+   */
+  start() {
+    if (!this._options.enabled || this._state.running) return;
+
+    this._state.running = true;
+    this._log('Heartbeat started');
+    this._scheduleNextPing();
+  }
+
+  /**
+   * Stops pinging the server
+   */
+  stop() {
+    if (!this._state.running) return;
+
+    this._state.running = false;
+    this._clearTimers();
+    this._metrics.missed = 0;
+    this._log('Heartbeat stopped');
+  }
+
+  /**
+   * Overrides the ping interval, e.g. to throttle pings while the page is hidden
+   * @param {number|null} interval Interval in ms, null to restore the configured one
+   */
+  adjustInterval(interval) {
+    this._state.interval = interval;
+    if (this._state.running && this._state.timeoutId) {
+      this._clearTimers();
+      this._scheduleNextPing();
+    }
+  }
+
+  /**
+   * Sends a ping immediately
+   * @returns {Promise<number|null>} Round-trip latency, null when the pong was missed
+   */
+  async ping() {
+    if (this._state.pending) {
+      return this._state.pending;
+    }
+
+    this._state.pending = this._executePing().finally(() => {
+      this._state.pending = null;
+    });
+    return this._state.pending;
+  }
+
+  /**
+   * @returns {HeartbeatMetrics}
+   */
+  getMetrics() {
+    const { latencies, ...metrics } = this._metrics;
+    return {
+      ...metrics,
+      averageLatency: latencies.length > 0
+        ? latencies.reduce((a, b) => a + b, 0) / latencies.length
+        : 0
+    };
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {HeartbeatOptions} userOptions
+   * @returns {HeartbeatOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      enabled: true,
+      interval: 30000,
+      timeout: 10000,
+      maxMissed: 2,
+      method: 'starling:ping',
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * Initializes metrics with default values
+   * @private
+   * @returns {Object}
+   */
+  _initializeMetrics() {
+    return {
+      sent: 0,
+      received: 0,
+      missed: 0,
+      totalMissed: 0,
+      latency: null,
+      minLatency: null,
+      maxLatency: null,
+      latencies: [],
+      lastPong: null,
+      staleConnections: 0
+    };
+  }
+
+  /**
+   * Binds event handlers for connection states
+   * @private
+   */
+  _bindConnectionEvents() {
+    this._starling.events.on('starling:connected', () => this.start());
+    this._starling.events.on('starling:disconnected', () => this.stop());
+    // disconnect() closes the socket without emitting starling:disconnected
+    this._starling.events.on('starling:status', ({ next }) => {
+      if ([ConnectionStatus.DISCONNECTING, ConnectionStatus.CLOSED, ConnectionStatus.FAILED].includes(next)) {
+        this.stop();
+      }
+    });
+    // An outgoing middleware answers a ping it refuses in place of the server
+    this._starling.events.on('starling:middleware:rejected', ({ direction, message }) => {
+      if (direction === 'outgoing' && message?.type === 'request' && message.method === this._options.method) {
+        this._state.rejectedPing = message.payload?.timestamp ?? null;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _scheduleNextPing() {
+    if (!this._state.running) return;
+
+    this._state.timeoutId = setTimeout(async () => {
+      this._state.timeoutId = null;
+      await this.ping();
+      this._scheduleNextPing();
+    }, this._state.interval ?? this._options.interval);
+  }
+
+  /**
+   * Sends a ping and waits for the pong or the timeout
+   * @private
+   * @returns {Promise<number|null>}
+   */
+  async _executePing() {
+    const sentAt = getCurrentTimestamp();
+    this._metrics.sent++;
+
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), this._options.timeout);
+    });
+
+    const answered = Promise.resolve(
+      this._starling.request(this._options.method, { timestamp: sentAt }, {
+        timeout: this._options.timeout,
+        outbox: false
+      })
+    ).then(
+      () => true,
+      // Any response proves the link is alive, whatever its error code, even from a server without the method.
+      // Failures of the client itself (not connected, send errors, timeouts, middleware rejections) do not
+      error => typeof error?.code === 'string' && !CLIENT_CODES.has(error.code) && this._state.rejectedPing !== sentAt
+    );
+
+    try {
+      const alive = await Promise.race([answered, timeout]);
+      if (!this._state.running && !this._starling.connected) return null;
+
+      if (alive) {
+        return this._handlePong(getCurrentTimestamp() - sentAt);
+      }
+
+      this._handleMissedPong();
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} latency
+   * @returns {number}
+   */
+  _handlePong(latency) {
+    const metrics = this._metrics;
+    metrics.received++;
+    metrics.missed = 0;
+    metrics.latency = latency;
+    metrics.minLatency = metrics.minLatency === null ? latency : Math.min(metrics.minLatency, latency);
+    metrics.maxLatency = metrics.maxLatency === null ? latency : Math.max(metrics.maxLatency, latency);
+    metrics.lastPong = getCurrentTimestamp();
+    metrics.latencies.push(latency);
+    if (metrics.latencies.length > 10) {
+      metrics.latencies.shift();
+    }
+
+    this._starling.events.emit('starling:heartbeat', {
+      latency,
+      metrics: this.getMetrics(),
+      debug: {
+        type: 'info',
+        message: `Heartbeat round trip ${latency}ms`
+      }
+    });
+
+    return latency;
+  }
+
+  /**
+   * @private
+   */
+  _handleMissedPong() {
+    this._metrics.missed++;
+    this._metrics.totalMissed++;
+
+    this._starling.events.emit('starling:heartbeat:missed', {
+      missed: this._metrics.missed,
+      metrics: this.getMetrics(),
+      debug: {
+        type: 'warning',
+        message: `Heartbeat missed (${this._metrics.missed}/${this._options.maxMissed})`
+      }
+    });
+
+    if (this._metrics.missed >= this._options.maxMissed) {
+      this._handleStale();
+    }
+  }
+
+  /**
+   * Declares the connection dead and hands over to the reconnection manager
+   * @private
+   */
+  _handleStale() {
+    this._metrics.staleConnections++;
+    this._logger.warn('Connection declared dead', {
+      missed: this._metrics.missed,
+      lastPong: this._metrics.lastPong
+    });
+
+    this._starling.events.emit('starling:stale', {
+      missed: this._metrics.missed,
+      lastPong: this._metrics.lastPong,
+      metrics: this.getMetrics(),
+      debug: {
+        type: 'warning',
+        message: `Connection declared dead after ${this._metrics.missed} missed heartbeats`
+      }
+    });
+
+    this.stop();
+    this._starling._terminate(4000, 'Heartbeat timeout');
+  }
+
+  /**
+   * @private
+   */
+  _clearTimers() {
+    if (this._state.timeoutId) {
+      clearTimeout(this._state.timeoutId);
+      this._state.timeoutId = null;
+    }
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:heartbeat:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[HeartbeatManager] ${message}`
+        }
+      });
+    }
+  }
+
+  get running() {
+    return this._state.running;
+  }
+}
@@ -0,0 +1,335 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+
+/**
+ * @typedef {Object} LifecycleEnvironment
+ * @property {EventTarget} [window] Target of `online` / `offline` events
+ * @property {Document} [document] Target of `visibilitychange`, `freeze` and `resume` events
+ * @property {{onLine?: boolean}} [navigator] Source of the current network status
+ */
+
+/**
+ * @typedef {Object} LifecycleOptions
+ * @property {boolean} [enabled=true] Enable network and page lifecycle awareness
+ * @property {boolean} [pauseWhenOffline=true] Pause reconnection while the device is offline
+ * @property {boolean} [reconnectOnOnline=true] Attempt immediately when the network comes back
+ * @property {'none'|'throttle'|'disconnect'} [whenHidden='none'] What to do while the page is hidden or frozen
+ * @property {number} [hiddenHeartbeatInterval=120000] Heartbeat interval while hidden with `throttle` (ms)
+ * @property {number} [hiddenDisconnectDelay=60000] Time hidden before disconnecting with `disconnect` (ms)
+ * @property {LifecycleEnvironment} [environment] Event sources, defaults to the globals when they exist
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * Adapts reconnection and heartbeats to the network status and page lifecycle.
+ * Everything is feature-detected, the manager does nothing in Node and Bun.
+ */
+export class LifecycleManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {LifecycleOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('lifecycle', { level: this._options.debug ? 'debug' : undefined });
+
+    /** @private */
+    this._state = {
+      hidden: false,
+      frozen: false,
+      suspended: false,
+      hiddenTimeoutId: null
+    };
+
+    /** @private */
+    this._listeners = [];
+
+    if (this._options.enabled) {
+      this._bindEnvironmentEvents();
+    }
+  }
+
+  /**
+   * Whether the device reports a network connection (true when unknown)
+   * @returns {boolean}
+   */
+  get online() {
+    return this._options.environment.navigator?.onLine !== false;
+  }
+
+  /**
+   * Whether the page is hidden or frozen
+   * @returns {boolean}
+   */
+  get inactive() {
+    return this._state.hidden || this._state.frozen;
+  }
+
+  /**
+   * Removes every environment listener
+   */
+  destroy() {
+    for (const [target, type, listener] of this._listeners) {
+      target.removeEventListener(type, listener);
+    }
+    this._listeners = [];
+    this._clearHiddenTimer();
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {LifecycleOptions} userOptions
+   * @returns {LifecycleOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      enabled: true,
+      pauseWhenOffline: true,
+      reconnectOnOnline: true,
+      whenHidden: 'none',
+      hiddenHeartbeatInterval: 120000,
+      hiddenDisconnectDelay: 60000,
+      debug: false,
+      ...userOptions,
+      environment: {
+        window: globalThis.window,
+        document: globalThis.document,
+        navigator: globalThis.navigator,
+        ...userOptions.environment
+      }
+    };
+  }
+
+  /**
+   * Listens to the environment events that exist
+   * @private
+   */
+  _bindEnvironmentEvents() {
+    const { window, document } = this._options.environment;
+
+    if (this._supports(window) && typeof this._options.environment.navigator?.onLine === 'boolean') {
+      this._listen(window, 'offline', () => this._handleOffline());
+      this._listen(window, 'online', () => this._handleOnline());
+
+      if (!this.online) {
+        this._handleOffline();
+      }
+    }
+
+    if (this._supports(document) && 'visibilityState' in document) {
+      this._listen(document, 'visibilitychange', () => this._handleVisibilityChange());
+      this._listen(document, 'freeze', () => this._handleFreeze());
+      this._listen(document, 'resume', () => this._handleResume());
+
+      if (document.visibilityState === 'hidden') {
+        this._handleVisibilityChange();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleOffline() {
+    this._emitNetwork('offline');
+    if (this._options.pauseWhenOffline) {
+      this._starling._reconnection.pause('offline');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleOnline() {
+    this._emitNetwork('online');
+
+    // Skipping the backoff only with reconnectOnOnline, otherwise the next attempt is scheduled as usual
+    const reconnection = this._starling._reconnection;
+    const immediate = this._options.reconnectOnOnline;
+    if (reconnection.paused) {
+      reconnection.resume('offline', { immediate });
+    } else if (immediate && reconnection.active && !reconnection.state.currentAttempt) {
+      reconnection.forceAttempt();
+    }
+
+    // The link may have died silently while the network was away
+    if (this._starling.connected) {
+      this._starling.ping().catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleVisibilityChange() {
+    const hidden = this._options.environment.document.visibilityState === 'hidden';
+    if (hidden === this._state.hidden) return;
+
+    this._state.hidden = hidden;
+    this._applyActivity();
+  }
+
+  /**
+   * @private
+   */
+  _handleFreeze() {
+    this._state.frozen = true;
+    this._applyActivity();
+  }
+
+  /**
+   * @private
+   */
+  _handleResume() {
+    this._state.frozen = false;
+    this._applyActivity();
+  }
+
+  /**
+   * Applies the hidden policy after a visibility or freeze change
+   * @private
+   */
+  _applyActivity() {
+    const inactive = this.inactive;
+
+    this._starling.events.emit('starling:lifecycle', {
+      hidden: this._state.hidden,
+      frozen: this._state.frozen,
+      debug: {
+        type: 'info',
+        message: `Page ${inactive ? 'inactive' : 'active'}`
+      }
+    });
+
+    if (inactive) {
+      this._enterInactive();
+    } else {
+      this._leaveInactive();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _enterInactive() {
+    switch (this._options.whenHidden) {
+      case 'throttle':
+        this._starling._heartbeat.adjustInterval(this._options.hiddenHeartbeatInterval);
+        break;
+      case 'disconnect':
+        // Coming back relies on the reconnection manager
+        if (this._starling._options.reconnection === false) return;
+        if (this._state.hiddenTimeoutId || this._state.suspended) return;
+        this._state.hiddenTimeoutId = setTimeout(() => {
+          this._state.hiddenTimeoutId = null;
+          this._suspend();
+        }, this._options.hiddenDisconnectDelay);
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _leaveInactive() {
+    switch (this._options.whenHidden) {
+      case 'throttle':
+        this._starling._heartbeat.adjustInterval(null);
+        break;
+      case 'disconnect':
+        this._clearHiddenTimer();
+        if (this._state.suspended) {
+          this._state.suspended = false;
+          this._log('Page active again, reconnecting');
+          this._starling._reconnection.resume('hidden', { immediate: true });
+          return;
+        }
+        break;
+    }
+
+    // Timers may not have run while hidden, check the link right away
+    if (this._starling.connected) {
+      this._starling.ping().catch(() => {});
+    }
+  }
+
+  /**
+   * Closes the connection while the page stays hidden, keeping the session for later
+   * @private
+   */
+  _suspend() {
+    this._state.suspended = true;
+    this._log('Page hidden for too long, disconnecting');
+    this._starling._reconnection.pause('hidden');
+    this._starling._terminate(1000, 'Page hidden');
+  }
+
+  /**
+   * @private
+   */
+  _clearHiddenTimer() {
+    if (this._state.hiddenTimeoutId) {
+      clearTimeout(this._state.hiddenTimeoutId);
+      this._state.hiddenTimeoutId = null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {'online'|'offline'} status
+   */
+  _emitNetwork(status) {
+    this._starling.events.emit(`starling:network:${status}`, {
+      debug: {
+        type: 'info',
+        message: `Network ${status}`
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {any} target
+   * @returns {boolean}
+   */
+  _supports(target) {
+    return !!target && typeof target.addEventListener === 'function';
+  }
+
+  /**
+   * @private
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {() => void} listener
+   */
+  _listen(target, type, listener) {
+    target.addEventListener(type, listener);
+    this._listeners.push([target, type, listener]);
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:lifecycle:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[LifecycleManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,303 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { Histogram, toOpenTelemetry, toPrometheus } from '../core/metrics';
+
+/**
+ * @typedef {Object} MetricsOptions
+ * @property {number[]} [buckets] Request latency buckets (ms)
+ * @property {number} [sampleSize=1000] Latency samples kept to compute percentiles
+ * @property {(snapshot: MetricsSnapshot) => void} [exporter] Called with a snapshot every `exportInterval`
+ * @property {number} [exportInterval=60000] Delay between two exports (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {Object} TrafficMetrics
+ * @property {number} messagesSent
+ * @property {number} messagesReceived
+ * @property {number} bytesSent
+ * @property {number} bytesReceived
+ */
+
+/**
+ * @typedef {Object} RequestMetrics
+ * @property {number} total Requests sent
+ * @property {number} succeeded
+ * @property {number} failed Failures, timeouts included
+ * @property {number} timedOut
+ * @property {number} inFlight Requests waiting for a response
+ * @property {import('../core/metrics').HistogramSnapshot} latency Round trip of answered requests (ms)
+ */
+
+/**
+ * @typedef {Object} MetricsSnapshot
+ * @property {number} timestamp
+ * @property {number} createdAt
+ * @property {import('../core/status').ConnectionStatus} status
+ * @property {string|null} endpoint URL of the current endpoint
+ * @property {TrafficMetrics} traffic
+ * @property {RequestMetrics} requests
+ * @property {{depth: number|null}} buffer Messages waiting in the send buffer, null when unknown
+ * @property {{enabled: boolean, size: number}} outbox
+ * @property {Object} state State manager metrics
+ * @property {import('./reconnection').ReconnectionMetrics} reconnection
+ * @property {import('./heartbeat').HeartbeatMetrics} heartbeat
+ * @property {import('./sequence').SequenceMetrics} sequences
+ * @property {import('./endpoints').EndpointStatus[]} endpoints
+ */
+
+/**
+ * Counts traffic and request latencies, and aggregates the metrics of every manager
+ */
+export class MetricsManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {MetricsOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('metrics', { level: this._options.debug ? 'debug' : undefined });
+
+    /** @private */
+    this._traffic = this._initializeTraffic();
+
+    /** @private */
+    this._requests = this._initializeRequests();
+
+    /** @private */
+    this._latency = new Histogram({
+      buckets: this._options.buckets,
+      sampleSize: this._options.sampleSize
+    });
+
+    /** @private */
+    this._encoder = new TextEncoder();
+
+    /** @private */
+    this._exportTimer = null;
+
+    if (typeof this._options.exporter === 'function') {
+      this._scheduleExport();
+    }
+  }
+
+  /**
+   * Counts the frames sent through a socket
+   * @param {WebSocket} ws
+   */
+  instrument(ws) {
+    const send = ws.send;
+    ws.send = (data, ...args) => {
+      this._traffic.messagesSent++;
+      this._traffic.bytesSent += this._sizeOf(data);
+      return send.call(ws, data, ...args);
+    };
+  }
+
+  /**
+   * Counts a received frame
+   * @param {any} data
+   */
+  recordReceived(data) {
+    this._traffic.messagesReceived++;
+    this._traffic.bytesReceived += this._sizeOf(data);
+  }
+
+  /**
+   * Measures a request until it settles
+   * @template T
+   * @param {T} request Request returned by the client, a thenable
+   * @returns {T} The same request
+   */
+  trackRequest(request) {
+    if (typeof request?.then !== 'function') return request;
+
+    const startedAt = getCurrentTimestamp();
+    this._requests.total++;
+    this._requests.inFlight++;
+
+    request.then(
+      () => {
+        this._requests.inFlight--;
+        this._requests.succeeded++;
+        this._latency.record(getCurrentTimestamp() - startedAt);
+      },
+      error => {
+        this._requests.inFlight--;
+        this._requests.failed++;
+        if (error?.code === ErrorCodes.REQUEST_TIMEOUT) {
+          this._requests.timedOut++;
+        } else if (error?.code !== undefined) {
+          // The server answered, the round trip is meaningful
+          this._latency.record(getCurrentTimestamp() - startedAt);
+        }
+      }
+    );
+
+    return request;
+  }
+
+  /**
+   * Snapshot of every metric
+   * @returns {MetricsSnapshot}
+   */
+  snapshot() {
+    const starling = this._starling;
+
+    return {
+      timestamp: getCurrentTimestamp(),
+      createdAt: starling.createdAt,
+      status: starling.status,
+      endpoint: starling.endpoint?.url ?? null,
+      traffic: { ...this._traffic },
+      requests: {
+        ...this._requests,
+        latency: this._latency.snapshot()
+      },
+      buffer: { depth: starling.buffered },
+      outbox: {
+        enabled: starling.outbox.enabled,
+        size: starling.outbox.size
+      },
+      state: starling.recovery.getMetrics(),
+      reconnection: starling.reconnection.getMetrics(),
+      heartbeat: starling.heartbeat.getMetrics(),
+      sequences: starling.sequences.getMetrics(),
+      endpoints: starling.endpoints
+    };
+  }
+
+  /**
+   * Formats a snapshot
+   * @param {'prometheus'|'opentelemetry'} format
+   * @param {import('../core/metrics').ExportOptions} [options]
+   * @returns {string|Object}
+   * @throws {StarlingError} When the format is unknown
+   */
+  export(format, options) {
+    switch (format) {
+      case 'prometheus':
+        return toPrometheus(this.snapshot(), options);
+      case 'opentelemetry':
+        return toOpenTelemetry(this.snapshot(), options);
+      default:
+        throw new StarlingError(`Unknown metrics format: ${format}`, { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+  }
+
+  /**
+   * Resets the traffic and request counters
+   */
+  reset() {
+    this._traffic = this._initializeTraffic();
+    this._requests = { ...this._initializeRequests(), inFlight: this._requests.inFlight };
+    this._latency.reset();
+  }
+
+  /**
+   * Stops the periodic export
+   */
+  destroy() {
+    if (this._exportTimer) {
+      clearInterval(this._exportTimer);
+      this._exportTimer = null;
+    }
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {MetricsOptions} userOptions
+   * @returns {MetricsOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      sampleSize: 1000,
+      exportInterval: 60000,
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * @private
+   * @returns {TrafficMetrics}
+   */
+  _initializeTraffic() {
+    return {
+      messagesSent: 0,
+      messagesReceived: 0,
+      bytesSent: 0,
+      bytesReceived: 0
+    };
+  }
+
+  /**
+   * @private
+   * @returns {Omit<RequestMetrics, 'latency'>}
+   */
+  _initializeRequests() {
+    return {
+      total: 0,
+      succeeded: 0,
+      failed: 0,
+      timedOut: 0,
+      inFlight: 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  _scheduleExport() {
+    this._exportTimer = setInterval(() => {
+      try {
+        this._options.exporter(this.snapshot());
+      } catch (error) {
+        this._log(`Export failed: ${error.message}`);
+      }
+    }, this._options.exportInterval);
+
+    // Never keeps a Node or Bun process alive on its own
+    this._exportTimer.unref?.();
+  }
+
+  /**
+   * Size of a frame in bytes
+   * @private
+   * @param {any} data
+   * @returns {number}
+   */
+  _sizeOf(data) {
+    if (typeof data === 'string') return this._encoder.encode(data).byteLength;
+    if (data?.byteLength !== undefined) return data.byteLength;
+    if (data?.size !== undefined) return data.size;
+    return 0;
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:metrics:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[MetricsManager] ${message}`
+        }
+      });
+    }
+  }
+}
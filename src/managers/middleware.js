@@ -0,0 +1,304 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { ReadyState } from '../core/transport';
+
+/**
+ * @typedef {import('../config/proxy.config').MessageType} MessageType
+ */
+
+/**
+ * @typedef {Object} MiddlewareContext
+ * @property {'incoming'|'outgoing'} direction
+ * @property {MessageType} type
+ * @property {Object} message Protocol message, changes are applied to what is sent or handled
+ * @property {Object} state Shared by the middlewares of this message
+ * @property {import('../core/starling').Starling} starling
+ */
+
+/**
+ * Inspects or changes a message, passing it on with `next()`. Not calling `next` drops the message,
+ * throwing rejects it.
+ * @typedef {(context: MiddlewareContext, next: () => Promise<void>) => any} Middleware
+ */
+
+/**
+ * @typedef {Object} MiddlewareOptions
+ * @property {'incoming'|'outgoing'|'both'} [direction='both'] Messages the middleware sees
+ * @property {MessageType[]} [types] Message types the middleware sees, all when omitted
+ * @property {number} [priority=0] Higher priorities run first, then registration order
+ */
+
+/**
+ * Runs the middleware chain on the messages sent and received
+ */
+export class MiddlewareManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {{debug?: boolean}} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = {
+      debug: false,
+      ...options
+    };
+
+    /** @private */
+    this._logger = starling.logger.child('middleware', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * @private
+     * @type {Array<MiddlewareOptions & {middleware: Middleware}>}
+     */
+    this._middlewares = [];
+  }
+
+  /**
+   * Registers a middleware
+   * @param {Middleware} middleware
+   * @param {MiddlewareOptions} [options]
+   * @returns {() => void} Removes the middleware
+   * @throws {StarlingError} When the middleware is not a function
+   */
+  use(middleware, options = {}) {
+    if (typeof middleware !== 'function') {
+      throw new StarlingError('Middleware must be a function', { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
+    const entry = {
+      middleware,
+      direction: options.direction || 'both',
+      types: options.types,
+      priority: options.priority ?? 0
+    };
+
+    this._middlewares.push(entry);
+    // Stable sort, registration order breaks ties
+    this._middlewares.sort((a, b) => b.priority - a.priority);
+
+    return () => {
+      const index = this._middlewares.indexOf(entry);
+      if (index !== -1) this._middlewares.splice(index, 1);
+    };
+  }
+
+  /**
+   * Passes the messages the socket sends through the chain, keeping their order
+   * @param {WebSocket} ws
+   */
+  attach(ws) {
+    const send = ws.send;
+    let outbound = Promise.resolve();
+    let pending = 0;
+
+    ws.send = (data, ...args) => {
+      const message = typeof data === 'string' && ws.readyState === ReadyState.OPEN && this._parse(data);
+      const chain = message ? this._chain('outgoing', message.type) : [];
+
+      // Nothing to run and nothing queued ahead: sent right away
+      if (chain.length === 0 && pending === 0) {
+        return send.call(ws, data, ...args);
+      }
+
+      pending++;
+      outbound = outbound
+        .then(() => (message ? this._runOutgoing(chain, message, text => send.call(ws, text, ...args), ws) : send.call(ws, data, ...args)))
+        .catch(error => this._logger.error('Failed to send a message', { error }))
+        .finally(() => pending--);
+    };
+  }
+
+  /**
+   * Runs the chain on a received message, which is handled at the end of it
+   * @param {MessageType} type
+   * @param {Object} context Message context from the proxy configuration
+   * @param {() => void} handle Default handling
+   * @returns {Promise<void>}
+   */
+  async incoming(type, context, handle) {
+    const chain = this._chain('incoming', type);
+    if (chain.length === 0) {
+      handle();
+      return;
+    }
+
+    const middlewareContext = this._createContext('incoming', type, context.message || context);
+    try {
+      const handled = await this._run(chain, middlewareContext, async () => handle());
+      if (!handled) {
+        this._log(`Incoming ${type} dropped by a middleware`);
+      }
+    } catch (error) {
+      const rejected = this._reject(middlewareContext, error);
+
+      // The server still waits for an answer to its request
+      if (type === 'request') {
+        context.error(rejected.code, rejected.message);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Array<{middleware: Middleware}>} chain
+   * @param {Object} message
+   * @param {(text: string) => void} send
+   * @param {WebSocket} ws
+   * @returns {Promise<void>}
+   */
+  async _runOutgoing(chain, message, send, ws) {
+    const context = this._createContext('outgoing', message.type, message);
+
+    try {
+      const sent = await this._run(chain, context, async () => {
+        if (ws.readyState === ReadyState.OPEN) {
+          send(JSON.stringify(context.message));
+        }
+      });
+      if (!sent) {
+        this._log(`Outgoing ${message.type} dropped by a middleware`);
+      }
+    } catch (error) {
+      this._reject(context, error);
+
+      // The pending request fails as if the server had refused it
+      if (message.type === 'request' && message.requestId) {
+        this._starling._starling.handleMessage(JSON.stringify({
+          protocol: message.protocol,
+          version: message.version,
+          timestamp: getCurrentTimestamp(),
+          type: 'response',
+          requestId: message.requestId,
+          success: false,
+          error: {
+            code: ErrorCodes.MESSAGE_REJECTED,
+            message: error.message
+          }
+        }));
+      }
+    }
+  }
+
+  /**
+   * Runs a chain, the last `next()` calling `final`
+   * @private
+   * @param {Array<{middleware: Middleware}>} chain
+   * @param {MiddlewareContext} context
+   * @param {() => Promise<void>} final
+   * @returns {Promise<boolean>} Whether the chain reached `final`
+   */
+  async _run(chain, context, final) {
+    let index = -1;
+    let reached = false;
+
+    const dispatch = async position => {
+      if (position <= index) {
+        throw new StarlingError('next() called more than once', { code: ErrorCodes.INVALID_CONFIGURATION });
+      }
+      index = position;
+
+      if (position === chain.length) {
+        reached = true;
+        await final();
+        return;
+      }
+
+      await chain[position].middleware(context, () => dispatch(position + 1));
+    };
+
+    await dispatch(0);
+    return reached;
+  }
+
+  /**
+   * Middlewares applying to a message
+   * @private
+   * @param {'incoming'|'outgoing'} direction
+   * @param {MessageType} type
+   * @returns {Array<{middleware: Middleware}>}
+   */
+  _chain(direction, type) {
+    return this._middlewares.filter(entry => (entry.direction === 'both' || entry.direction === direction)
+      && (!entry.types || entry.types.includes(type)));
+  }
+
+  /**
+   * @private
+   * @param {'incoming'|'outgoing'} direction
+   * @param {MessageType} type
+   * @param {Object} message
+   * @returns {MiddlewareContext}
+   */
+  _createContext(direction, type, message) {
+    return {
+      direction,
+      type,
+      message,
+      state: {},
+      starling: this._starling
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} data
+   * @returns {Object|null}
+   */
+  _parse(data) {
+    try {
+      const message = JSON.parse(data);
+      return message && typeof message === 'object' ? message : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {MiddlewareContext} context
+   * @param {Error} cause
+   * @returns {StarlingError}
+   */
+  _reject(context, cause) {
+    const error = cause instanceof StarlingError
+      ? cause
+      : new StarlingError(`Message rejected: ${cause.message}`, { code: ErrorCodes.MESSAGE_REJECTED, cause });
+
+    this._logger.warn('Message rejected', { direction: context.direction, type: context.type, error });
+    this._starling.events.emit('starling:middleware:rejected', {
+      direction: context.direction,
+      type: context.type,
+      message: context.message,
+      error,
+      debug: {
+        type: 'warning',
+        message: `${context.direction === 'incoming' ? 'Incoming' : 'Outgoing'} ${context.type} rejected: ${error.message}`
+      }
+    });
+
+    return error;
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:middleware:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[MiddlewareManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,402 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { resolveStorage } from '../storage';
+import { OutboxError } from '../core/errors';
+
+/**
+ * @typedef {Object} OutboxOptions
+ * @property {import('../storage').StorageOption} [storage] Where entries are persisted (`indexedDB` when available, `memory` otherwise)
+ * @property {string} [storageKey='starling:outbox'] Storage key
+ * @property {number} [ttl=86400000] Time an entry may wait before it expires (ms)
+ * @property {number} [maxSize=1000] Maximum number of pending entries
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {'pending'|'sending'|'delivered'|'failed'|'expired'|'cancelled'} OutboxStatus
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id Entry identifier, sent as the idempotency key of requests
+ * @property {'request'|'notification'} type
+ * @property {string} [method] Request method
+ * @property {string} [topic] Notification topic
+ * @property {any} payload Request payload or notification data
+ * @property {Object} [options] Request options
+ * @property {number} createdAt
+ * @property {number} expiresAt
+ * @property {number} attempts Replay attempts
+ * @property {OutboxStatus} status
+ * @property {string} [error] Last error message
+ */
+
+/**
+ * Durable queue for requests and notifications issued while disconnected,
+ * replayed in order once the connection is back
+ */
+export class OutboxManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {OutboxOptions|boolean} [options] Disabled unless truthy
+   */
+  constructor(starling, options = false) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._enabled = !!options;
+
+    /** @private */
+    this._options = this._initializeOptions(typeof options === 'object' ? options : {});
+
+    /** @private */
+    this._logger = starling.logger.child('outbox', { level: this._options.debug ? 'debug' : undefined });
+
+    /** @private */
+    this._storage = this._enabled ? resolveStorage(this._options.storage) : null;
+
+    /**
+     * @private
+     * @type {OutboxEntry[]}
+     */
+    this._entries = [];
+
+    /**
+     * Callers waiting for the response of a queued request
+     * @private
+     * @type {Map<string, {resolve: (value: any) => void, reject: (error: Error) => void}>}
+     */
+    this._waiting = new Map();
+
+    /** @private */
+    this._replaying = null;
+
+    /**
+     * Resolves once persisted entries have been restored
+     * @type {Promise<void>}
+     */
+    this.ready = this._enabled ? this._restore() : Promise.resolve();
+
+    /**
+     * Pending writes, starting after the restore so it is never overwritten
+     * @private
+     */
+    this._writes = this.ready;
+
+    if (this._enabled) {
+      this._bindConnectionEvents();
+    }
+  }
+
+  /**
+   * Whether the outbox is enabled
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this._enabled;
+  }
+
+  /**
+   * Number of entries waiting to be sent
+   * @returns {number}
+   */
+  get size() {
+    return this._entries.length;
+  }
+
+  /**
+   * Whether a call should go through the outbox rather than the socket
+   * @param {Object} [options] Call options, `outbox: false` bypasses the outbox
+   * @returns {boolean}
+   */
+  shouldQueue(options) {
+    return this._enabled && options?.outbox !== false && !this._starling.connected;
+  }
+
+  /**
+   * Queues a request, resolving with its response once replayed
+   * @param {string} method
+   * @param {any} payload
+   * @param {Object} [options] Request options, `outbox.ttl` overrides the entry lifetime
+   * @returns {Promise<any>}
+   */
+  enqueueRequest(method, payload, options = {}) {
+    const { outbox, ...requestOptions } = options;
+    const entry = this._add({ type: 'request', method, payload, options: requestOptions }, outbox?.ttl);
+
+    return new Promise((resolve, reject) => {
+      this._waiting.set(entry.id, { resolve, reject });
+    });
+  }
+
+  /**
+   * Queues a notification
+   * @param {string} topic
+   * @param {any} data
+   * @returns {OutboxEntry}
+   */
+  enqueueNotification(topic, data) {
+    return { ...this._add({ type: 'notification', topic, payload: data }) };
+  }
+
+  /**
+   * Snapshot of the entries waiting to be sent
+   * @returns {OutboxEntry[]}
+   */
+  list() {
+    return this._entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Cancels a pending entry
+   * @param {string} id
+   * @returns {boolean} Whether an entry was cancelled
+   */
+  cancel(id) {
+    const entry = this._entries.find(candidate => candidate.id === id);
+    if (!entry || entry.status === 'sending') return false;
+
+    this._settle(entry, 'cancelled', new OutboxError('Outbox entry cancelled', { details: { id } }));
+    return true;
+  }
+
+  /**
+   * Cancels every pending entry
+   */
+  clear() {
+    for (const entry of [...this._entries]) {
+      this.cancel(entry.id);
+    }
+  }
+
+  /**
+   * Drops the entries that waited too long
+   * @returns {number} Number of expired entries
+   */
+  expire() {
+    const now = getCurrentTimestamp();
+    const expired = this._entries.filter(entry => entry.status === 'pending' && entry.expiresAt <= now);
+    for (const entry of expired) {
+      this._settle(entry, 'expired', new OutboxError('Outbox entry expired', { details: { id: entry.id } }));
+    }
+    return expired.length;
+  }
+
+  /**
+   * Sends the pending entries in order
+   * @returns {Promise<void>}
+   */
+  async replay() {
+    if (!this._enabled) return;
+    if (!this._replaying) {
+      this._replaying = this._executeReplay().finally(() => {
+        this._replaying = null;
+      });
+    }
+    return this._replaying;
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {OutboxOptions} userOptions
+   * @returns {OutboxOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      storage: globalThis.indexedDB ? 'indexedDB' : 'memory',
+      storageKey: 'starling:outbox',
+      ttl: 24 * 60 * 60 * 1000,
+      maxSize: 1000,
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * Binds event handlers for connection states
+   * @private
+   */
+  _bindConnectionEvents() {
+    this._starling.events.on('starling:connected', () => {
+      this.replay().catch(error => {
+        this._log(`Replay failed: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Adds an entry
+   * @private
+   * @param {Partial<OutboxEntry>} fields
+   * @param {number} [ttl]
+   * @returns {OutboxEntry}
+   * @throws {OutboxError} When the outbox is full
+   */
+  _add(fields, ttl = this._options.ttl) {
+    if (this._entries.length >= this._options.maxSize) {
+      throw new OutboxError(`Outbox is full (${this._options.maxSize} entries)`, {
+        retryable: true,
+        details: { maxSize: this._options.maxSize }
+      });
+    }
+
+    const now = getCurrentTimestamp();
+    const entry = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: now,
+      expiresAt: now + ttl,
+      attempts: 0,
+      status: 'pending'
+    };
+
+    this._entries.push(entry);
+    this._persist();
+    this._emitStatus(entry);
+    return entry;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _executeReplay() {
+    await this.ready;
+    this.expire();
+
+    while (this._entries.length > 0 && this._starling.connected) {
+      const entry = this._entries[0];
+      entry.status = 'sending';
+      entry.attempts++;
+      this._emitStatus(entry);
+
+      try {
+        const response = await this._send(entry);
+        this._settle(entry, 'delivered', null, response);
+      } catch (error) {
+        if (!this._starling.connected) {
+          // Connection lost during the replay, the entry is sent again next time
+          entry.status = 'pending';
+          entry.error = error.message;
+          this._persist();
+          this._emitStatus(entry);
+          return;
+        }
+        this._settle(entry, 'failed', error);
+      }
+    }
+  }
+
+  /**
+   * Sends an entry, bypassing the outbox
+   * @private
+   * @param {OutboxEntry} entry
+   * @returns {Promise<any>}
+   */
+  async _send(entry) {
+    const starling = this._starling._starling;
+
+    if (entry.type === 'notification') {
+      return starling.notify(entry.topic, entry.payload);
+    }
+
+    return starling.request(entry.method, entry.payload, {
+      ...entry.options,
+      metadata: {
+        ...entry.options?.metadata,
+        idempotencyKey: entry.id
+      }
+    });
+  }
+
+  /**
+   * Removes an entry with its final status
+   * @private
+   * @param {OutboxEntry} entry
+   * @param {OutboxStatus} status
+   * @param {Error|null} error
+   * @param {any} [response]
+   */
+  _settle(entry, status, error, response) {
+    this._entries = this._entries.filter(candidate => candidate !== entry);
+    entry.status = status;
+    if (error) {
+      entry.error = error.message;
+    }
+    this._persist();
+    this._emitStatus(entry);
+
+    const waiting = this._waiting.get(entry.id);
+    if (waiting) {
+      this._waiting.delete(entry.id);
+      status === 'delivered' ? waiting.resolve(response) : waiting.reject(error);
+    }
+  }
+
+  /**
+   * Restores persisted entries, keeping their order ahead of new ones
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _restore() {
+    try {
+      const stored = await this._storage.get(this._options.storageKey);
+      if (!Array.isArray(stored) || stored.length === 0) return;
+
+      const restored = stored.map(entry => ({ ...entry, status: 'pending' }));
+      this._entries = [...restored, ...this._entries];
+      this._log(`${restored.length} entries restored`);
+    } catch (error) {
+      this._log(`Failed to restore entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes the entries, one write at a time
+   * @private
+   */
+  _persist() {
+    const snapshot = this._entries.map(entry => ({ ...entry }));
+    this._writes = this._writes
+      .then(() => snapshot.length > 0
+        ? this._storage.set(this._options.storageKey, snapshot)
+        : this._storage.remove(this._options.storageKey))
+      .catch(error => this._log(`Failed to persist entries: ${error.message}`));
+  }
+
+  /**
+   * @private
+   * @param {OutboxEntry} entry
+   */
+  _emitStatus(entry) {
+    this._starling.events.emit(`starling:outbox:${entry.status}`, {
+      entry: { ...entry },
+      size: this._entries.length,
+      debug: {
+        type: entry.status === 'failed' ? 'error' : 'info',
+        message: `Outbox ${entry.type} ${entry.method || entry.topic} ${entry.status}`
+      }
+    });
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:outbox:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[OutboxManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -1,4 +1,7 @@
 import { getCurrentTimestamp, TimeConstants } from '@helios-starling/utils';
+import { BackoffStrategies } from '../core/backoff';
+import { ErrorCodes, ReconnectionError, StarlingError } from '../core/errors';
+import { classifyCloseCode, defaultCloseCodeActions } from '../config/close-codes.config';
 
 /**
  * @typedef {Object} ReconnectionOptions
@@ -6,8 +9,14 @@ import { getCurrentTimestamp, TimeConstants } from '@helios-starling/utils';
  * @property {number} [maxDelay=30000] Maximum delay between attempts (ms)
  * @property {number} [maxAttempts=Infinity] Maximum number of attempts
  * @property {number} [backoffMultiplier=1.5] Exponential backoff multiplier
+ * @property {'exponential'|'full-jitter'|'equal-jitter'|'decorrelated-jitter'|'linear'|'fixed'|import('../core/backoff').BackoffPolicy} [strategy='exponential'] Backoff policy, or a custom function returning the delay
+ * @property {number} [step=1000] Increment per attempt for the linear policy (ms)
+ * @property {() => number} [random=Math.random] Random source used by jittered policies
  * @property {number} [resetThreshold=60000] Time before resetting attempt counter (ms)
- * @property {boolean} [debug=false] Enable debug logs
+ * @property {import('../config/close-codes.config').CloseCodeActions} [closeCodes] Close code classification, merged over the defaults
+ * @property {number} [closeCodeDelay=5000] Minimum delay before reconnecting after a `delay` close code (ms)
+ * @property {(closeEvent: CloseEvent|null, metrics: ReconnectionMetrics) => boolean|import('../config/close-codes.config').CloseAction|void} [shouldReconnect] Decides whether to reconnect, falls back to the close code classification when it returns nothing, throwing stops the reconnection
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
  */
 
 /**
@@ -24,7 +33,7 @@ import { getCurrentTimestamp, TimeConstants } from '@helios-starling/utils';
  */
 
 /**
- * Manages automatic reconnection with exponential backoff
+ * Manages automatic reconnection with configurable backoff
  */
 export class ReconnectionManager {
   /**
@@ -37,12 +46,18 @@ export class ReconnectionManager {
     
     /** @private */
     this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('reconnection', { level: this._options.debug ? 'debug' : undefined });
     
     /** @private */
     this._state = {
       active: false,
       currentAttempt: null,
-      timeoutId: null
+      timeoutId: null,
+      minimumDelay: 0,
+      lastClose: null,
+      pauseReasons: new Set()
     };
 
     /** @private */
@@ -53,12 +68,21 @@ export class ReconnectionManager {
 
   /**
    * Starts the reconnection process if not already active
+   * @param {CloseEvent|null} [closeEvent] Close event that ended the connection
    * @returns {Promise<void>}
    */
-  async start() {
+  async start(closeEvent = null) {
     if (this._state.active) return;
+
+    this._state.lastClose = closeEvent;
+    const action = this._resolveCloseAction(closeEvent);
+    if (action === 'fatal') {
+      this._emitAborted(closeEvent);
+      return;
+    }
     
     this._state.active = true;
+    this._state.minimumDelay = action === 'delay' ? this._options.closeCodeDelay : 0;
     this._starling.events.emit('starling:reconnect:started', {
       metrics: this.getMetrics(),
       debug: {
@@ -95,10 +119,59 @@ export class ReconnectionManager {
   }
 
   /**
-   * Forces an immediate reconnection attempt
+   * Suspends attempts until every pause reason has been resumed.
+   * An active process stays active and continues on {@link resume}.
+   * @param {string} [reason='manual'] Pause reason (e.g. `offline`, `hidden`)
+   */
+  pause(reason = 'manual') {
+    const wasPaused = this.paused;
+    this._state.pauseReasons.add(reason);
+    if (wasPaused) return;
+
+    if (this._state.timeoutId) {
+      clearTimeout(this._state.timeoutId);
+      this._state.timeoutId = null;
+    }
+    this._log(`Reconnection paused (${reason})`);
+    this._starling.events.emit('starling:reconnect:paused', {
+      reason,
+      metrics: this.getMetrics(),
+      debug: {
+        type: 'info',
+        message: `Reconnection paused (${reason})`
+      }
+    });
+  }
+
+  /**
+   * Lifts a pause reason. Once no reason is left, an active process schedules its next attempt
+   * @param {string} [reason='manual'] Pause reason given to {@link pause}
+   * @param {{immediate?: boolean}} [options] `immediate` attempts right away instead of waiting out the backoff
+   * @returns {Promise<void>}
+   */
+  async resume(reason = 'manual', options = {}) {
+    if (!this._state.pauseReasons.delete(reason) || this.paused) return;
+
+    this._log(`Reconnection resumed (${reason})`);
+    this._starling.events.emit('starling:reconnect:resumed', {
+      reason,
+      metrics: this.getMetrics(),
+      debug: {
+        type: 'info',
+        message: `Reconnection resumed (${reason})`
+      }
+    });
+
+    if (this._state.active && !this._state.currentAttempt) {
+      await (options.immediate ? this.forceAttempt() : this._executeNextAttempt());
+    }
+  }
+
+  /**
+   * Forces an immediate reconnection attempt, replacing the scheduled or pending one
    */
   async forceAttempt() {
-    this.stop();
+    this._clearPendingAttempts();
     this._state.active = true;
     return this._executeReconnection();
   }
@@ -127,16 +200,31 @@ export class ReconnectionManager {
    * @private
    * @param {ReconnectionOptions} userOptions
    * @returns {ReconnectionOptions}
+   * @throws {StarlingError} With code `INVALID_CONFIGURATION` when the strategy is unknown
    */
   _initializeOptions(userOptions) {
+    const strategy = userOptions.strategy;
+    if (strategy && typeof strategy !== 'function' && !BackoffStrategies[strategy]) {
+      throw new StarlingError(`Unknown reconnection strategy: ${strategy}`, { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
     return {
       minDelay: TimeConstants.RECONNECT_MIN_DELAY,
       maxDelay: TimeConstants.RECONNECT_MAX_DELAY,
       maxAttempts: Infinity,
       backoffMultiplier: 1.5,
+      strategy: 'exponential',
+      step: 1000,
+      random: Math.random,
       resetThreshold: 60000,
+      closeCodeDelay: 5000,
+      shouldReconnect: null,
       debug: false,
-      ...userOptions
+      ...userOptions,
+      closeCodes: {
+        ...defaultCloseCodeActions,
+        ...userOptions.closeCodes
+      }
     };
   }
 
@@ -170,13 +258,17 @@ export class ReconnectionManager {
       return;
     }
 
-    const delay = this._calculateNextDelay();
+    // Resumed through resume()
+    if (this.paused) return;
+
+    const delay = Math.max(this._calculateNextDelay(), this._state.minimumDelay);
+    this._state.minimumDelay = 0;
     this._metrics.currentDelay = delay;
     
     this._emitScheduled();
     await this._wait(delay);
     
-    if (this._state.active) {
+    if (this._state.active && !this.paused) {
       await this._executeReconnection();
     }
   }
@@ -191,35 +283,66 @@ export class ReconnectionManager {
     this._updateMetricsForNewAttempt();
     this._emitAttemptStarted();
 
+    let failure = null;
+    const attempt = new AbortController();
+
     try {
-      this._state.currentAttempt = new AbortController();
+      this._state.currentAttempt = attempt;
       await this._attemptConnection();
     } catch (error) {
-      if (error.message === 'Reconnection attempt aborted') {
+      if (error.code === ErrorCodes.CONNECTION_ABORTED) {
         this._log('Attempt aborted');
         return;
       }
       
-      this._handleFailedAttempt(error);
-      await this._executeNextAttempt();
+      failure = error;
     } finally {
-      this._state.currentAttempt = null;
+      // A forced attempt may already have replaced this one
+      if (this._state.currentAttempt === attempt) {
+        this._state.currentAttempt = null;
+      }
+    }
+
+    // Scheduled once the attempt is settled so it no longer counts as in progress
+    if (failure) {
+      this._handleFailedAttempt(failure);
+
+      // A server closing the attempt decides like the close that started the process
+      const closeEvent = this._closeEventOf(failure);
+      if (closeEvent) {
+        this._state.lastClose = closeEvent;
+        const action = this._resolveCloseAction(closeEvent);
+        if (action === 'fatal') {
+          this.stop();
+          this._emitAborted(closeEvent);
+          return;
+        }
+        if (action === 'delay') {
+          this._state.minimumDelay = this._options.closeCodeDelay;
+        }
+      }
+
+      await this._executeNextAttempt();
     }
   }
 
   /**
-   * Attempts to establish a connection with abort capability
+   * Close event of an attempt closed by the server, null when it failed otherwise
+   * @private
+   * @param {Error & {details?: Object}} error
+   * @returns {{code: number, reason: string}|null}
+   */
+  _closeEventOf(error) {
+    const code = error?.details?.code;
+    return typeof code === 'number' ? { code, reason: error.details.reason ?? '' } : null;
+  }
+
+  /**
+   * Attempts to establish a connection, {@link stop} closes its pending socket
    * @private
    */
   async _attemptConnection() {
-    return Promise.race([
-      this._starling.connect(),
-      new Promise((_, reject) => {
-        this._state.currentAttempt.signal.addEventListener('abort', () => {
-          reject(new Error('Reconnection attempt aborted'));
-        });
-      })
-    ]);
+    return this._starling.connect({ signal: this._state.currentAttempt.signal });
   }
 
   /**
@@ -273,6 +396,29 @@ export class ReconnectionManager {
     this._emitAttemptFailed(error);
   }
 
+  /**
+   * Decides what to do after a close, asking `shouldReconnect` first
+   * @private
+   * @param {CloseEvent|null} closeEvent
+   * @returns {import('../config/close-codes.config').CloseAction}
+   */
+  _resolveCloseAction(closeEvent) {
+    if (typeof this._options.shouldReconnect === 'function') {
+      let decision;
+      try {
+        decision = this._options.shouldReconnect(closeEvent, this.getMetrics());
+      } catch (error) {
+        this._logger.warn('shouldReconnect threw, not reconnecting', { code: closeEvent?.code, error });
+        return 'fatal';
+      }
+      if (decision === true) return 'retry';
+      if (decision === false) return 'fatal';
+      if (decision) return decision;
+    }
+
+    return classifyCloseCode(closeEvent?.code, this._options.closeCodes);
+  }
+
   /**
    * Checks if maximum attempts have been reached
    * @private
@@ -283,15 +429,26 @@ export class ReconnectionManager {
   }
 
   /**
-   * Calculates the next delay using exponential backoff
+   * Calculates the next delay using the configured backoff policy
    * @private
    * @returns {number}
    */
   _calculateNextDelay() {
-    return Math.min(
-      this._metrics.currentDelay * this._options.backoffMultiplier,
-      this._options.maxDelay
-    );
+    const { strategy } = this._options;
+    const policy = typeof strategy === 'function' ? strategy : BackoffStrategies[strategy];
+
+    const delay = policy({
+      attempt: this._metrics.attempts,
+      previousDelay: this._metrics.currentDelay,
+      minDelay: this._options.minDelay,
+      maxDelay: this._options.maxDelay,
+      multiplier: this._options.backoffMultiplier,
+      step: this._options.step,
+      random: this._options.random,
+      metrics: this.getMetrics()
+    });
+
+    return Number.isFinite(delay) ? Math.max(0, Math.round(delay)) : this._options.maxDelay;
   }
 
   /**
@@ -366,6 +523,9 @@ export class ReconnectionManager {
    */
   _emitScheduled() {
     this._starling.events.emit('starling:reconnect:scheduled', {
+      attempt: this._metrics.attempts + 1,
+      delay: this._metrics.currentDelay,
+      strategy: typeof this._options.strategy === 'function' ? 'custom' : this._options.strategy,
       metrics: this.getMetrics(),
       debug: {
         type: 'info',
@@ -379,8 +539,12 @@ export class ReconnectionManager {
    * @private
    */
   _emitAttemptStarted() {
-    console.log(`🚀 Reconnection attempt ${this._metrics.attempts}/${this._options.maxAttempts} started`);
-    
+    this._logger.info('Reconnection attempt started', {
+      attempt: this._metrics.attempts,
+      maxAttempts: this._options.maxAttempts,
+      delay: this._metrics.currentDelay
+    });
+
     this._starling.events.emit('starling:reconnect:attempt', {
       attempt: this._metrics.attempts,
       metrics: this.getMetrics(),
@@ -397,6 +561,11 @@ export class ReconnectionManager {
    * @param {Error} error
    */
   _emitAttemptFailed(error) {
+    this._logger.warn('Reconnection attempt failed', {
+      attempt: this._metrics.attempts,
+      error
+    });
+
     this._starling.events.emit('starling:reconnect:failed', {
       attempt: this._metrics.attempts,
       error,
@@ -413,7 +582,12 @@ export class ReconnectionManager {
    * @private
    */
   _emitMaxAttemptsReached() {
+    this._logger.error('Maximum reconnection attempts reached', { attempts: this._metrics.attempts });
+
     this._starling.events.emit('starling:reconnect:max_attempts', {
+      error: new ReconnectionError(`Maximum reconnection attempts (${this._options.maxAttempts}) reached`, {
+        details: { attempts: this._metrics.attempts }
+      }),
       metrics: this.getMetrics(),
       debug: {
         type: 'warning',
@@ -423,11 +597,35 @@ export class ReconnectionManager {
   }
 
   /**
-   * Logs a debug message if debug is enabled
+   * Emits a reconnection aborted event
+   * @private
+   * @param {CloseEvent|null} closeEvent
+   */
+  _emitAborted(closeEvent) {
+    this._logger.warn('Reconnection aborted', { code: closeEvent?.code, reason: closeEvent?.reason });
+
+    this._starling.events.emit('starling:reconnect:aborted', {
+      code: closeEvent?.code,
+      reason: closeEvent?.reason,
+      error: new ReconnectionError(`Reconnection aborted after close code ${closeEvent?.code}`, {
+        details: { code: closeEvent?.code, reason: closeEvent?.reason }
+      }),
+      metrics: this.getMetrics(),
+      debug: {
+        type: 'warning',
+        message: `Reconnection aborted after close code ${closeEvent?.code}${closeEvent?.reason ? ` (${closeEvent.reason})` : ''}`
+      }
+    });
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
    * @private
    * @param {string} message
+   * @param {Object} [fields] Structured context
    */
-  _log(message) {
+  _log(message, fields) {
+    this._logger.debug(message, fields);
     if (this._options.debug) {
       this._starling.events.emit('starling:reconnect:debug', {
         message,
@@ -448,4 +646,8 @@ export class ReconnectionManager {
   get active() {
     return this._state.active;
   }
+
+  get paused() {
+    return this._state.pauseReasons.size > 0;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,316 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+
+/**
+ * @typedef {Object} SequenceOptions
+ * @property {boolean} [enabled=true] Track sequence numbers
+ * @property {'topic'|'session'} [scope='topic'] Whether the server numbers notifications per topic or once for the whole session
+ * @property {string} [field='sequence'] Envelope field holding the sequence number
+ * @property {boolean} [dropDuplicates=true] Drop notifications already received instead of dispatching them again
+ * @property {boolean} [resetOnSession=true] Forget topic sequences when a new session starts, disable it when the server keeps numbering topics across sessions (session sequences are always forgotten)
+ * @property {number} [maxGaps=100] Missing ranges remembered per stream, the oldest being forgotten first
+ * @property {boolean} [replay=false] Ask the server to resend missed notifications on reconnection
+ * @property {string} [replayMethod='starling:replay'] Method called with `{ topic, since, missing }`
+ * @property {number} [timeout=10000] Timeout of the replay requests (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {Object} SequenceGap
+ * @property {string|null} topic Null when sequences are numbered per session
+ * @property {number} from First missing sequence
+ * @property {number} to Last missing sequence
+ */
+
+/**
+ * @typedef {Object} SequenceMetrics
+ * @property {number} streams Topics (or sessions) tracked
+ * @property {number} gaps Gaps detected
+ * @property {number} missed Notifications missed, late arrivals included
+ * @property {number} recovered Missed notifications received afterwards
+ * @property {number} duplicates Notifications received twice
+ * @property {number} outstanding Sequences still missing
+ */
+
+/**
+ * Stream key of session wide sequences
+ */
+const SESSION_STREAM = '*';
+
+/**
+ * Tracks the sequence numbers of incoming notifications to detect gaps and duplicates
+ */
+export class SequenceManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {SequenceOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('sequence', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * Last sequence and missing ranges by topic
+     * @private
+     * @type {Map<string, {last: number, missing: Array<[number, number]>}>}
+     */
+    this._streams = new Map();
+
+    /** @private */
+    this._metrics = {
+      gaps: 0,
+      missed: 0,
+      recovered: 0,
+      duplicates: 0
+    };
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Checks an incoming notification, from the proxy configuration
+   * @param {Object} context Notification context
+   * @returns {boolean} Whether the notification should be dispatched
+   */
+  accept(context) {
+    const { topic, sequence } = this._read(context);
+    const deliver = !this._options.enabled || !Number.isInteger(sequence) || this._check(topic, sequence);
+
+    if (deliver) {
+      this._starling.subscriptions.track(topic, sequence);
+    }
+    return deliver;
+  }
+
+  /**
+   * Last sequence received
+   * @param {string} [topic] Ignored when sequences are numbered per session
+   * @returns {number|null}
+   */
+  last(topic) {
+    return this._streams.get(this._key(topic))?.last ?? null;
+  }
+
+  /**
+   * Sequences still missing
+   * @returns {SequenceGap[]}
+   */
+  gaps() {
+    return [...this._streams].flatMap(([key, stream]) => stream.missing.map(([from, to]) => ({
+      topic: key === SESSION_STREAM ? null : key,
+      from,
+      to
+    })));
+  }
+
+  /**
+   * Asks the server to resend what was missed, once the connection is open
+   * @returns {Promise<void>}
+   */
+  async replay() {
+    if (!this._options.enabled || !this._options.replay) return;
+
+    await Promise.all([...this._streams].map(async ([key, stream]) => {
+      const topic = key === SESSION_STREAM ? null : key;
+
+      try {
+        await this._starling.request(this._options.replayMethod, {
+          topic,
+          since: stream.last,
+          missing: stream.missing.map(([from, to]) => ({ from, to }))
+        }, {
+          timeout: this._options.timeout,
+          outbox: false
+        });
+        this._log(`Replay requested for ${topic ?? 'session'}`, { since: stream.last, missing: stream.missing.length });
+      } catch (error) {
+        this._logger.warn('Replay request failed', { topic, error });
+        this._starling.events.emit('starling:replay:failed', {
+          topic,
+          error,
+          debug: {
+            type: 'warning',
+            message: `Replay request failed: ${error.message}`
+          }
+        });
+      }
+    }));
+  }
+
+  /**
+   * Forgets every sequence
+   */
+  reset() {
+    this._streams.clear();
+  }
+
+  /**
+   * @returns {SequenceMetrics}
+   */
+  getMetrics() {
+    let outstanding = 0;
+    for (const stream of this._streams.values()) {
+      outstanding += stream.missing.reduce((total, [from, to]) => total + to - from + 1, 0);
+    }
+
+    return {
+      streams: this._streams.size,
+      ...this._metrics,
+      outstanding
+    };
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {SequenceOptions} userOptions
+   * @returns {SequenceOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      enabled: true,
+      scope: 'topic',
+      field: 'sequence',
+      dropDuplicates: true,
+      resetOnSession: true,
+      maxGaps: 100,
+      replay: false,
+      replayMethod: 'starling:replay',
+      timeout: 10000,
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * @private
+   */
+  _setupEventListeners() {
+    // Session wide numbering restarts with the session, topic numbering too unless told otherwise
+    this._starling.events.on('starling:session:new', () => {
+      if (this._options.scope === 'session' || this._options.resetOnSession) {
+        this.reset();
+      }
+    });
+  }
+
+  /**
+   * Topic and sequence of a notification, the sequence being an envelope field
+   * @private
+   * @param {Object} context
+   * @returns {{topic: string|undefined, sequence: any}}
+   */
+  _read(context) {
+    const message = context.message || context;
+    return {
+      topic: message.notification?.topic,
+      sequence: message[this._options.field]
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} [topic]
+   * @returns {string}
+   */
+  _key(topic) {
+    return this._options.scope === 'session' ? SESSION_STREAM : topic;
+  }
+
+  /**
+   * Records a sequence
+   * @private
+   * @param {string} topic
+   * @param {number} sequence
+   * @returns {boolean} False for a duplicate that should be dropped
+   */
+  _check(topic, sequence) {
+    const key = this._key(topic);
+    const stream = this._streams.get(key);
+
+    if (!stream) {
+      this._streams.set(key, { last: sequence, missing: [] });
+      return true;
+    }
+
+    if (sequence === stream.last + 1) {
+      stream.last = sequence;
+      return true;
+    }
+
+    if (sequence > stream.last) {
+      const gap = { topic: key === SESSION_STREAM ? null : key, from: stream.last + 1, to: sequence - 1 };
+      stream.last = sequence;
+      stream.missing.push([gap.from, gap.to]);
+      if (stream.missing.length > this._options.maxGaps) {
+        stream.missing.shift();
+      }
+
+      this._metrics.gaps++;
+      this._metrics.missed += gap.to - gap.from + 1;
+
+      this._logger.warn('Notifications missed', gap);
+      this._starling.events.emit('starling:gap', {
+        ...gap,
+        missed: gap.to - gap.from + 1,
+        debug: {
+          type: 'warning',
+          message: `Missed ${gap.to - gap.from + 1} notifications${gap.topic ? ` on ${gap.topic}` : ''} (${gap.from}-${gap.to})`
+        }
+      });
+      return true;
+    }
+
+    // Late arrival filling a gap
+    const index = stream.missing.findIndex(([from, to]) => sequence >= from && sequence <= to);
+    if (index !== -1) {
+      const [from, to] = stream.missing[index];
+      const remaining = [];
+      if (from < sequence) remaining.push([from, sequence - 1]);
+      if (sequence < to) remaining.push([sequence + 1, to]);
+      stream.missing.splice(index, 1, ...remaining);
+
+      this._metrics.recovered++;
+      this._log(`Missed notification ${sequence} received${topic ? ` on ${topic}` : ''}`);
+      return true;
+    }
+
+    this._metrics.duplicates++;
+    this._log(`Duplicate notification ${sequence}${topic ? ` on ${topic}` : ''}`);
+    this._starling.events.emit('starling:duplicate', {
+      topic: key === SESSION_STREAM ? null : key,
+      sequence,
+      dropped: this._options.dropDuplicates,
+      debug: {
+        type: 'warning',
+        message: `Duplicate notification ${sequence}`
+      }
+    });
+    return !this._options.dropDuplicates;
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:sequence:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[SequenceManager] ${message}`
+        }
+      });
+    }
+  }
+}
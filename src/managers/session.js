@@ -0,0 +1,247 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+
+/**
+ * @typedef {Object} SessionOptions
+ * @property {string} [method='starling:session'] Method asked for the recovery result after a connection with a recovery token
+ * @property {number} [timeout=5000] Timeout of that request (ms)
+ * @property {ResyncCallback[]} [resync] Callbacks run when the server session was not recovered
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {'no-token'|'rejected'|'unsupported'} NewSessionReason
+ * `no-token`: nothing to recover, `rejected`: the server refused the token,
+ * `unsupported`: the server does not report recovery results
+ */
+
+/**
+ * @typedef {Object} SessionOutcome
+ * @property {boolean} recovered Whether the server restored the previous session
+ * @property {string|null} sessionId Server session identifier, when reported
+ * @property {NewSessionReason} [reason] Why a new session started
+ */
+
+/**
+ * @typedef {(context: {outcome: SessionOutcome, starling: import('../core/starling').Starling}) => void|Promise<void>} ResyncCallback
+ */
+
+/**
+ * Learns whether the server restored the session and resynchronizes the client when it did not
+ */
+export class SessionManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {SessionOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('session', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * @private
+     * @type {Set<ResyncCallback>}
+     */
+    this._resyncCallbacks = new Set(this._options.resync || []);
+
+    /**
+     * @private
+     * @type {SessionOutcome|null}
+     */
+    this._outcome = null;
+
+    /**
+     * Whether a session was established before, so a new one loses server state
+     * @private
+     */
+    this._established = false;
+
+    /** @private */
+    this._since = null;
+  }
+
+  /**
+   * Server session identifier, when reported
+   * @returns {string|null}
+   */
+  get id() {
+    return this._outcome?.sessionId ?? null;
+  }
+
+  /**
+   * Outcome of the last connection, null before the first one
+   * @returns {SessionOutcome|null}
+   */
+  get outcome() {
+    return this._outcome && { ...this._outcome };
+  }
+
+  /**
+   * Start of the current session
+   * @returns {number|null}
+   */
+  get since() {
+    return this._since;
+  }
+
+  /**
+   * Registers a callback run after a connection that did not recover the session
+   * (re-subscribe, re-fetch state...)
+   * @param {ResyncCallback} callback
+   * @returns {() => void} Unregisters the callback
+   */
+  onResync(callback) {
+    this._resyncCallbacks.add(callback);
+    return () => this._resyncCallbacks.delete(callback);
+  }
+
+  /**
+   * Finds out whether the server restored the session, on an open connection
+   * @param {string|null} token Recovery token sent with the connection
+   * @returns {Promise<SessionOutcome>}
+   */
+  async resolve(token) {
+    const previousId = this.id;
+    const outcome = token ? await this._request() : { recovered: false, sessionId: null, reason: 'no-token' };
+
+    this._outcome = outcome;
+    if (!outcome.recovered) {
+      this._since = getCurrentTimestamp();
+    }
+
+    if (outcome.recovered) {
+      this._logger.info('Session recovered', { sessionId: outcome.sessionId });
+      this._starling.events.emit('starling:session:recovered', {
+        sessionId: outcome.sessionId,
+        debug: {
+          type: 'info',
+          message: outcome.sessionId ? `Session ${outcome.sessionId} recovered` : 'Session recovered'
+        }
+      });
+      return outcome;
+    }
+
+    if (outcome.reason === 'rejected') {
+      // The token is useless now, StateManager discards it
+      this._starling.events.emit('starling:recovery:rejected', {
+        token,
+        debug: {
+          type: 'warning',
+          message: 'Recovery token rejected by the server'
+        }
+      });
+    }
+
+    this._logger.info('New session', { sessionId: outcome.sessionId, reason: outcome.reason, previousSessionId: previousId });
+    this._starling.events.emit('starling:session:new', {
+      sessionId: outcome.sessionId,
+      previousSessionId: previousId,
+      reason: outcome.reason,
+      debug: {
+        type: outcome.reason === 'no-token' ? 'info' : 'warning',
+        message: `New session (${outcome.reason})`
+      }
+    });
+    return outcome;
+  }
+
+  /**
+   * Runs the resync callbacks when server state was lost, once the connection is open
+   * @returns {Promise<void>}
+   */
+  async resync() {
+    const lost = this._established && this._outcome && !this._outcome.recovered;
+    this._established = true;
+    if (!lost || this._resyncCallbacks.size === 0) return;
+
+    const outcome = this.outcome;
+    let failures = 0;
+
+    for (const callback of [...this._resyncCallbacks]) {
+      try {
+        await callback({ outcome, starling: this._starling });
+      } catch (error) {
+        failures++;
+        this._logger.error('Resync callback failed', { error });
+        this._starling.events.emit('starling:resync:failed', {
+          error,
+          debug: {
+            type: 'error',
+            message: `Resync callback failed: ${error.message}`
+          }
+        });
+      }
+    }
+
+    this._starling.events.emit('starling:resync', {
+      callbacks: this._resyncCallbacks.size,
+      failures,
+      debug: {
+        type: failures > 0 ? 'warning' : 'info',
+        message: `Resync completed${failures > 0 ? ` with ${failures} failures` : ''}`
+      }
+    });
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {SessionOptions} userOptions
+   * @returns {SessionOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      method: 'starling:session',
+      timeout: 5000,
+      resync: [],
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * Asks the server for the recovery result
+   * @private
+   * @returns {Promise<SessionOutcome>}
+   */
+  async _request() {
+    try {
+      const response = await this._starling.request(this._options.method, null, {
+        timeout: this._options.timeout,
+        outbox: false
+      });
+
+      return response?.recovered
+        ? { recovered: true, sessionId: response.sessionId ?? null }
+        : { recovered: false, sessionId: response?.sessionId ?? null, reason: 'rejected' };
+    } catch (error) {
+      this._log(`Recovery result unavailable: ${error.message}`);
+      return { recovered: false, sessionId: null, reason: 'unsupported' };
+    }
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:session:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[SessionManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -1,6 +1,8 @@
 // managers/state.js
 
 import { getCurrentTimestamp } from '@helios-starling/utils';
+import { resolveStorage } from '../storage';
+import { ErrorCodes, StateError } from '../core/errors';
 
 /**
  * @typedef {Object} StateManagerOptions
@@ -9,7 +11,17 @@ import { getCurrentTimestamp } from '@helios-starling/utils';
  * @property {number} [retryAttempts=3] Number of retry attempts on failure
  * @property {number} [retryDelay=1000] Delay between retry attempts (ms)
  * @property {boolean} [forceRefreshOnReconnect=true] Force a refresh after reconnect
- * @property {boolean} [debug=false] Enable debug logs
+ * @property {import('../storage').StorageOption|null} [storage=null] Where to persist the recovery token
+ * @property {string} [storageKey] Storage key (defaults to one derived from the primary endpoint URL)
+ * @property {number|null} [tokenTtl=null] Token lifetime (ms) when the server does not send `expiresAt`
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {Object} RecoveryRecord
+ * @property {string} token Recovery token
+ * @property {number|null} lastRefresh Refresh timestamp
+ * @property {number|null} expiresAt Expiry timestamp, null when unknown
  */
 
 /**
@@ -31,16 +43,30 @@ export class StateManager {
       retryAttempts: 3,
       retryDelay: 1000,
       forceRefreshOnReconnect: true,
+      storage: null,
+      storageKey: starling.url
+        ? `starling:recovery:${starling.url.host}${starling.url.pathname}`
+        : 'starling:recovery',
+      tokenTtl: null,
       debug: false,
       ...options
     };
 
+    /** @private */
+    this._logger = starling.logger.child('state', { level: this._options.debug ? 'debug' : undefined });
+
+    /** @private */
+    this._storage = resolveStorage(this._options.storage);
+
     /** @private */
     this._token = null;
 
     /** @private */
     this._lastRefresh = null;
 
+    /** @private */
+    this._expiresAt = null;
+
     /** @private */
     this._refreshTimer = null;
 
@@ -59,6 +85,12 @@ export class StateManager {
 
     // Bind event handlers
     this._bindEvents();
+
+    /**
+     * Resolves once the persisted token, if any, has been restored
+     * @type {Promise<void>}
+     */
+    this.ready = this._restore();
   }
 
   /**
@@ -67,10 +99,11 @@ export class StateManager {
    * @param {boolean} [options.force=false] Ignore minimum interval
    * @param {number} [options.timeout] Custom timeout
    * @returns {Promise<string>} Recovery token
+   * @throws {StateError} With code `STATE_REFRESH_IN_PROGRESS`, `STATE_REFRESH_THROTTLED` or `STATE_REFRESH_FAILED`
    */
   async refresh(options = {}) {
     if (this._refreshing) {
-      throw new Error('Refresh already in progress');
+      throw new StateError('Refresh already in progress', { code: ErrorCodes.STATE_REFRESH_IN_PROGRESS });
     }
 
     const now = getCurrentTimestamp();
@@ -79,7 +112,11 @@ export class StateManager {
     if (!options.force && this._lastRefresh) {
       const elapsed = now - this._lastRefresh;
       if (elapsed < this._options.minRefreshInterval) {
-        throw new Error(`Minimum refresh interval not reached (${Math.floor((this._options.minRefreshInterval - elapsed) / 1000)}s remaining)`);
+        const remaining = this._options.minRefreshInterval - elapsed;
+        throw new StateError(`Minimum refresh interval not reached (${Math.floor(remaining / 1000)}s remaining)`, {
+          code: ErrorCodes.STATE_REFRESH_THROTTLED,
+          details: { remaining }
+        });
       }
     }
 
@@ -90,13 +127,18 @@ export class StateManager {
       while (attempts < this._options.retryAttempts) {
         try {
           const response = await this._starling.request('starling:state', null, {
-            timeout: options.timeout
+            timeout: options.timeout,
+            outbox: false
           });
 
           this._token = response.token;
           this._lastRefresh = now;
+          this._expiresAt = response.expiresAt
+            ?? (this._options.tokenTtl ? now + this._options.tokenTtl : null);
           this._metrics.refreshes++;
 
+          await this._persist();
+
           this._debug('Token refreshed successfully');
           this._scheduleNextRefresh();
 
@@ -112,7 +154,10 @@ export class StateManager {
           this._debug(`Refresh attempt ${attempts} failed: ${error.message}`);
 
           if (attempts >= this._options.retryAttempts) {
-            throw error;
+            throw new StateError(`State token refresh failed: ${error.message}`, {
+              cause: error,
+              details: { attempts }
+            });
           }
 
           // Attendre avant de réessayer
@@ -131,8 +176,8 @@ export class StateManager {
   async ensureFreshToken() {
     const now = getCurrentTimestamp();
     
-    // If no token or last refresh time, refresh immediately
-    if (!this._token || !this._lastRefresh) {
+    // If no valid token or last refresh time, refresh immediately
+    if (!this.token || !this._lastRefresh) {
       return this.refresh({ force: true });
     }
 
@@ -145,18 +190,106 @@ export class StateManager {
   }
 
   /**
-   * Get the current token
+   * Forget the current token, including its persisted copy
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._token = null;
+    this._lastRefresh = null;
+    this._expiresAt = null;
+
+    if (this._refreshTimer) {
+      clearTimeout(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+
+    try {
+      await this._storage?.remove(this._options.storageKey);
+    } catch (error) {
+      this._debug(`Failed to remove persisted token: ${error.message}`);
+    }
+
+    this._starling.events.emit('state:cleared', {
+      debug: {
+        type: 'info',
+        message: 'State token cleared'
+      }
+    });
+  }
+
+  /**
+   * Current token with its refresh timestamp and expiry, as persisted
+   * @returns {RecoveryRecord|null} Null without a valid token
+   */
+  snapshot() {
+    if (!this.token) return null;
+    return {
+      token: this._token,
+      lastRefresh: this._lastRefresh,
+      expiresAt: this._expiresAt
+    };
+  }
+
+  /**
+   * Takes over a token obtained elsewhere (e.g. by another tab), unless it is expired or older than the current one
+   * @param {RecoveryRecord|null} record
+   * @returns {Promise<boolean>} Whether the token was adopted
+   */
+  async adopt(record) {
+    await this.ready;
+    if (!record?.token || record.token === this._token) return false;
+    if (record.expiresAt && getCurrentTimestamp() >= record.expiresAt) return false;
+    if (this._token && (record.lastRefresh ?? 0) < (this._lastRefresh ?? 0)) return false;
+
+    this._token = record.token;
+    this._lastRefresh = record.lastRefresh ?? null;
+    this._expiresAt = record.expiresAt ?? null;
+
+    await this._persist();
+    this._debug('Token adopted');
+    this._starling.events.emit('state:adopted', {
+      token: this._token,
+      expiresAt: this._expiresAt,
+      debug: {
+        type: 'info',
+        message: 'State token adopted'
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Get the current token, null when missing or expired
    * @returns {string|null} Recovery token or null
    */
   get token() {
+    if (this._expiresAt && getCurrentTimestamp() >= this._expiresAt) {
+      return null;
+    }
     return this._token;
   }
 
+  /**
+   * Get the current token expiry timestamp
+   * @returns {number|null} Expiry timestamp or null when unknown
+   */
+  get expiresAt() {
+    return this._expiresAt;
+  }
+
   /**
    * Get connection metrics
    * @returns {Object} Metrics object
    */
   get metrics() {
+    return this.getMetrics();
+  }
+
+  /**
+   * Get connection metrics
+   * @returns {Object} Metrics object
+   */
+  getMetrics() {
     return {
       ...this._metrics,
       lastRefresh: this._lastRefresh,
@@ -201,6 +334,11 @@ export class StateManager {
       }
     });
 
+    this._starling.events.on('starling:recovery:rejected', () => {
+      this._debug('Recovery rejected by the server, discarding token');
+      this.clear();
+    });
+
     this._starling.events.on('starling:disconnected', () => {
       this._metrics.lastDisconnect = getCurrentTimestamp();
       // Stop the refresh timer
@@ -211,6 +349,63 @@ export class StateManager {
     });
   }
 
+  /**
+   * Restore the persisted token
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _restore() {
+    if (!this._storage) return;
+
+    try {
+      const record = await this._storage.get(this._options.storageKey);
+      if (!record?.token) return;
+
+      if (record.expiresAt && getCurrentTimestamp() >= record.expiresAt) {
+        this._debug('Persisted token expired, discarding it');
+        await this._storage.remove(this._options.storageKey);
+        return;
+      }
+
+      // A refresh may have completed while the storage was being read
+      if (this._token) return;
+
+      this._token = record.token;
+      this._lastRefresh = record.lastRefresh ?? null;
+      this._expiresAt = record.expiresAt ?? null;
+
+      this._starling.events.emit('state:restored', {
+        token: this._token,
+        expiresAt: this._expiresAt,
+        debug: {
+          type: 'info',
+          message: 'State token restored from storage'
+        }
+      });
+    } catch (error) {
+      this._debug(`Failed to restore persisted token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist the current token
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _persist() {
+    if (!this._storage) return;
+
+    try {
+      await this._storage.set(this._options.storageKey, {
+        token: this._token,
+        lastRefresh: this._lastRefresh,
+        expiresAt: this._expiresAt
+      });
+    } catch (error) {
+      this._debug(`Failed to persist token: ${error.message}`);
+    }
+  }
+
   /**
    * Schedule the next refresh
    * @private
@@ -253,11 +448,13 @@ export class StateManager {
   }
 
   /**
-   * Debug log
+   * Debug log, also emitted as an event when debug is enabled
    * @param {string} message Debug message
+   * @param {Object} [fields] Structured context
    * @private
    */
-  _debug(message) {
+  _debug(message, fields) {
+    this._logger.debug(message, fields);
     if (this._options.debug) {
       this._starling.events.emit('state:debug', {
         message,
@@ -0,0 +1,289 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { ConnectionStatus } from '../core/status';
+import { Stream } from '../core/stream';
+
+/**
+ * @typedef {Object} StreamManagerOptions
+ * @property {string} [openMethod='starling:stream'] Method called with `{ id, method, payload, window, since }` to open or resume a stream
+ * @property {string} [frameTopic='starling:stream:frame'] Topic of the frames sent by the server
+ * @property {string} [ackTopic='starling:stream:ack'] Topic notified with `{ id, sequence, window }` as frames are read
+ * @property {string} [cancelTopic='starling:stream:cancel'] Topic notified with `{ id, reason }` when a stream is cancelled
+ * @property {number} [window=16] Frames the server may send ahead of the consumer
+ * @property {number} [timeout=10000] Timeout of the requests opening the streams (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * Runs streaming requests: the server answers with frames read through {@link Stream}, sends more as they are read,
+ * and resumes them from the last frame received once a session is recovered
+ */
+export class StreamManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {StreamManagerOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = {
+      openMethod: 'starling:stream',
+      frameTopic: 'starling:stream:frame',
+      ackTopic: 'starling:stream:ack',
+      cancelTopic: 'starling:stream:cancel',
+      window: 16,
+      timeout: 10000,
+      debug: false,
+      ...options
+    };
+
+    /** @private */
+    this._logger = starling.logger.child('streams', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * Streams not finished yet, by id
+     * @private
+     * @type {Map<string, Stream>}
+     */
+    this._streams = new Map();
+
+    /**
+     * Removes the abort listener of a stream opened with a signal, by id
+     * @private
+     * @type {Map<string, () => void>}
+     */
+    this._detach = new Map();
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Streams not finished yet
+   * @returns {Stream[]}
+   */
+  list() {
+    return [...this._streams.values()];
+  }
+
+  /**
+   * Opens a streaming request
+   * @template [T=any]
+   * @param {string} method
+   * @param {any} [payload]
+   * @param {import('../core/stream').StreamOptions} [options]
+   * @returns {Stream<T>}
+   * @throws {StarlingError} When the window is not a positive integer
+   */
+  open(method, payload, options = {}) {
+    const { window = this._options.window, signal, timeout = this._options.timeout } = options;
+    if (!Number.isInteger(window) || window < 1) {
+      throw new StarlingError('Stream window must be a positive integer', { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
+    const stream = new Stream(this, crypto.randomUUID(), method, payload, window);
+    this._streams.set(stream.id, stream);
+
+    if (signal) {
+      const abort = () => stream.cancel('Aborted', new StarlingError('Stream aborted', {
+        code: ErrorCodes.STREAM_CANCELLED,
+        cause: signal.reason,
+        details: { stream: stream.id, method }
+      }));
+      if (signal.aborted) {
+        abort();
+        return stream;
+      }
+      signal.addEventListener('abort', abort, { once: true });
+      this._detach.set(stream.id, () => signal.removeEventListener('abort', abort));
+    }
+
+    this._log(`Opening stream ${stream.id} on ${method}`);
+    this._send(stream, timeout);
+    return stream;
+  }
+
+  /**
+   * Resumes the streams interrupted by the connection loss when the session was recovered, fails them otherwise
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    const interrupted = this.list().filter(stream => stream.status === 'interrupted');
+    if (interrupted.length === 0) return;
+
+    if (!this._starling.session.outcome?.recovered) {
+      interrupted.forEach(stream => this._interrupt(stream, 'Session lost'));
+      return;
+    }
+
+    this._log(`Resuming ${interrupted.length} streams`);
+    await Promise.all(interrupted.map(stream => this._send(stream, this._options.timeout, true)));
+  }
+
+  /**
+   * Credits the server with the frames read
+   * @param {Stream} stream
+   */
+  acknowledge(stream) {
+    if (!this._streams.has(stream.id) || !this._starling.connected) return;
+    this._notify(this._options.ackTopic, { id: stream.id, sequence: stream.consumed, window: stream.window });
+  }
+
+  /**
+   * Tells the server to stop a stream
+   * @param {Stream} stream
+   * @param {string} reason
+   */
+  cancel(stream, reason) {
+    this._log(`Stream ${stream.id} cancelled: ${reason}`);
+    this._starling.events.emit('starling:stream:cancelled', {
+      id: stream.id,
+      method: stream.method,
+      reason,
+      debug: {
+        type: 'info',
+        message: `Stream ${stream.id} on ${stream.method} cancelled`
+      }
+    });
+
+    if (this._starling.connected) {
+      this._notify(this._options.cancelTopic, { id: stream.id, reason });
+    }
+  }
+
+  /**
+   * Forgets a finished stream
+   * @param {Stream} stream
+   */
+  release(stream) {
+    this._streams.delete(stream.id);
+    this._detach.get(stream.id)?.();
+    this._detach.delete(stream.id);
+  }
+
+  /**
+   * Opens or resumes a stream on the server
+   * @private
+   * @param {Stream} stream
+   * @param {number} timeout
+   * @param {boolean} [resuming=false]
+   * @returns {Promise<void>}
+   */
+  async _send(stream, timeout, resuming = false) {
+    try {
+      await this._starling.request(this._options.openMethod, {
+        id: stream.id,
+        method: stream.method,
+        payload: stream.payload,
+        window: resuming ? stream.credit() : stream.window,
+        ...(resuming && { since: stream.received })
+      }, {
+        timeout,
+        outbox: false
+      });
+      stream.opened();
+
+      if (resuming) {
+        this._log(`Stream ${stream.id} resumed after frame ${stream.received}`);
+        this._starling.events.emit('starling:stream:resumed', {
+          id: stream.id,
+          method: stream.method,
+          since: stream.received,
+          debug: {
+            type: 'info',
+            message: `Stream ${stream.id} on ${stream.method} resumed`
+          }
+        });
+      }
+    } catch (error) {
+      if (stream.finished) return;
+
+      // A connection lost on the way is handled like one lost while streaming
+      if (stream.status === 'interrupted') return;
+
+      this._logger.warn('Stream refused', { id: stream.id, method: stream.method, error });
+      stream.fail(error instanceof StarlingError ? error : new StarlingError(error.message, {
+        code: error.code || ErrorCodes.REQUEST_FAILED,
+        cause: error,
+        details: { stream: stream.id, method: stream.method }
+      }));
+    }
+  }
+
+  /**
+   * Fails a stream that cannot be resumed
+   * @private
+   * @param {Stream} stream
+   * @param {string} reason
+   */
+  _interrupt(stream, reason) {
+    this._logger.warn('Stream interrupted', { id: stream.id, method: stream.method, reason });
+    stream.fail(new StarlingError(`Stream interrupted: ${reason}`, {
+      code: ErrorCodes.STREAM_INTERRUPTED,
+      retryable: true,
+      details: { stream: stream.id, method: stream.method, received: stream.received }
+    }));
+  }
+
+  /**
+   * @private
+   * @param {string} topic
+   * @param {Object} data
+   */
+  _notify(topic, data) {
+    try {
+      this._starling.notify(topic, data);
+    } catch (error) {
+      this._log(`Could not notify ${topic}`, { error });
+    }
+  }
+
+  /**
+   * Routes the frames to their stream and follows the connection
+   * @private
+   */
+  _setupEventListeners() {
+    this._starling.on(this._options.frameTopic, context => {
+      const frame = context.data;
+      const stream = this._streams.get(frame?.id);
+      if (!stream) {
+        this._log(`Frame of unknown stream ${frame?.id} dropped`);
+        return;
+      }
+      stream.push(frame);
+    });
+
+    this._starling.events.on('starling:status', ({ previous, next }) => {
+      if (previous === ConnectionStatus.OPEN) {
+        this._streams.forEach(stream => stream.interrupt());
+      }
+      // Nothing will recover the session
+      if (next === ConnectionStatus.CLOSED || next === ConnectionStatus.FAILED) {
+        this.list()
+          .filter(stream => stream.status === 'interrupted')
+          .forEach(stream => this._interrupt(stream, `connection ${next}`));
+      }
+    });
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:streams:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[StreamManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError } from '../core/errors';
+
+/**
+ * @typedef {Object} SubscriptionManagerOptions
+ * @property {string} [subscribeMethod='starling:subscribe'] Method called with `{ topic, options, since }`
+ * @property {string} [unsubscribeMethod='starling:unsubscribe'] Method called with `{ topic }`
+ * @property {number} [timeout=10000] Timeout of those requests (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * @typedef {'pending'|'active'|'failed'} SubscriptionStatus
+ * `pending`: waiting to be sent or acknowledged, `active`: acknowledged in the current session,
+ * `failed`: refused by the server
+ */
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} topic
+ * @property {Object} options Options sent to the server
+ * @property {SubscriptionStatus} status
+ * @property {number|null} acknowledgedAt Last acknowledgement timestamp
+ * @property {number|null} sequence Sequence of the last notification seen, sent as `since` when replayed
+ * @property {number|null} receivedAt Timestamp of the last notification seen
+ * @property {StarlingError|null} error Why the server refused the subscription
+ */
+
+/**
+ * @typedef {(notification: any) => void} TopicHandler
+ */
+
+/**
+ * Records topic subscriptions and replays them on the server whenever a new session starts
+ */
+export class SubscriptionManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {SubscriptionManagerOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = this._initializeOptions(options);
+
+    /** @private */
+    this._logger = starling.logger.child('subscriptions', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * Subscriptions with their handlers and the subscribe request sent in the current session
+     * @private
+     * @type {Map<string, Subscription & {listeners: Array<() => void>, request: Promise<any>|null}>}
+     */
+    this._subscriptions = new Map();
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Subscribes to a topic on the server, optionally registering a handler for its notifications
+   * @param {string} topic
+   * @param {TopicHandler|Object} [handler] Handler, or the options when there is none
+   * @param {Object} [options] Options sent to the server, except `schema` validating the notification data
+   * @returns {Promise<Subscription>} Resolves once acknowledged, or right away with a pending subscription while disconnected
+   * @throws {StarlingError} `SUBSCRIPTION_FAILED` when the server refuses it
+   */
+  async subscribe(topic, handler, options) {
+    if (typeof handler !== 'function') {
+      options = handler;
+      handler = null;
+    }
+
+    const { schema, ...serverOptions } = options || {};
+
+    let subscription = this._subscriptions.get(topic);
+    if (!subscription) {
+      subscription = {
+        topic,
+        options: {},
+        status: 'pending',
+        acknowledgedAt: null,
+        sequence: null,
+        receivedAt: null,
+        error: null,
+        listeners: [],
+        request: null
+      };
+      this._subscriptions.set(topic, subscription);
+    }
+
+    subscription.options = options ? serverOptions : subscription.options;
+    subscription.status = 'pending';
+    subscription.error = null;
+
+    if (handler) {
+      subscription.listeners.push(this._listen(subscription, handler, schema));
+    }
+
+    if (!this._starling.connected) {
+      this._log(`Subscription to ${topic} queued until connected`);
+      return this._snapshot(subscription);
+    }
+
+    await this._send(subscription);
+    if (subscription.status === 'failed') {
+      throw subscription.error;
+    }
+    return this._snapshot(subscription);
+  }
+
+  /**
+   * Removes a subscription and its handlers
+   * @param {string} topic
+   * @returns {Promise<boolean>} Whether the topic was subscribed
+   */
+  async unsubscribe(topic) {
+    const subscription = this._subscriptions.get(topic);
+    if (!subscription) return false;
+
+    this._subscriptions.delete(topic);
+    subscription.listeners.forEach(remove => remove());
+
+    // A subscribe still in flight may be acknowledged after this, the server is told once it settles
+    if (subscription.request) {
+      await subscription.request.catch(() => {});
+    }
+
+    if (subscription.request && this._starling.connected) {
+      try {
+        await this._starling.request(this._options.unsubscribeMethod, { topic }, {
+          timeout: this._options.timeout,
+          outbox: false
+        });
+      } catch (error) {
+        // The server drops it with the session anyway
+        this._logger.warn('Unsubscribe failed', { topic, error });
+      }
+    }
+
+    this._starling.events.emit('starling:subscription:removed', {
+      topic,
+      debug: {
+        type: 'info',
+        message: `Unsubscribed from ${topic}`
+      }
+    });
+    return true;
+  }
+
+  /**
+   * @param {string} topic
+   * @returns {Subscription|null}
+   */
+  get(topic) {
+    const subscription = this._subscriptions.get(topic);
+    return subscription ? this._snapshot(subscription) : null;
+  }
+
+  /**
+   * Every recorded subscription
+   * @returns {Subscription[]}
+   */
+  list() {
+    return [...this._subscriptions.values()].map(subscription => this._snapshot(subscription));
+  }
+
+  /**
+   * Subscriptions acknowledged in the current session
+   * @returns {Subscription[]}
+   */
+  get active() {
+    return this.list().filter(subscription => subscription.status === 'active');
+  }
+
+  /**
+   * Records a notification received on a topic, with its sequence number when it has one
+   * @param {string} topic
+   * @param {number} [sequence]
+   */
+  track(topic, sequence) {
+    const subscription = this._subscriptions.get(topic);
+    if (!subscription) return;
+
+    subscription.receivedAt = getCurrentTimestamp();
+    if (Number.isFinite(sequence)) {
+      subscription.sequence = Math.max(subscription.sequence ?? sequence, sequence);
+    }
+  }
+
+  /**
+   * Sends the subscriptions the server does not know about, once the connection is open
+   * @returns {Promise<void>}
+   */
+  async replay() {
+    const pending = [...this._subscriptions.values()].filter(subscription => subscription.status === 'pending');
+    if (pending.length === 0) return;
+
+    this._log(`Replaying ${pending.length} subscriptions`);
+    await Promise.all(pending.map(subscription => this._send(subscription)));
+  }
+
+  /**
+   * Initializes manager options with defaults
+   * @private
+   * @param {SubscriptionManagerOptions} userOptions
+   * @returns {SubscriptionManagerOptions}
+   */
+  _initializeOptions(userOptions) {
+    return {
+      subscribeMethod: 'starling:subscribe',
+      unsubscribeMethod: 'starling:unsubscribe',
+      timeout: 10000,
+      debug: false,
+      ...userOptions
+    };
+  }
+
+  /**
+   * @private
+   */
+  _setupEventListeners() {
+    // A new session lost the server side subscriptions, they are replayed once open
+    this._starling.events.on('starling:session:new', () => {
+      for (const subscription of this._subscriptions.values()) {
+        subscription.request = null;
+        if (subscription.status === 'active') {
+          subscription.status = 'pending';
+        }
+      }
+    });
+  }
+
+  /**
+   * Registers a topic handler
+   * @private
+   * @param {Subscription} subscription
+   * @param {TopicHandler} handler
+   * @param {import('./validation').Schema} [schema] Schema of the notification data
+   * @returns {() => void} Removes the handler
+   */
+  _listen(subscription, handler, schema) {
+    const remove = this._starling.on(subscription.topic, handler, { schema });
+    return typeof remove === 'function' ? remove : () => this._starling.off?.(subscription.topic, handler);
+  }
+
+  /**
+   * Asks the server for a subscription and records the acknowledgement
+   * @private
+   * @param {Subscription} subscription
+   * @returns {Promise<void>}
+   */
+  async _send(subscription) {
+    const { topic } = subscription;
+
+    try {
+      const request = this._starling.request(this._options.subscribeMethod, {
+        topic,
+        options: subscription.options,
+        ...(subscription.sequence !== null && { since: subscription.sequence })
+      }, {
+        timeout: this._options.timeout,
+        outbox: false
+      });
+      subscription.request = request;
+      const response = await request;
+
+      // Unsubscribed while waiting
+      if (this._subscriptions.get(topic) !== subscription) return;
+
+      subscription.status = 'active';
+      subscription.acknowledgedAt = getCurrentTimestamp();
+      if (Number.isFinite(response?.sequence)) {
+        subscription.sequence = response.sequence;
+      }
+
+      this._log(`Subscribed to ${topic}`, { sequence: subscription.sequence });
+      this._starling.events.emit('starling:subscription:active', {
+        subscription: this._snapshot(subscription),
+        debug: {
+          type: 'info',
+          message: `Subscribed to ${topic}`
+        }
+      });
+    } catch (cause) {
+      // Lost with the connection, replayed on the next one
+      if (!this._starling.connected || this._subscriptions.get(topic) !== subscription) return;
+
+      subscription.status = 'failed';
+      subscription.error = new StarlingError(`Subscription to ${topic} failed: ${cause.message}`, {
+        code: ErrorCodes.SUBSCRIPTION_FAILED,
+        cause,
+        details: { topic }
+      });
+
+      this._logger.warn('Subscription failed', { topic, error: cause });
+      this._starling.events.emit('starling:subscription:failed', {
+        topic,
+        error: subscription.error,
+        debug: {
+          type: 'error',
+          message: subscription.error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * @private
+   * @param {Subscription} subscription
+   * @returns {Subscription}
+   */
+  _snapshot(subscription) {
+    const { listeners, request, ...snapshot } = subscription;
+    return { ...snapshot, options: { ...snapshot.options } };
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:subscriptions:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[SubscriptionManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,264 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { ErrorCodes, StarlingError, ValidationError } from '../core/errors';
+
+/**
+ * Zod schema, or any object with a compatible `safeParse`
+ * @typedef {import('zod').ZodTypeAny} Schema
+ */
+
+/**
+ * @typedef {Object} MethodSchema
+ * @property {Schema} [payload] Schema of the request payload
+ * @property {Schema} [result] Schema of the response data
+ */
+
+/**
+ * @typedef {Object} ValidationOptions
+ * @property {Object<string, MethodSchema>} [methods] Schemas of the methods called and handled, by name
+ * @property {Object<string, Schema>} [topics] Schemas of the notification data, by topic
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+
+/**
+ * Method map inferred from method schemas, typing `client.api`
+ * @template {Object<string, MethodSchema>} S
+ * @typedef {{
+ *   [K in keyof S]: (...args: S[K] extends {payload: Schema} ? [payload: import('zod').input<S[K]['payload']>] : [payload?: any])
+ *     => S[K] extends {result: Schema} ? import('zod').output<S[K]['result']> : any
+ * }} InferMethods
+ */
+
+/**
+ * Validates payloads, results and notification data against their schemas
+ */
+export class ValidationManager {
+  /**
+   * @param {import('../core/starling').Starling} starling
+   * @param {ValidationOptions} [options]
+   */
+  constructor(starling, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._options = {
+      debug: false,
+      ...options
+    };
+
+    /** @private */
+    this._logger = starling.logger.child('validation', { level: this._options.debug ? 'debug' : undefined });
+
+    /**
+     * @private
+     * @type {Map<string, MethodSchema>}
+     */
+    this._methods = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, Schema>}
+     */
+    this._topics = new Map();
+
+    this.register(this._options);
+  }
+
+  /**
+   * Registers method and topic schemas, replacing those with the same name
+   * @param {{methods?: Object<string, MethodSchema>, topics?: Object<string, Schema>}} schemas
+   * @throws {StarlingError} When a schema has no `safeParse`
+   */
+  register({ methods = {}, topics = {} }) {
+    for (const [name, schema] of Object.entries(methods)) {
+      this._assertSchema(schema.payload, `payload of ${name}`);
+      this._assertSchema(schema.result, `result of ${name}`);
+      this._methods.set(name, schema);
+    }
+
+    for (const [topic, schema] of Object.entries(topics)) {
+      this._assertSchema(schema, `data of ${topic}`);
+      this._topics.set(topic, schema);
+    }
+  }
+
+  /**
+   * Parses a value with a schema
+   * @param {Schema} schema
+   * @param {any} value
+   * @param {Object} [details] Context of the value (method, topic, target)
+   * @returns {any} The parsed value, with the schema defaults and transforms applied
+   * @throws {ValidationError} When the value does not match
+   */
+  validate(schema, value, details = {}) {
+    const result = schema.safeParse(value);
+    if (result.success) return result.data;
+
+    const issues = (result.error?.issues ?? [{ path: [], message: String(result.error?.message ?? result.error) }])
+      .map(({ path, message, code }) => ({ path, message, ...(code && { code }) }));
+    const [first = { path: [], message: 'Invalid value' }] = issues;
+    const where = details.method ?? details.topic;
+
+    throw new ValidationError(
+      `Invalid ${details.target || 'value'}${where ? ` of ${where}` : ''}: ${first.path.length ? `${first.path.join('.')}: ` : ''}${first.message}`,
+      { details: { ...details, issues } }
+    );
+  }
+
+  /**
+   * Validates a request payload before sending it, and its response once received
+   * @param {string} method
+   * @param {any} payload
+   * @param {Object|undefined} options Request options, `schema` overrides the registered method schema
+   * @param {(method: string, payload: any, options?: Object) => any} send Sends the request
+   * @returns {any} The request, or a promise of its validated result
+   */
+  request(method, payload, options, send) {
+    const { schema = this._methods.get(method), ...requestOptions } = options || {};
+    if (!schema) return send(method, payload, options);
+
+    let data = payload;
+    if (schema.payload) {
+      try {
+        data = this.validate(schema.payload, payload, { direction: 'outgoing', method, target: 'payload' });
+      } catch (error) {
+        this._failed(error);
+        return Promise.reject(error);
+      }
+    }
+
+    const pending = send(method, data, requestOptions);
+    if (!schema.result) return pending;
+
+    return Promise.resolve(pending).then(result => {
+      try {
+        return this.validate(schema.result, result, { direction: 'incoming', method, target: 'result' });
+      } catch (error) {
+        this._failed(error);
+        this._sendError(error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Wraps a method handler, answering invalid payloads with a validation error
+   * and checking the results it sends
+   * @param {string} name
+   * @param {Function} handler
+   * @param {MethodSchema} [schema] Overrides the registered method schema
+   * @returns {Function}
+   */
+  method(name, handler, schema = this._methods.get(name)) {
+    if (!schema) return handler;
+
+    return context => {
+      if (schema.payload) {
+        try {
+          context.payload = this.validate(schema.payload, context.payload, { direction: 'incoming', method: name, target: 'payload' });
+        } catch (error) {
+          this._failed(error);
+          context.error(error.code, error.message, error.details);
+          return;
+        }
+      }
+
+      if (schema.result) {
+        const success = context.success.bind(context);
+        context.success = data => {
+          try {
+            return success(this.validate(schema.result, data, { direction: 'outgoing', method: name, target: 'result' }));
+          } catch (error) {
+            this._failed(error);
+            return context.error(error.code, error.message, error.details);
+          }
+        };
+      }
+
+      return handler(context);
+    };
+  }
+
+  /**
+   * Wraps a topic handler, dropping the notifications with invalid data
+   * @param {string} topic
+   * @param {Function} handler
+   * @param {Schema} [schema] Overrides the registered topic schema
+   * @returns {Function}
+   */
+  topic(topic, handler, schema = this._topics.get(topic)) {
+    if (!schema) return handler;
+
+    return context => {
+      try {
+        context.data = this.validate(schema, context.data, { direction: 'incoming', topic, target: 'data' });
+      } catch (error) {
+        this._failed(error);
+        this._sendError(error);
+        return;
+      }
+      return handler(context);
+    };
+  }
+
+  /**
+   * @private
+   * @param {any} schema
+   * @param {string} name
+   */
+  _assertSchema(schema, name) {
+    if (schema !== undefined && typeof schema?.safeParse !== 'function') {
+      throw new StarlingError(`Schema of the ${name} must have a safeParse method`, { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+  }
+
+  /**
+   * Reports an invalid value
+   * @private
+   * @param {ValidationError} error
+   */
+  _failed(error) {
+    this._logger.warn(error.message, { issues: error.details.issues });
+    this._starling.events.emit('starling:validation:failed', {
+      ...error.details,
+      error,
+      debug: {
+        type: 'warning',
+        message: error.message
+      }
+    });
+  }
+
+  /**
+   * Tells the server that a message it sent was rejected
+   * @private
+   * @param {ValidationError} error
+   */
+  _sendError(error) {
+    try {
+      this._starling.sendError(error.code, error.message, error.details);
+    } catch (cause) {
+      this._log('Could not report the validation error', { error: cause });
+    }
+  }
+
+  /**
+   * Logs a debug message, also emitted as an event when debug is enabled
+   * @private
+   * @param {string} message
+   * @param {Object} [fields] Structured context
+   */
+  _log(message, fields) {
+    this._logger.debug(message, fields);
+    if (this._options.debug) {
+      this._starling.events.emit('starling:validation:debug', {
+        message,
+        timestamp: getCurrentTimestamp(),
+        debug: {
+          type: 'debug',
+          message: `[ValidationManager] ${message}`
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,132 @@
+import { StarlingError } from '../core/errors';
+
+/**
+ * Port the tabs talk over: a `BroadcastChannel`, or the port of a `SharedWorker`
+ * @typedef {Object} SharedPort
+ * @property {(message: any) => void} postMessage
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} addEventListener
+ * @property {() => void} [start]
+ * @property {() => void} [close]
+ */
+
+/**
+ * @typedef {Object} SharedMessage
+ * @property {string} protocol Always {@link SHARED_PROTOCOL}
+ * @property {string} kind
+ * @property {string} from Sending tab, or `worker`
+ * @property {string} [to] Recipient tab, every tab when omitted
+ */
+
+/**
+ * Tags the shared connection messages, other messages on the port are ignored
+ */
+export const SHARED_PROTOCOL = 'starling-shared';
+
+/**
+ * Events of the connection owner relayed to every tab
+ */
+export const SHARED_EVENTS = Object.freeze([
+  'starling:status',
+  'starling:connected',
+  'starling:disconnected',
+  'starling:connect:failed',
+  'starling:session:recovered',
+  'starling:session:new',
+  'starling:recovery:rejected',
+  'starling:reconnect:started',
+  'starling:reconnect:stopped',
+  'starling:reconnect:failed',
+  'state:refreshed',
+  'state:cleared'
+]);
+
+/**
+ * Listens to the shared connection messages of a port
+ * @param {SharedPort} port
+ * @param {(message: SharedMessage) => void} handler
+ */
+export const listen = (port, handler) => {
+  port.addEventListener('message', event => {
+    if (event.data?.protocol === SHARED_PROTOCOL) handler(event.data);
+  });
+  port.start?.();
+};
+
+/**
+ * Copy of a value that survives `postMessage`: functions are dropped, errors keep their `toJSON`
+ * @param {any} value
+ * @returns {any}
+ */
+export const toCloneable = value => {
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {any} error
+ * @returns {{code: string, message: string, details?: Object, retryable?: boolean}}
+ */
+export const serializeError = error => ({
+  code: error?.code || 'REQUEST_FAILED',
+  message: error?.message || String(error),
+  ...(error?.details !== undefined && { details: toCloneable(error.details) }),
+  ...(error?.retryable !== undefined && { retryable: error.retryable })
+});
+
+/**
+ * @param {{code: string, message: string, details?: Object, retryable?: boolean}} error
+ * @returns {StarlingError}
+ */
+export const deserializeError = error => new StarlingError(error.message, {
+  code: error.code,
+  details: error.details,
+  retryable: error.retryable
+});
+
+/**
+ * Listeners of the events relayed to a tab
+ */
+export class SharedEvents {
+  constructor() {
+    /**
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    this._listeners = new Map();
+  }
+
+  /**
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {() => void} Removes the listener
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * @param {string} event
+   * @param {Function} listener
+   */
+  off(event, listener) {
+    this._listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * @param {string} event
+   * @param {any} [data]
+   */
+  emit(event, data) {
+    for (const listener of [...(this._listeners.get(event) || [])]) {
+      listener(data);
+    }
+  }
+}
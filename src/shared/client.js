@@ -0,0 +1,691 @@
+import { createClient } from '../core/client';
+import { ConnectionError, ErrorCodes, StarlingError } from '../core/errors';
+import { createRpcProxy } from '../core/rpc';
+import { ConnectionStatus } from '../core/status';
+import { SHARED_EVENTS, SHARED_PROTOCOL, SharedEvents, deserializeError, listen, serializeError, toCloneable } from './bus';
+import { LeaderElection } from './election';
+import { SharedHost } from './host';
+
+/**
+ * @typedef {Object} SharedOptions
+ * @property {string} [name] Name of the `BroadcastChannel` and Web Lock the tabs share, derived from the URL by default
+ * @property {{port: import('./bus').SharedPort}} [worker] `SharedWorker` owning the connection, see {@link serveSharedConnection}.
+ * The tabs elect one of them to own it otherwise.
+ * @property {number} [heartbeatInterval=1000] Delay between two heartbeats of the leading tab, in milliseconds
+ * @property {number} [leaderTimeout=3000] Silence after which the leading tab is considered gone, in milliseconds
+ */
+
+/**
+ * @typedef {import('../core/client').ClientOptions & {shared?: SharedOptions}} SharedClientOptions
+ */
+
+/**
+ * Statuses after which a new leader connects again
+ * @type {string[]}
+ */
+const RESUMED_STATUSES = [
+  ConnectionStatus.OPEN,
+  ConnectionStatus.CONNECTING,
+  ConnectionStatus.RECOVERING,
+  ConnectionStatus.RECONNECTING
+];
+
+/**
+ * Client sharing one connection between the tabs of a browser.
+ * The leading tab, or a `SharedWorker`, owns the connection and the other tabs go through it over a `BroadcastChannel`,
+ * with the same `request`, `notify`, topic and method surface as {@link Starling}.
+ * When the leading tab closes another one takes over and recovers the session with the shared recovery token.
+ * @template [M=any] Method map typing {@link SharedStarling#api}
+ */
+export class SharedStarling {
+  /**
+   * @param {string} url Server URL
+   * @param {SharedClientOptions} [options]
+   */
+  constructor(url, options = {}) {
+    const { shared = {}, ...clientOptions } = options;
+
+    /** @private */
+    this._url = url;
+
+    /** @private */
+    this._clientOptions = clientOptions;
+
+    /** @private */
+    this._options = {
+      name: `starling:shared:${url}`,
+      worker: null,
+      heartbeatInterval: 1000,
+      leaderTimeout: 3000,
+      ...shared
+    };
+
+    /**
+     * Id of the tab
+     * @type {string}
+     */
+    this.id = crypto.randomUUID();
+
+    /**
+     * Connection events, relayed from the client owning the connection
+     * @type {SharedEvents}
+     */
+    this.events = new SharedEvents();
+
+    /**
+     * Client owning the connection while this tab leads
+     * @private
+     * @type {import('../core/starling').Starling|null}
+     */
+    this._starling = null;
+
+    /**
+     * @private
+     * @type {SharedHost|null}
+     */
+    this._host = null;
+
+    /**
+     * Id of the tab owning the connection, `worker` for a `SharedWorker`
+     * @private
+     * @type {string|null}
+     */
+    this._leader = null;
+
+    /**
+     * Last status relayed by the leader
+     * @private
+     */
+    this._status = ConnectionStatus.IDLE;
+
+    /**
+     * Last recovery token relayed by the leader, adopted when taking over
+     * @private
+     * @type {import('../managers/state').RecoveryRecord|null}
+     */
+    this._token = null;
+
+    /**
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    this._topics = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, Function>}
+     */
+    this._methods = new Map();
+
+    /**
+     * Requests sent to the leader, waiting for its response
+     * @private
+     * @type {Map<string, {message: Object, resolve: Function, reject: Function}>}
+     */
+    this._pending = new Map();
+
+    /**
+     * Messages waiting for a leader
+     * @private
+     * @type {Object[]}
+     */
+    this._queue = [];
+
+    /**
+     * Whether `connect()` was called, the next leader connects then
+     * @private
+     */
+    this._wantsConnection = false;
+
+    /** @private */
+    this._closed = false;
+
+    /** @private */
+    this._port = this._options.worker ? this._options.worker.port : new BroadcastChannel(this._options.name);
+    listen(this._port, message => this._handle(message));
+
+    /** @private */
+    this._election = null;
+
+    if (this._options.worker) {
+      this._setLeader('worker');
+    } else {
+      this._election = new LeaderElection((kind, fields) => this._post({ kind, ...fields }), this.id, {
+        heartbeatInterval: this._options.heartbeatInterval,
+        leaderTimeout: this._options.leaderTimeout,
+        lockName: this._options.name
+      });
+      this._election.start({ onChange: leader => this._setLeader(leader) });
+    }
+
+    /**
+     * Leaves when the tab is unloaded, a page kept in the back/forward cache may come back and stays
+     * @private
+     * @param {Event & {persisted?: boolean}} event
+     */
+    this._onPageHide = event => {
+      if (!event.persisted) this.close();
+    };
+    globalThis.addEventListener?.('pagehide', this._onPageHide);
+
+    /**
+     * Methods of the server as nested functions: `api.user.get(payload)` requests `user:get`
+     * @type {import('../core/rpc').RpcApi<M>}
+     */
+    this.api = createRpcProxy((method, payload, options) => this.request(method, payload, options), this._clientOptions.rpc);
+  }
+
+  /**
+   * Whether this tab owns the connection
+   * @returns {boolean}
+   */
+  get isLeader() {
+    return this._starling !== null;
+  }
+
+  /**
+   * Id of the tab owning the connection, `worker` for a `SharedWorker`, null while unknown
+   * @returns {string|null}
+   */
+  get leader() {
+    return this._leader;
+  }
+
+  /**
+   * Client owning the connection while this tab leads, null otherwise
+   * @returns {import('../core/starling').Starling|null}
+   */
+  get starling() {
+    return this._starling;
+  }
+
+  /**
+   * Connection status, see {@link ConnectionStatus}
+   * @returns {ConnectionStatus}
+   */
+  get status() {
+    return this._starling ? this._starling.status : this._status;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get connected() {
+    return this.status === ConnectionStatus.OPEN;
+  }
+
+  /**
+   * Last recovery token shared between the tabs
+   * @returns {import('../managers/state').RecoveryRecord|null}
+   */
+  get token() {
+    return this._starling ? this._starling.recovery.snapshot() : this._token;
+  }
+
+  /**
+   * Connects the shared connection, resolving once it is open
+   * @returns {Promise<void>}
+   */
+  connect() {
+    this._wantsConnection = true;
+    if (this._host) return this._host.connect();
+    return this._call({ kind: 'connect' });
+  }
+
+  /**
+   * Sends a request through the shared connection.
+   * Payload and options must survive `postMessage`, functions and signals are dropped.
+   * @param {string} method
+   * @param {any} [payload]
+   * @param {Object} [options] Request options
+   * @returns {Promise<any>}
+   * @throws {StarlingError} `CONNECTION_LOST` when the leader changes before answering, safe to retry
+   */
+  request(method, payload, options) {
+    if (this._starling) return this._starling.request(method, payload, options);
+    return this._call({
+      kind: 'request',
+      method,
+      payload: toCloneable(payload),
+      options: toCloneable(options)
+    });
+  }
+
+  /**
+   * Sends a notification through the shared connection
+   * @param {string} topic
+   * @param {any} data
+   * @param {string} [requestId]
+   */
+  notify(topic, data, requestId) {
+    this._assertOpen();
+    if (this._starling) return this._starling.notify(topic, data, requestId);
+    this._post({ kind: 'notify', topic, data: toCloneable(data), requestId }, true);
+  }
+
+  /**
+   * Registers a topic handler, notifications being received by every tab listening to the topic
+   * @param {string} topic
+   * @param {Function} handler
+   * @returns {() => void} Removes the handler
+   */
+  on(topic, handler) {
+    this._assertOpen();
+    if (!this._topics.has(topic)) {
+      this._topics.set(topic, new Set());
+      this._listen(topic);
+    }
+    this._topics.get(topic).add(handler);
+    return () => this._topics.get(topic)?.delete(handler);
+  }
+
+  /**
+   * Registers a method handler, replacing the previous one of this tab.
+   * When several tabs register the same method, the last one handles it.
+   * @param {string} name
+   * @param {Function} handler
+   * @returns {() => void} Removes the handler
+   */
+  method(name, handler) {
+    this._assertOpen();
+    this._methods.set(name, handler);
+    this._register(name);
+    return () => {
+      if (this._methods.get(name) === handler) this._methods.delete(name);
+    };
+  }
+
+  /**
+   * Waits until the shared connection reaches a status
+   * @param {ConnectionStatus|ConnectionStatus[]} status Expected status, or any of several
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<ConnectionStatus>} The status reached
+   * @throws {StarlingError} `STATUS_TIMEOUT` when the timeout elapses first
+   */
+  waitFor(status, options = {}) {
+    const expected = [status].flat();
+    if (expected.includes(this.status)) return Promise.resolve(this.status);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const remove = this.events.on('starling:status', ({ next }) => {
+        if (!expected.includes(next)) return;
+        remove();
+        clearTimeout(timer);
+        resolve(next);
+      });
+
+      if (options.timeout !== undefined) {
+        timer = setTimeout(() => {
+          remove();
+          reject(new StarlingError(`Timed out waiting for status ${expected.join(' or ')} (current: ${this.status})`, {
+            code: ErrorCodes.STATUS_TIMEOUT,
+            retryable: true,
+            details: { expected, current: this.status }
+          }));
+        }, options.timeout);
+      }
+    });
+  }
+
+  /**
+   * Leaves the shared connection. A leading tab hands it over with the recovery token,
+   * the connection itself is closed once no tab is left to take it over.
+   * @param {string} [reason]
+   * @returns {Promise<void>}
+   */
+  async close(reason = 'Tab closed') {
+    if (this._closed) return;
+    this._closed = true;
+    globalThis.removeEventListener?.('pagehide', this._onPageHide);
+
+    const starling = this._starling;
+    if (starling) {
+      this._post({ kind: 'token', record: starling.recovery.snapshot() });
+      this._election.stop();
+      this._demote();
+      this._rejectPending('Tab closed');
+      await starling.destroy(reason, { keepToken: true });
+    } else {
+      this._post({ kind: 'bye' });
+      this._election?.stop();
+      this._rejectPending('Tab closed');
+    }
+    this._port.close?.();
+  }
+
+  /**
+   * @private
+   * @param {string|null} leader
+   */
+  _setLeader(leader) {
+    const previous = this._leader;
+    this._leader = leader;
+
+    if (previous === this.id) this._demote();
+    this._rejectPending('Connection owner changed');
+    if (!leader || this._closed) return;
+
+    if (leader === this.id) {
+      this._promote();
+      return;
+    }
+
+    this._post({ kind: 'hello' });
+    this._topics.forEach((_, topic) => this._post({ kind: 'listen', topic }));
+    this._methods.forEach((_, name) => this._post({ kind: 'method', name }));
+    if (this._wantsConnection) {
+      this._call({ kind: 'connect' }).catch(() => {});
+    }
+
+    const queue = this._queue;
+    this._queue = [];
+    queue.forEach(message => this._post(message));
+  }
+
+  /**
+   * Takes the connection over: adopts the shared token, serves the other tabs and connects again
+   * when the previous leader was connected
+   * @private
+   */
+  _promote() {
+    const starling = createClient(this._url, this._clientOptions);
+    this._starling = starling;
+
+    this._host = new SharedHost(starling, message => this._post(message), {
+      id: this.id,
+      call: (name, context) => this._run(name, context),
+      deliver: (topic, context) => this._deliver(topic, context)
+    });
+    this._topics.forEach((_, topic) => this._host.listen(topic));
+    this._methods.forEach((_, name) => this._host.method(name, this.id));
+
+    for (const name of [...SHARED_EVENTS, 'state:adopted']) {
+      starling.events.on(name, data => {
+        if (this._starling === starling) this.events.emit(name, data);
+      });
+    }
+
+    const queue = this._queue;
+    this._queue = [];
+    queue.forEach(message => this._replay(message));
+
+    const resume = this._wantsConnection || RESUMED_STATUSES.includes(this._status);
+    starling.recovery.adopt(this._token)
+      .then(() => resume && this._starling === starling ? this._host.connect() : undefined)
+      .catch(error => starling.logger.warn('Shared connection not resumed', { error }));
+  }
+
+  /**
+   * Gives the connection up, the next leader takes it over
+   * @private
+   */
+  _demote() {
+    const starling = this._starling;
+    if (!starling) return;
+
+    this._status = starling.status;
+    this._token = starling.recovery.snapshot();
+    this._starling = null;
+    this._host.close();
+    this._host = null;
+
+    if (!this._closed) {
+      starling.destroy('Connection owner changed', { keepToken: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   * @param {import('./bus').SharedMessage & Object} message
+   */
+  _handle(message) {
+    if (this._closed || (message.to && message.to !== this.id)) return;
+
+    if (message.kind.startsWith('election:')) {
+      this._election?.handle(message);
+      return;
+    }
+    if (this._host) {
+      this._host.handle(message);
+      return;
+    }
+    if (message.from !== this._leader) return;
+
+    switch (message.kind) {
+      case 'welcome':
+        this._token = message.token;
+        this._updateStatus(message.status);
+        break;
+
+      case 'token':
+        this._token = message.record;
+        break;
+
+      case 'event':
+        if (message.name === 'starling:status') this._status = message.data.next;
+        this.events.emit(message.name, message.data);
+        break;
+
+      case 'response':
+        this._settle(message);
+        break;
+
+      case 'notification':
+        this._deliver(message.topic, { topic: message.topic, data: message.data, notification: message.notification });
+        break;
+
+      case 'call':
+        this._answer(message);
+        break;
+    }
+  }
+
+  /**
+   * Runs a method call forwarded by the leader and sends back its outcome
+   * @private
+   * @param {{id: string, name: string, payload: any}} message
+   */
+  _answer({ id, name, payload }) {
+    let answered = false;
+    const reply = fields => {
+      if (answered) return;
+      answered = true;
+      this._post({ kind: 'result', to: this._leader, id, ...fields });
+    };
+
+    this._run(name, {
+      payload,
+      success: data => reply({ success: true, data: toCloneable(data) }),
+      error: (code, message, details) => reply({ success: false, error: { code, message, details: toCloneable(details) } })
+    });
+  }
+
+  /**
+   * Runs a method handler of this tab
+   * @private
+   * @param {string} name
+   * @param {Object} context Request context
+   */
+  _run(name, context) {
+    const handler = this._methods.get(name);
+    if (!handler) {
+      context.error('METHOD_NOT_FOUND', `Method ${name} not found`);
+      return;
+    }
+
+    try {
+      return Promise.resolve(handler(context)).catch(error => {
+        const { code, message, details } = serializeError(error);
+        context.error(code, message, details);
+      });
+    } catch (error) {
+      const { code, message, details } = serializeError(error);
+      context.error(code, message, details);
+    }
+  }
+
+  /**
+   * Runs the topic handlers of this tab
+   * @private
+   * @param {string} topic
+   * @param {Object} context Notification context
+   */
+  _deliver(topic, context) {
+    for (const handler of [...(this._topics.get(topic) || [])]) {
+      try {
+        handler(context);
+      } catch (error) {
+        this._starling?.logger.error('Topic handler failed', { topic, error });
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} topic
+   */
+  _listen(topic) {
+    if (this._host) {
+      this._host.listen(topic);
+    } else if (this._leader) {
+      this._post({ kind: 'listen', topic });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   */
+  _register(name) {
+    if (this._host) {
+      this._host.method(name, this.id);
+    } else if (this._leader) {
+      this._post({ kind: 'method', name });
+    }
+  }
+
+  /**
+   * Sends a message to the leader and waits for its response
+   * @private
+   * @param {{kind: string} & Object} message
+   * @returns {Promise<any>}
+   */
+  _call(message) {
+    if (this._closed) return Promise.reject(this._closedError());
+
+    const id = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { message, resolve, reject });
+      this._post({ ...message, id }, true);
+    });
+  }
+
+  /**
+   * @private
+   * @param {{id: string, success: boolean, data?: any, error?: Object}} message
+   */
+  _settle({ id, success, data, error }) {
+    const pending = this._pending.get(id);
+    if (!pending) return;
+    this._pending.delete(id);
+
+    if (success) {
+      pending.resolve(data);
+    } else {
+      pending.reject(deserializeError(error));
+    }
+  }
+
+  /**
+   * Fails the requests sent to the previous leader, they may or may not have reached the server
+   * @private
+   * @param {string} reason
+   */
+  _rejectPending(reason) {
+    for (const [id, { message, reject }] of this._pending) {
+      if (!this._queue.some(queued => queued.id === id)) {
+        this._pending.delete(id);
+        reject(new ConnectionError(reason, {
+          code: ErrorCodes.CONNECTION_LOST,
+          details: { method: message.method }
+        }));
+      }
+    }
+  }
+
+  /**
+   * Runs a message queued before this tab took the connection over
+   * @private
+   * @param {{kind: string, id?: string} & Object} message
+   */
+  _replay(message) {
+    if (message.kind === 'notify') {
+      try {
+        this._starling.notify(message.topic, message.data, message.requestId);
+      } catch (error) {
+        this._starling.logger.warn('Shared notification not sent', { topic: message.topic, error });
+      }
+      return;
+    }
+
+    const pending = this._pending.get(message.id);
+    if (!pending) return;
+    this._pending.delete(message.id);
+
+    const operation = message.kind === 'connect'
+      ? this._host.connect()
+      : this._starling.request(message.method, message.payload, message.options);
+    operation.then(pending.resolve, pending.reject);
+  }
+
+  /**
+   * Posts a message on the bus, queued until a leader is known when `queue` is set
+   * @private
+   * @param {{kind: string} & Object} message
+   * @param {boolean} [queue=false]
+   */
+  _post(message, queue = false) {
+    if (queue && !this._leader) {
+      this._queue.push(message);
+      return;
+    }
+    this._port.postMessage({ protocol: SHARED_PROTOCOL, from: this.id, ...message });
+  }
+
+  /**
+   * @private
+   * @param {ConnectionStatus} status
+   */
+  _updateStatus(status) {
+    if (status === this._status) return;
+    const previous = this._status;
+    this._status = status;
+    this.events.emit('starling:status', { previous, next: status, timestamp: Date.now() });
+  }
+
+  /**
+   * @private
+   * @throws {StarlingError} `CONNECTION_ABORTED` once closed
+   */
+  _assertOpen() {
+    if (this._closed) throw this._closedError();
+  }
+
+  /**
+   * @private
+   * @returns {StarlingError}
+   */
+  _closedError() {
+    return new StarlingError('Shared client is closed', { code: ErrorCodes.CONNECTION_ABORTED });
+  }
+}
+
+/**
+ * Creates a client sharing its connection with the other tabs of the browser
+ * @template [M=any] Method map typing `client.api`
+ * @param {string} url Server URL
+ * @param {SharedClientOptions} [options]
+ * @returns {SharedStarling<M>}
+ */
+export const createSharedClient = (url, options = {}) => new SharedStarling(url, options);
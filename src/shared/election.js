@@ -0,0 +1,230 @@
+/**
+ * @typedef {Object} ElectionOptions
+ * @property {number} [heartbeatInterval=1000] Delay between two heartbeats of the leader, in milliseconds
+ * @property {number} [leaderTimeout=3000] Silence after which the leader is considered gone, in milliseconds
+ * @property {string} [lockName] Web Lock held by the leader, elections fall back to heartbeats without Web Locks
+ */
+
+/**
+ * @typedef {Object} ElectionCallbacks
+ * @property {(leader: string|null, previous: string|null) => void} onChange Called whenever the known leader changes
+ */
+
+/**
+ * Elects one leader among the tabs sharing a bus.
+ * With Web Locks the tab holding the lock leads, and the lock moves on by itself when that tab closes.
+ * Without them the tabs claim the lead when the leader stops beating and the lowest id wins.
+ */
+export class LeaderElection {
+  /**
+   * @param {(kind: string, fields?: Object) => void} post Broadcasts an election message to the other tabs
+   * @param {string} id Id of this tab
+   * @param {ElectionOptions} [options]
+   */
+  constructor(post, id, options = {}) {
+    /** @private */
+    this._post = post;
+
+    /** @private */
+    this._id = id;
+
+    /** @private */
+    this._options = {
+      heartbeatInterval: 1000,
+      leaderTimeout: 3000,
+      lockName: 'starling:shared',
+      ...options
+    };
+
+    /** @private */
+    this._locks = typeof navigator !== 'undefined' ? navigator.locks : undefined;
+
+    /** @private */
+    this._leader = null;
+
+    /**
+     * When the leader last beat, on this tab's monotonic clock: leases never compare the clocks of two tabs
+     * and survive changes of the system time
+     * @private
+     */
+    this._lastSeen = 0;
+
+    /**
+     * Ids claiming the lead during a campaign, null when not campaigning
+     * @private
+     * @type {Set<string>|null}
+     */
+    this._claims = null;
+
+    /** @private */
+    this._callbacks = null;
+
+    /** @private */
+    this._timer = null;
+
+    /**
+     * Ends the current campaign
+     * @private
+     */
+    this._campaignTimer = null;
+
+    /**
+     * Releases the Web Lock
+     * @private
+     * @type {(() => void)|null}
+     */
+    this._release = null;
+
+    /** @private */
+    this._stopped = false;
+  }
+
+  /**
+   * Id of the current leader, null while unknown
+   * @returns {string|null}
+   */
+  get leader() {
+    return this._leader;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isLeader() {
+    return this._leader === this._id;
+  }
+
+  /**
+   * Joins the election
+   * @param {ElectionCallbacks} callbacks
+   */
+  start(callbacks) {
+    this._callbacks = callbacks;
+    this._lastSeen = performance.now();
+    this._timer = setInterval(() => this._tick(), this._options.heartbeatInterval);
+
+    if (this._locks) {
+      this._locks.request(this._options.lockName, () => {
+        if (this._stopped) return;
+        this._setLeader(this._id);
+        return new Promise(resolve => this._release = resolve);
+      }).catch(() => {});
+    }
+
+    this._post('election:probe');
+  }
+
+  /**
+   * Handles an election message of another tab
+   * @param {import('./bus').SharedMessage} message
+   */
+  handle(message) {
+    if (this._stopped) return;
+
+    switch (message.kind) {
+      case 'election:probe':
+        if (this.isLeader) this._post('election:heartbeat');
+        break;
+
+      case 'election:heartbeat':
+        if (this.isLeader) {
+          // Two leaders after a split: the highest id steps down
+          if (this._locks || message.from > this._id) {
+            this._post('election:heartbeat');
+            break;
+          }
+        }
+        this._lastSeen = performance.now();
+        this._claims = null;
+        this._setLeader(message.from);
+        break;
+
+      case 'election:claim':
+        if (this.isLeader) {
+          this._post('election:heartbeat');
+        } else if (!this._locks) {
+          this._campaign();
+          this._claims?.add(message.from);
+        }
+        break;
+
+      case 'election:resign':
+        if (this._leader !== message.from) break;
+        this._setLeader(null);
+        if (!this._locks) this._campaign();
+        break;
+    }
+  }
+
+  /**
+   * Gives up the lead, the other tabs elect a new leader right away
+   */
+  resign() {
+    if (!this.isLeader) return;
+    this._post('election:resign');
+    this._setLeader(null);
+  }
+
+  /**
+   * Leaves the election, resigning first when leading
+   */
+  stop() {
+    this.resign();
+    this._stopped = true;
+    clearInterval(this._timer);
+    clearTimeout(this._campaignTimer);
+    this._claims = null;
+    this._release?.();
+    this._release = null;
+  }
+
+  /**
+   * @private
+   */
+  _tick() {
+    if (this.isLeader) {
+      this._post('election:heartbeat');
+      return;
+    }
+    if (this._locks || this._claims) return;
+
+    if (performance.now() - this._lastSeen > (this._leader ? this._options.leaderTimeout : this._options.heartbeatInterval)) {
+      this._setLeader(null);
+      this._campaign();
+    }
+  }
+
+  /**
+   * Claims the lead, the lowest id among the claims of the next interval wins
+   * @private
+   */
+  _campaign() {
+    if (this._claims) return;
+    this._claims = new Set([this._id]);
+    this._post('election:claim');
+
+    this._campaignTimer = setTimeout(() => {
+      this._campaignTimer = null;
+      const claims = this._claims;
+      this._claims = null;
+      this._lastSeen = performance.now();
+      if (!claims || this._stopped || this._leader) return;
+
+      const [winner] = [...claims].sort();
+      if (winner === this._id) this._setLeader(this._id);
+    }, this._options.heartbeatInterval);
+  }
+
+  /**
+   * @private
+   * @param {string|null} leader
+   */
+  _setLeader(leader) {
+    if (this._leader === leader) return;
+    const previous = this._leader;
+    this._leader = leader;
+
+    if (leader === this._id) this._post('election:heartbeat');
+    this._callbacks?.onChange(leader, previous);
+  }
+}
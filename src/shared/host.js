@@ -0,0 +1,270 @@
+import { ConnectionError, ErrorCodes } from '../core/errors';
+import { ConnectionStatus } from '../core/status';
+import { SHARED_EVENTS, serializeError, toCloneable } from './bus';
+
+/**
+ * Handlers of the tab owning the connection, absent in a worker
+ * @typedef {Object} SharedLocal
+ * @property {string} id Id of the tab
+ * @property {(name: string, context: Object) => any} call Runs a method registered by the tab
+ * @property {(topic: string, context: Object) => void} deliver Runs the topic handlers of the tab
+ */
+
+/**
+ * Serves the other tabs from the client owning the connection: runs their requests and notifications,
+ * forwards them the notifications and method calls they registered for and relays the connection events
+ */
+export class SharedHost {
+  /**
+   * @param {import('../core/starling').Starling} starling Client owning the connection
+   * @param {(message: {kind: string, to?: string} & Object) => void} send Sends a message to a tab, or to every tab without `to`
+   * @param {SharedLocal|null} [local]
+   */
+  constructor(starling, send, local = null) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._send = send;
+
+    /** @private */
+    this._local = local;
+
+    /**
+     * Topics listened to on the connection
+     * @private
+     * @type {Set<string>}
+     */
+    this._topics = new Set();
+
+    /**
+     * Tab handling each method
+     * @private
+     * @type {Map<string, string>}
+     */
+    this._methods = new Map();
+
+    /**
+     * Method calls waiting for the result of a tab
+     * @private
+     * @type {Map<string, {tab: string, context: Object}>}
+     */
+    this._calls = new Map();
+
+    /** @private */
+    this._closed = false;
+
+    this._bindEvents();
+  }
+
+  /**
+   * Client owning the connection
+   * @returns {import('../core/starling').Starling}
+   */
+  get starling() {
+    return this._starling;
+  }
+
+  /**
+   * Handles a message of a tab
+   * @param {import('./bus').SharedMessage & Object} message
+   */
+  handle(message) {
+    if (this._closed) return;
+    const { from } = message;
+
+    switch (message.kind) {
+      case 'hello':
+        this._send({
+          kind: 'welcome',
+          to: from,
+          status: this._starling.status,
+          token: this._starling.recovery.snapshot()
+        });
+        break;
+
+      case 'request':
+        this._respond(from, message.id, () => this._starling.request(message.method, message.payload, message.options));
+        break;
+
+      case 'connect':
+        this._respond(from, message.id, () => this.connect());
+        break;
+
+      case 'notify':
+        try {
+          this._starling.notify(message.topic, message.data, message.requestId);
+        } catch (error) {
+          this._starling.logger.warn('Shared notification not sent', { topic: message.topic, error });
+        }
+        break;
+
+      case 'listen':
+        this.listen(message.topic);
+        break;
+
+      case 'method':
+        this.method(message.name, from);
+        break;
+
+      case 'result':
+        this._settle(message);
+        break;
+
+      case 'bye':
+        this.drop(from);
+        break;
+    }
+  }
+
+  /**
+   * Connects unless already connected or on the way
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    const status = this._starling.status;
+    if (status === ConnectionStatus.OPEN) return;
+
+    if ([ConnectionStatus.CONNECTING, ConnectionStatus.RECOVERING, ConnectionStatus.RECONNECTING].includes(status)) {
+      const reached = await this._starling.waitFor([ConnectionStatus.OPEN, ConnectionStatus.CLOSED, ConnectionStatus.FAILED]);
+      if (reached === ConnectionStatus.OPEN) return;
+      throw new ConnectionError(`Connection ${reached}`, { details: { status: reached } });
+    }
+    await this._starling.connect();
+  }
+
+  /**
+   * Listens to a topic on the connection, once, relaying its notifications to every tab
+   * @param {string} topic
+   */
+  listen(topic) {
+    if (this._topics.has(topic)) return;
+    this._topics.add(topic);
+
+    this._starling.on(topic, context => {
+      if (this._closed) return;
+      this._send({
+        kind: 'notification',
+        topic,
+        data: toCloneable(context.data),
+        notification: toCloneable(context.notification)
+      });
+      this._local?.deliver(topic, context);
+    });
+  }
+
+  /**
+   * Routes a method to the tab handling it, the last tab registering it wins
+   * @param {string} name
+   * @param {string} tab
+   */
+  method(name, tab) {
+    const registered = this._methods.has(name);
+    this._methods.set(name, tab);
+    if (registered) return;
+
+    this._starling.method(name, context => this._call(name, context));
+  }
+
+  /**
+   * Forgets a tab gone: its methods and the calls it was running
+   * @param {string} tab
+   */
+  drop(tab) {
+    for (const [name, owner] of this._methods) {
+      if (owner === tab) this._methods.delete(name);
+    }
+    for (const [id, call] of this._calls) {
+      if (call.tab !== tab) continue;
+      this._calls.delete(id);
+      call.context.error(ErrorCodes.CONNECTION_LOST, 'Tab handling the method is gone');
+    }
+  }
+
+  /**
+   * Stops serving the tabs, the calls still running fail
+   */
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+
+    for (const { context } of this._calls.values()) {
+      context.error(ErrorCodes.CONNECTION_LOST, 'Connection owner changed');
+    }
+    this._calls.clear();
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   * @param {Object} context Request context
+   */
+  _call(name, context) {
+    const tab = this._methods.get(name);
+
+    if (this._closed || !tab) {
+      context.error('METHOD_NOT_FOUND', `Method ${name} not found`);
+      return;
+    }
+    if (tab === this._local?.id) {
+      return this._local.call(name, context);
+    }
+
+    const id = crypto.randomUUID();
+    this._calls.set(id, { tab, context });
+    this._send({ kind: 'call', to: tab, id, name, payload: toCloneable(context.payload) });
+  }
+
+  /**
+   * Answers a method call with the result of the tab
+   * @private
+   * @param {{id: string, success: boolean, data?: any, error?: {code: string, message: string, details?: Object}}} message
+   */
+  _settle({ id, success, data, error }) {
+    const call = this._calls.get(id);
+    if (!call) return;
+    this._calls.delete(id);
+
+    if (success) {
+      call.context.success(data);
+    } else {
+      call.context.error(error.code, error.message, error.details);
+    }
+  }
+
+  /**
+   * Runs an operation for a tab and sends back its outcome
+   * @private
+   * @param {string} tab
+   * @param {string} id
+   * @param {() => Promise<any>} operation
+   */
+  async _respond(tab, id, operation) {
+    try {
+      const data = await operation();
+      if (!this._closed) this._send({ kind: 'response', to: tab, id, success: true, data: toCloneable(data) });
+    } catch (error) {
+      if (!this._closed) this._send({ kind: 'response', to: tab, id, success: false, error: serializeError(error) });
+    }
+  }
+
+  /**
+   * Relays the connection events and the recovery token to the tabs
+   * @private
+   */
+  _bindEvents() {
+    for (const name of SHARED_EVENTS) {
+      this._starling.events.on(name, data => {
+        if (this._closed) return;
+        this._send({ kind: 'event', name, data: toCloneable(data) });
+      });
+    }
+
+    for (const name of ['state:refreshed', 'state:adopted', 'state:cleared']) {
+      this._starling.events.on(name, () => {
+        if (this._closed) return;
+        this._send({ kind: 'token', record: this._starling.recovery.snapshot() });
+      });
+    }
+  }
+}
@@ -0,0 +1,7 @@
+import { SHARED_EVENTS, SharedEvents } from './bus';
+import { SharedStarling, createSharedClient } from './client';
+import { LeaderElection } from './election';
+import { SharedHost } from './host';
+import { serveSharedConnection } from './worker';
+
+export { LeaderElection, SHARED_EVENTS, SharedEvents, SharedHost, SharedStarling, createSharedClient, serveSharedConnection };
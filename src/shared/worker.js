@@ -0,0 +1,48 @@
+import { createClient } from '../core/client';
+import { SHARED_PROTOCOL, listen } from './bus';
+import { SharedHost } from './host';
+
+/**
+ * Owns the connection inside a `SharedWorker`, for the tabs created with `shared.worker`.
+ * The connection opens on the first `connect()` of a tab and closes, keeping its recovery token, once every tab has left.
+ * @template [M=any]
+ * @param {{onconnect: ((event: MessageEvent) => void)|null}} scope Global scope of the worker
+ * @param {string} url Server URL
+ * @param {import('../core/client').ClientOptions} [options]
+ * @returns {import('../core/starling').Starling<M>} Client owning the connection
+ */
+export const serveSharedConnection = (scope, url, options = {}) => {
+  const starling = createClient(url, options);
+
+  /** @type {Map<string, import('./bus').SharedPort>} */
+  const tabs = new Map();
+
+  const host = new SharedHost(starling, message => {
+    const data = { protocol: SHARED_PROTOCOL, from: 'worker', ...message };
+    if (message.to) {
+      tabs.get(message.to)?.postMessage(data);
+    } else {
+      tabs.forEach(port => port.postMessage(data));
+    }
+  });
+
+  scope.onconnect = event => {
+    const [port] = event.ports;
+
+    listen(port, message => {
+      if (message.kind === 'hello') {
+        tabs.set(message.from, port);
+      }
+      host.handle(message);
+
+      if (message.kind === 'bye') {
+        tabs.delete(message.from);
+        if (tabs.size === 0) {
+          starling.disconnect('No tab left', { keepToken: true }).catch(() => {});
+        }
+      }
+    });
+  };
+
+  return starling;
+};
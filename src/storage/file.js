@@ -0,0 +1,87 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+
+/**
+ * Stores records in a JSON file, for Node and Bun processes.
+ * Writes go through a temporary file and a rename so a crash never leaves a truncated file.
+ */
+export class FileStorageAdapter {
+  /**
+   * @param {string} path File path
+   */
+  constructor(path) {
+    if (!path) {
+      throw new StarlingError('A file path is required', { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
+    /** @private */
+    this._path = path;
+
+    /** @private */
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    const records = await this._read();
+    return records[key] ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    return this._update(records => {
+      records[key] = value;
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    return this._update(records => {
+      delete records[key];
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object>}
+   */
+  async _read() {
+    const fs = await import('node:fs/promises');
+    try {
+      return JSON.parse(await fs.readFile(this._path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serializes read-modify-write cycles
+   * @private
+   * @param {(records: Object) => void} mutate
+   * @returns {Promise<void>}
+   */
+  _update(mutate) {
+    const run = this._queue.then(async () => {
+      const fs = await import('node:fs/promises');
+      const records = await this._read();
+      mutate(records);
+      const temporary = `${this._path}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(records), 'utf8');
+      await fs.rename(temporary, this._path);
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+}
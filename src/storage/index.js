@@ -0,0 +1,50 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+import { FileStorageAdapter } from './file';
+import { IndexedDBStorageAdapter } from './indexeddb';
+import { MemoryStorageAdapter } from './memory';
+import { WebStorageAdapter } from './web';
+
+export { FileStorageAdapter, IndexedDBStorageAdapter, MemoryStorageAdapter, WebStorageAdapter };
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(key: string) => Promise<any>|any} get Reads a record, null when missing
+ * @property {(key: string, value: any) => Promise<void>|void} set Writes a record
+ * @property {(key: string) => Promise<void>|void} remove Deletes a record
+ */
+
+/**
+ * @typedef {'memory'|'localStorage'|'sessionStorage'|'indexedDB'|{path: string}|StorageAdapter} StorageOption
+ */
+
+/**
+ * Resolves a storage option into an adapter
+ * @param {StorageOption|null|undefined} option Adapter, built-in adapter name or `{ path }` for a file
+ * @returns {StorageAdapter|null}
+ * @throws {StarlingError} When the option is not supported
+ */
+export const resolveStorage = option => {
+  if (!option) return null;
+
+  switch (option) {
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'localStorage':
+      return new WebStorageAdapter(globalThis.localStorage);
+    case 'sessionStorage':
+      return new WebStorageAdapter(globalThis.sessionStorage);
+    case 'indexedDB':
+      return new IndexedDBStorageAdapter();
+  }
+
+  if (typeof option === 'object') {
+    if (typeof option.get === 'function' && typeof option.set === 'function' && typeof option.remove === 'function') {
+      return option;
+    }
+    if (typeof option.path === 'string') {
+      return new FileStorageAdapter(option.path);
+    }
+  }
+
+  throw new StarlingError(`Unsupported storage option: ${String(option)}`, { code: ErrorCodes.INVALID_CONFIGURATION });
+};
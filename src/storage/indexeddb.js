@@ -0,0 +1,101 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+
+/**
+ * @typedef {Object} IndexedDBStorageOptions
+ * @property {string} [database='helios-starling'] Database name
+ * @property {string} [store='recovery'] Object store name
+ * @property {IDBFactory} [indexedDB] IndexedDB factory (defaults to the global `indexedDB`)
+ */
+
+/**
+ * Stores records in an IndexedDB object store
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * @param {IndexedDBStorageOptions} [options]
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._options = {
+      database: 'helios-starling',
+      store: 'recovery',
+      indexedDB: globalThis.indexedDB,
+      ...options
+    };
+
+    if (!this._options.indexedDB) {
+      throw new StarlingError('IndexedDB is not available in this environment', { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
+    /** @private */
+    this._db = null;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    const result = await this._run('readonly', store => store.get(key));
+    return result ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this._run('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Opens the database, creating the object store on first use
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = this._options.indexedDB.open(this._options.database, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this._options.store)) {
+            request.result.createObjectStore(this._options.store);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._db = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Runs a single request in its own transaction
+   * @private
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} operation
+   * @returns {Promise<any>}
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this._options.store, mode);
+      const request = operation(transaction.objectStore(this._options.store));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Keeps records in memory, useful for tests and as a base for custom adapters
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    /** @private */
+    this._records = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    return this._records.has(key) ? structuredClone(this._records.get(key)) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this._records.set(key, structuredClone(value));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this._records.delete(key);
+  }
+}
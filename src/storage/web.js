@@ -0,0 +1,50 @@
+import { ErrorCodes, StarlingError } from '../core/errors';
+
+/**
+ * Stores records as JSON in a Web Storage area (`localStorage` or `sessionStorage`)
+ */
+export class WebStorageAdapter {
+  /**
+   * @param {Storage} storage Storage area
+   */
+  constructor(storage) {
+    if (!storage) {
+      throw new StarlingError('Web Storage is not available in this environment', { code: ErrorCodes.INVALID_CONFIGURATION });
+    }
+
+    /** @private */
+    this._storage = storage;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    const raw = this._storage.getItem(key);
+    if (raw === null) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this._storage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this._storage.removeItem(key);
+  }
+}
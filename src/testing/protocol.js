@@ -0,0 +1,88 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+
+/**
+ * Protocol identifiers stamped on every mock server frame
+ */
+export const PROTOCOL_NAME = 'helios-starling';
+export const PROTOCOL_VERSION = '1.0.0';
+
+/**
+ * Builds a protocol message envelope
+ * @param {'request'|'response'|'notification'|'error'} type Message type
+ * @param {Object} fields Type specific fields
+ * @returns {Object}
+ */
+export const createMessage = (type, fields = {}) => ({
+  protocol: PROTOCOL_NAME,
+  version: PROTOCOL_VERSION,
+  timestamp: getCurrentTimestamp(),
+  type,
+  ...fields
+});
+
+/**
+ * Builds a successful response
+ * @param {string} requestId
+ * @param {any} data
+ * @returns {Object}
+ */
+export const createResponse = (requestId, data) => createMessage('response', {
+  requestId,
+  success: true,
+  data
+});
+
+/**
+ * Builds an error response
+ * @param {string} requestId
+ * @param {{code?: string, message: string, details?: any}} error
+ * @returns {Object}
+ */
+export const createErrorResponse = (requestId, error) => createMessage('response', {
+  requestId,
+  success: false,
+  error: {
+    code: error.code || 'REQUEST_FAILED',
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details })
+  }
+});
+
+/**
+ * Builds a notification
+ * @param {string} topic
+ * @param {any} data
+ * @param {Object} [fields] Extra envelope fields (e.g. `requestId`)
+ * @returns {Object}
+ */
+export const createNotification = (topic, data, fields = {}) => createMessage('notification', {
+  ...fields,
+  notification: { topic, data }
+});
+
+/**
+ * Builds a request sent from the server to the client
+ * @param {string} requestId
+ * @param {string} method
+ * @param {any} payload
+ * @returns {Object}
+ */
+export const createRequest = (requestId, method, payload) => createMessage('request', {
+  requestId,
+  method,
+  payload
+});
+
+/**
+ * Parses a raw frame, returning null when it is not valid JSON
+ * @param {any} raw
+ * @returns {Object|null}
+ */
+export const parseMessage = raw => {
+  if (typeof raw !== 'string') return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
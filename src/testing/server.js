@@ -0,0 +1,892 @@
+import { getCurrentTimestamp } from '@helios-starling/utils';
+import { FrameCodec, parseCodecProtocol, resolveCodec } from '../codecs';
+import { MockWebSocket } from './websocket';
+import {
+  createErrorResponse,
+  createNotification,
+  createRequest,
+  createResponse,
+  parseMessage
+} from './protocol';
+
+/**
+ * @typedef {Object} MockServerOptions
+ * @property {number} [latency=0] Delay applied to every frame and handshake (ms)
+ * @property {number} [tokenTtl=Infinity] Lifetime of issued recovery tokens (ms)
+ * @property {string[]|null} [protocols=null] Supported subprotocols, `null` accepts whatever the client offers
+ * @property {boolean} [register=true] Listen on the URL so plain `MockWebSocket` instances reach this server
+ * @property {(connection: MockConnection) => boolean} [authenticate] Checks the credentials of a new connection (e.g. its `token` query parameter or `protocol`), which is closed with 4001 when it returns false
+ * @property {import('../codecs').CodecOption[]} [codecs=['json', 'msgpack', 'cbor']] Codecs spoken when the selected subprotocol announces one
+ */
+
+/**
+ * @typedef {Object} MockSession
+ * @property {string} id Session identifier
+ * @property {string} token Current recovery token
+ * @property {number} issuedAt Token issue timestamp
+ * @property {number} expiresAt Token expiry timestamp (Infinity when tokens never expire)
+ * @property {boolean} revoked Whether the token was revoked
+ * @property {Set<string>} subscriptions Topics subscribed through `starling:subscribe`, kept when the session is recovered
+ * @property {Map<string, MockStream>} streams Streams opened through `starling:stream`, resumed when the session is recovered
+ */
+
+/**
+ * @typedef {Object} TrafficEntry
+ * @property {'in'|'out'} direction `in` for client to server, `out` for server to client
+ * @property {number} connectionId
+ * @property {any} raw Raw frame
+ * @property {Object|null} message Parsed frame, null when not JSON
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} MethodContext
+ * @property {MockConnection} connection Connection that sent the request
+ * @property {Object} message Raw request message
+ * @property {MockHeliosServer} server
+ */
+
+/**
+ * @typedef {(payload: any, context: MethodContext) => any} MockMethodHandler
+ */
+
+/**
+ * Produces the frames of a stream, stopped through `context.signal` when the client cancels it
+ * @typedef {(payload: any, context: MethodContext & {signal: AbortSignal}) => Iterable<any>|AsyncIterable<any>} MockStreamHandler
+ */
+
+/**
+ * @typedef {Object} MockStream
+ * @property {string} id
+ * @property {string} method
+ * @property {MockConnection} connection Connection the frames are sent to
+ * @property {Object[]} frames Every frame produced, replayed when the stream is resumed
+ * @property {number} sequence Sequence of the last frame produced
+ * @property {number} credit Last sequence the client allows
+ * @property {boolean} closed Whether the stream ended, failed or was cancelled
+ * @property {string|null} cancelReason Reason given by the client when it cancelled
+ */
+
+/**
+ * Server side of a mock connection
+ */
+export class MockConnection {
+  /**
+   * @param {MockHeliosServer} server
+   * @param {MockWebSocket} socket
+   * @param {number} id
+   * @param {string} protocol
+   */
+  constructor(server, socket, id, protocol) {
+    /** @private */
+    this._server = server;
+
+    this.id = id;
+    this.socket = socket;
+    this.url = new URL(socket.url);
+    this.protocol = protocol;
+    this.open = false;
+
+    /**
+     * Whether frames are silently dropped in both directions (half-open connection)
+     */
+    this.frozen = false;
+
+    /**
+     * Session attached to the connection
+     * @type {MockSession|null}
+     */
+    this.session = null;
+
+    /**
+     * Whether the session was restored from the `recover` token
+     */
+    this.recovered = false;
+
+    /**
+     * Recovery token presented by the client, if any
+     * @type {string|null}
+     */
+    this.recoveryToken = this.url.searchParams.get('recover');
+
+    /**
+     * Frame codec announced by the subprotocol, null for plain JSON
+     * @type {FrameCodec|null}
+     */
+    this.frames = null;
+
+    const negotiated = parseCodecProtocol(protocol, server._codecs);
+    if (negotiated) {
+      this.frames = new FrameCodec(negotiated);
+    }
+
+    /**
+     * Keeps frames in order while they are encoded or decoded
+     * @private
+     */
+    this._queues = { in: Promise.resolve(), out: Promise.resolve() };
+
+    /**
+     * Topics subscribed through `starling:subscribe`
+     * @type {Set<string>}
+     */
+    this.subscriptions = new Set();
+
+    /**
+     * Streams opened through `starling:stream`, by id
+     * @type {Map<string, MockStream>}
+     */
+    this.streams = new Map();
+  }
+
+  /**
+   * Whether the client presented a token that could not be honored
+   */
+  get recoveryRejected() {
+    return !!this.recoveryToken && !this.recovered;
+  }
+
+  /**
+   * Sends a frame to the client
+   * @param {Object|string} message
+   */
+  send(message) {
+    if (!this.open || this.frozen) return;
+    const raw = typeof message === 'string' ? message : JSON.stringify(message);
+    this._server._record('out', this, raw);
+
+    if (!this.frames) {
+      this._server._schedule(() => this.socket.receive(raw));
+      return;
+    }
+
+    const frames = this.frames;
+    this._queues.out = this._queues.out
+      .then(() => frames.encode(raw))
+      .then(frame => this._server._schedule(() => this.socket.receive(frame)));
+  }
+
+  /**
+   * Pushes a notification to the client
+   * @param {string} topic
+   * @param {any} data
+   * @param {Object} [fields] Extra envelope fields
+   */
+  notify(topic, data, fields) {
+    this.send(createNotification(topic, data, fields));
+  }
+
+  /**
+   * Sends a request to the client and waits for its response
+   * @param {string} method
+   * @param {any} [payload]
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<any>}
+   */
+  request(method, payload, options) {
+    return this._server._request(this, method, payload, options);
+  }
+
+  /**
+   * Silently drops every frame in both directions, like a half-open TCP connection
+   */
+  freeze() {
+    this.frozen = true;
+  }
+
+  /**
+   * Resumes frame delivery after {@link freeze}
+   */
+  unfreeze() {
+    this.frozen = false;
+  }
+
+  /**
+   * Closes the connection cleanly
+   * @param {number} [code=1000]
+   * @param {string} [reason='']
+   */
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    this.open = false;
+    this.socket.serverClose(code, reason);
+    this._server._handleClose(this, code, reason);
+  }
+
+  /**
+   * Drops the connection without a closing handshake
+   */
+  drop() {
+    if (!this.open) return;
+    this.open = false;
+    this.socket.drop();
+    this._server._handleClose(this, 1006, '');
+  }
+
+  /**
+   * @private
+   */
+  _handleOpen() {
+    this.open = true;
+    this._server._handleOpen(this);
+  }
+
+  /**
+   * @private
+   * @param {any} raw
+   */
+  _receive(raw) {
+    if (!this.open || this.frozen) return;
+
+    if (!this.frames) {
+      this._server._handleFrame(this, raw);
+      return;
+    }
+
+    const frames = this.frames;
+    this._queues.in = this._queues.in
+      .then(() => frames.decode(raw))
+      .then(text => this._server._handleFrame(this, text), () => this._server._handleFrame(this, raw));
+  }
+
+  /**
+   * @private
+   * @param {number} code
+   * @param {string} reason
+   */
+  _handleClose(code, reason) {
+    if (!this.open) return;
+    this.open = false;
+    this._server._handleClose(this, code, reason);
+  }
+}
+
+/**
+ * Scriptable in-process Helios server.
+ *
+ * Answers `starling:state` requests with recovery tokens, `starling:session`
+ * recovery results, `starling:subscribe` / `starling:unsubscribe` and
+ * `starling:ping` heartbeats and `starling:stream` streams, restores sessions
+ * (and their subscriptions and streams) from the `recover` query parameter,
+ * runs registered methods and streams, pushes notifications,
+ * drops connections on command and records all traffic. Frames use the codec
+ * announced by the selected subprotocol, traffic being recorded as JSON.
+ */
+export class MockHeliosServer {
+  /**
+   * @param {string|URL} [url='ws://localhost']
+   * @param {MockServerOptions} [options]
+   */
+  constructor(url = 'ws://localhost', options = {}) {
+    this.url = new URL(url.toString());
+
+    /** @private */
+    this._options = {
+      latency: 0,
+      tokenTtl: Infinity,
+      protocols: null,
+      register: true,
+      authenticate: null,
+      codecs: ['json', 'msgpack', 'cbor'],
+      ...options
+    };
+
+    /** @private */
+    this._codecs = this._options.codecs.map(resolveCodec);
+
+    /**
+     * Open connections
+     * @type {Set<MockConnection>}
+     */
+    this.connections = new Set();
+
+    /**
+     * Every frame exchanged, in order
+     * @type {TrafficEntry[]}
+     */
+    this.traffic = [];
+
+    /**
+     * Sessions by recovery token
+     * @type {Map<string, MockSession>}
+     */
+    this.sessions = new Map();
+
+    /** @private */
+    this._methods = new Map();
+
+    /** @private */
+    this._streams = new Map();
+
+    /** @private */
+    this._listeners = new Map();
+
+    /** @private */
+    this._pending = new Map();
+
+    /** @private */
+    this._refusing = false;
+
+    /** @private */
+    this._counters = { connections: 0, sessions: 0, tokens: 0, requests: 0 };
+
+    /** @private */
+    this._WebSocket = null;
+
+    this.method('starling:state', (_, { connection }) => {
+      const session = this.issueToken(connection);
+      return {
+        token: session.token,
+        ...(Number.isFinite(session.expiresAt) && { expiresAt: session.expiresAt })
+      };
+    });
+
+    this.method('starling:session', (_, { connection }) => ({
+      recovered: connection.recovered,
+      sessionId: connection.session?.id ?? null
+    }));
+
+    this.method('starling:subscribe', (payload, { connection }) => {
+      connection.subscriptions.add(payload.topic);
+      return { topic: payload.topic };
+    });
+
+    this.method('starling:unsubscribe', (payload, { connection }) => ({
+      topic: payload.topic,
+      removed: connection.subscriptions.delete(payload.topic)
+    }));
+
+    this.method('starling:ping', payload => ({
+      timestamp: payload?.timestamp,
+      serverTime: getCurrentTimestamp()
+    }));
+
+    this.method('starling:stream', (payload, context) => this._openStream(payload, context));
+
+    if (this._options.register) {
+      MockWebSocket.register(this);
+    }
+  }
+
+  /**
+   * WebSocket constructor bound to this server, whatever URL it is given
+   * @returns {typeof MockWebSocket}
+   */
+  get WebSocket() {
+    if (!this._WebSocket) {
+      const server = this;
+      this._WebSocket = class extends MockWebSocket {
+        static server = server;
+      };
+    }
+    return this._WebSocket;
+  }
+
+  /**
+   * Frame and handshake latency (ms)
+   */
+  get latency() {
+    return this._options.latency;
+  }
+
+  set latency(value) {
+    this._options.latency = value;
+  }
+
+  /**
+   * Registers (or replaces) a method handler.
+   * The returned value is sent as the response data, a thrown error as an error response.
+   * @param {string} name
+   * @param {MockMethodHandler} handler
+   */
+  method(name, handler) {
+    this._methods.set(name, handler);
+  }
+
+  /**
+   * Registers (or replaces) a stream handler, opened by the client with `starling.stream(name)`.
+   * Each value produced is sent as a frame as the client credits the server, the value returned ends the stream
+   * and a thrown error fails it.
+   * @param {string} name
+   * @param {MockStreamHandler} handler
+   */
+  stream(name, handler) {
+    this._streams.set(name, handler);
+  }
+
+  /**
+   * Subscribes to server events: `connection`, `close`, `message`, `request`, `notification`, `error`
+   * @param {string} event
+   * @param {(data: any) => void} handler
+   * @returns {() => void} Unsubscribe function
+   */
+  on(event, handler) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(handler);
+    return () => this._listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Resolves with the next accepted connection
+   * @returns {Promise<MockConnection>}
+   */
+  nextConnection() {
+    return new Promise(resolve => {
+      const off = this.on('connection', connection => {
+        off();
+        resolve(connection);
+      });
+    });
+  }
+
+  /**
+   * Pushes a notification to every open connection
+   * @param {string} topic
+   * @param {any} data
+   * @param {Object} [fields] Extra envelope fields
+   */
+  notify(topic, data, fields) {
+    for (const connection of this.connections) {
+      connection.notify(topic, data, fields);
+    }
+  }
+
+  /**
+   * Pushes a notification to the connections subscribed to the topic
+   * @param {string} topic
+   * @param {any} data
+   * @param {Object} [fields] Extra envelope fields
+   */
+  publish(topic, data, fields) {
+    for (const connection of this.connections) {
+      if (connection.subscriptions.has(topic)) {
+        connection.notify(topic, data, fields);
+      }
+    }
+  }
+
+  /**
+   * Issues a new recovery token for the connection's session
+   * @param {MockConnection} connection
+   * @returns {MockSession}
+   */
+  issueToken(connection) {
+    const now = getCurrentTimestamp();
+    const session = connection.session || {
+      id: `session-${++this._counters.sessions}`,
+      token: null,
+      issuedAt: now,
+      expiresAt: Infinity,
+      revoked: false,
+      subscriptions: connection.subscriptions,
+      streams: connection.streams
+    };
+
+    if (session.token) {
+      this.sessions.delete(session.token);
+    }
+
+    session.token = `token-${++this._counters.tokens}`;
+    session.issuedAt = now;
+    session.expiresAt = now + this._options.tokenTtl;
+    session.revoked = false;
+
+    this.sessions.set(session.token, session);
+    connection.session = session;
+    return session;
+  }
+
+  /**
+   * Revokes a recovery token so the next recovery attempt fails
+   * @param {string} token
+   */
+  revokeToken(token) {
+    const session = this.sessions.get(token);
+    if (session) {
+      session.revoked = true;
+    }
+  }
+
+  /**
+   * Revokes every issued token
+   */
+  revokeAllTokens() {
+    for (const token of this.sessions.keys()) {
+      this.revokeToken(token);
+    }
+  }
+
+  /**
+   * Refuses (or accepts again) new connections, simulating a server outage
+   * @param {boolean} [refusing=true]
+   */
+  refuse(refusing = true) {
+    this._refusing = refusing;
+  }
+
+  /**
+   * Drops every open connection without a closing handshake
+   */
+  dropAll() {
+    for (const connection of [...this.connections]) {
+      connection.drop();
+    }
+  }
+
+  /**
+   * Closes every open connection cleanly
+   * @param {number} [code=1000]
+   * @param {string} [reason='']
+   */
+  closeAll(code = 1000, reason = '') {
+    for (const connection of [...this.connections]) {
+      connection.close(code, reason);
+    }
+  }
+
+  /**
+   * Traffic entries matching a filter
+   * @param {{direction?: 'in'|'out', type?: string, method?: string, topic?: string}} [filter]
+   * @returns {TrafficEntry[]}
+   */
+  messages(filter = {}) {
+    return this.traffic.filter(entry =>
+      (!filter.direction || entry.direction === filter.direction)
+      && (!filter.type || entry.message?.type === filter.type)
+      && (!filter.method || entry.message?.method === filter.method)
+      && (!filter.topic || entry.message?.notification?.topic === filter.topic)
+    );
+  }
+
+  /**
+   * Clears recorded traffic
+   */
+  clearTraffic() {
+    this.traffic.length = 0;
+  }
+
+  /**
+   * Closes every connection and stops listening
+   */
+  close() {
+    this.closeAll(1001, 'Server shutting down');
+    for (const { reject, timer } of this._pending.values()) {
+      clearTimeout(timer);
+      reject(new Error('Server closed'));
+    }
+    this._pending.clear();
+    MockWebSocket.unregister(this);
+  }
+
+  /**
+   * Accepts or refuses an incoming socket
+   * @private
+   * @param {MockWebSocket} socket
+   * @returns {MockConnection|null}
+   */
+  _accept(socket) {
+    if (this._refusing) return null;
+
+    const protocol = this._negotiateProtocol(socket.protocols);
+    if (protocol === null) return null;
+
+    const connection = new MockConnection(this, socket, ++this._counters.connections, protocol);
+    const session = connection.recoveryToken && this.sessions.get(connection.recoveryToken);
+    if (session && !session.revoked && session.expiresAt > getCurrentTimestamp()) {
+      connection.session = session;
+      connection.recovered = true;
+      connection.subscriptions = session.subscriptions;
+      connection.streams = session.streams;
+    }
+
+    return connection;
+  }
+
+  /**
+   * @private
+   * @param {string[]} offered
+   * @returns {string|null} Selected protocol, empty string when none was offered, null when refused
+   */
+  _negotiateProtocol(offered) {
+    if (!offered.length) return '';
+    if (!this._options.protocols) return offered[0];
+    return offered.find(protocol => this._options.protocols.includes(protocol)) ?? null;
+  }
+
+  /**
+   * @private
+   * @param {MockConnection} connection
+   */
+  _handleOpen(connection) {
+    this.connections.add(connection);
+    this._emit('connection', connection);
+
+    if (this._options.authenticate && !this._options.authenticate(connection)) {
+      connection.close(4001, 'Unauthorized');
+    }
+  }
+
+  /**
+   * @private
+   * @param {MockConnection} connection
+   * @param {number} code
+   * @param {string} reason
+   */
+  _handleClose(connection, code, reason) {
+    this.connections.delete(connection);
+    this._emit('close', { connection, code, reason });
+  }
+
+  /**
+   * @private
+   * @param {MockConnection} connection
+   * @param {any} raw
+   */
+  _handleFrame(connection, raw) {
+    const message = this._record('in', connection, raw).message;
+    this._emit('message', { connection, message, raw });
+    if (!message) return;
+
+    switch (message.type) {
+      case 'request':
+        this._emit('request', { connection, message });
+        this._runMethod(connection, message);
+        break;
+      case 'response':
+        this._resolvePending(message);
+        break;
+      case 'notification':
+        this._handleStreamNotification(connection, message.notification);
+        this._emit('notification', { connection, message });
+        break;
+      case 'error':
+        this._emit('error', { connection, message });
+        break;
+    }
+  }
+
+  /**
+   * @private
+   * @param {MockConnection} connection
+   * @param {Object} message
+   */
+  async _runMethod(connection, message) {
+    const handler = this._methods.get(message.method);
+    if (!handler) {
+      connection.send(createErrorResponse(message.requestId, {
+        code: 'METHOD_NOT_FOUND',
+        message: `Method ${message.method} not found`
+      }));
+      return;
+    }
+
+    try {
+      const data = await handler(message.payload, { connection, message, server: this });
+      connection.send(createResponse(message.requestId, data));
+    } catch (error) {
+      connection.send(createErrorResponse(message.requestId, {
+        code: error.code,
+        message: error.message,
+        details: error.details
+      }));
+    }
+  }
+
+  /**
+   * Opens a stream, or resumes it from the frame after `since`
+   * @private
+   * @param {{id: string, method: string, payload: any, window: number, since?: number}} request
+   * @param {MethodContext} context
+   * @returns {{id: string, resumed: boolean}}
+   */
+  _openStream({ id, method, payload, window, since = 0 }, context) {
+    const { connection } = context;
+    let stream = connection.streams.get(id);
+
+    if (stream) {
+      stream.connection = connection;
+      stream.credit = since + window;
+      stream.frames
+        .filter(frame => frame.sequence > since)
+        .forEach(frame => connection.notify('starling:stream:frame', frame));
+      this._pumpStream(stream);
+      return { id, resumed: true };
+    }
+
+    const handler = this._streams.get(method);
+    if (!handler) {
+      throw Object.assign(new Error(`Stream ${method} not found`), { code: 'METHOD_NOT_FOUND' });
+    }
+
+    const controller = new AbortController();
+    const iterable = handler(payload, { ...context, signal: controller.signal });
+
+    stream = {
+      id,
+      method,
+      connection,
+      frames: [],
+      sequence: 0,
+      credit: window,
+      closed: false,
+      cancelReason: null,
+      controller,
+      iterator: iterable[Symbol.asyncIterator]?.() ?? iterable[Symbol.iterator](),
+      pumping: false
+    };
+    connection.streams.set(id, stream);
+
+    // Frames follow the response
+    setTimeout(() => this._pumpStream(stream), 0);
+    return { id, resumed: false };
+  }
+
+  /**
+   * Sends frames while the client has credit
+   * @private
+   * @param {MockStream & {iterator: Iterator<any>|AsyncIterator<any>, pumping: boolean}} stream
+   */
+  async _pumpStream(stream) {
+    if (stream.pumping) return;
+    stream.pumping = true;
+
+    try {
+      while (!stream.closed && stream.sequence < stream.credit) {
+        const { value, done } = await stream.iterator.next();
+        if (stream.closed) break;
+
+        if (done) {
+          stream.closed = true;
+          this._sendStreamFrame(stream, { done: true, ...(value !== undefined && { data: value }) });
+          break;
+        }
+        this._sendStreamFrame(stream, { data: value });
+      }
+    } catch (error) {
+      if (!stream.closed) {
+        stream.closed = true;
+        this._sendStreamFrame(stream, {
+          error: { code: error.code || 'STREAM_FAILED', message: error.message, details: error.details }
+        });
+      }
+    } finally {
+      stream.pumping = false;
+    }
+  }
+
+  /**
+   * @private
+   * @param {MockStream} stream
+   * @param {Object} fields
+   */
+  _sendStreamFrame(stream, fields) {
+    const frame = { id: stream.id, sequence: ++stream.sequence, ...fields };
+    stream.frames.push(frame);
+    stream.connection.notify('starling:stream:frame', frame);
+  }
+
+  /**
+   * Applies the credits and cancellations of the client
+   * @private
+   * @param {MockConnection} connection
+   * @param {{topic: string, data: any}} [notification]
+   */
+  _handleStreamNotification(connection, notification) {
+    const stream = connection.streams.get(notification?.data?.id);
+    if (!stream) return;
+
+    if (notification.topic === 'starling:stream:ack') {
+      stream.credit = Math.max(stream.credit, notification.data.sequence + notification.data.window);
+      this._pumpStream(stream);
+    } else if (notification.topic === 'starling:stream:cancel') {
+      stream.closed = true;
+      stream.cancelReason = notification.data.reason ?? null;
+      stream.controller.abort(stream.cancelReason);
+      stream.iterator.return?.();
+    }
+  }
+
+  /**
+   * @private
+   * @param {MockConnection} connection
+   * @param {string} method
+   * @param {any} payload
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<any>}
+   */
+  _request(connection, method, payload, options = {}) {
+    const requestId = `server-request-${++this._counters.requests}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = options.timeout
+        ? setTimeout(() => {
+          this._pending.delete(requestId);
+          reject(new Error(`Request ${method} timed out`));
+        }, options.timeout)
+        : null;
+
+      this._pending.set(requestId, { resolve, reject, timer });
+      connection.send(createRequest(requestId, method, payload));
+    });
+  }
+
+  /**
+   * @private
+   * @param {Object} message
+   */
+  _resolvePending(message) {
+    const pending = this._pending.get(message.requestId);
+    if (!pending) return;
+
+    this._pending.delete(message.requestId);
+    clearTimeout(pending.timer);
+    if (message.success === false) {
+      pending.reject(Object.assign(new Error(message.error?.message || 'Request failed'), {
+        code: message.error?.code,
+        details: message.error?.details
+      }));
+    } else {
+      pending.resolve(message.data);
+    }
+  }
+
+  /**
+   * @private
+   * @param {'in'|'out'} direction
+   * @param {MockConnection} connection
+   * @param {any} raw
+   * @returns {TrafficEntry}
+   */
+  _record(direction, connection, raw) {
+    const entry = {
+      direction,
+      connectionId: connection.id,
+      raw,
+      message: parseMessage(raw),
+      timestamp: getCurrentTimestamp()
+    };
+    this.traffic.push(entry);
+    return entry;
+  }
+
+  /**
+   * @private
+   * @param {() => void} callback
+   */
+  _schedule(callback) {
+    setTimeout(callback, this._options.latency);
+  }
+
+  /**
+   * @private
+   * @param {string} event
+   * @param {any} data
+   */
+  _emit(event, data) {
+    for (const handler of [...(this._listeners.get(event) || [])]) {
+      handler(data);
+    }
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * In-memory WebSocket implementation for tests.
+ *
+ * Every transition (open, message delivery, close) is scheduled with `setTimeout`,
+ * so tests drive the socket deterministically with fake timers. When a
+ * {@link import('./server').MockHeliosServer} listens on the socket URL, the socket
+ * is connected to it; otherwise it opens and simply records what is sent.
+ */
+export class MockWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  /**
+   * Server the socket is bound to, regardless of its URL (set on server-bound subclasses)
+   * @type {import('./server').MockHeliosServer|null}
+   */
+  static server = null;
+
+  /**
+   * Every socket created, in creation order
+   * @type {MockWebSocket[]}
+   */
+  static instances = [];
+
+  /**
+   * Servers listening on a URL
+   * @private
+   * @type {Map<string, import('./server').MockHeliosServer>}
+   */
+  static _servers = new Map();
+
+  /**
+   * Registers a server for its URL
+   * @param {import('./server').MockHeliosServer} server
+   */
+  static register(server) {
+    MockWebSocket._servers.set(MockWebSocket._key(server.url), server);
+  }
+
+  /**
+   * Unregisters a server
+   * @param {import('./server').MockHeliosServer} server
+   */
+  static unregister(server) {
+    const key = MockWebSocket._key(server.url);
+    if (MockWebSocket._servers.get(key) === server) {
+      MockWebSocket._servers.delete(key);
+    }
+  }
+
+  /**
+   * Forgets every created socket
+   */
+  static reset() {
+    MockWebSocket.instances.length = 0;
+  }
+
+  /**
+   * @private
+   * @param {string|URL} url
+   * @returns {string}
+   */
+  static _key(url) {
+    const parsed = new URL(url.toString());
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+  }
+
+  CONNECTING = 0;
+  OPEN = 1;
+  CLOSING = 2;
+  CLOSED = 3;
+
+  /**
+   * @param {string|URL} url
+   * @param {string|string[]} [protocols]
+   */
+  constructor(url, protocols = []) {
+    this.url = url.toString();
+    this.protocols = [protocols].flat().filter(Boolean);
+    this.protocol = '';
+    this.extensions = '';
+    this.binaryType = 'blob';
+    this.bufferedAmount = 0;
+    this.readyState = MockWebSocket.CONNECTING;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    /**
+     * Raw frames sent by the client
+     * @type {any[]}
+     */
+    this.sent = [];
+
+    /** @private */
+    this._listeners = new Map();
+
+    /** @private */
+    this._server = /** @type {typeof MockWebSocket} */ (this.constructor).server
+      || MockWebSocket._servers.get(MockWebSocket._key(this.url))
+      || null;
+
+    /**
+     * Server side of the connection
+     * @type {import('./server').MockConnection|null}
+     */
+    this.connection = null;
+
+    MockWebSocket.instances.push(this);
+    this._schedule(() => this._establish());
+  }
+
+  /**
+   * Sends a frame to the server
+   * @param {any} data
+   */
+  send(data) {
+    if (this.readyState === MockWebSocket.CONNECTING) {
+      const error = new Error('Failed to execute \'send\' on \'WebSocket\': Still in CONNECTING state.');
+      error.name = 'InvalidStateError';
+      throw error;
+    }
+    if (this.readyState !== MockWebSocket.OPEN) return;
+
+    this.sent.push(data);
+    const connection = this.connection;
+    if (connection) {
+      this._schedule(() => connection._receive(data));
+    }
+  }
+
+  /**
+   * Closes the connection from the client side
+   * @param {number} [code=1000]
+   * @param {string} [reason='']
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === MockWebSocket.CLOSING || this.readyState === MockWebSocket.CLOSED) return;
+
+    const wasConnecting = this.readyState === MockWebSocket.CONNECTING;
+    this.readyState = MockWebSocket.CLOSING;
+    this._schedule(() => {
+      this.connection?._handleClose(code, reason);
+      this._finalizeClose(wasConnecting ? 1006 : code, reason, !wasConnecting);
+    });
+  }
+
+  /**
+   * Delivers a frame to the client as if the server sent it
+   * @param {any} data Strings and binary data are delivered as is, anything else is JSON encoded
+   */
+  receive(data) {
+    if (this.readyState !== MockWebSocket.OPEN) return;
+    const payload = typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+      ? data
+      : JSON.stringify(data);
+    this._dispatch('message', { data: payload });
+  }
+
+  /**
+   * Closes the connection as if the server closed it cleanly
+   * @param {number} [code=1000]
+   * @param {string} [reason='']
+   */
+  serverClose(code = 1000, reason = '') {
+    if (this.readyState === MockWebSocket.CLOSED) return;
+    this.readyState = MockWebSocket.CLOSING;
+    this._schedule(() => this._finalizeClose(code, reason, true));
+  }
+
+  /**
+   * Drops the connection abnormally (error followed by a 1006 close)
+   */
+  drop() {
+    if (this.readyState === MockWebSocket.CLOSED) return;
+    this.readyState = MockWebSocket.CLOSING;
+    this._schedule(() => {
+      this._dispatch('error', {});
+      this._finalizeClose(1006, '', false);
+    });
+  }
+
+  /**
+   * @param {string} type
+   * @param {(event: any) => void} listener
+   */
+  addEventListener(type, listener) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+    this._listeners.get(type).add(listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {(event: any) => void} listener
+   */
+  removeEventListener(type, listener) {
+    this._listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * @param {{type: string}} event
+   * @returns {boolean}
+   */
+  dispatchEvent(event) {
+    this._dispatch(event.type, event);
+    return true;
+  }
+
+  /**
+   * Completes the opening handshake
+   * @private
+   */
+  _establish() {
+    if (this.readyState !== MockWebSocket.CONNECTING) return;
+
+    if (this._server) {
+      const connection = this._server._accept(this);
+      if (!connection) {
+        this.readyState = MockWebSocket.CLOSING;
+        this._dispatch('error', {});
+        this._finalizeClose(1006, '', false);
+        return;
+      }
+      this.connection = connection;
+      this.protocol = connection.protocol;
+    }
+
+    this.readyState = MockWebSocket.OPEN;
+    this._dispatch('open', {});
+    this.connection?._handleOpen();
+  }
+
+  /**
+   * @private
+   * @param {number} code
+   * @param {string} reason
+   * @param {boolean} wasClean
+   */
+  _finalizeClose(code, reason, wasClean) {
+    if (this.readyState === MockWebSocket.CLOSED) return;
+    this.readyState = MockWebSocket.CLOSED;
+    this._dispatch('close', { code, reason, wasClean });
+  }
+
+  /**
+   * @private
+   * @param {string} type
+   * @param {Object} init
+   */
+  _dispatch(type, init) {
+    const event = { ...init, type, target: this, currentTarget: this };
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+    for (const listener of [...(this._listeners.get(type) || [])]) {
+      listener.call(this, event);
+    }
+  }
+
+  /**
+   * @private
+   * @param {() => void} callback
+   */
+  _schedule(callback) {
+    setTimeout(callback, this._server?.latency ?? 0);
+  }
+}
@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus, ErrorCodes } from '../src';
+import { collect, setup, teardown, until } from './helpers';
+
+describe('AuthManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('sends the token in the query and asks again on reconnection', async () => {
+    const reasons = [];
+    context = setup({
+      client: {
+        auth: {
+          token: ({ reason }) => {
+            reasons.push(reason);
+            return `token-${reasons.length}`;
+          }
+        },
+        reconnection: { minDelay: 5, maxDelay: 5 }
+      }
+    });
+    const { server, client } = context;
+
+    await client.connect();
+    expect([...server.connections][0].url.searchParams.get('token')).toBe('token-1');
+
+    server.dropAll();
+    await until(() => server.connections.size === 1 && client.status === ConnectionStatus.OPEN);
+    expect(reasons).toEqual(['connect', 'reconnect']);
+    expect([...server.connections][0].url.searchParams.get('token')).toBe('token-2');
+  });
+
+  it('offers the token as a subprotocol', async () => {
+    context = setup({ client: { auth: { token: () => 'secret', mode: 'protocol' } } });
+    const { server, client } = context;
+
+    await client.connect();
+    expect([...server.connections][0].protocol).toBe('auth.secret');
+  });
+
+  it('authenticates with a request in message mode', async () => {
+    context = setup({ client: { auth: { token: () => 'secret', mode: 'message' } } });
+    const { server, client } = context;
+    const tokens = [];
+    server.method('auth', ({ token }) => {
+      tokens.push(token);
+      return { ok: true };
+    });
+
+    await client.connect();
+    expect(tokens).toEqual(['secret']);
+  });
+
+  it('fails and stops reconnecting when the server rejects the credentials', async () => {
+    context = setup({
+      client: {
+        auth: { token: () => 'expired', mode: 'message' },
+        reconnection: { minDelay: 5, maxDelay: 5 }
+      }
+    });
+    const { server, client } = context;
+    const failed = collect(client.events, 'starling:auth:failed');
+    server.method('auth', () => {
+      throw Object.assign(new Error('Expired'), { code: ErrorCodes.AUTH_FAILED });
+    });
+
+    await expect(client.connect()).rejects.toMatchObject({ code: ErrorCodes.AUTH_FAILED });
+    expect(failed).toHaveLength(1);
+    expect(client.reconnection.active).toBe(false);
+  });
+
+  it('fails when the provider returns no token', async () => {
+    context = setup({ client: { auth: { token: () => null } } });
+    const { server, client } = context;
+
+    await expect(client.connect()).rejects.toMatchObject({ code: ErrorCodes.AUTH_FAILED });
+    expect(server.connections.size).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { BackoffStrategies, ErrorCodes, Starling } from '../src';
+import { collect, setup, teardown, until } from './helpers';
+
+/**
+ * Backoff context of the fourth attempt
+ * @param {Object} [overrides]
+ */
+const attemptContext = overrides => ({
+  attempt: 3,
+  previousDelay: 400,
+  minDelay: 100,
+  maxDelay: 1000,
+  multiplier: 2,
+  step: 50,
+  random: () => 0.5,
+  metrics: {},
+  ...overrides
+});
+
+describe('BackoffStrategies', () => {
+  it('computes the built-in delays', () => {
+    expect(BackoffStrategies.exponential(attemptContext())).toBe(800);
+    expect(BackoffStrategies['full-jitter'](attemptContext())).toBe(400);
+    expect(BackoffStrategies['equal-jitter'](attemptContext())).toBe(600);
+    expect(BackoffStrategies['decorrelated-jitter'](attemptContext())).toBe(650);
+    expect(BackoffStrategies.linear(attemptContext())).toBe(250);
+    expect(BackoffStrategies.fixed(attemptContext())).toBe(100);
+  });
+
+  it('caps every delay with maxDelay', () => {
+    const late = attemptContext({ attempt: 20, previousDelay: 900, random: () => 0.99 });
+    for (const policy of Object.values(BackoffStrategies)) {
+      expect(policy(late)).toBeLessThanOrEqual(1000);
+    }
+  });
+});
+
+describe('ReconnectionManager backoff', () => {
+  let context;
+
+  afterEach(async () => {
+    if (context) await teardown(context);
+    context = null;
+  });
+
+  it('schedules attempts with a custom policy', async () => {
+    const seen = [];
+    context = setup({
+      client: {
+        reconnection: {
+          strategy: ({ attempt }) => {
+            seen.push(attempt);
+            return attempt === 0 ? 5 : Infinity;
+          },
+          maxDelay: 20
+        }
+      }
+    });
+    const { server, client } = context;
+    const scheduled = collect(client.events, 'starling:reconnect:scheduled');
+
+    await client.connect();
+    server.refuse();
+    server.dropAll();
+
+    await until(() => scheduled.length === 2);
+    expect(scheduled.map(event => [event.delay, event.strategy])).toEqual([[5, 'custom'], [20, 'custom']]);
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it('rejects an unknown strategy', () => {
+    expect(() => new Starling('ws://example.com/ws', { reconnection: { strategy: 'sometimes' } }))
+      .toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_CONFIGURATION }));
+  });
+});
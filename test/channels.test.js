@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ErrorCodes } from '../src';
+import { setup, teardown, until, wait } from './helpers';
+
+describe('ChannelManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('prefixes requests, methods and topics with the channel name', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('chat:send', ({ text }) => ({ echoed: text }));
+    const chat = client.channel('chat');
+    const typing = [];
+    chat.on('typing', ({ data }) => typing.push(data));
+    chat.method('receive', request => request.success({ received: true }));
+
+    await client.connect();
+    expect(await chat.request('send', { text: 'Hello' })).toEqual({ echoed: 'Hello' });
+
+    server.notify('chat:typing', { user: 'ada' });
+    await until(() => typing.length === 1);
+    expect(typing[0]).toEqual({ user: 'ada' });
+
+    const [connection] = server.connections;
+    expect(await connection.request('chat:receive')).toEqual({ received: true });
+  });
+
+  it('logs a rejected async topic handler and runs the others', async () => {
+    const records = [];
+    context = setup({ client: { logger: { sink: record => records.push(record) } } });
+    const { server, client } = context;
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    const chat = client.channel('chat');
+    const typing = [];
+    chat.on('typing', async () => {
+      throw new Error('Render failed');
+    });
+    chat.on('typing', ({ data }) => typing.push(data));
+
+    try {
+      await client.connect();
+      server.notify('chat:typing', { user: 'ada' });
+      await until(() => typing.length === 1);
+      await wait(10);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+
+    expect(unhandled).toHaveLength(0);
+    expect(records.filter(record => record.message === 'Topic handler failed')).toHaveLength(1);
+  });
+
+  it('throws CHANNEL_CLOSED once closed', async () => {
+    context = setup();
+    const { client } = context;
+    const chat = client.channel('chat');
+
+    await chat.close();
+    expect(() => chat.on('typing', () => {})).toThrow(expect.objectContaining({ code: ErrorCodes.CHANNEL_CLOSED }));
+    expect(client.channel('chat')).not.toBe(chat);
+  });
+});
@@ -0,0 +1,77 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ErrorCodes, Starling, createClient, normalizeClientOptions } from '../src';
+import { MockHeliosServer } from '../src/testing';
+import { collect, setup, teardown, wait } from './helpers';
+
+describe('createClient', () => {
+  let context;
+
+  afterEach(async () => {
+    if (context) await teardown(context);
+    context = null;
+  });
+
+  it('turns the shorthands into reconnection options', () => {
+    expect(normalizeClientOptions({ reconnectDelay: 250, maxReconnectAttempts: 3 }).reconnection)
+      .toEqual({ minDelay: 250, maxAttempts: 3 });
+    expect(normalizeClientOptions({ maxReconnectAttempts: 3, reconnection: { maxAttempts: 5 } }).reconnection)
+      .toEqual({ maxAttempts: 5 });
+    expect(normalizeClientOptions({ reconnect: false, reconnectDelay: 250 }).reconnection).toBe(false);
+    expect(normalizeClientOptions({ debug: true }).logger).toEqual({ level: 'debug' });
+    expect(() => createClient('ws://example.com/ws', { reconnectDelay: -1 }))
+      .toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_CONFIGURATION }));
+  });
+
+  it('does not reconnect with reconnect: false', async () => {
+    const url = 'ws://client-test.local/ws';
+    const server = new MockHeliosServer(url);
+    const client = createClient(url, { websocket: server.WebSocket, heartbeat: false, lifecycle: false, reconnect: false });
+    context = { server, client };
+    expect(client).toBeInstanceOf(Starling);
+    const scheduled = collect(client.events, 'starling:reconnect:scheduled');
+
+    await client.connect();
+    server.dropAll();
+    await wait(20);
+
+    expect(client.connected).toBeFalsy();
+    expect(scheduled).toHaveLength(0);
+    expect(server.connections.size).toBe(0);
+  });
+});
+
+describe('RPC proxy', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('sends property paths as method names', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('user:get', ({ id }) => ({ id, name: 'Ada' }));
+    server.method('chat:room:join', ({ room }) => ({ joined: room }));
+
+    await client.connect();
+    expect(await client.api.user.get({ id: 7 })).toEqual({ id: 7, name: 'Ada' });
+    expect(await client.api.chat.room.join({ room: 'general' }, { timeout: 500 })).toEqual({ joined: 'general' });
+    expect(server.messages({ direction: 'in', method: 'user:get' })).toHaveLength(1);
+    expect(client.api.user.get).toBe(client.api.user.get);
+  });
+
+  it('joins the path with the configured separator', async () => {
+    context = setup({ client: { rpc: { separator: '.' } } });
+    const { server, client } = context;
+    server.method('user.get', () => 'dotted');
+
+    await client.connect();
+    expect(await client.api.user.get()).toBe('dotted');
+  });
+
+  it('is not a thenable nor a method itself', async () => {
+    context = setup();
+    const { client } = context;
+
+    expect(await client.api).toBe(client.api);
+    expect(() => client.api()).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_CONFIGURATION }));
+  });
+});
@@ -0,0 +1,79 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { CborCodec, FrameCodec, FrameFlags, MessagePackCodec, parseCodecProtocol } from '../src';
+import { collect, setup, teardown } from './helpers';
+
+const message = { type: 'request', id: 'r-1', method: 'user:get', params: { id: 7, tags: ['a', 'b'], score: 1.5, admin: null } };
+
+describe('Codecs', () => {
+  it('round-trips JSON values through MessagePack and CBOR', () => {
+    for (const codec of [new MessagePackCodec(), new CborCodec()]) {
+      const encoded = codec.encode(message);
+      expect(encoded).toBeInstanceOf(Uint8Array);
+      expect(codec.decode(encoded)).toEqual(message);
+    }
+  });
+
+  it('parses codec subprotocols', () => {
+    const codecs = [new MessagePackCodec(), new CborCodec()];
+    expect(parseCodecProtocol('starling.cbor+deflate', codecs)).toEqual({ codec: codecs[1], compression: true });
+    expect(parseCodecProtocol('starling.msgpack', codecs)).toEqual({ codec: codecs[0], compression: false });
+    expect(parseCodecProtocol('starling.msgpack+gzip', codecs)).toBeNull();
+    expect(parseCodecProtocol('starling.protobuf', codecs)).toBeNull();
+    expect(parseCodecProtocol('helios.v1', codecs)).toBeNull();
+  });
+
+  it('deflates frames above the threshold only', async () => {
+    const frames = new FrameCodec({ codec: new MessagePackCodec(), compression: true, threshold: 64 });
+    const small = JSON.stringify({ id: 1 });
+    const large = JSON.stringify({ text: 'x'.repeat(500) });
+
+    const smallFrame = await frames.encode(small);
+    const largeFrame = await frames.encode(large);
+    expect(smallFrame[0]).toBe(FrameFlags.NONE);
+    expect(largeFrame[0]).toBe(FrameFlags.DEFLATE);
+    expect(largeFrame.byteLength).toBeLessThan(large.length);
+
+    expect(JSON.parse(await frames.decode(smallFrame))).toEqual({ id: 1 });
+    expect(JSON.parse(await frames.decode(largeFrame))).toEqual({ text: 'x'.repeat(500) });
+  });
+
+  it('keeps uncompressed JSON in text frames', async () => {
+    const frames = new FrameCodec({ codec: { name: 'json', encode: JSON.stringify, decode: JSON.parse } });
+    const text = JSON.stringify(message);
+    expect(await frames.encode(text)).toBe(text);
+  });
+});
+
+describe('Codec negotiation', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('speaks the codec the server selects', async () => {
+    context = setup({ client: { codec: { codecs: ['cbor'], compression: true, threshold: 16 } } });
+    const { server, client } = context;
+    server.method('echo', params => params);
+    const negotiated = collect(client.events, 'starling:codec');
+
+    await client.connect();
+    const [connection] = server.connections;
+    expect(connection.protocol).toBe('starling.cbor+deflate');
+    expect(client.codec).toEqual({ codec: 'cbor', compression: true });
+    expect(negotiated[0]).toMatchObject({ codec: 'cbor', compression: true });
+
+    const payload = { text: 'y'.repeat(200), list: [1, 2, 3] };
+    expect(await client.request('echo', payload)).toEqual(payload);
+  });
+
+  it('falls back to JSON when the server selects no codec', async () => {
+    context = setup({
+      server: { protocols: ['helios.v1'] },
+      client: { codec: { codecs: ['msgpack'] }, protocols: ['helios.v1'] }
+    });
+    const { server, client } = context;
+
+    await client.connect();
+    expect([...server.connections][0].protocol).toBe('helios.v1');
+    expect(client.codec).toEqual({ codec: 'json', compression: false });
+  });
+});
@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus, ErrorCodes } from '../src';
+import { collect, setup, teardown, wait } from './helpers';
+
+describe('connect()', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('is cancelled by disconnect() while the token provider is pending', async () => {
+    let provide;
+    context = setup({
+      client: { auth: { token: () => new Promise(resolve => { provide = resolve; }) } }
+    });
+    const { server, client } = context;
+    const invalid = collect(client.events, 'starling:status:invalid');
+
+    const connecting = client.connect();
+    await wait(10);
+    await client.disconnect();
+
+    await expect(connecting).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_ABORTED });
+    provide('secret');
+    await wait(10);
+
+    expect(client.status).toBe(ConnectionStatus.CLOSED);
+    expect(client.connected).toBeFalsy();
+    expect(server.connections.size).toBe(0);
+    expect(invalid).toHaveLength(0);
+  });
+
+  it('times out while the token provider hangs', async () => {
+    context = setup({
+      client: { connectTimeout: 30, auth: { token: () => new Promise(() => {}) } }
+    });
+    const { server, client } = context;
+
+    await expect(client.connect()).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_TIMEOUT });
+    expect(client.status).toBe(ConnectionStatus.FAILED);
+    expect(server.connections.size).toBe(0);
+  });
+
+  it('is cancelled by an aborted signal before the socket opens', async () => {
+    context = setup({
+      client: { auth: { token: () => wait(20).then(() => 'secret') } }
+    });
+    const { server, client } = context;
+    const controller = new AbortController();
+
+    const connecting = client.connect({ signal: controller.signal });
+    await wait(5);
+    controller.abort('Navigated away');
+
+    await expect(connecting).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_ABORTED });
+    await wait(30);
+    expect(client.status).toBe(ConnectionStatus.CLOSED);
+    expect(server.connections.size).toBe(0);
+  });
+
+  it('rejects a second connect() while the first is preparing', async () => {
+    context = setup({
+      client: { auth: { token: () => wait(20).then(() => 'secret') } }
+    });
+    const { client } = context;
+
+    const first = client.connect();
+    await expect(client.connect()).rejects.toMatchObject({ code: ErrorCodes.ALREADY_CONNECTED });
+    await first;
+    expect(client.status).toBe(ConnectionStatus.OPEN);
+  });
+});
@@ -0,0 +1,95 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus, Starling } from '../src';
+import { MockHeliosServer, MockWebSocket } from '../src/testing';
+import { collect, wait } from './helpers';
+
+let nodes = 0;
+
+describe('EndpointManager', () => {
+  let servers = [];
+  let client = null;
+
+  afterEach(async () => {
+    await client?.destroy().catch(() => {});
+    servers.forEach(server => server.close());
+    servers = [];
+    client = null;
+    MockWebSocket.reset();
+  });
+
+  /**
+   * Starts a mock Helios node
+   */
+  const node = () => {
+    const server = new MockHeliosServer(`ws://node-${++nodes}.local/ws`);
+    servers.push(server);
+    return server;
+  };
+
+  /**
+   * Client over the given endpoints, without reconnection
+   */
+  const connectTo = (source, options = {}) => {
+    client = new Starling(source, {
+      websocket: MockWebSocket,
+      heartbeat: false,
+      lifecycle: false,
+      reconnection: false,
+      ...options
+    });
+    return client;
+  };
+
+  it('fails over to the next endpoint and cools the failed one down', async () => {
+    const [down, up] = [node(), node()];
+    down.refuse();
+    connectTo([down.url.toString(), up.url.toString()]);
+    const failed = collect(client.events, 'starling:endpoint:failed');
+
+    await expect(client.connect()).rejects.toBeDefined();
+    await client.connect();
+
+    expect(client.status).toBe(ConnectionStatus.OPEN);
+    expect(up.connections.size).toBe(1);
+    expect(failed).toHaveLength(1);
+    const [first] = client.endpoints;
+    expect(first.failures).toBe(1);
+    expect(first.cooldownUntil).toBeGreaterThan(Date.now());
+  });
+
+  it('resolves the endpoints before every connection', async () => {
+    const [first, second] = [node(), node()];
+    let target = first;
+    let calls = 0;
+    connectTo(async () => {
+      calls++;
+      await wait(1);
+      return target.url.toString();
+    });
+
+    await client.connect();
+    expect(client.endpoint.url).toBe(first.url.toString());
+    await client.disconnect();
+    target = second;
+    await client.connect();
+
+    expect(calls).toBe(2);
+    expect(client.endpoint.url).toBe(second.url.toString());
+  });
+
+  it('rotates endpoints and measures them with round-robin', async () => {
+    const [a, b] = [node(), node()];
+    connectTo([a.url.toString(), b.url.toString()], { endpoints: { strategy: 'round-robin' } });
+    const selected = collect(client.events, 'starling:endpoint:selected');
+
+    for (let i = 0; i < 3; i++) {
+      await client.connect();
+      await client.disconnect();
+    }
+
+    const urls = selected.map(({ endpoint }) => endpoint.url);
+    expect(urls[0]).not.toBe(urls[1]);
+    expect(urls[2]).toBe(urls[0]);
+    expect(client.endpoints.every(endpoint => endpoint.latency !== null && endpoint.successes > 0)).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionError, ErrorCodes, OutboxError, StarlingError } from '../src';
+import { setup, teardown } from './helpers';
+
+describe('StarlingError', () => {
+  let context;
+
+  afterEach(async () => {
+    if (context) await teardown(context);
+    context = null;
+  });
+
+  it('carries a stable code, the retry hint and the cause', () => {
+    const cause = new Error('socket hang up');
+    const error = new ConnectionError('Connection lost', { cause, details: { code: 1006 } });
+
+    expect(error).toBeInstanceOf(StarlingError);
+    expect(error.name).toBe('ConnectionError');
+    expect(error.code).toBe(ErrorCodes.CONNECTION_FAILED);
+    expect(error.retryable).toBe(true);
+    expect(error.cause).toBe(cause);
+    expect(StarlingError.is(error, ErrorCodes.CONNECTION_FAILED)).toBe(true);
+    expect(JSON.parse(JSON.stringify(error))).toEqual({
+      name: 'ConnectionError',
+      code: ErrorCodes.CONNECTION_FAILED,
+      message: 'Connection lost',
+      retryable: true,
+      details: { code: 1006 }
+    });
+  });
+
+  it('lets the options override the defaults of a subclass', () => {
+    const error = new OutboxError('Outbox is full', { retryable: true });
+    expect(error.code).toBe(ErrorCodes.OUTBOX_FAILED);
+    expect(error.retryable).toBe(true);
+    expect(Object.isFrozen(ErrorCodes)).toBe(true);
+  });
+
+  it('rejects client calls with coded errors', async () => {
+    context = setup({ client: { connectTimeout: 20 } });
+    const { server, client } = context;
+    server.refuse();
+
+    const error = await client.connect().catch(failure => failure);
+    expect(error).toBeInstanceOf(ConnectionError);
+    expect(Object.values(ErrorCodes)).toContain(error.code);
+
+    server.refuse(false);
+    await client.connect();
+    await expect(client.connect()).rejects.toMatchObject({ code: ErrorCodes.ALREADY_CONNECTED, retryable: false });
+  });
+});
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { StarlingError } from '../src';
+import { setup, teardown } from './helpers';
+
+describe('HeartbeatManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('measures the round-trip of a ping', async () => {
+    context = setup();
+    const { client } = context;
+
+    await client.connect();
+    expect(await client.ping()).toBeGreaterThanOrEqual(0);
+  });
+
+  it('counts any server error as a pong', async () => {
+    context = setup();
+    const { server, client } = context;
+
+    for (const code of ['AUTH_FAILED', 'VALIDATION_FAILED', 'MESSAGE_REJECTED', 'INVALID_MESSAGE', 'METHOD_NOT_FOUND']) {
+      server.method('starling:ping', () => {
+        throw new StarlingError('Refused', { code });
+      });
+      if (!client.connected) await client.connect();
+      expect(await client.ping()).not.toBeNull();
+    }
+  });
+
+  it('misses a pong when the server does not answer', async () => {
+    context = setup({ client: { heartbeat: { timeout: 20 } } });
+    const { server, client } = context;
+
+    await client.connect();
+    server.method('starling:ping', () => new Promise(() => {}));
+    expect(await client.ping()).toBeNull();
+    expect(client.metrics().heartbeat.missed).toBeGreaterThan(0);
+  });
+
+  it('misses a pong when a middleware refuses the ping', async () => {
+    context = setup();
+    const { server, client } = context;
+
+    await client.connect();
+    client.use(({ message }, next) => {
+      if (message.method === 'starling:ping') throw new Error('Not now');
+      return next();
+    }, { direction: 'outgoing' });
+
+    expect(await client.ping()).toBeNull();
+    expect(server.messages({ type: 'request', method: 'starling:ping' })).toHaveLength(0);
+  });
+});
@@ -0,0 +1,65 @@
+import { Starling } from '../src';
+import { MockHeliosServer, MockWebSocket } from '../src/testing';
+
+let servers = 0;
+
+/**
+ * Starts a mock server and a client bound to it, heartbeat and lifecycle off unless given
+ * @param {Object} [options]
+ * @param {Object} [options.server] Mock server options
+ * @param {Object} [options.client] Client options
+ * @returns {{server: MockHeliosServer, client: Starling, url: string}}
+ */
+export const setup = ({ server: serverOptions = {}, client: clientOptions = {} } = {}) => {
+  const url = `ws://test-${++servers}.local/ws`;
+  const server = new MockHeliosServer(url, serverOptions);
+  const client = new Starling(url, {
+    websocket: server.WebSocket,
+    heartbeat: false,
+    lifecycle: false,
+    ...clientOptions
+  });
+  return { server, client, url };
+};
+
+/**
+ * Closes what {@link setup} started
+ * @param {{server: MockHeliosServer, client?: Starling}} context
+ */
+export const teardown = async ({ server, client }) => {
+  await client?.destroy().catch(() => {});
+  server.close();
+  MockWebSocket.reset();
+};
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolves once a condition holds, rejects after the timeout
+ * @param {() => any} condition Checked every 5 ms, may return a promise
+ * @param {number} [timeout=1000]
+ * @returns {Promise<void>}
+ */
+export const until = async (condition, timeout = 1000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await wait(5);
+  }
+};
+
+/**
+ * Collects the payloads of an event
+ * @param {{on: Function}} events
+ * @param {string} name
+ * @returns {any[]}
+ */
+export const collect = (events, name) => {
+  const seen = [];
+  events.on(name, data => seen.push(data));
+  return seen;
+};
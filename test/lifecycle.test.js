@@ -0,0 +1,95 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus } from '../src';
+import { collect, setup, teardown, until, wait } from './helpers';
+
+/**
+ * Browser-like network environment driven by the test
+ */
+const network = () => {
+  const window = new EventTarget();
+  const navigator = { onLine: true };
+  return {
+    environment: { window, navigator },
+    offline: () => {
+      navigator.onLine = false;
+      window.dispatchEvent(new Event('offline'));
+    },
+    online: () => {
+      navigator.onLine = true;
+      window.dispatchEvent(new Event('online'));
+    }
+  };
+};
+
+describe('LifecycleManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('attempts right away when the network comes back', async () => {
+    const { environment, offline, online } = network();
+    context = setup({
+      client: {
+        lifecycle: { environment },
+        reconnection: { minDelay: 60000, maxDelay: 60000 }
+      }
+    });
+    const { server, client } = context;
+
+    await client.connect();
+    // Only the successful attempt ends the process
+    const stoppedWhile = [];
+    client.events.on('starling:reconnect:stopped', () => stoppedWhile.push(client.status));
+    offline();
+    server.dropAll();
+    await until(() => client.status === ConnectionStatus.RECONNECTING);
+
+    online();
+    await until(() => client.status === ConnectionStatus.OPEN);
+    expect(stoppedWhile).toEqual([ConnectionStatus.OPEN]);
+  });
+
+  it('waits out the backoff on return without reconnectOnOnline', async () => {
+    const { environment, offline, online } = network();
+    context = setup({
+      client: {
+        lifecycle: { environment, reconnectOnOnline: false },
+        reconnection: { minDelay: 60, maxDelay: 60 }
+      }
+    });
+    const { server, client } = context;
+    const attempts = collect(client.events, 'starling:reconnect:attempt');
+
+    await client.connect();
+    offline();
+    server.dropAll();
+    await until(() => client.status === ConnectionStatus.RECONNECTING);
+
+    online();
+    await wait(20);
+    expect(attempts).toHaveLength(0);
+
+    await until(() => client.status === ConnectionStatus.OPEN);
+    expect(attempts).toHaveLength(1);
+  });
+
+  it('holds attempts while offline', async () => {
+    const { environment, offline } = network();
+    context = setup({
+      client: {
+        lifecycle: { environment },
+        reconnection: { minDelay: 5, maxDelay: 5 }
+      }
+    });
+    const { server, client } = context;
+    const attempts = collect(client.events, 'starling:reconnect:attempt');
+
+    await client.connect();
+    offline();
+    server.dropAll();
+
+    await wait(50);
+    expect(client.status).toBe(ConnectionStatus.RECONNECTING);
+    expect(attempts).toHaveLength(0);
+  });
+});
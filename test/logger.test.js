@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { createLogger, jsonLinesSink, StarlingError } from '../src';
+import { setup, teardown } from './helpers';
+
+describe('Logger', () => {
+  let context;
+
+  afterEach(async () => {
+    if (context) await teardown(context);
+    context = null;
+  });
+
+  it('is silent by default', () => {
+    const logger = createLogger();
+    expect(logger.enabled('error')).toBe(false);
+  });
+
+  it('filters records by level and namespace', () => {
+    const records = [];
+    const logger = createLogger({
+      sink: record => records.push(record),
+      level: 'warn',
+      levels: { 'starling:reconnection': 'debug' },
+      fields: { service: 'chat' }
+    });
+
+    logger.child('heartbeat').info('Pong');
+    logger.child('heartbeat').warn('Pong missed', { missed: 1 });
+    logger.child('reconnection').debug('Attempt scheduled');
+
+    expect(records.map(record => [record.namespace, record.level, record.message])).toEqual([
+      ['starling:heartbeat', 'warn', 'Pong missed'],
+      ['starling:reconnection', 'debug', 'Attempt scheduled']
+    ]);
+    expect(records[0].fields).toEqual({ service: 'chat', missed: 1 });
+  });
+
+  it('writes JSON lines with readable errors', () => {
+    const lines = [];
+    const logger = createLogger({ sink: jsonLinesSink(line => lines.push(line)) });
+
+    logger.child('auth').error('Refresh failed', { error: new StarlingError('Expired', { code: 'AUTH_FAILED' }) });
+    expect(JSON.parse(lines[0])).toMatchObject({
+      level: 'error',
+      namespace: 'starling:auth',
+      message: 'Refresh failed',
+      error: { name: 'StarlingError', message: 'Expired', code: 'AUTH_FAILED' }
+    });
+  });
+
+  it('adapts loggers such as pino or winston', async () => {
+    const calls = [];
+    const external = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [
+      level,
+      (fields, message) => calls.push({ level, fields, message })
+    ]));
+    context = setup({ client: { logger: external } });
+
+    await context.client.connect();
+    expect(calls.length).toBeGreaterThan(0);
+    expect(calls.every(call => typeof call.fields.namespace === 'string' && call.fields.namespace.startsWith('starling'))).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { Histogram } from '../src';
+import { setup, teardown, until, wait } from './helpers';
+
+describe('MetricsManager', () => {
+  let context;
+
+  afterEach(async () => {
+    if (context) await teardown(context);
+    context = null;
+  });
+
+  it('snapshots traffic and request latencies', async () => {
+    context = setup({ client: { metrics: { buckets: [10, 100] } } });
+    const { server, client } = context;
+    server.method('echo', payload => payload);
+
+    await client.connect();
+    await client.request('echo', 'a');
+    await client.request('echo', 'b');
+
+    const snapshot = client.metrics();
+    expect(snapshot.status).toBe('open');
+    expect(snapshot.traffic.bytesSent).toBeGreaterThan(0);
+    expect(snapshot.traffic.bytesReceived).toBeGreaterThan(0);
+    expect(snapshot.requests.latency.count).toBeGreaterThanOrEqual(2);
+    expect(snapshot.requests.latency.bounds).toEqual([10, 100]);
+    expect(snapshot).toHaveProperty('reconnection');
+    expect(snapshot).toHaveProperty('heartbeat');
+  });
+
+  it('exports Prometheus and OpenTelemetry formats', async () => {
+    context = setup();
+    const { client } = context;
+    await client.connect();
+
+    const text = client.exportMetrics('prometheus', { labels: { service: 'chat' } });
+    expect(text).toContain('# TYPE starling_request_duration_milliseconds histogram');
+    expect(text).toContain('starling_request_duration_milliseconds_bucket{service="chat",le="+Inf"}');
+
+    const { scope, metrics } = client.exportMetrics('opentelemetry');
+    expect(scope.name).toBeString();
+    expect(metrics.length).toBeGreaterThan(0);
+  });
+
+  it('pushes snapshots until the client is destroyed', async () => {
+    const pushed = [];
+    context = setup({ client: { metrics: { exportInterval: 10, exporter: snapshot => pushed.push(snapshot) } } });
+    const { client } = context;
+
+    await until(() => pushed.length >= 2);
+    await client.destroy();
+    const count = pushed.length;
+    await wait(30);
+    expect(pushed.length).toBe(count);
+  });
+
+  it('computes percentiles from the histogram', () => {
+    const histogram = new Histogram({ buckets: [10, 100, 1000] });
+    [5, 5, 50, 50, 500].forEach(value => histogram.record(value));
+
+    expect(histogram.snapshot()).toMatchObject({
+      count: 5,
+      sum: 610,
+      min: 5,
+      max: 500,
+      p50: 50,
+      p99: 500,
+      buckets: [2, 2, 1, 0]
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ErrorCodes } from '../src';
+import { collect, setup, teardown, until, wait } from './helpers';
+
+describe('MiddlewareManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('runs by priority then registration order and applies changes', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('echo', payload => payload);
+    const order = [];
+    client.use(async ({ message }, next) => {
+      order.push('second');
+      message.payload = { ...message.payload, traced: true };
+      await next();
+    }, { direction: 'outgoing', types: ['request'] });
+    client.use((_, next) => {
+      order.push('third');
+      return next();
+    }, { direction: 'outgoing', types: ['request'] });
+    client.use((_, next) => {
+      order.push('first');
+      return next();
+    }, { direction: 'outgoing', types: ['request'], priority: 10 });
+
+    await client.connect();
+    expect(await client.request('echo', { id: 1 })).toEqual({ id: 1, traced: true });
+    expect(order.slice(-3)).toEqual(['first', 'second', 'third']);
+  });
+
+  it('only shows a middleware the directions and types it asked for', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('echo', payload => payload);
+    const seen = [];
+    client.use(({ direction, type }, next) => {
+      seen.push(`${direction}:${type}`);
+      return next();
+    }, { direction: 'incoming', types: ['notification'] });
+
+    await client.connect();
+    await client.request('echo', { id: 1 });
+    client.events.on('news', () => {});
+    server.notify('news', 'fresh');
+    await until(() => seen.length === 1);
+    await wait(10);
+    expect(seen).toEqual(['incoming:notification']);
+  });
+
+  it('fails a rejected outgoing request with MESSAGE_REJECTED', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('login', () => ({ ok: true }));
+    const rejected = collect(client.events, 'starling:middleware:rejected');
+    client.use(({ message }, next) => {
+      if (message.payload?.password) throw new Error('Passwords are not sent');
+      return next();
+    }, { direction: 'outgoing' });
+
+    await client.connect();
+    await expect(client.request('login', { password: 'hunter2' }))
+      .rejects.toMatchObject({ code: ErrorCodes.MESSAGE_REJECTED });
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0]).toMatchObject({ direction: 'outgoing', type: 'request' });
+    expect(server.messages({ direction: 'in', method: 'login' })).toHaveLength(0);
+  });
+
+  it('answers a rejected incoming request with the error', async () => {
+    context = setup();
+    const { server, client } = context;
+    let handled = false;
+    client.method('admin:wipe', request => {
+      handled = true;
+      request.success(true);
+    });
+    client.use(() => {
+      throw new Error('Not allowed');
+    }, { direction: 'incoming', types: ['request'] });
+
+    await client.connect();
+    const [connection] = server.connections;
+    await expect(connection.request('admin:wipe')).rejects.toMatchObject({ code: ErrorCodes.MESSAGE_REJECTED });
+    expect(handled).toBe(false);
+  });
+
+  it('keeps outgoing messages in order while one is delayed', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('echo', payload => payload);
+    client.use(async ({ message }, next) => {
+      if (message.payload?.slow) await wait(20);
+      await next();
+    }, { direction: 'outgoing', types: ['request'] });
+
+    await client.connect();
+    await Promise.all([client.request('echo', { slow: true }), client.request('echo', { slow: false })]);
+    const sent = server.messages({ direction: 'in', method: 'echo' }).map(entry => entry.message.payload.slow);
+    expect(sent).toEqual([true, false]);
+  });
+});
@@ -0,0 +1,77 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ErrorCodes, MemoryStorageAdapter, Starling } from '../src';
+import { setup, teardown, until } from './helpers';
+
+describe('OutboxManager', () => {
+  let context;
+  let restarted = null;
+
+  afterEach(async () => {
+    await restarted?.destroy().catch(() => {});
+    restarted = null;
+    await teardown(context);
+  });
+
+  it('replays calls made while disconnected in order, with an idempotency key', async () => {
+    context = setup({ client: { outbox: { storage: 'memory' } } });
+    const { server, client } = context;
+    server.method('note:save', ({ text }) => ({ saved: text }));
+
+    const saved = client.request('note:save', { text: 'first' });
+    client.notify('typing', { user: 'ada' });
+    const second = client.request('note:save', { text: 'second' });
+    expect(client.outbox.list().map(entry => entry.status)).toEqual(['pending', 'pending', 'pending']);
+
+    await client.connect();
+    expect(await saved).toEqual({ saved: 'first' });
+    expect(await second).toEqual({ saved: 'second' });
+
+    const sent = server.messages({ direction: 'in' })
+      .map(entry => entry.message)
+      .filter(message => message.method === 'note:save' || message.notification?.topic === 'typing');
+    expect(sent.map(message => message.payload?.text ?? message.notification.topic)).toEqual(['first', 'typing', 'second']);
+    expect(sent[0].metadata.idempotencyKey).toBeString();
+    expect(client.outbox.size).toBe(0);
+  });
+
+  it('replays the entries persisted by a previous client', async () => {
+    const storage = new MemoryStorageAdapter();
+    context = setup({ client: { outbox: { storage } } });
+    const { server, client } = context;
+    const saved = [];
+    server.method('note:save', ({ text }) => saved.push(text));
+
+    client.request('note:save', { text: 'offline' }).catch(() => {});
+    await until(async () => (await storage.get('starling:outbox'))?.length === 1);
+    await client.destroy();
+
+    restarted = new Starling(context.url, {
+      websocket: server.WebSocket,
+      heartbeat: false,
+      lifecycle: false,
+      outbox: { storage }
+    });
+    await restarted.connect();
+    await until(() => saved.length === 1);
+    expect(saved).toEqual(['offline']);
+  });
+
+  it('rejects a cancelled entry', async () => {
+    context = setup({ client: { outbox: { storage: 'memory' } } });
+    const { client } = context;
+
+    const saving = client.request('note:save', { text: 'never' });
+    const [entry] = client.outbox.list();
+    expect(client.outbox.cancel(entry.id)).toBe(true);
+    await expect(saving).rejects.toMatchObject({ code: ErrorCodes.OUTBOX_FAILED });
+  });
+
+  it('rejects an expired entry on replay', async () => {
+    context = setup({ client: { outbox: { storage: 'memory' } } });
+    const { client } = context;
+
+    const saving = client.request('note:save', { text: 'late' }, { outbox: { ttl: -1 } });
+    await client.connect();
+    await expect(saving).rejects.toMatchObject({ code: ErrorCodes.OUTBOX_FAILED });
+  });
+});
@@ -0,0 +1,86 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus } from '../src';
+import { collect, setup, teardown, until, wait } from './helpers';
+
+describe('ReconnectionManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('does not reconnect after a fatal close code', async () => {
+    context = setup({ client: { reconnection: { minDelay: 5, maxDelay: 5 } } });
+    const { server, client } = context;
+    const aborted = collect(client.events, 'starling:reconnect:aborted');
+
+    await client.connect();
+    server.closeAll(4009, 'Session replaced');
+
+    await until(() => client.status === ConnectionStatus.FAILED);
+    expect(aborted).toHaveLength(1);
+    expect(aborted[0].code).toBe(4009);
+  });
+
+  it('stops when an attempt is closed with a fatal close code', async () => {
+    context = setup({ client: { reconnection: { minDelay: 5, maxDelay: 5 } } });
+    const { server, client } = context;
+    const attempts = collect(client.events, 'starling:reconnect:attempt');
+    const aborted = collect(client.events, 'starling:reconnect:aborted');
+
+    await client.connect();
+    await client.sync();
+    // Closed while the client asks for the recovery outcome
+    server.method('starling:session', (_, { connection }) => {
+      connection.close(4009, 'Session replaced');
+      return new Promise(() => {});
+    });
+    server.dropAll();
+
+    await until(() => client.status === ConnectionStatus.FAILED);
+    await wait(50);
+    expect(attempts).toHaveLength(1);
+    expect(aborted.map(event => event.code)).toEqual([4009]);
+    expect(client.reconnection.active).toBe(false);
+  });
+
+  it('waits closeCodeDelay when an attempt is closed with a delay close code', async () => {
+    context = setup({ client: { reconnection: { minDelay: 5, maxDelay: 5, closeCodeDelay: 200 } } });
+    const { server, client } = context;
+    const scheduled = collect(client.events, 'starling:reconnect:scheduled');
+
+    await client.connect();
+    await client.sync();
+    let closes = 0;
+    server.method('starling:session', (_, { connection }) => {
+      if (closes++ === 0) {
+        connection.close(1013, 'Try again later');
+        return new Promise(() => {});
+      }
+      return { recovered: connection.recovered, sessionId: connection.session?.id ?? null };
+    });
+    server.dropAll();
+
+    await until(() => scheduled.length === 2);
+    await until(() => client.status === ConnectionStatus.OPEN);
+    expect(scheduled.map(event => event.delay)).toEqual([5, 200]);
+  });
+
+  it('treats a throwing shouldReconnect as a fatal close', async () => {
+    context = setup({
+      client: {
+        reconnection: {
+          minDelay: 5,
+          shouldReconnect: () => {
+            throw new Error('Broken policy');
+          }
+        }
+      }
+    });
+    const { server, client } = context;
+
+    await client.connect();
+    server.dropAll();
+
+    await until(() => client.status === ConnectionStatus.FAILED);
+    expect(client.reconnection.active).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { collect, setup, teardown, until, wait } from './helpers';
+
+describe('SequenceManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  /**
+   * Starts a new session, the server numbering the topic again from 1
+   */
+  const restartSession = async ({ server, client }) => {
+    await client.disconnect();
+    await client.connect();
+    server.notify('news', 'again', { sequence: 1 });
+  };
+
+  it('detects gaps and drops duplicates', async () => {
+    context = setup();
+    const { server, client } = context;
+    const received = [];
+    const gaps = collect(client.events, 'starling:gap');
+    client.on('news', ({ data }) => received.push(data));
+
+    await client.connect();
+    server.notify('news', 'first', { sequence: 1 });
+    server.notify('news', 'third', { sequence: 3 });
+    server.notify('news', 'again', { sequence: 3 });
+
+    await until(() => received.length === 2);
+    await wait(10);
+    expect(received).toEqual(['first', 'third']);
+    expect(gaps).toHaveLength(1);
+    expect(client.sequences.gaps()).toEqual([{ topic: 'news', from: 2, to: 2 }]);
+  });
+
+  it('forgets topic sequences when a new session starts', async () => {
+    context = setup();
+    const { server, client } = context;
+    const received = [];
+    client.on('news', ({ data }) => received.push(data));
+
+    await client.connect();
+    server.notify('news', 'first', { sequence: 1 });
+    server.notify('news', 'second', { sequence: 2 });
+    await until(() => received.length === 2);
+
+    await restartSession(context);
+    await until(() => received.length === 3);
+    expect(client.sequences.last('news')).toBe(1);
+  });
+
+  it('keeps topic sequences across sessions without resetOnSession', async () => {
+    context = setup({ client: { sequence: { resetOnSession: false } } });
+    const { server, client } = context;
+    const received = [];
+    const duplicates = collect(client.events, 'starling:duplicate');
+    client.on('news', ({ data }) => received.push(data));
+
+    await client.connect();
+    server.notify('news', 'first', { sequence: 1 });
+    await until(() => received.length === 1);
+
+    await restartSession(context);
+    await until(() => duplicates.length === 1);
+    expect(received).toEqual(['first']);
+  });
+});
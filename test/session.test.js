@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { collect, setup, teardown } from './helpers';
+
+describe('SessionManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('does not resync on the first connection', async () => {
+    context = setup();
+    const { client } = context;
+    const runs = [];
+    client.session.onResync(({ outcome }) => runs.push(outcome));
+
+    await client.connect();
+    expect(runs).toHaveLength(0);
+    expect(client.session.outcome).toMatchObject({ recovered: false, reason: 'no-token' });
+  });
+
+  it('keeps the session when the token is accepted', async () => {
+    context = setup();
+    const { client } = context;
+    const runs = [];
+    const recovered = collect(client.events, 'starling:session:recovered');
+    client.session.onResync(({ outcome }) => runs.push(outcome));
+
+    await client.connect();
+    await client.sync();
+    await client.disconnect('Going away', { keepToken: true });
+    await client.connect();
+
+    expect(recovered).toHaveLength(1);
+    expect(client.session.outcome.recovered).toBe(true);
+    expect(client.session.id).toBe(recovered[0].sessionId);
+    expect(runs).toHaveLength(0);
+  });
+
+  it('resyncs before connect resolves when the token is rejected', async () => {
+    context = setup();
+    const { server, client } = context;
+    const order = [];
+    const rejected = collect(client.events, 'starling:recovery:rejected');
+    const fresh = collect(client.events, 'starling:session:new');
+    client.session.onResync(async ({ outcome }) => {
+      await client.request('starling:session');
+      order.push(['resync', outcome.reason]);
+    });
+
+    await client.connect();
+    const token = await client.sync();
+    await client.disconnect('Going away', { keepToken: true });
+    server.revokeToken(token);
+    await client.connect();
+    order.push(['connected']);
+
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].token).toBe(token);
+    expect(fresh.map(event => event.reason)).toEqual(['no-token', 'rejected']);
+    expect(order).toEqual([['resync', 'rejected'], ['connected']]);
+  });
+
+  it('reports a failing callback without failing the connection', async () => {
+    const runs = [];
+    context = setup({
+      client: {
+        session: {
+          resync: [
+            () => {
+              throw new Error('Refetch failed');
+            },
+            () => runs.push('second')
+          ]
+        }
+      }
+    });
+    const { server, client } = context;
+    const failed = collect(client.events, 'starling:resync:failed');
+    const completed = collect(client.events, 'starling:resync');
+
+    await client.connect();
+    const token = await client.sync();
+    await client.disconnect('Going away', { keepToken: true });
+    server.revokeToken(token);
+    await client.connect();
+
+    expect(client.connected).toBe(true);
+    expect(failed.map(event => event.error.message)).toEqual(['Refetch failed']);
+    expect(runs).toEqual(['second']);
+    expect(completed[0]).toMatchObject({ callbacks: 2, failures: 1 });
+  });
+});
@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus, createSharedClient } from '../src';
+import { setup, teardown, until, wait } from './helpers';
+
+/**
+ * `pagehide` as fired by the browser
+ * @param {boolean} persisted Whether the page enters the back/forward cache
+ */
+const pagehide = persisted => globalThis.dispatchEvent(Object.assign(new Event('pagehide'), { persisted }));
+
+describe('SharedStarling', () => {
+  let context;
+  let tabs = [];
+
+  afterEach(async () => {
+    await Promise.all(tabs.map(tab => tab.close()));
+    tabs = [];
+    await teardown(context);
+  });
+
+  const open = () => {
+    const tab = createSharedClient(context.url, {
+      websocket: context.server.WebSocket,
+      heartbeat: false,
+      lifecycle: false,
+      shared: { name: context.url, heartbeatInterval: 20, leaderTimeout: 60 }
+    });
+    tabs.push(tab);
+    return tab;
+  };
+
+  it('sends requests of every tab through the leader', async () => {
+    context = setup();
+    context.server.method('echo', payload => payload);
+    const [first, second] = [open(), open()];
+
+    await first.connect();
+    await until(() => second.connected);
+    expect(await second.request('echo', 'hello')).toBe('hello');
+    expect(context.server.connections.size).toBe(1);
+  });
+
+  it('keeps the connection when the page enters the back/forward cache', async () => {
+    context = setup();
+    const tab = open();
+
+    await tab.connect();
+    await until(() => tab.isLeader && tab.connected);
+
+    pagehide(true);
+    await wait(20);
+    expect(tab.isLeader).toBe(true);
+    expect(tab.status).toBe(ConnectionStatus.OPEN);
+    expect(context.server.connections.size).toBe(1);
+
+    pagehide(false);
+    await until(() => context.server.connections.size === 0);
+    expect(tab.isLeader).toBe(false);
+  });
+});
@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FileStorageAdapter, MemoryStorageAdapter, Starling } from '../src';
+import { setup, teardown, until } from './helpers';
+
+/**
+ * Storage key of the recovery token for a server URL
+ * @param {string} url
+ */
+const keyOf = url => `starling:recovery:${new URL(url).host}${new URL(url).pathname}`;
+
+describe('StateManager storage', () => {
+  let context;
+  let reloaded = null;
+
+  afterEach(async () => {
+    await reloaded?.destroy().catch(() => {});
+    reloaded = null;
+    await teardown(context);
+  });
+
+  /**
+   * Second client on the same storage, as after a page reload
+   */
+  const reload = storage => {
+    reloaded = new Starling(context.url, {
+      websocket: context.server.WebSocket,
+      heartbeat: false,
+      lifecycle: false,
+      state: { storage }
+    });
+    return reloaded;
+  };
+
+  it('recovers the session of a previous client from the storage', async () => {
+    const storage = new MemoryStorageAdapter();
+    context = setup({ client: { state: { storage }, reconnection: false } });
+    const { server, client } = context;
+
+    await client.connect();
+    const token = await client.sync();
+    await until(async () => (await storage.get(keyOf(context.url)))?.token === token);
+    server.dropAll();
+
+    await reload(storage).connect();
+    const connection = [...server.connections].at(-1);
+    expect(connection.recoveryToken).toBe(token);
+    expect(connection.recovered).toBe(true);
+  });
+
+  it('discards an expired token', async () => {
+    const storage = new MemoryStorageAdapter();
+    context = setup();
+    await storage.set(keyOf(context.url), { token: 'stale', lastRefresh: 0, expiresAt: Date.now() - 1000 });
+
+    await reload(storage).connect();
+    expect([...context.server.connections][0].recoveryToken).toBeNull();
+    expect(await storage.get(keyOf(context.url))).toBeNull();
+  });
+
+  it('forgets the stored token on disconnect()', async () => {
+    const storage = new MemoryStorageAdapter();
+    context = setup({ client: { state: { storage } } });
+    const { client } = context;
+
+    await client.connect();
+    await client.sync();
+    await client.disconnect();
+    await until(async () => (await storage.get(keyOf(context.url))) === null);
+  });
+
+  it('keeps records in a file', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'starling-'));
+    context = setup();
+    try {
+      const path = join(directory, 'state.json');
+      await new FileStorageAdapter(path).set('session', { token: 'abc' });
+
+      const adapter = new FileStorageAdapter(path);
+      expect(await adapter.get('session')).toEqual({ token: 'abc' });
+      await adapter.remove('session');
+      expect(await adapter.get('session')).toBeNull();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ConnectionStatus, ErrorCodes, StatusMachine } from '../src';
+import { collect, setup, teardown } from './helpers';
+
+describe('StatusMachine', () => {
+  let context;
+
+  afterEach(async () => {
+    if (context) await teardown(context);
+    context = null;
+  });
+
+  it('walks through the lifecycle of a connection', async () => {
+    context = setup({ client: { reconnection: { minDelay: 5, maxDelay: 5 } } });
+    const { server, client } = context;
+    const changes = collect(client.events, 'starling:status');
+    const invalid = collect(client.events, 'starling:status:invalid');
+
+    await client.connect();
+    await client.sync();
+    server.dropAll();
+    await client.waitFor(ConnectionStatus.RECONNECTING, { timeout: 1000 });
+    await client.waitFor(ConnectionStatus.OPEN, { timeout: 1000 });
+    await client.disconnect();
+
+    expect(changes.map(({ next }) => next)).toEqual([
+      ConnectionStatus.CONNECTING,
+      ConnectionStatus.OPEN,
+      ConnectionStatus.RECONNECTING,
+      ConnectionStatus.RECOVERING,
+      ConnectionStatus.OPEN,
+      ConnectionStatus.DISCONNECTING,
+      ConnectionStatus.CLOSED
+    ]);
+    expect(invalid).toHaveLength(0);
+  });
+
+  it('refuses transitions that are not allowed', () => {
+    const events = { emitted: [], emit(name, data) { this.emitted.push([name, data]); } };
+    const machine = new StatusMachine(events);
+
+    expect(machine.transition(ConnectionStatus.OPEN)).toBe(false);
+    expect(machine.current).toBe(ConnectionStatus.IDLE);
+    expect(events.emitted[0][0]).toBe('starling:status:invalid');
+
+    expect(machine.transition(ConnectionStatus.CONNECTING)).toBe(true);
+    expect(events.emitted[1][1]).toMatchObject({ previous: ConnectionStatus.IDLE, next: ConnectionStatus.CONNECTING });
+  });
+
+  it('times out waiting for a status', async () => {
+    context = setup();
+    const { client } = context;
+
+    await expect(client.waitFor(ConnectionStatus.OPEN, { timeout: 10 }))
+      .rejects.toMatchObject({ code: ErrorCodes.STATUS_TIMEOUT });
+  });
+});
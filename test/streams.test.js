@@ -0,0 +1,65 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ErrorCodes } from '../src';
+import { setup, teardown, until } from './helpers';
+
+describe('StreamManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('reads every frame with for await', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.stream('count', function* ({ to }) {
+      for (let i = 1; i <= to; i++) yield i;
+    });
+
+    await client.connect();
+    const frames = [];
+    for await (const frame of client.stream('count', { to: 40 }, { window: 4 })) {
+      frames.push(frame);
+    }
+    expect(frames).toHaveLength(40);
+    expect(frames.at(-1)).toBe(40);
+  });
+
+  it('cancels the stream when the signal aborts', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.stream('forever', function* () {
+      for (let i = 0; ; i++) yield i;
+    });
+    const controller = new AbortController();
+
+    await client.connect();
+    const stream = client.stream('forever', null, { window: 2, signal: controller.signal });
+    await stream.next();
+    controller.abort();
+
+    await expect(stream.next()).rejects.toMatchObject({ code: ErrorCodes.STREAM_CANCELLED });
+    await until(() => server.messages({ direction: 'in', topic: 'starling:stream:cancel' }).length === 1);
+  });
+
+  it('stops listening to the signal once finished', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.stream('once', function* () {
+      yield 'only';
+    });
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener: (_, listener) => listeners.add(listener),
+      removeEventListener: (_, listener) => listeners.delete(listener)
+    };
+
+    await client.connect();
+    const stream = client.stream('once', null, { signal });
+    expect(listeners.size).toBe(1);
+
+    for await (const frame of stream) {
+      expect(frame).toBe('only');
+    }
+    expect(listeners.size).toBe(0);
+  });
+});
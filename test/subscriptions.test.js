@@ -0,0 +1,55 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { setup, teardown, until, wait } from './helpers';
+
+describe('SubscriptionManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('subscribes again when a new session starts', async () => {
+    context = setup();
+    const { server, client } = context;
+    const received = [];
+
+    await client.connect();
+    await client.subscribe('news', ({ data }) => received.push(data));
+    expect(client.subscriptions.get('news').status).toBe('active');
+
+    await client.disconnect();
+    await client.connect();
+    await until(() => client.subscriptions.get('news').status === 'active');
+
+    server.publish('news', 'fresh');
+    await until(() => received.length === 1);
+    expect(server.messages({ direction: 'in', method: 'starling:subscribe' })).toHaveLength(2);
+  });
+
+  it('unsubscribes on the server once a pending subscribe is acknowledged', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('starling:subscribe', () => wait(20).then(() => ({ sequence: null })));
+
+    await client.connect();
+    const subscribing = client.subscribe('news');
+    await wait(5);
+    expect(await client.unsubscribe('news')).toBe(true);
+    await subscribing;
+
+    const requests = server.messages({ direction: 'in', type: 'request' }).map(entry => entry.message.method);
+    expect(requests.filter(method => method !== 'starling:session')).toEqual(['starling:subscribe', 'starling:unsubscribe']);
+    expect(client.subscriptions.get('news')).toBeNull();
+  });
+
+  it('does not tell the server about a subscription it never received', async () => {
+    context = setup();
+    const { server, client } = context;
+
+    await client.subscribe('news');
+    expect(await client.unsubscribe('news')).toBe(true);
+    await client.connect();
+    await wait(10);
+
+    expect(server.messages({ direction: 'in', method: 'starling:unsubscribe' })).toHaveLength(0);
+    expect(server.messages({ direction: 'in', method: 'starling:subscribe' })).toHaveLength(0);
+  });
+});
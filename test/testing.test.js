@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { MockHeliosServer, MockWebSocket } from '../src/testing';
+import { setup, teardown, until } from './helpers';
+
+describe('MockHeliosServer', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('answers requests with its methods and records the traffic', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('math:add', ({ a, b }) => a + b);
+
+    await client.connect();
+    expect(await client.request('math:add', { a: 1, b: 2 })).toBe(3);
+    expect(server.messages({ direction: 'in', method: 'math:add' })).toHaveLength(1);
+  });
+
+  it('sends thrown errors as error responses', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('fail', () => {
+      throw Object.assign(new Error('Nope'), { code: 'NOPE' });
+    });
+
+    await client.connect();
+    await expect(client.request('fail')).rejects.toMatchObject({ code: 'NOPE' });
+  });
+
+  it('calls client methods and pushes notifications', async () => {
+    context = setup();
+    const { server, client } = context;
+    const received = [];
+    client.method('compute:sum', context => context.success(context.payload.numbers.reduce((a, b) => a + b, 0)));
+    client.on('news', context => received.push(context.data));
+
+    await client.connect();
+    const [connection] = server.connections;
+    expect(await connection.request('compute:sum', { numbers: [1, 2, 3] })).toBe(6);
+
+    server.notify('news', { id: 1 });
+    await until(() => received.length === 1);
+    expect(received).toEqual([{ id: 1 }]);
+  });
+
+  it('refuses connections while refusing', async () => {
+    context = setup({ client: { reconnect: false } });
+    const { server, client } = context;
+    server.refuse();
+
+    await expect(client.connect()).rejects.toBeDefined();
+    expect(server.connections.size).toBe(0);
+  });
+
+  it('reaches a server registered on the URL through a plain MockWebSocket', async () => {
+    const server = new MockHeliosServer('ws://plain.local/ws');
+    context = { server };
+    const socket = new MockWebSocket('ws://plain.local/ws');
+
+    await until(() => socket.readyState === MockWebSocket.OPEN);
+    expect(server.connections.size).toBe(1);
+  });
+});
@@ -0,0 +1,52 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { ErrorCodes, Transport } from '../src';
+import { setup, teardown } from './helpers';
+
+describe('Transport', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('opens sockets through a transport factory', async () => {
+    const opened = [];
+    context = setup({
+      client: {
+        transport: (url, protocols) => {
+          opened.push({ url, protocols });
+          return new context.server.WebSocket(url, protocols);
+        },
+        protocols: url => (url.pathname === '/ws' ? ['chat.v2'] : [])
+      }
+    });
+    const { server, client } = context;
+
+    await client.connect();
+    expect(opened).toHaveLength(1);
+    expect(opened[0].url).toStartWith(context.url);
+    expect(opened[0].protocols).toEqual(['chat.v2']);
+    expect([...server.connections][0].protocol).toBe('chat.v2');
+  });
+
+  it('passes extra constructor arguments after the subprotocols', () => {
+    const calls = [];
+    const transport = new Transport({
+      websocket: function (...args) {
+        calls.push(args);
+      },
+      websocketArguments: url => [{ headers: { host: url.host } }]
+    });
+
+    transport.open(new URL('ws://example.com/ws'), ['auth.secret']);
+    expect(calls).toEqual([['ws://example.com/ws', ['auth.secret'], { headers: { host: 'example.com' } }]]);
+  });
+
+  it('requires a WebSocket implementation', () => {
+    const { WebSocket } = globalThis;
+    delete globalThis.WebSocket;
+    try {
+      expect(() => new Transport().open(new URL('ws://example.com/ws'))).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_CONFIGURATION }));
+    } finally {
+      globalThis.WebSocket = WebSocket;
+    }
+  });
+});
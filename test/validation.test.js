@@ -0,0 +1,69 @@
+import { afterEach, describe, expect, it } from 'bun:test';
+import { z } from 'zod';
+import { ErrorCodes, ValidationError } from '../src';
+import { collect, setup, teardown, until, wait } from './helpers';
+
+const User = z.object({ id: z.number(), name: z.string() });
+
+describe('ValidationManager', () => {
+  let context;
+
+  afterEach(() => teardown(context));
+
+  it('rejects an invalid outgoing payload without sending it', async () => {
+    context = setup({ client: { validation: { methods: { 'user:get': { payload: z.object({ id: z.number().int() }) } } } } });
+    const { server, client } = context;
+    server.method('user:get', ({ id }) => ({ id, name: 'Ada' }));
+    const failed = collect(client.events, 'starling:validation:failed');
+
+    await client.connect();
+    const error = await client.request('user:get', { id: 'abc' }).catch(error => error);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe(ErrorCodes.VALIDATION_FAILED);
+    expect(error.details.issues[0].path).toEqual(['id']);
+    expect(failed[0]).toMatchObject({ direction: 'outgoing', method: 'user:get', target: 'payload' });
+    expect(server.messages({ direction: 'in', method: 'user:get' })).toHaveLength(0);
+  });
+
+  it('rejects an invalid result and reports it to the server', async () => {
+    context = setup();
+    const { server, client } = context;
+    server.method('user:get', () => ({ id: 'seven' }));
+
+    await client.connect();
+    await expect(client.request('user:get', { id: 7 }, { schema: { result: User } }))
+      .rejects.toMatchObject({ code: ErrorCodes.VALIDATION_FAILED });
+    await until(() => server.messages({ direction: 'in', type: 'error' }).length === 1);
+    expect(server.messages({ direction: 'in', type: 'error' })[0].message.error.code).toBe(ErrorCodes.VALIDATION_FAILED);
+  });
+
+  it('hands the parsed payload to a method and answers invalid ones with the error', async () => {
+    context = setup();
+    const { server, client } = context;
+    const schema = { payload: z.object({ numbers: z.array(z.number()).default([]) }), result: z.number() };
+    client.method('compute:sum', request => request.success(request.payload.numbers.reduce((a, b) => a + b, 0)), { schema });
+
+    await client.connect();
+    const [connection] = server.connections;
+    expect(await connection.request('compute:sum', { numbers: [1, 2, 3] })).toBe(6);
+    expect(await connection.request('compute:sum', {})).toBe(0);
+    await expect(connection.request('compute:sum', { numbers: ['one'] }))
+      .rejects.toMatchObject({ code: ErrorCodes.VALIDATION_FAILED });
+  });
+
+  it('skips topic handlers on invalid data', async () => {
+    context = setup({ client: { validation: { topics: { 'chat:typing': z.object({ user: z.string() }) } } } });
+    const { server, client } = context;
+    const typing = [];
+    client.on('chat:typing', ({ data }) => typing.push(data));
+
+    await client.connect();
+    server.notify('chat:typing', { user: 42 });
+    server.notify('chat:typing', { user: 'ada', extra: true });
+    await until(() => typing.length === 1);
+    await wait(10);
+
+    expect(typing).toEqual([{ user: 'ada' }]);
+    expect(server.messages({ direction: 'in', type: 'error' })).toHaveLength(1);
+  });
+});
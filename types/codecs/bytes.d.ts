@@ -0,0 +1,120 @@
+/**
+ * Shared UTF-8 encoder
+ */
+export const textEncoder: TextEncoder;
+/**
+ * Shared UTF-8 decoder
+ */
+export const textDecoder: TextDecoder;
+/**
+ * Growable byte buffer used by the binary codecs
+ */
+export class ByteWriter {
+    /**
+     * @param {number} [capacity=256] Initial size (bytes)
+     */
+    constructor(capacity?: number);
+    /** @private */
+    private _bytes;
+    /** @private */
+    private _view;
+    /** @private */
+    private _length;
+    /**
+     * @param {number} value
+     */
+    uint8(value: number): void;
+    /**
+     * @param {number} value
+     */
+    uint16(value: number): void;
+    /**
+     * @param {number} value
+     */
+    uint32(value: number): void;
+    /**
+     * @param {bigint} value
+     */
+    uint64(value: bigint): void;
+    /**
+     * @param {bigint} value
+     */
+    int64(value: bigint): void;
+    /**
+     * @param {number} value
+     */
+    float64(value: number): void;
+    /**
+     * @param {Uint8Array} bytes
+     */
+    bytes(bytes: Uint8Array): void;
+    /**
+     * Written bytes
+     * @returns {Uint8Array}
+     */
+    finish(): Uint8Array;
+    /**
+     * @private
+     * @param {number} size
+     */
+    private _reserve;
+}
+/**
+ * Sequential reader over binary data
+ */
+export class ByteReader {
+    /**
+     * @param {Uint8Array} bytes
+     */
+    constructor(bytes: Uint8Array);
+    /** @private */
+    private _bytes;
+    /** @private */
+    private _view;
+    offset: number;
+    /**
+     * Whether every byte was read
+     */
+    get done(): boolean;
+    /**
+     * Next byte, without consuming it
+     * @returns {number}
+     */
+    peek(): number;
+    uint8(): number;
+    uint16(): number;
+    uint32(): number;
+    /**
+     * Unsigned 64-bit integer, as a number when it is safe
+     * @returns {number|bigint}
+     */
+    uint64(): number | bigint;
+    /**
+     * Signed 64-bit integer, as a number when it is safe
+     * @returns {number|bigint}
+     */
+    int64(): number | bigint;
+    int8(): number;
+    int16(): number;
+    int32(): number;
+    float16(): number;
+    float32(): number;
+    float64(): number;
+    /**
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    bytes(length: number): Uint8Array;
+    /**
+     * @param {number} length
+     * @returns {string}
+     */
+    string(length: number): string;
+    /**
+     * @private
+     * @param {number} size
+     */
+    private _check;
+}
+export function toBytes(data: ArrayBuffer | ArrayBufferView): Uint8Array;
+export function defineEntry(map: any, key: any, value: any): void;
@@ -0,0 +1,60 @@
+/**
+ * CBOR (RFC 8949) codec, covering the types JSON can carry plus binary data.
+ * Tags are decoded as their content.
+ */
+export class CborCodec {
+    name: string;
+    /**
+     * @param {any} value
+     * @returns {Uint8Array}
+     */
+    encode(value: any): Uint8Array;
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data
+     * @returns {any}
+     * @throws {StarlingError} `INVALID_MESSAGE` when the data is not valid CBOR
+     */
+    decode(data: ArrayBuffer | ArrayBufferView): any;
+    /**
+     * @private
+     * @param {ByteWriter} writer
+     * @param {any} value
+     */
+    private _write;
+    /**
+     * Writes a major type with its argument in the shortest form
+     * @private
+     * @param {ByteWriter} writer
+     * @param {number} major
+     * @param {number|bigint} argument
+     */
+    private _writeHead;
+    /**
+     * @private
+     * @param {ByteReader} reader
+     * @returns {any}
+     */
+    private _read;
+    /**
+     * @private
+     * @param {ByteReader} reader
+     * @param {number} info
+     * @returns {number|bigint}
+     */
+    private _readArgument;
+    /**
+     * @private
+     * @param {ByteReader} reader
+     * @param {number} info
+     * @returns {any}
+     */
+    private _readSimple;
+    /**
+     * Reads an indefinite length string, array or map, up to its break
+     * @private
+     * @param {ByteReader} reader
+     * @param {number} major
+     * @returns {any}
+     */
+    private _readIndefinite;
+}
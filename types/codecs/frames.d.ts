@@ -0,0 +1,69 @@
+/**
+ * Flags stored in the first byte of a binary frame
+ */
+export type FrameFlags = number;
+/**
+ * Flags stored in the first byte of a binary frame
+ * @readonly
+ * @enum {number}
+ */
+export const FrameFlags: Readonly<{
+    NONE: 0;
+    DEFLATE: 1;
+}>;
+export function compressionSupported(): boolean;
+export function deflate(bytes: Uint8Array): Promise<Uint8Array>;
+export function inflate(bytes: Uint8Array): Promise<Uint8Array>;
+/**
+ * @typedef {Object} FrameCodecOptions
+ * @property {import('./index').Codec} codec
+ * @property {boolean} [compression=false] Deflate the payloads above the threshold
+ * @property {number} [threshold=1024] Smallest payload compressed (bytes)
+ */
+/**
+ * Converts the JSON text of protocol messages to wire frames and back.
+ *
+ * JSON payloads that are not compressed travel as text frames. Everything else
+ * travels as binary frames: one flag byte (see {@link FrameFlags}) followed by
+ * the encoded, possibly deflated, payload.
+ *
+ * The client builds and handles messages as JSON text, so frames are re-encoded from it and decoded back to it:
+ * codecs shrink the wire format but messages only carry the values JSON can. Binary values, such as a
+ * `Uint8Array`, do not survive the round trip and must be sent encoded, e.g. in base64.
+ */
+export class FrameCodec {
+    /**
+     * @param {FrameCodecOptions} options
+     */
+    constructor(options: FrameCodecOptions);
+    codec: import("./index").Codec;
+    compression: boolean;
+    threshold: number;
+    /**
+     * JSON messages are already JSON text, they are sent as they are
+     * @private
+     */
+    private _passthrough;
+    /**
+     * @param {string} text JSON text of a message
+     * @returns {Promise<string|Uint8Array>}
+     */
+    encode(text: string): Promise<string | Uint8Array>;
+    /**
+     * @param {string|ArrayBuffer|ArrayBufferView|Blob} data Frame received
+     * @returns {Promise<string>} JSON text of the message
+     * @throws {import('../core/errors').StarlingError} `INVALID_MESSAGE` when the frame cannot be decoded
+     */
+    decode(data: string | ArrayBuffer | ArrayBufferView | Blob): Promise<string>;
+}
+export type FrameCodecOptions = {
+    codec: import("./index").Codec;
+    /**
+     * Deflate the payloads above the threshold
+     */
+    compression?: boolean;
+    /**
+     * Smallest payload compressed (bytes)
+     */
+    threshold?: number;
+};
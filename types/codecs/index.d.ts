@@ -0,0 +1,33 @@
+/**
+ * @typedef {Object} Codec
+ * @property {string} name Identifier used in the negotiated subprotocol
+ * @property {(value: any) => string|Uint8Array} encode
+ * @property {(data: string|Uint8Array) => any} decode
+ */
+/**
+ * @typedef {'json'|'msgpack'|'cbor'|Codec} CodecOption
+ */
+/**
+ * Default prefix of the codec subprotocols, e.g. `starling.msgpack+deflate`
+ */
+export const CODEC_PROTOCOL_PREFIX: "starling.";
+export function resolveCodec(option: CodecOption): Codec;
+export function codecProtocol(codec: Codec, compression: boolean, prefix?: string): string;
+export function parseCodecProtocol(protocol: string, codecs: Codec[], prefix?: string): {
+    codec: Codec;
+    compression: boolean;
+} | null;
+export type Codec = {
+    /**
+     * Identifier used in the negotiated subprotocol
+     */
+    name: string;
+    encode: (value: any) => string | Uint8Array;
+    decode: (data: string | Uint8Array) => any;
+};
+export type CodecOption = "json" | "msgpack" | "cbor" | Codec;
+import { CborCodec } from './cbor';
+import { JsonCodec } from './json';
+import { MessagePackCodec } from './msgpack';
+export { CborCodec, JsonCodec, MessagePackCodec };
+export { FrameCodec, FrameFlags, compressionSupported, deflate, inflate } from "./frames";
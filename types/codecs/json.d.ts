@@ -0,0 +1,17 @@
+/**
+ * JSON codec, the protocol default
+ */
+export class JsonCodec {
+    name: string;
+    /**
+     * @param {any} value
+     * @returns {string}
+     */
+    encode(value: any): string;
+    /**
+     * @param {string|ArrayBuffer|ArrayBufferView} data Text, or UTF-8 bytes
+     * @returns {any}
+     * @throws {StarlingError} `INVALID_MESSAGE` when the data is not valid JSON
+     */
+    decode(data: string | ArrayBuffer | ArrayBufferView): any;
+}
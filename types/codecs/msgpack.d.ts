@@ -0,0 +1,59 @@
+/**
+ * MessagePack codec, covering the types JSON can carry plus binary data
+ */
+export class MessagePackCodec {
+    name: string;
+    /**
+     * @param {any} value
+     * @returns {Uint8Array}
+     */
+    encode(value: any): Uint8Array;
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data
+     * @returns {any}
+     * @throws {StarlingError} `INVALID_MESSAGE` when the data is not valid MessagePack
+     */
+    decode(data: ArrayBuffer | ArrayBufferView): any;
+    /**
+     * @private
+     * @param {ByteWriter} writer
+     * @param {any} value
+     */
+    private _write;
+    /**
+     * @private
+     * @param {ByteWriter} writer
+     * @param {number} value
+     */
+    private _writeNumber;
+    /**
+     * Writes a length prefixed header: fixed form when short enough, then 8, 16 or 32-bit lengths
+     * @private
+     * @param {ByteWriter} writer
+     * @param {number} length
+     * @param {number|null} fixed Prefix of the fixed form
+     * @param {number} fixedLimit Lengths below it use the fixed form
+     * @param {Array<number|null>} prefixes 8, 16 and 32-bit forms, null when not defined
+     */
+    private _writeHeader;
+    /**
+     * @private
+     * @param {ByteReader} reader
+     * @returns {any}
+     */
+    private _read;
+    /**
+     * @private
+     * @param {ByteReader} reader
+     * @param {number} length
+     * @returns {any[]}
+     */
+    private _readArray;
+    /**
+     * @private
+     * @param {ByteReader} reader
+     * @param {number} length
+     * @returns {Object}
+     */
+    private _readMap;
+}
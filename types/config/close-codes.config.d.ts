@@ -0,0 +1,57 @@
+/**
+ * WebSocket close codes with a meaning for Starling
+ */
+export type CloseCodes = number;
+/**
+ * WebSocket close codes with a meaning for Starling
+ * @readonly
+ * @enum {number}
+ */
+export const CloseCodes: Readonly<{
+    NORMAL: 1000;
+    GOING_AWAY: 1001;
+    PROTOCOL_ERROR: 1002;
+    UNSUPPORTED_DATA: 1003;
+    ABNORMAL: 1006;
+    INVALID_PAYLOAD: 1007;
+    POLICY_VIOLATION: 1008;
+    MESSAGE_TOO_BIG: 1009;
+    MANDATORY_EXTENSION: 1010;
+    INTERNAL_ERROR: 1011;
+    SERVICE_RESTART: 1012;
+    TRY_AGAIN_LATER: 1013;
+    HEARTBEAT_TIMEOUT: 4000;
+    UNAUTHORIZED: 4001;
+    FORBIDDEN: 4003;
+    SESSION_REPLACED: 4009;
+}>;
+/**
+ * What to do after a close:
+ * - `retry`: reconnect with the regular backoff
+ * - `delay`: reconnect, but not before the close code delay
+ * - `fatal`: do not reconnect
+ * @typedef {'retry'|'delay'|'fatal'} CloseAction
+ */
+/**
+ * Close codes by action. Keys are single codes or inclusive ranges such as `'4000-4099'`.
+ * @typedef {Object<string, CloseAction>} CloseCodeActions
+ */
+/**
+ * Default classification, codes not listed are retried
+ * @type {Readonly<CloseCodeActions>}
+ */
+export const defaultCloseCodeActions: Readonly<CloseCodeActions>;
+export function classifyCloseCode(code: number | undefined, actions?: CloseCodeActions): CloseAction;
+/**
+ * What to do after a close:
+ * - `retry`: reconnect with the regular backoff
+ * - `delay`: reconnect, but not before the close code delay
+ * - `fatal`: do not reconnect
+ */
+export type CloseAction = "retry" | "delay" | "fatal";
+/**
+ * Close codes by action. Keys are single codes or inclusive ranges such as `'4000-4099'`.
+ */
+export type CloseCodeActions = {
+    [x: string]: CloseAction;
+};
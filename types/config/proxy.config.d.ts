@@ -1,4 +1,16 @@
+export function createProxyConfiguration(hooks?: ProxyHooks): import("@helios-starling/utils").ProxyHandlers;
 /**
  * @type {import("@helios-starling/utils").ProxyHandlers}
  */
 export const proxyConfiguration: import("@helios-starling/utils").ProxyHandlers;
+export type MessageType = "request" | "response" | "notification" | "error";
+export type ProxyHooks = {
+    /**
+     * Runs before a notification is dispatched, returning false drops it
+     */
+    notification?: (context: any) => boolean;
+    /**
+     * Wraps the handling of every message, which only happens when it calls `handle`
+     */
+    intercept?: (type: MessageType, context: any, handle: () => void) => Promise<void> | void;
+};
@@ -0,0 +1,42 @@
+/**
+ * Built-in backoff policies.
+ * Jittered policies spread clients reconnecting at the same time, see
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ * @type {Readonly<Record<string, BackoffPolicy>>}
+ */
+export const BackoffStrategies: Readonly<Record<string, BackoffPolicy>>;
+export type BackoffContext = {
+    /**
+     * Attempts already made since the last reset
+     */
+    attempt: number;
+    /**
+     * Previous delay (ms)
+     */
+    previousDelay: number;
+    /**
+     * Minimum delay (ms)
+     */
+    minDelay: number;
+    /**
+     * Maximum delay (ms)
+     */
+    maxDelay: number;
+    /**
+     * Exponential backoff multiplier
+     */
+    multiplier: number;
+    /**
+     * Linear increment (ms)
+     */
+    step: number;
+    /**
+     * Random source in [0, 1)
+     */
+    random: () => number;
+    /**
+     * Current reconnection metrics
+     */
+    metrics: import("../managers/reconnection").ReconnectionMetrics;
+};
+export type BackoffPolicy = (context: BackoffContext) => number;
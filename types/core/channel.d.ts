@@ -0,0 +1,165 @@
+/**
+ * @typedef {'connected'|'disconnected'|'close'} ChannelEvent
+ */
+/**
+ * Scoped handle over a shared connection: its methods and topics are prefixed with its name,
+ * `chat.request('send')` calling `chat:send`
+ * @template [M=any] Method map typing {@link Channel#api}, without the channel prefix
+ */
+export class Channel<M = any> {
+    /**
+     * @param {import('../managers/channels').ChannelManager} manager
+     * @param {string} name
+     * @param {string} separator
+     */
+    constructor(manager: import("../managers/channels").ChannelManager, name: string, separator: string);
+    /** @private */
+    private _manager;
+    /** @type {string} */
+    name: string;
+    /** @private */
+    private _prefix;
+    /** @private */
+    private _closed;
+    /**
+     * Handlers by method name, without the prefix
+     * @private
+     * @type {Map<string, Function>}
+     */
+    private _methods;
+    /**
+     * Handlers by topic, without the prefix
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    private _topics;
+    /**
+     * Server subscriptions made through the channel, with the prefix
+     * @private
+     * @type {Set<string>}
+     */
+    private _subscriptions;
+    /**
+     * @private
+     * @type {Map<ChannelEvent, Set<Function>>}
+     */
+    private _listeners;
+    /**
+     * Methods of the channel as nested functions: `api.message.send(payload)` requests `<name>:message:send`
+     * @type {import('./rpc').RpcApi<M>}
+     */
+    api: import("./rpc").RpcApi<M>;
+    /**
+     * Whether the channel has been closed
+     * @returns {boolean}
+     */
+    get closed(): boolean;
+    /**
+     * Whether the shared connection is open
+     * @returns {boolean}
+     */
+    get connected(): boolean;
+    /**
+     * Prefixes a method or topic with the channel name
+     * @param {string} name
+     * @returns {string}
+     */
+    qualify(name: string): string;
+    /**
+     * Sends a request to a method of the channel
+     * @param {string} method
+     * @param {any} [payload]
+     * @param {Object} [options] Request options
+     * @returns {Promise<any>}
+     */
+    request(method: string, payload?: any, options?: any): Promise<any>;
+    /**
+     * Sends a notification on a topic of the channel
+     * @param {string} topic
+     * @param {any} data
+     * @param {string} [requestId]
+     */
+    notify(topic: string, data: any, requestId?: string): any;
+    /**
+     * Registers a method handler, replacing the previous one
+     * @param {string} name
+     * @param {Function} handler
+     * @param {Object & {schema?: import('../managers/validation').MethodSchema}} [options]
+     * @returns {() => void} Removes the handler
+     */
+    method(name: string, handler: Function, options?: any & {
+        schema?: import("../managers/validation").MethodSchema;
+    }): () => void;
+    /**
+     * Registers a topic handler
+     * @param {string} topic
+     * @param {Function} handler
+     * @param {{schema?: import('../managers/validation').Schema}} [options]
+     * @returns {() => void} Removes the handler
+     */
+    on(topic: string, handler: Function, options?: {
+        schema?: import("../managers/validation").Schema;
+    }): () => void;
+    /**
+     * Subscribes to a topic of the channel on the server, unsubscribed when the channel closes
+     * @param {string} topic
+     * @param {Function|Object} [handler] Handler, or the options when there is none
+     * @param {Object} [options] Options sent to the server, except `schema` validating the notification data
+     * @returns {Promise<import('../managers/subscriptions').Subscription>}
+     * @throws {StarlingError} `SUBSCRIPTION_FAILED` when the server refuses it
+     */
+    subscribe(topic: string, handler?: Function | any, options?: any): Promise<import("../managers/subscriptions").Subscription>;
+    /**
+     * Removes a server subscription of the channel, and the handlers of its topic
+     * @param {string} topic
+     * @returns {Promise<boolean>} Whether the topic was subscribed
+     * @throws {StarlingError} `CHANNEL_CLOSED` once closed
+     */
+    unsubscribe(topic: string): Promise<boolean>;
+    /**
+     * Listens to the lifecycle of the channel: `connected` and `disconnected` follow the shared connection,
+     * `close` is emitted once by {@link close}
+     * @param {ChannelEvent} event
+     * @param {Function} listener
+     * @returns {() => void} Removes the listener
+     */
+    addListener(event: ChannelEvent, listener: Function): () => void;
+    onconnected: (handler: any) => () => void;
+    ondisconnected: (handler: any) => () => void;
+    onclose: (handler: any) => () => void;
+    /**
+     * Unregisters the handlers and listeners of the channel and drops its server subscriptions.
+     * Requests already sent still settle.
+     * @returns {Promise<void>}
+     */
+    close(): Promise<void>;
+    /**
+     * Runs the listeners of a lifecycle event
+     * @param {ChannelEvent} event
+     * @param {any} data
+     */
+    emit(event: ChannelEvent, data: any): void;
+    /**
+     * Method handler registered under a name, without the prefix
+     * @param {string} name
+     * @returns {Function|undefined}
+     */
+    handlerOf(name: string): Function | undefined;
+    /**
+     * Topic handlers registered under a topic, without the prefix
+     * @param {string} topic
+     * @returns {Function[]}
+     */
+    listenersOf(topic: string): Function[];
+    /**
+     * @private
+     * @throws {StarlingError} `CHANNEL_CLOSED` once closed
+     */
+    private _assertOpen;
+    /**
+     * @private
+     * @returns {StarlingError}
+     */
+    private _closedError;
+}
+export type ChannelEvent = "connected" | "disconnected" | "close";
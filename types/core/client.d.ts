@@ -0,0 +1,12 @@
+export function normalizeClientOptions(options?: ClientOptions): import("./starling").StarlingOptions;
+export function createClient<M = any>(url: import("../managers/endpoints").EndpointInput | import("../managers/endpoints").EndpointInput[] | import("../managers/endpoints").EndpointResolver, options?: ClientOptions): Starling<M>;
+/**
+ * Options of {@link createClient}: the client options, plus shorthands for the reconnection ones
+ */
+export type ClientOptions = Partial<import("./starling").StarlingOptions> & {
+    reconnect?: boolean;
+    reconnectDelay?: number;
+    maxReconnectAttempts?: number;
+    debug?: boolean;
+};
+import { Starling } from './starling';
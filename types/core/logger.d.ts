@@ -0,0 +1,143 @@
+/**
+ * Log levels by severity, `silent` disables every record
+ */
+export type LogLevels = number;
+/**
+ * Log levels by severity, `silent` disables every record
+ * @readonly
+ * @enum {number}
+ */
+export const LogLevels: Readonly<{
+    debug: 10;
+    info: 20;
+    warn: 30;
+    error: 40;
+    silent: number;
+}>;
+export function consoleSink(target?: Pick<Console, "debug" | "info" | "warn" | "error">): LogSink;
+export function jsonLinesSink(write?: (line: string) => void): LogSink;
+/**
+ * Namespaced, leveled logger writing structured records to a sink
+ */
+export class Logger {
+    /**
+     * @param {Object} [options]
+     * @param {LogSink|null} [options.sink] No sink makes the logger silent
+     * @param {LogLevel} [options.level='info']
+     * @param {Object<string, LogLevel>} [options.levels] Level overrides by namespace
+     * @param {string} [options.namespace='starling']
+     * @param {Object} [options.fields] Fields added to every record
+     */
+    constructor(options?: {
+        sink?: LogSink | null;
+        level?: LogLevel;
+        levels?: {
+            [x: string]: LogLevel;
+        };
+        namespace?: string;
+        fields?: any;
+    });
+    /** @private */
+    private _sink;
+    /** @private */
+    private _levels;
+    /** @private */
+    private _namespace;
+    /** @private */
+    private _level;
+    /** @private */
+    private _fields;
+    /**
+     * @returns {string}
+     */
+    get namespace(): string;
+    /**
+     * @returns {LogLevel}
+     */
+    get level(): LogLevel;
+    /**
+     * Whether records of a level are written
+     * @param {LogLevel} level
+     * @returns {boolean}
+     */
+    enabled(level: LogLevel): boolean;
+    /**
+     * Creates a logger for a component, sharing the sink
+     * @param {string} name Appended to the namespace
+     * @param {{level?: LogLevel, fields?: Object}} [options] `level` applies unless the namespace has its own override
+     * @returns {Logger}
+     */
+    child(name: string, options?: {
+        level?: LogLevel;
+        fields?: any;
+    }): Logger;
+    /**
+     * @param {string} message
+     * @param {Object} [fields]
+     */
+    debug(message: string, fields?: any): void;
+    /**
+     * @param {string} message
+     * @param {Object} [fields]
+     */
+    info(message: string, fields?: any): void;
+    /**
+     * @param {string} message
+     * @param {Object} [fields]
+     */
+    warn(message: string, fields?: any): void;
+    /**
+     * @param {string} message
+     * @param {Object} [fields]
+     */
+    error(message: string, fields?: any): void;
+    /**
+     * @private
+     * @param {Exclude<LogLevel, 'silent'>} level
+     * @param {string} message
+     * @param {Object} [fields]
+     */
+    private _write;
+}
+export function createLogger(option?: LoggerOption): Logger;
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+export type LogRecord = {
+    timestamp: number;
+    level: Exclude<LogLevel, "silent">;
+    /**
+     * Emitting component, e.g. `starling:reconnection`
+     */
+    namespace: string;
+    message: string;
+    /**
+     * Structured context (attempt number, endpoint, close code...)
+     */
+    fields: any;
+};
+export type LogSink = (record: LogRecord) => void;
+export type LoggerOptions = {
+    /**
+     * Where records are written
+     */
+    sink?: "console" | "json" | LogSink;
+    /**
+     * Minimum level written
+     */
+    level?: LogLevel;
+    /**
+     * Level overrides by namespace, e.g. `{ 'starling:reconnection': 'debug' }`
+     */
+    levels?: {
+        [x: string]: LogLevel;
+    };
+    /**
+     * Fields added to every record
+     */
+    fields?: any;
+};
+export type LoggerOption = boolean | "console" | "json" | LogSink | LoggerOptions | Logger | {
+    debug: Function;
+    info: Function;
+    warn: Function;
+    error: Function;
+};
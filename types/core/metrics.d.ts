@@ -0,0 +1,110 @@
+/**
+ * Default latency buckets (ms)
+ * @type {number[]}
+ */
+export const DEFAULT_LATENCY_BUCKETS: number[];
+/**
+ * @typedef {Object} HistogramSnapshot
+ * @property {number} count
+ * @property {number} sum
+ * @property {number|null} min
+ * @property {number|null} max
+ * @property {number} mean
+ * @property {number|null} p50
+ * @property {number|null} p90
+ * @property {number|null} p95
+ * @property {number|null} p99
+ * @property {number[]} bounds Upper bounds of the buckets
+ * @property {number[]} buckets Count per bucket (not cumulative), the last one counting values above every bound
+ */
+/**
+ * Bucketed distribution with percentiles over the latest samples
+ */
+export class Histogram {
+    /**
+     * @param {Object} [options]
+     * @param {number[]} [options.buckets] Upper bounds, sorted ascending
+     * @param {number} [options.sampleSize=1000] Samples kept to compute percentiles
+     */
+    constructor(options?: {
+        buckets?: number[];
+        sampleSize?: number;
+    });
+    /** @private */
+    private _bounds;
+    /** @private */
+    private _sampleSize;
+    /**
+     * @param {number} value
+     */
+    record(value: number): void;
+    _min: any;
+    _max: any;
+    /**
+     * Value below which a share of the latest samples fall
+     * @param {number} percentile Between 0 and 100
+     * @returns {number|null}
+     */
+    percentile(percentile: number): number | null;
+    /**
+     * @returns {HistogramSnapshot}
+     */
+    snapshot(): HistogramSnapshot;
+    reset(): void;
+    /** @private */
+    private _count;
+    /** @private */
+    private _sum;
+    /** @private */
+    private _buckets;
+    /** @private */
+    private _samples;
+}
+export function toPrometheus(snapshot: import("../managers/metrics").MetricsSnapshot, options?: ExportOptions): string;
+export function toOpenTelemetry(snapshot: import("../managers/metrics").MetricsSnapshot, options?: ExportOptions): {
+    scope: {
+        name: string;
+    };
+    metrics: any[];
+};
+export type HistogramSnapshot = {
+    count: number;
+    sum: number;
+    min: number | null;
+    max: number | null;
+    mean: number;
+    p50: number | null;
+    p90: number | null;
+    p95: number | null;
+    p99: number | null;
+    /**
+     * Upper bounds of the buckets
+     */
+    bounds: number[];
+    /**
+     * Count per bucket (not cumulative), the last one counting values above every bound
+     */
+    buckets: number[];
+};
+export type MetricDescriptor = {
+    /**
+     * Name without prefix
+     */
+    name: string;
+    type: "counter" | "gauge";
+    help: string;
+    unit?: string;
+    value: (snapshot: import("../managers/metrics").MetricsSnapshot) => number | null | undefined;
+};
+export type ExportOptions = {
+    /**
+     * Metric name prefix
+     */
+    prefix?: string;
+    /**
+     * Labels (attributes) added to every sample
+     */
+    labels?: {
+        [x: string]: string;
+    };
+};
@@ -0,0 +1,34 @@
+export function createRpcProxy<M = any>(request: RequestFunction, options?: RpcOptions): RpcApi<M>;
+/**
+ * Map of the methods a server exposes, shared with the server code, e.g.
+ * `{ 'user:get': (payload: { id: string }) => User }`
+ */
+export type MethodMap = {
+    [x: string]: (payload?: any) => any;
+};
+export type RequestFunction = (method: string, payload?: any, options?: any) => Promise<any>;
+export type RpcOptions = {
+    /**
+     * Joins the property path into the method name, the typing of the proxy assumes `:`
+     */
+    separator?: string;
+};
+/**
+ * Calls a method of the map, resolving with its result
+ */
+export type RpcMethod<F> = F extends (...args: infer A) => infer R ? A extends [] ? (payload?: undefined, options?: any) => Promise<Awaited<R>> : A extends [infer P] ? (payload: P, options?: any) => Promise<Awaited<R>> : (payload?: A[0], options?: any) => Promise<Awaited<R>> : never;
+/**
+ * First segment of a method name
+ */
+export type MethodHead<K extends string> = K extends `${infer Head}:${string}` ? Head : K;
+/**
+ * Proxy of an untyped client, any path is a method
+ */
+export type LooseRpcApi = {
+    (payload?: any, options?: any): Promise<any>;
+    [segment: string]: LooseRpcApi;
+};
+/**
+ * Proxy exposing the methods of a map as nested functions, `user:get` becoming `api.user.get()`
+ */
+export type RpcApi<M> = string extends keyof M ? LooseRpcApi : { [H in MethodHead<keyof M & string>]: (H extends keyof M ? RpcMethod<M[H]> : unknown) & RpcApi<{ [K in keyof M & string as K extends `${H}:${infer Rest}` ? Rest : never]: M[K]; }>; };
@@ -2,60 +2,304 @@
 * @typedef {import('@helios-starling/utils').BaseStarlingOptions} BaseStarlingOptions
 */
 /**
-* @typedef {import("@helios-starling/utils").NetworkNodeOptions & {
+* @typedef {import("@helios-starling/utils").NetworkNodeOptions & import("./transport").TransportOptions & {
 *  connectTimeout: number=10000,
 *  state: import("../managers/state").StateManagerOptions,
-*  reconnection: import("../managers/reconnection").ReconnectionOptions | false
+*  reconnection: import("../managers/reconnection").ReconnectionOptions | false,
+*  heartbeat: import("../managers/heartbeat").HeartbeatOptions | false,
+*  endpoints: import("../managers/endpoints").EndpointOptions,
+*  lifecycle: import("../managers/lifecycle").LifecycleOptions | false,
+*  auth: import("../managers/auth").AuthOptions,
+*  outbox: import("../managers/outbox").OutboxOptions | boolean,
+*  logger: import("./logger").LoggerOption,
+*  metrics: import("../managers/metrics").MetricsOptions,
+*  session: import("../managers/session").SessionOptions,
+*  subscriptions: import("../managers/subscriptions").SubscriptionManagerOptions,
+*  streams: import("../managers/streams").StreamManagerOptions,
+*  sequence: import("../managers/sequence").SequenceOptions | false,
+*  codec: import("../managers/codec").CodecOptions,
+*  middleware: {debug?: boolean},
+*  validation: import("../managers/validation").ValidationOptions,
+*  channels: import("../managers/channels").ChannelOptions,
+*  rpc: import("./rpc").RpcOptions
 * }} StarlingOptions
 */
 /**
+* @typedef {Object} ConnectOptions
+* @property {AbortSignal} [signal] Cancels the connection, closing the pending socket
+* @property {number} [timeout] Overrides `connectTimeout` (ms)
+*/
+/**
 * Client Starling instance
+* @template [M=any] Method map typing {@link Starling#api}
 */
-export class Starling extends NetworkNode {
+export class Starling<M = any> extends NetworkNode {
     /**
-    * @param {string|URL} url
+    * @param {import("../managers/endpoints").EndpointInput|import("../managers/endpoints").EndpointInput[]|import("../managers/endpoints").EndpointResolver} url Server URL, list of endpoints or resolver called before each connection
     * @param {StarlingOptions} options
     */
-    constructor(url: string | URL, options?: StarlingOptions);
+    constructor(url: import("../managers/endpoints").EndpointInput | import("../managers/endpoints").EndpointInput[] | import("../managers/endpoints").EndpointResolver, options?: StarlingOptions);
     _options: {
+        debug?: boolean;
         /**
-         * Enable debug mode
+         * WebSocket-compatible constructor (defaults to the global `WebSocket`)
          */
-        debug?: boolean;
+        websocket?: import("./transport").WebSocketConstructor;
+        /**
+         * Factory creating the socket, takes precedence over `websocket`
+         */
+        transport?: import("./transport").WebSocketFactory;
+        /**
+         * Subprotocols, resolved on every connection
+         */
+        protocols?: string | string[] | ((url: URL) => string | string[] | undefined);
+        /**
+         * Extra constructor arguments passed after the subprotocols (e.g. `ws` client options)
+         */
+        websocketArguments?: any[] | ((url: URL) => any[]);
         connectTimeout: number;
         state: import("../managers/state").StateManagerOptions;
         reconnection: import("../managers/reconnection").ReconnectionOptions | false;
+        heartbeat: import("../managers/heartbeat").HeartbeatOptions | false;
+        endpoints: import("../managers/endpoints").EndpointOptions;
+        lifecycle: import("../managers/lifecycle").LifecycleOptions | false;
+        auth: import("../managers/auth").AuthOptions;
+        outbox: import("../managers/outbox").OutboxOptions | boolean;
+        logger: import("./logger").LoggerOption;
+        metrics: import("../managers/metrics").MetricsOptions;
+        session: import("../managers/session").SessionOptions;
+        subscriptions: import("../managers/subscriptions").SubscriptionManagerOptions;
+        streams: import("../managers/streams").StreamManagerOptions;
+        sequence: import("../managers/sequence").SequenceOptions | false;
+        codec: import("../managers/codec").CodecOptions;
+        middleware: {
+            debug?: boolean;
+        };
+        validation: import("../managers/validation").ValidationOptions;
+        channels: import("../managers/channels").ChannelOptions;
+        rpc: import("./rpc").RpcOptions;
     };
-    url: URL;
+    /** @private */
+    private _logger;
+    _endpoints: EndpointManager;
+    /** @type {URL|null} */
+    url: URL | null;
+    _transport: Transport;
+    _codec: CodecManager;
+    _middleware: MiddlewareManager;
+    _validation: ValidationManager;
     _starling: BaseStarling;
+    _status: StatusMachine;
+    /**
+    * Cancels the connection in progress
+    * @private
+    * @type {((error: Error) => void)|null}
+    */
+    private _cancelConnect;
+    /**
+    * Set by destroy(), the client cannot connect anymore
+    * @private
+    */
+    private _destroyed;
     _stateManager: StateManager;
+    _session: SessionManager;
+    _subscriptions: SubscriptionManager;
+    _streams: StreamManager;
+    _channels: ChannelManager;
+    _sequences: SequenceManager;
     _reconnection: ReconnectionManager;
+    _heartbeat: HeartbeatManager;
+    _auth: AuthManager;
+    _lifecycle: LifecycleManager;
+    _outbox: OutboxManager;
+    _metrics: MetricsManager;
     send: any;
-    notify: any;
-    request: any;
     sendError: any;
+    notify: (topic: any, data: any, requestId: any) => any;
+    request: (method: any, payload: any, options: any) => any;
+    /**
+    * Methods of the server as nested functions: `api.user.get(payload)` requests `user:get`
+    * @type {import("./rpc").RpcApi<M>}
+    */
+    api: import("./rpc").RpcApi<M>;
     set _ws(ws: any);
     get _ws(): any;
     /**
     * Connects to the Helios server
+    * @param {ConnectOptions} [options]
     * @returns {Promise<void>}
-    * @throws {Error}
+    * @throws {StarlingError} A {@link ConnectionError} with code `CONNECTION_ABORTED` when the signal aborts, `CONNECTION_TIMEOUT` when the timeout elapses, `ALREADY_CONNECTED` when a connection exists
     */
-    connect(): Promise<void>;
+    connect(options?: ConnectOptions): Promise<void>;
     _lastConnected: number;
     /**
     * Closes the WebSocket connection
     * @param {string} [reason] Reason for closing
+    * @param {{keepToken?: boolean}} [options] `keepToken` keeps the recovery token, so the session can be recovered by another client
     * @returns {Promise<void>}
     */
-    disconnect(reason?: string): Promise<void>;
+    disconnect(reason?: string, options?: {
+        keepToken?: boolean;
+    }): Promise<void>;
+    /**
+    * Disconnects for good, stopping the heartbeat, the metrics export and the page lifecycle listeners.
+    * The client cannot connect anymore.
+    * @param {string} [reason] Reason for closing
+    * @param {{keepToken?: boolean}} [options] See {@link disconnect}
+    * @returns {Promise<void>}
+    */
+    destroy(reason?: string, options?: {
+        keepToken?: boolean;
+    }): Promise<void>;
+    /**
+    * Pings the server and measures the round-trip latency
+    * @returns {Promise<number|null>} Latency in ms, null when the server did not answer in time
+    */
+    ping(): Promise<number | null>;
+    /**
+    * Snapshot of the client metrics: traffic, request latencies and every manager
+    * @returns {import("../managers/metrics").MetricsSnapshot}
+    */
+    metrics(): import("../managers/metrics").MetricsSnapshot;
+    /**
+    * Formats the metrics for a monitoring backend
+    * @param {'prometheus'|'opentelemetry'} format Prometheus text, or OpenTelemetry scope metrics
+    * @param {import("./metrics").ExportOptions} [options]
+    * @returns {string|Object}
+    */
+    exportMetrics(format: "prometheus" | "opentelemetry", options?: import("./metrics").ExportOptions): string | any;
+    /**
+    * Adds a middleware for the messages sent and received
+    * @param {import("../managers/middleware").Middleware} middleware
+    * @param {import("../managers/middleware").MiddlewareOptions} [options] Direction, message types and priority
+    * @returns {() => void} Removes the middleware
+    */
+    use(middleware: import("../managers/middleware").Middleware, options?: import("../managers/middleware").MiddlewareOptions): () => void;
+    /**
+    * Registers a method handler, `options.schema` validating its payload and result
+    * @param {string} name
+    * @param {Function} handler
+    * @param {Object & {schema?: import("../managers/validation").MethodSchema}} [options]
+    */
+    method(name: string, handler: Function, options?: any & {
+        schema?: import("../managers/validation").MethodSchema;
+    }): any;
+    /**
+    * Registers a topic handler, `options.schema` validating the notification data
+    * @param {string} topic
+    * @param {Function} handler
+    * @param {Object & {schema?: import("../managers/validation").Schema}} [options]
+    */
+    on(topic: string, handler: Function, options?: any & {
+        schema?: import("../managers/validation").Schema;
+    }): any;
+    /**
+    * Subscribes to a topic on the server, the subscription being replayed after every new session
+    * @param {string} topic
+    * @param {import("../managers/subscriptions").TopicHandler|Object} [handler] Handler, or the options when there is none
+    * @param {Object} [options] Options sent to the server, except `schema` validating the notification data
+    * @returns {Promise<import("../managers/subscriptions").Subscription>}
+    * @throws {StarlingError} `SUBSCRIPTION_FAILED` when the server refuses it
+    */
+    subscribe(topic: string, handler?: import("../managers/subscriptions").TopicHandler | any, options?: any): Promise<import("../managers/subscriptions").Subscription>;
+    /**
+    * Removes a subscription and its handlers
+    * @param {string} topic
+    * @returns {Promise<boolean>} Whether the topic was subscribed
+    */
+    unsubscribe(topic: string): Promise<boolean>;
+    /**
+    * Sends a streaming request, its partial responses being read with `for await`.
+    * The server sends up to `window` frames ahead of the reader, breaking out of the loop or aborting the signal
+    * cancels the stream on the server, and the stream resumes after a recovered reconnection.
+    * @template [T=any] Type of the frames data
+    * @param {string} method
+    * @param {any} [payload]
+    * @param {import("./stream").StreamOptions} [options]
+    * @returns {import("./stream").Stream<T>}
+    * @throws {StarlingError} When the window is invalid
+    */
+    stream<T = any>(method: string, payload?: any, options?: import("./stream").StreamOptions): import("./stream").Stream<T>;
+    /**
+    * Scoped handle whose methods and topics are prefixed with its name, sharing the connection.
+    * The same handle is returned until it is closed.
+    * @template [C=any] Method map of the channel, without the prefix
+    * @param {string} name
+    * @returns {import("./channel").Channel<C>}
+    * @throws {StarlingError} When the name is empty
+    */
+    channel<C = any>(name: string): import("./channel").Channel<C>;
+    /**
+    * Waits until the connection reaches a status
+    * @param {ConnectionStatus|ConnectionStatus[]} status Expected status, or any of several
+    * @param {{timeout?: number}} [options]
+    * @returns {Promise<ConnectionStatus>} The status reached
+    * @throws {Error} When the timeout elapses first
+    */
+    waitFor(status: ConnectionStatus | ConnectionStatus[], options?: {
+        timeout?: number;
+    }): Promise<ConnectionStatus>;
+    /**
+    * Refreshes the recovery token
+    * @returns {Promise<string>}
+    * @throws {StateError}
+    */
     sync(): Promise<string>;
     /**
     * Gère la fermeture de la connexion
     * @private
+    * @param {CloseEvent} [event]
     */
     private _handleClose;
     /**
+    * Suit les décisions des managers qui changent le statut
+    * @private
+    */
+    private _bindStatusEvents;
+    /**
+    * Rétablit l'état lié à la session après l'ouverture, étape par étape.
+    * Une étape en échec est signalée sans empêcher les suivantes ni la connexion.
+    * @private
+    * @returns {Promise<void>}
+    */
+    private _restore;
+    /**
+    * Abandonne une connexion morte sans attendre la fin du handshake de fermeture
+    * @private
+    * @param {number} code
+    * @param {string} reason
+    */
+    private _terminate;
+    /**
+    * Interrompt la connexion si le signal a été déclenché
+    * @private
+    * @param {AbortSignal|null} signal
+    * @throws {Error}
+    */
+    private _throwIfAborted;
+    /**
+    * Attend une étape de la connexion, ou rejette dès que la tentative est annulée
+    * @private
+    * @template T
+    * @param {Promise<T>} promise
+    * @param {AbortSignal} signal Signal de la tentative
+    * @returns {Promise<T>}
+    */
+    private _untilCancelled;
+    /**
+    * Crée l'erreur d'une connexion annulée
+    * @private
+    * @param {any} [cause] Raison de l'annulation
+    * @returns {ConnectionError}
+    */
+    private _createAbortError;
+    /**
+    * Crée l'erreur d'une connexion déjà établie ou en cours
+    * @private
+    * @returns {ConnectionError}
+    */
+    private _createAlreadyConnectedError;
+    /**
     * Gère les erreurs de connexion
     * @private
     */
@@ -68,6 +312,82 @@ export class Starling extends NetworkNode {
     onconnected: (handler: any) => any;
     ondisconnected: (handler: any) => any;
     onstatechange: (handler: any) => any;
+    onstatuschange: (handler: any) => any;
+    /**
+    * Connection status, see {@link ConnectionStatus}
+    * @returns {ConnectionStatus}
+    */
+    get status(): ConnectionStatus;
+    /**
+    * Logger of the client, managers log through its children
+    * @returns {import("./logger").Logger}
+    */
+    get logger(): import("./logger").Logger;
+    /**
+    * Health of the known endpoints
+    * @returns {import("../managers/endpoints").EndpointStatus[]}
+    */
+    get endpoints(): import("../managers/endpoints").EndpointStatus[];
+    /**
+    * Endpoint of the current or last connection
+    * @returns {import("../managers/endpoints").EndpointStatus|null}
+    */
+    get endpoint(): import("../managers/endpoints").EndpointStatus | null;
+    /**
+    * Codec negotiated for the current connection
+    * @returns {import("../managers/codec").NegotiatedCodec}
+    */
+    get codec(): import("../managers/codec").NegotiatedCodec;
+    /**
+    * Recovery token: refreshes, persistence and hand over between clients
+    * @returns {StateManager}
+    */
+    get recovery(): StateManager;
+    /**
+    * Server session: recovery outcome and resync callbacks
+    * @returns {SessionManager}
+    */
+    get session(): SessionManager;
+    /**
+    * Method and topic schemas
+    * @returns {ValidationManager}
+    */
+    get validation(): ValidationManager;
+    /**
+    * Topic subscriptions replayed after every new session
+    * @returns {SubscriptionManager}
+    */
+    get subscriptions(): SubscriptionManager;
+    /**
+    * Streaming requests, resumed after a recovered reconnection
+    * @returns {StreamManager}
+    */
+    get streams(): StreamManager;
+    /**
+    * Sequence numbers of the incoming notifications: gaps and duplicates
+    * @returns {SequenceManager}
+    */
+    get sequences(): SequenceManager;
+    /**
+    * Durable queue of the calls made while disconnected
+    * @returns {OutboxManager}
+    */
+    get outbox(): OutboxManager;
+    /**
+    * Reconnection attempts and their metrics
+    * @returns {ReconnectionManager}
+    */
+    get reconnection(): ReconnectionManager;
+    /**
+    * Pings and their latencies
+    * @returns {HeartbeatManager}
+    */
+    get heartbeat(): HeartbeatManager;
+    /**
+    * Messages waiting in the send buffer, null when unknown
+    * @returns {number|null}
+    */
+    get buffered(): number | null;
     get createdAt(): number;
     get state(): "connected" | "connecting" | "disconnected" | "closing";
     get isConnected(): boolean;
@@ -79,12 +399,57 @@ export class Starling extends NetworkNode {
     get closed(): boolean;
 }
 export type BaseStarlingOptions = import("@helios-starling/utils").BaseStarlingOptions;
-export type StarlingOptions = import("@helios-starling/utils").NetworkNodeOptions & {
+export type StarlingOptions = import("@helios-starling/utils").NetworkNodeOptions & import("./transport").TransportOptions & {
     connectTimeout: number;
     state: import("../managers/state").StateManagerOptions;
     reconnection: import("../managers/reconnection").ReconnectionOptions | false;
+    heartbeat: import("../managers/heartbeat").HeartbeatOptions | false;
+    endpoints: import("../managers/endpoints").EndpointOptions;
+    lifecycle: import("../managers/lifecycle").LifecycleOptions | false;
+    auth: import("../managers/auth").AuthOptions;
+    outbox: import("../managers/outbox").OutboxOptions | boolean;
+    logger: import("./logger").LoggerOption;
+    metrics: import("../managers/metrics").MetricsOptions;
+    session: import("../managers/session").SessionOptions;
+    subscriptions: import("../managers/subscriptions").SubscriptionManagerOptions;
+    streams: import("../managers/streams").StreamManagerOptions;
+    sequence: import("../managers/sequence").SequenceOptions | false;
+    codec: import("../managers/codec").CodecOptions;
+    middleware: {
+        debug?: boolean;
+    };
+    validation: import("../managers/validation").ValidationOptions;
+    channels: import("../managers/channels").ChannelOptions;
+    rpc: import("./rpc").RpcOptions;
+};
+export type ConnectOptions = {
+    /**
+     * Cancels the connection, closing the pending socket
+     */
+    signal?: AbortSignal;
+    /**
+     * Overrides `connectTimeout` (ms)
+     */
+    timeout?: number;
 };
 import { NetworkNode } from "@helios-starling/utils";
+import { EndpointManager } from "../managers/endpoints";
+import { Transport } from "./transport";
+import { CodecManager } from "../managers/codec";
+import { MiddlewareManager } from "../managers/middleware";
+import { ValidationManager } from "../managers/validation";
 import { BaseStarling } from "@helios-starling/utils";
+import { StatusMachine } from "./status";
 import { StateManager } from "../managers/state";
+import { SessionManager } from "../managers/session";
+import { SubscriptionManager } from "../managers/subscriptions";
+import { StreamManager } from "../managers/streams";
+import { ChannelManager } from "../managers/channels";
+import { SequenceManager } from "../managers/sequence";
 import { ReconnectionManager } from "../managers/reconnection";
+import { HeartbeatManager } from "../managers/heartbeat";
+import { AuthManager } from "../managers/auth";
+import { LifecycleManager } from "../managers/lifecycle";
+import { OutboxManager } from "../managers/outbox";
+import { MetricsManager } from "../managers/metrics";
+import { ConnectionStatus } from "./status";
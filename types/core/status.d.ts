@@ -0,0 +1,87 @@
+/**
+ * Connection statuses
+ */
+export type ConnectionStatus = string;
+/**
+ * Connection statuses
+ * @readonly
+ * @enum {string}
+ */
+export const ConnectionStatus: Readonly<{
+    /** Never connected */
+    IDLE: "idle";
+    /** First connection in progress */
+    CONNECTING: "connecting";
+    /** Socket open, session being restored */
+    RECOVERING: "recovering";
+    /** Connected and ready */
+    OPEN: "open";
+    /** Connection lost, reconnection in progress */
+    RECONNECTING: "reconnecting";
+    /** Explicit disconnection in progress */
+    DISCONNECTING: "disconnecting";
+    /** Disconnected, nothing will happen until `connect()` */
+    CLOSED: "closed";
+    /** Gave up: fatal close code, rejected credentials or too many attempts */
+    FAILED: "failed";
+}>;
+/**
+ * Allowed transitions from each status
+ * @type {Readonly<Record<string, string[]>>}
+ */
+export const StatusTransitions: Readonly<Record<string, string[]>>;
+/**
+ * Validated connection status, emitting `starling:status` on every change
+ */
+export class StatusMachine {
+    /**
+     * @param {{emit: (event: string, data: any) => void}} events
+     * @param {ConnectionStatus} [initial='idle']
+     */
+    constructor(events: {
+        emit: (event: string, data: any) => void;
+    }, initial?: ConnectionStatus);
+    /** @private */
+    private _events;
+    /** @private */
+    private _status;
+    /** @private */
+    private _since;
+    /**
+     * @private
+     * @type {Set<(status: string) => void>}
+     */
+    private _watchers;
+    /**
+     * @returns {ConnectionStatus}
+     */
+    get current(): ConnectionStatus;
+    /**
+     * Timestamp of the last change
+     * @returns {number}
+     */
+    get since(): number;
+    /**
+     * Whether the machine may move to a status
+     * @param {ConnectionStatus} next
+     * @returns {boolean}
+     */
+    can(next: ConnectionStatus): boolean;
+    /**
+     * Moves to a status
+     * @param {ConnectionStatus} next
+     * @param {Object} [details] Extra event data (e.g. the close code)
+     * @returns {boolean} Whether the transition was valid; staying in the same status counts as valid
+     */
+    transition(next: ConnectionStatus, details?: any): boolean;
+    /**
+     * Resolves once the machine reaches one of the statuses
+     * @param {ConnectionStatus|ConnectionStatus[]} statuses
+     * @param {{timeout?: number}} [options]
+     * @returns {Promise<ConnectionStatus>}
+     * @throws {StarlingError} With code `STATUS_TIMEOUT` when the timeout elapses first
+     */
+    waitFor(statuses: ConnectionStatus | ConnectionStatus[], options?: {
+        timeout?: number;
+    }): Promise<ConnectionStatus>;
+}
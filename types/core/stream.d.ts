@@ -0,0 +1,208 @@
+/**
+ * @typedef {'opening'|'open'|'interrupted'|'done'|'cancelled'|'failed'} StreamStatus
+ * `opening`: waiting for the server to accept it, `open`: receiving frames, `interrupted`: connection lost,
+ * resumed once the session is recovered, `done`, `cancelled` and `failed` are final
+ */
+/**
+ * @typedef {Object} StreamFrame
+ * @property {string} id Stream id
+ * @property {number} sequence Position of the frame in the stream, from 1
+ * @property {any} [data] Partial result, or the final result with `done`
+ * @property {boolean} [done] Last frame of the stream
+ * @property {{code: string, message: string, details?: Object}} [error] The stream failed on the server
+ */
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number} [window] Frames the server may send ahead of the consumer, defaults to the manager's
+ * @property {AbortSignal} [signal] Cancels the stream, on the server too
+ * @property {number} [timeout] Timeout of the request opening the stream (ms), defaults to the manager's
+ */
+/**
+ * Partial responses of a streaming request, consumed with `for await`.
+ * Reading credits the server with more frames, breaking out of the loop cancels the stream.
+ * @template [T=any] Type of the frames data
+ */
+export class Stream<T = any> {
+    /**
+     * @param {import('../managers/streams').StreamManager} manager
+     * @param {string} id
+     * @param {string} method
+     * @param {any} payload
+     * @param {number} window
+     */
+    constructor(manager: import("../managers/streams").StreamManager, id: string, method: string, payload: any, window: number);
+    /** @private */
+    private _manager;
+    /** @type {string} */
+    id: string;
+    /** @type {string} */
+    method: string;
+    /** @type {any} */
+    payload: any;
+    /** @type {number} */
+    window: number;
+    /**
+     * @private
+     * @type {StreamStatus}
+     */
+    private _status;
+    /**
+     * Frames received and not read yet
+     * @private
+     * @type {StreamFrame[]}
+     */
+    private _buffer;
+    /** @private */
+    private _received;
+    /** @private */
+    private _consumed;
+    /** @private */
+    private _acknowledged;
+    /**
+     * Why the stream failed or was aborted
+     * @private
+     * @type {Error|null}
+     */
+    private _error;
+    /** @private */
+    private _result;
+    /**
+     * Pending `next()` call
+     * @private
+     * @type {{resolve: Function, reject: Function}|null}
+     */
+    private _waiting;
+    /**
+     * @returns {StreamStatus}
+     */
+    get status(): StreamStatus;
+    /**
+     * Sequence of the last frame received
+     * @returns {number}
+     */
+    get received(): number;
+    /**
+     * Sequence of the last frame read
+     * @returns {number}
+     */
+    get consumed(): number;
+    /**
+     * Frames received and not read yet
+     * @returns {number}
+     */
+    get buffered(): number;
+    /**
+     * Whether the stream is over: done, cancelled or failed
+     * @returns {boolean}
+     */
+    get finished(): boolean;
+    /**
+     * Next frame, waiting for the server when none is buffered
+     * @returns {Promise<IteratorResult<T, any>>}
+     * @throws {StarlingError} When the stream failed or was aborted
+     */
+    next(): Promise<IteratorResult<T, any>>;
+    /**
+     * Stops reading, cancelling the stream on the server when it is not over. Called when leaving a `for await` loop.
+     * @returns {Promise<IteratorResult<T, any>>}
+     */
+    return(): Promise<IteratorResult<T, any>>;
+    /**
+     * Cancels the stream, on the server too, dropping the frames not read yet
+     * @param {string} [reason] Sent to the server
+     * @param {Error} [error] Rejects the reads instead of ending the iteration
+     */
+    cancel(reason?: string, error?: Error): void;
+    /**
+     * Adds a frame sent by the server, ignoring those already received
+     * @param {StreamFrame} frame
+     */
+    push(frame: StreamFrame): void;
+    /**
+     * Marks the stream as accepted by the server
+     */
+    opened(): void;
+    /**
+     * Marks the stream as waiting for a recovered session
+     */
+    interrupt(): void;
+    /**
+     * Fails the stream once the frames already received are read
+     * @param {Error} error
+     */
+    fail(error: Error): void;
+    /**
+     * Credit to give the server when resuming: the frames it may send past {@link received}
+     * @returns {number}
+     */
+    credit(): number;
+    /**
+     * @private
+     * @param {StreamFrame} frame
+     * @returns {IteratorResult<T, any>}
+     * @throws {StarlingError} For an error frame
+     */
+    private _read;
+    /**
+     * @private
+     * @param {StreamStatus} status
+     * @param {Error} [error]
+     */
+    private _finish;
+    /**
+     * Settles the pending read
+     * @private
+     * @param {IteratorResult<T, any>|null} result
+     * @param {Error} [error]
+     */
+    private _settle;
+    /**
+     * @returns {AsyncIterator<T, any>}
+     */
+    [Symbol.asyncIterator](): AsyncIterator<T, any>;
+}
+/**
+ * `opening`: waiting for the server to accept it, `open`: receiving frames, `interrupted`: connection lost,
+ * resumed once the session is recovered, `done`, `cancelled` and `failed` are final
+ */
+export type StreamStatus = "opening" | "open" | "interrupted" | "done" | "cancelled" | "failed";
+export type StreamFrame = {
+    /**
+     * Stream id
+     */
+    id: string;
+    /**
+     * Position of the frame in the stream, from 1
+     */
+    sequence: number;
+    /**
+     * Partial result, or the final result with `done`
+     */
+    data?: any;
+    /**
+     * Last frame of the stream
+     */
+    done?: boolean;
+    /**
+     * The stream failed on the server
+     */
+    error?: {
+        code: string;
+        message: string;
+        details?: any;
+    };
+};
+export type StreamOptions = {
+    /**
+     * Frames the server may send ahead of the consumer, defaults to the manager's
+     */
+    window?: number;
+    /**
+     * Cancels the stream, on the server too
+     */
+    signal?: AbortSignal;
+    /**
+     * Timeout of the request opening the stream (ms), defaults to the manager's
+     */
+    timeout?: number;
+};
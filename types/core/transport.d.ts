@@ -0,0 +1,80 @@
+/**
+ * Standard WebSocket ready states, shared by browsers, Bun, Node and the `ws` package
+ */
+export type ReadyState = number;
+/**
+ * Standard WebSocket ready states, shared by browsers, Bun, Node and the `ws` package
+ * @readonly
+ * @enum {number}
+ */
+export const ReadyState: Readonly<{
+    CONNECTING: 0;
+    OPEN: 1;
+    CLOSING: 2;
+    CLOSED: 3;
+}>;
+/**
+ * @typedef {new (url: string, protocols?: string|string[], ...args: any[]) => WebSocket} WebSocketConstructor
+ */
+/**
+ * @typedef {(url: string, protocols?: string[], ...args: any[]) => WebSocket} WebSocketFactory
+ */
+/**
+ * @typedef {Object} TransportOptions
+ * @property {WebSocketConstructor} [websocket] WebSocket-compatible constructor (defaults to the global `WebSocket`)
+ * @property {WebSocketFactory} [transport] Factory creating the socket, takes precedence over `websocket`
+ * @property {string|string[]|((url: URL) => string|string[]|undefined)} [protocols] Subprotocols, resolved on every connection
+ * @property {any[]|((url: URL) => any[])} [websocketArguments] Extra constructor arguments passed after the subprotocols (e.g. `ws` client options)
+ */
+/**
+ * Creates the sockets used by a Starling instance
+ */
+export class Transport {
+    /**
+     * @param {TransportOptions} [options]
+     */
+    constructor(options?: TransportOptions);
+    /** @private */
+    private _options;
+    /**
+     * Opens a new socket to the given URL
+     * @param {URL} url
+     * @param {string[]} [extraProtocols] Subprotocols specific to this connection, offered first
+     * @returns {WebSocket}
+     * @throws {Error} When no WebSocket implementation is available
+     */
+    open(url: URL, extraProtocols?: string[]): WebSocket;
+    /**
+     * Resolves the subprotocols for a connection
+     * @param {URL} url
+     * @returns {string[]}
+     */
+    resolveProtocols(url: URL): string[];
+    /**
+     * Resolves the extra constructor arguments for a connection
+     * @private
+     * @param {URL} url
+     * @returns {any[]}
+     */
+    private _resolveArguments;
+}
+export type WebSocketConstructor = new (url: string, protocols?: string | string[], ...args: any[]) => WebSocket;
+export type WebSocketFactory = (url: string, protocols?: string[], ...args: any[]) => WebSocket;
+export type TransportOptions = {
+    /**
+     * WebSocket-compatible constructor (defaults to the global `WebSocket`)
+     */
+    websocket?: WebSocketConstructor;
+    /**
+     * Factory creating the socket, takes precedence over `websocket`
+     */
+    transport?: WebSocketFactory;
+    /**
+     * Subprotocols, resolved on every connection
+     */
+    protocols?: string | string[] | ((url: URL) => string | string[] | undefined);
+    /**
+     * Extra constructor arguments passed after the subprotocols (e.g. `ws` client options)
+     */
+    websocketArguments?: any[] | ((url: URL) => any[]);
+};
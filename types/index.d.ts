@@ -1,2 +1,17 @@
 export * from './core/starling';
+export * from './core/client';
+export * from './core/rpc';
+export * from './core/channel';
+export * from './core/stream';
+export * from './core/transport';
+export * from './core/status';
+export * from './core/errors';
+export * from './core/logger';
+export * from './core/metrics';
+export * from './core/backoff';
+export * from './config/close-codes.config';
+export * from './storage';
+export * from './codecs';
+export * from './shared';
 
+export type { Schema, MethodSchema, InferMethods } from './managers/validation';
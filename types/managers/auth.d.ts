@@ -0,0 +1,204 @@
+/**
+ * @typedef {Object} AuthCredentials
+ * @property {string} token Credential sent to the server
+ * @property {number} [expiresAt] Expiry timestamp, enables refreshing before expiry
+ */
+/**
+ * @typedef {Object} AuthContext
+ * @property {'connect'|'reconnect'|'refresh'} reason Why the credential is needed
+ * @property {AuthCredentials|null} previous Previously provided credential
+ */
+/**
+ * @typedef {(context: AuthContext) => string|AuthCredentials|Promise<string|AuthCredentials>} TokenProvider
+ */
+/**
+ * @typedef {Object} AuthOptions
+ * @property {TokenProvider} token Called before every connection, reconnection and refresh
+ * @property {'query'|'protocol'|'message'} [mode='query'] How the credential is sent
+ * @property {string} [param='token'] Query parameter name with `query`
+ * @property {string} [protocolPrefix='auth.'] Subprotocol prefix with `protocol` (the subprotocol is the prefix followed by the token)
+ * @property {string} [method='auth'] Method of the authentication request with `message`, and of refreshes
+ * @property {number} [timeout=10000] Timeout of the authentication request (ms)
+ * @property {number} [refreshBefore=30000] Refresh that long before the credential expires (ms)
+ * @property {number[]} [failureCodes] Close codes meaning the server rejected the credential
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * Obtains credentials and sends them on every connection
+ */
+export class AuthManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {AuthOptions|null} [options] Authentication is disabled without a token provider
+     */
+    constructor(starling: import("../core/starling").Starling, options?: AuthOptions | null);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * @private
+     * @type {AuthCredentials|null}
+     */
+    private _credentials;
+    /** @private */
+    private _refreshTimer;
+    /**
+     * Whether the current connection already failed to authenticate
+     * @private
+     */
+    private _failed;
+    /**
+     * Whether a token provider was configured
+     * @returns {boolean}
+     */
+    get enabled(): boolean;
+    /**
+     * Current credentials
+     * @returns {AuthCredentials|null}
+     */
+    get credentials(): AuthCredentials | null;
+    /**
+     * Asks the provider for a credential before a connection
+     * @returns {Promise<AuthCredentials|null>}
+     */
+    prepare(): Promise<AuthCredentials | null>;
+    /**
+     * Adds the credential to the connection URL with `query`
+     * @param {URL} url
+     */
+    applyToUrl(url: URL): void;
+    /**
+     * Subprotocols carrying the credential with `protocol`
+     * @returns {string[]}
+     */
+    protocols(): string[];
+    /**
+     * Authenticates an open connection with `message`, resolves immediately otherwise
+     * @returns {Promise<void>}
+     */
+    authenticate(): Promise<void>;
+    /**
+     * Gets a fresh credential and sends it over the open connection
+     * @returns {Promise<void>}
+     */
+    refresh(): Promise<void>;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {AuthOptions} userOptions
+     * @returns {AuthOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Binds event handlers for connection states
+     * @private
+     */
+    private _bindConnectionEvents;
+    /**
+     * Calls the token provider
+     * @private
+     * @param {AuthContext['reason']} reason
+     * @returns {Promise<AuthCredentials>}
+     * @throws {AuthenticationError} When the provider fails or returns no token
+     */
+    private _obtain;
+    /**
+     * Sends the authentication request
+     * @private
+     * @returns {Promise<void>}
+     * @throws {AuthenticationError} When the server rejects the credential
+     */
+    private _send;
+    /**
+     * Reports a failure and stops reconnecting, so the application can prompt for login
+     * @private
+     * @param {AuthenticationError} error
+     * @param {'provider'|'server'} source
+     * @returns {AuthenticationError}
+     */
+    private _fail;
+    /**
+     * @private
+     * @param {string} message
+     * @param {Error} [cause]
+     * @returns {AuthenticationError}
+     */
+    private _createError;
+    /**
+     * @private
+     */
+    private _scheduleRefresh;
+    /**
+     * @private
+     */
+    private _clearRefreshTimer;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type AuthCredentials = {
+    /**
+     * Credential sent to the server
+     */
+    token: string;
+    /**
+     * Expiry timestamp, enables refreshing before expiry
+     */
+    expiresAt?: number;
+};
+export type AuthContext = {
+    /**
+     * Why the credential is needed
+     */
+    reason: "connect" | "reconnect" | "refresh";
+    /**
+     * Previously provided credential
+     */
+    previous: AuthCredentials | null;
+};
+export type TokenProvider = (context: AuthContext) => string | AuthCredentials | Promise<string | AuthCredentials>;
+export type AuthOptions = {
+    /**
+     * Called before every connection, reconnection and refresh
+     */
+    token: TokenProvider;
+    /**
+     * How the credential is sent
+     */
+    mode?: "query" | "protocol" | "message";
+    /**
+     * Query parameter name with `query`
+     */
+    param?: string;
+    /**
+     * Subprotocol prefix with `protocol` (the subprotocol is the prefix followed by the token)
+     */
+    protocolPrefix?: string;
+    /**
+     * Method of the authentication request with `message`, and of refreshes
+     */
+    method?: string;
+    /**
+     * Timeout of the authentication request (ms)
+     */
+    timeout?: number;
+    /**
+     * Refresh that long before the credential expires (ms)
+     */
+    refreshBefore?: number;
+    /**
+     * Close codes meaning the server rejected the credential
+     */
+    failureCodes?: number[];
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
@@ -0,0 +1,128 @@
+/**
+ * @typedef {Object} ChannelOptions
+ * @property {string} [separator=':'] Joins the channel name and the method or topic
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * Multiplexes named channels over the connection, routing their methods and topics by prefix
+ */
+export class ChannelManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {ChannelOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: ChannelOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * Open channels by name
+     * @private
+     * @type {Map<string, Channel>}
+     */
+    private _channels;
+    /**
+     * Qualified names registered on the connection, with the channel and local name they route to.
+     * They stay registered once their channel closes, answering or dropping until it is opened again.
+     * @private
+     * @type {Map<string, {channel: string, name: string}>}
+     */
+    private _methods;
+    /**
+     * @private
+     * @type {Map<string, {channel: string, name: string}>}
+     */
+    private _topics;
+    /**
+     * @returns {import('../core/starling').Starling}
+     */
+    get starling(): import("../core/starling").Starling;
+    /**
+     * @returns {import('../core/logger').Logger}
+     */
+    get logger(): import("../core/logger").Logger;
+    /**
+     * @returns {boolean}
+     */
+    get connected(): boolean;
+    /**
+     * Returns the open channel with this name, opening it when there is none
+     * @template [M=any]
+     * @param {string} name
+     * @returns {Channel<M>}
+     * @throws {StarlingError} When the name is empty
+     */
+    open<M = any>(name: string): Channel<M>;
+    /**
+     * Open channel with this name
+     * @param {string} name
+     * @returns {Channel|undefined}
+     */
+    get(name: string): Channel | undefined;
+    /**
+     * Names of the open channels
+     * @returns {string[]}
+     */
+    list(): string[];
+    /**
+     * Closes every open channel
+     * @returns {Promise<void>}
+     */
+    closeAll(): Promise<void>;
+    /**
+     * Forgets a channel being closed
+     * @param {Channel} channel
+     */
+    release(channel: Channel): void;
+    /**
+     * Registers the method routing to a channel method, once per qualified name
+     * @param {Channel} channel
+     * @param {string} name Method name, without the prefix
+     * @param {Object} [options] Method options
+     */
+    registerMethod(channel: Channel, name: string, options?: any): void;
+    /**
+     * Registers the handler routing to a channel topic, once per qualified topic
+     * @param {Channel} channel
+     * @param {string} topic Topic, without the prefix
+     */
+    registerTopic(channel: Channel, topic: string): void;
+    /**
+     * @private
+     * @param {string} qualified
+     * @param {Object} context Request context
+     */
+    private _dispatchMethod;
+    /**
+     * @private
+     * @param {string} qualified
+     * @param {Object} context Notification context
+     */
+    private _dispatchTopic;
+    /**
+     * Relays the connection lifecycle to the channels, closing on purpose included
+     * @private
+     */
+    private _bindConnectionEvents;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type ChannelOptions = {
+    /**
+     * Joins the channel name and the method or topic
+     */
+    separator?: string;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+import { Channel } from '../core/channel';
@@ -0,0 +1,119 @@
+/**
+ * @typedef {Object} CodecOptions
+ * @property {import('../codecs').CodecOption[]} [codecs=['json']] Codecs offered, preferred first
+ * @property {boolean} [compression=false] Offer deflate for large payloads, when `CompressionStream` is available
+ * @property {number} [threshold=1024] Smallest payload compressed (bytes)
+ * @property {string} [protocolPrefix='starling.'] Prefix of the codec subprotocols
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {Object} NegotiatedCodec
+ * @property {string} codec Codec name, `json` when the server chose none
+ * @property {boolean} compression Whether large payloads are deflated
+ */
+/**
+ * Offers codecs as subprotocols and encodes the traffic with the one the server selects
+ */
+export class CodecManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {CodecOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: CodecOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * @private
+     * @type {import('../codecs').Codec[]}
+     */
+    private _codecs;
+    /**
+     * Frame codec of the current connection, null for plain JSON
+     * @private
+     * @type {FrameCodec|null}
+     */
+    private _frames;
+    /**
+     * Keeps the received messages in order while they are decoded
+     * @private
+     */
+    private _inbound;
+    /**
+     * Codec of the current connection
+     * @returns {NegotiatedCodec}
+     */
+    get current(): NegotiatedCodec;
+    /**
+     * Subprotocols announcing the codecs, empty for plain JSON
+     * @returns {string[]}
+     */
+    protocols(): string[];
+    /**
+     * Applies the codec selected by the server to an open socket, falling back to JSON
+     * @param {WebSocket} ws
+     */
+    negotiate(ws: WebSocket): void;
+    /**
+     * Decodes a received frame, handing messages over in the order they arrived
+     * @param {any} data
+     * @param {(message: string) => void} handler Receives the JSON text of the message
+     */
+    receive(data: any, handler: (message: string) => void): void;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {CodecOptions} userOptions
+     * @returns {CodecOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Encodes the JSON text the client sends, keeping the order of the messages
+     * @private
+     * @param {WebSocket} ws
+     * @param {FrameCodec} frames
+     */
+    private _wrapSend;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type CodecOptions = {
+    /**
+     * Codecs offered, preferred first
+     */
+    codecs?: import("../codecs").CodecOption[];
+    /**
+     * Offer deflate for large payloads, when `CompressionStream` is available
+     */
+    compression?: boolean;
+    /**
+     * Smallest payload compressed (bytes)
+     */
+    threshold?: number;
+    /**
+     * Prefix of the codec subprotocols
+     */
+    protocolPrefix?: string;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+export type NegotiatedCodec = {
+    /**
+     * Codec name, `json` when the server chose none
+     */
+    codec: string;
+    /**
+     * Whether large payloads are deflated
+     */
+    compression: boolean;
+};
@@ -0,0 +1,195 @@
+/**
+ * @typedef {Object} EndpointDescriptor
+ * @property {string|URL} url Endpoint URL
+ * @property {number} [priority] Lower is preferred (defaults to the position in the list)
+ */
+/**
+ * @typedef {string|URL|EndpointDescriptor} EndpointInput
+ */
+/**
+ * @typedef {() => EndpointInput|EndpointInput[]|Promise<EndpointInput|EndpointInput[]>} EndpointResolver
+ */
+/**
+ * @typedef {Object} EndpointOptions
+ * @property {'round-robin'|'priority'|'lowest-latency'} [strategy='priority'] Endpoint selection strategy
+ * @property {number} [maxFailures=1] Consecutive failures before an endpoint is put in cooldown
+ * @property {number} [cooldown=30000] Time an endpoint is skipped after too many failures (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {Object} EndpointStatus
+ * @property {string} url Endpoint URL
+ * @property {number} priority
+ * @property {number} failures Consecutive failures
+ * @property {number} totalFailures Total failures
+ * @property {number} successes Successful connections
+ * @property {number|null} latency Smoothed latency (ms), null until measured
+ * @property {number|null} lastFailure Last failure timestamp
+ * @property {number|null} lastSuccess Last success timestamp
+ * @property {number|null} cooldownUntil End of the current cooldown, null when available
+ */
+/**
+ * Tracks the health of the server endpoints and picks the next one to connect to
+ */
+export class EndpointManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {EndpointInput|EndpointInput[]|EndpointResolver} source Endpoints or resolver
+     * @param {EndpointOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, source: EndpointInput | EndpointInput[] | EndpointResolver, options?: EndpointOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /** @private */
+    private _resolver;
+    /**
+     * Endpoint statuses by URL
+     * @private
+     * @type {Map<string, EndpointStatus>}
+     */
+    private _endpoints;
+    /** @private */
+    private _current;
+    /** @private */
+    private _cursor;
+    /**
+     * Picks the endpoint for the next connection
+     * @returns {Promise<EndpointStatus>}
+     */
+    select(): Promise<EndpointStatus>;
+    /**
+     * Records a successful connection
+     * @param {EndpointStatus} endpoint
+     * @param {number} [latency] Connection setup time (ms)
+     */
+    reportSuccess(endpoint: EndpointStatus, latency?: number): void;
+    /**
+     * Records a failure, putting the endpoint in cooldown when it failed too often
+     * @param {EndpointStatus} endpoint
+     * @param {Error} [error]
+     */
+    reportFailure(endpoint: EndpointStatus, error?: Error): void;
+    /**
+     * Records a latency sample, smoothed with an exponential moving average
+     * @param {EndpointStatus} endpoint
+     * @param {number} latency
+     */
+    reportLatency(endpoint: EndpointStatus, latency: number): void;
+    /**
+     * Snapshot of every known endpoint
+     * @returns {EndpointStatus[]}
+     */
+    list(): EndpointStatus[];
+    /**
+     * Endpoint of the current or last connection
+     * @returns {EndpointStatus|null}
+     */
+    get current(): EndpointStatus | null;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {EndpointOptions} userOptions
+     * @returns {EndpointOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Binds event handlers feeding endpoint health
+     * @private
+     */
+    private _bindConnectionEvents;
+    /**
+     * Merges a list of endpoints into the known ones, keeping their statistics
+     * @private
+     * @param {EndpointInput|EndpointInput[]} source
+     */
+    private _update;
+    /**
+     * Endpoints not in cooldown, or the one leaving cooldown first when all are
+     * @private
+     * @returns {EndpointStatus[]}
+     */
+    private _candidates;
+    /**
+     * Applies the selection strategy
+     * @private
+     * @param {EndpointStatus[]} candidates
+     * @returns {EndpointStatus}
+     */
+    private _pick;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type EndpointDescriptor = {
+    /**
+     * Endpoint URL
+     */
+    url: string | URL;
+    /**
+     * Lower is preferred (defaults to the position in the list)
+     */
+    priority?: number;
+};
+export type EndpointInput = string | URL | EndpointDescriptor;
+export type EndpointResolver = () => EndpointInput | EndpointInput[] | Promise<EndpointInput | EndpointInput[]>;
+export type EndpointOptions = {
+    /**
+     * Endpoint selection strategy
+     */
+    strategy?: "round-robin" | "priority" | "lowest-latency";
+    /**
+     * Consecutive failures before an endpoint is put in cooldown
+     */
+    maxFailures?: number;
+    /**
+     * Time an endpoint is skipped after too many failures (ms)
+     */
+    cooldown?: number;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+export type EndpointStatus = {
+    /**
+     * Endpoint URL
+     */
+    url: string;
+    priority: number;
+    /**
+     * Consecutive failures
+     */
+    failures: number;
+    /**
+     * Total failures
+     */
+    totalFailures: number;
+    /**
+     * Successful connections
+     */
+    successes: number;
+    /**
+     * Smoothed latency (ms), null until measured
+     */
+    latency: number | null;
+    /**
+     * Last failure timestamp
+     */
+    lastFailure: number | null;
+    /**
+     * Last success timestamp
+     */
+    lastSuccess: number | null;
+    /**
+     * End of the current cooldown, null when available
+     */
+    cooldownUntil: number | null;
+};
@@ -0,0 +1,187 @@
+/**
+ * @typedef {Object} HeartbeatOptions
+ * @property {boolean} [enabled=true] Enable the heartbeat
+ * @property {number} [interval=30000] Delay between two pings (ms)
+ * @property {number} [timeout=10000] Time to wait for a pong (ms)
+ * @property {number} [maxMissed=2] Consecutive missed pongs before the connection is declared dead
+ * @property {string} [method='starling:ping'] Protocol method used for pings
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {Object} HeartbeatMetrics
+ * @property {number} sent Pings sent
+ * @property {number} received Pongs received
+ * @property {number} missed Consecutive missed pongs
+ * @property {number} totalMissed Total missed pongs
+ * @property {number|null} latency Last round-trip latency (ms)
+ * @property {number|null} minLatency Lowest round-trip latency (ms)
+ * @property {number|null} maxLatency Highest round-trip latency (ms)
+ * @property {number} averageLatency Average of the last round-trip latencies (ms)
+ * @property {number|null} lastPong Last pong timestamp
+ * @property {number} staleConnections Connections declared dead
+ */
+/**
+ * Periodically pings the server to measure latency and detect dead connections
+ */
+export class HeartbeatManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {HeartbeatOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: HeartbeatOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /** @private */
+    private _state;
+    /** @private */
+    private _metrics;
+    /**
+     * Starts pinging the server
+     */
+    start(): void;
+    /**
+     * Stops pinging the server
+     */
+    stop(): void;
+    /**
+     * Overrides the ping interval, e.g. to throttle pings while the page is hidden
+     * @param {number|null} interval Interval in ms, null to restore the configured one
+     */
+    adjustInterval(interval: number | null): void;
+    /**
+     * Sends a ping immediately
+     * @returns {Promise<number|null>} Round-trip latency, null when the pong was missed
+     */
+    ping(): Promise<number | null>;
+    /**
+     * @returns {HeartbeatMetrics}
+     */
+    getMetrics(): HeartbeatMetrics;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {HeartbeatOptions} userOptions
+     * @returns {HeartbeatOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Initializes metrics with default values
+     * @private
+     * @returns {Object}
+     */
+    private _initializeMetrics;
+    /**
+     * Binds event handlers for connection states
+     * @private
+     */
+    private _bindConnectionEvents;
+    /**
+     * @private
+     */
+    private _scheduleNextPing;
+    /**
+     * Sends a ping and waits for the pong or the timeout
+     * @private
+     * @returns {Promise<number|null>}
+     */
+    private _executePing;
+    /**
+     * @private
+     * @param {number} latency
+     * @returns {number}
+     */
+    private _handlePong;
+    /**
+     * @private
+     */
+    private _handleMissedPong;
+    /**
+     * Declares the connection dead and hands over to the reconnection manager
+     * @private
+     */
+    private _handleStale;
+    /**
+     * @private
+     */
+    private _clearTimers;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+    get running(): boolean;
+}
+export type HeartbeatOptions = {
+    /**
+     * Enable the heartbeat
+     */
+    enabled?: boolean;
+    /**
+     * Delay between two pings (ms)
+     */
+    interval?: number;
+    /**
+     * Time to wait for a pong (ms)
+     */
+    timeout?: number;
+    /**
+     * Consecutive missed pongs before the connection is declared dead
+     */
+    maxMissed?: number;
+    /**
+     * Protocol method used for pings
+     */
+    method?: string;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+export type HeartbeatMetrics = {
+    /**
+     * Pings sent
+     */
+    sent: number;
+    /**
+     * Pongs received
+     */
+    received: number;
+    /**
+     * Consecutive missed pongs
+     */
+    missed: number;
+    /**
+     * Total missed pongs
+     */
+    totalMissed: number;
+    /**
+     * Last round-trip latency (ms)
+     */
+    latency: number | null;
+    /**
+     * Lowest round-trip latency (ms)
+     */
+    minLatency: number | null;
+    /**
+     * Highest round-trip latency (ms)
+     */
+    maxLatency: number | null;
+    /**
+     * Average of the last round-trip latencies (ms)
+     */
+    averageLatency: number;
+    /**
+     * Last pong timestamp
+     */
+    lastPong: number | null;
+    /**
+     * Connections declared dead
+     */
+    staleConnections: number;
+};
@@ -0,0 +1,181 @@
+/**
+ * @typedef {Object} LifecycleEnvironment
+ * @property {EventTarget} [window] Target of `online` / `offline` events
+ * @property {Document} [document] Target of `visibilitychange`, `freeze` and `resume` events
+ * @property {{onLine?: boolean}} [navigator] Source of the current network status
+ */
+/**
+ * @typedef {Object} LifecycleOptions
+ * @property {boolean} [enabled=true] Enable network and page lifecycle awareness
+ * @property {boolean} [pauseWhenOffline=true] Pause reconnection while the device is offline
+ * @property {boolean} [reconnectOnOnline=true] Attempt immediately when the network comes back
+ * @property {'none'|'throttle'|'disconnect'} [whenHidden='none'] What to do while the page is hidden or frozen
+ * @property {number} [hiddenHeartbeatInterval=120000] Heartbeat interval while hidden with `throttle` (ms)
+ * @property {number} [hiddenDisconnectDelay=60000] Time hidden before disconnecting with `disconnect` (ms)
+ * @property {LifecycleEnvironment} [environment] Event sources, defaults to the globals when they exist
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * Adapts reconnection and heartbeats to the network status and page lifecycle.
+ * Everything is feature-detected, the manager does nothing in Node and Bun.
+ */
+export class LifecycleManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {LifecycleOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: LifecycleOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /** @private */
+    private _state;
+    /** @private */
+    private _listeners;
+    /**
+     * Whether the device reports a network connection (true when unknown)
+     * @returns {boolean}
+     */
+    get online(): boolean;
+    /**
+     * Whether the page is hidden or frozen
+     * @returns {boolean}
+     */
+    get inactive(): boolean;
+    /**
+     * Removes every environment listener
+     */
+    destroy(): void;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {LifecycleOptions} userOptions
+     * @returns {LifecycleOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Listens to the environment events that exist
+     * @private
+     */
+    private _bindEnvironmentEvents;
+    /**
+     * @private
+     */
+    private _handleOffline;
+    /**
+     * @private
+     */
+    private _handleOnline;
+    /**
+     * @private
+     */
+    private _handleVisibilityChange;
+    /**
+     * @private
+     */
+    private _handleFreeze;
+    /**
+     * @private
+     */
+    private _handleResume;
+    /**
+     * Applies the hidden policy after a visibility or freeze change
+     * @private
+     */
+    private _applyActivity;
+    /**
+     * @private
+     */
+    private _enterInactive;
+    /**
+     * @private
+     */
+    private _leaveInactive;
+    /**
+     * Closes the connection while the page stays hidden, keeping the session for later
+     * @private
+     */
+    private _suspend;
+    /**
+     * @private
+     */
+    private _clearHiddenTimer;
+    /**
+     * @private
+     * @param {'online'|'offline'} status
+     */
+    private _emitNetwork;
+    /**
+     * @private
+     * @param {any} target
+     * @returns {boolean}
+     */
+    private _supports;
+    /**
+     * @private
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {() => void} listener
+     */
+    private _listen;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type LifecycleEnvironment = {
+    /**
+     * Target of `online` / `offline` events
+     */
+    window?: EventTarget;
+    /**
+     * Target of `visibilitychange`, `freeze` and `resume` events
+     */
+    document?: Document;
+    /**
+     * Source of the current network status
+     */
+    navigator?: {
+        onLine?: boolean;
+    };
+};
+export type LifecycleOptions = {
+    /**
+     * Enable network and page lifecycle awareness
+     */
+    enabled?: boolean;
+    /**
+     * Pause reconnection while the device is offline
+     */
+    pauseWhenOffline?: boolean;
+    /**
+     * Attempt immediately when the network comes back
+     */
+    reconnectOnOnline?: boolean;
+    /**
+     * What to do while the page is hidden or frozen
+     */
+    whenHidden?: "none" | "throttle" | "disconnect";
+    /**
+     * Heartbeat interval while hidden with `throttle` (ms)
+     */
+    hiddenHeartbeatInterval?: number;
+    /**
+     * Time hidden before disconnecting with `disconnect` (ms)
+     */
+    hiddenDisconnectDelay?: number;
+    /**
+     * Event sources, defaults to the globals when they exist
+     */
+    environment?: LifecycleEnvironment;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
@@ -0,0 +1,216 @@
+/**
+ * @typedef {Object} MetricsOptions
+ * @property {number[]} [buckets] Request latency buckets (ms)
+ * @property {number} [sampleSize=1000] Latency samples kept to compute percentiles
+ * @property {(snapshot: MetricsSnapshot) => void} [exporter] Called with a snapshot every `exportInterval`
+ * @property {number} [exportInterval=60000] Delay between two exports (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {Object} TrafficMetrics
+ * @property {number} messagesSent
+ * @property {number} messagesReceived
+ * @property {number} bytesSent
+ * @property {number} bytesReceived
+ */
+/**
+ * @typedef {Object} RequestMetrics
+ * @property {number} total Requests sent
+ * @property {number} succeeded
+ * @property {number} failed Failures, timeouts included
+ * @property {number} timedOut
+ * @property {number} inFlight Requests waiting for a response
+ * @property {import('../core/metrics').HistogramSnapshot} latency Round trip of answered requests (ms)
+ */
+/**
+ * @typedef {Object} MetricsSnapshot
+ * @property {number} timestamp
+ * @property {number} createdAt
+ * @property {import('../core/status').ConnectionStatus} status
+ * @property {string|null} endpoint URL of the current endpoint
+ * @property {TrafficMetrics} traffic
+ * @property {RequestMetrics} requests
+ * @property {{depth: number|null}} buffer Messages waiting in the send buffer, null when unknown
+ * @property {{enabled: boolean, size: number}} outbox
+ * @property {Object} state State manager metrics
+ * @property {import('./reconnection').ReconnectionMetrics} reconnection
+ * @property {import('./heartbeat').HeartbeatMetrics} heartbeat
+ * @property {import('./sequence').SequenceMetrics} sequences
+ * @property {import('./endpoints').EndpointStatus[]} endpoints
+ */
+/**
+ * Counts traffic and request latencies, and aggregates the metrics of every manager
+ */
+export class MetricsManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {MetricsOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: MetricsOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /** @private */
+    private _traffic;
+    /** @private */
+    private _requests;
+    /** @private */
+    private _latency;
+    /** @private */
+    private _encoder;
+    /** @private */
+    private _exportTimer;
+    /**
+     * Counts the frames sent through a socket
+     * @param {WebSocket} ws
+     */
+    instrument(ws: WebSocket): void;
+    /**
+     * Counts a received frame
+     * @param {any} data
+     */
+    recordReceived(data: any): void;
+    /**
+     * Measures a request until it settles
+     * @template T
+     * @param {T} request Request returned by the client, a thenable
+     * @returns {T} The same request
+     */
+    trackRequest<T>(request: T): T;
+    /**
+     * Snapshot of every metric
+     * @returns {MetricsSnapshot}
+     */
+    snapshot(): MetricsSnapshot;
+    /**
+     * Formats a snapshot
+     * @param {'prometheus'|'opentelemetry'} format
+     * @param {import('../core/metrics').ExportOptions} [options]
+     * @returns {string|Object}
+     * @throws {StarlingError} When the format is unknown
+     */
+    export(format: "prometheus" | "opentelemetry", options?: import("../core/metrics").ExportOptions): string | any;
+    /**
+     * Resets the traffic and request counters
+     */
+    reset(): void;
+    /**
+     * Stops the periodic export
+     */
+    destroy(): void;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {MetricsOptions} userOptions
+     * @returns {MetricsOptions}
+     */
+    private _initializeOptions;
+    /**
+     * @private
+     * @returns {TrafficMetrics}
+     */
+    private _initializeTraffic;
+    /**
+     * @private
+     * @returns {Omit<RequestMetrics, 'latency'>}
+     */
+    private _initializeRequests;
+    /**
+     * @private
+     */
+    private _scheduleExport;
+    /**
+     * Size of a frame in bytes
+     * @private
+     * @param {any} data
+     * @returns {number}
+     */
+    private _sizeOf;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type MetricsOptions = {
+    /**
+     * Request latency buckets (ms)
+     */
+    buckets?: number[];
+    /**
+     * Latency samples kept to compute percentiles
+     */
+    sampleSize?: number;
+    /**
+     * Called with a snapshot every `exportInterval`
+     */
+    exporter?: (snapshot: MetricsSnapshot) => void;
+    /**
+     * Delay between two exports (ms)
+     */
+    exportInterval?: number;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+export type TrafficMetrics = {
+    messagesSent: number;
+    messagesReceived: number;
+    bytesSent: number;
+    bytesReceived: number;
+};
+export type RequestMetrics = {
+    /**
+     * Requests sent
+     */
+    total: number;
+    succeeded: number;
+    /**
+     * Failures, timeouts included
+     */
+    failed: number;
+    timedOut: number;
+    /**
+     * Requests waiting for a response
+     */
+    inFlight: number;
+    /**
+     * Round trip of answered requests (ms)
+     */
+    latency: import("../core/metrics").HistogramSnapshot;
+};
+export type MetricsSnapshot = {
+    timestamp: number;
+    createdAt: number;
+    status: import("../core/status").ConnectionStatus;
+    /**
+     * URL of the current endpoint
+     */
+    endpoint: string | null;
+    traffic: TrafficMetrics;
+    requests: RequestMetrics;
+    /**
+     * Messages waiting in the send buffer, null when unknown
+     */
+    buffer: {
+        depth: number | null;
+    };
+    outbox: {
+        enabled: boolean;
+        size: number;
+    };
+    /**
+     * State manager metrics
+     */
+    state: any;
+    reconnection: import("./reconnection").ReconnectionMetrics;
+    heartbeat: import("./heartbeat").HeartbeatMetrics;
+    sequences: import("./sequence").SequenceMetrics;
+    endpoints: import("./endpoints").EndpointStatus[];
+};
@@ -0,0 +1,153 @@
+/**
+ * @typedef {import('../config/proxy.config').MessageType} MessageType
+ */
+/**
+ * @typedef {Object} MiddlewareContext
+ * @property {'incoming'|'outgoing'} direction
+ * @property {MessageType} type
+ * @property {Object} message Protocol message, changes are applied to what is sent or handled
+ * @property {Object} state Shared by the middlewares of this message
+ * @property {import('../core/starling').Starling} starling
+ */
+/**
+ * Inspects or changes a message, passing it on with `next()`. Not calling `next` drops the message,
+ * throwing rejects it.
+ * @typedef {(context: MiddlewareContext, next: () => Promise<void>) => any} Middleware
+ */
+/**
+ * @typedef {Object} MiddlewareOptions
+ * @property {'incoming'|'outgoing'|'both'} [direction='both'] Messages the middleware sees
+ * @property {MessageType[]} [types] Message types the middleware sees, all when omitted
+ * @property {number} [priority=0] Higher priorities run first, then registration order
+ */
+/**
+ * Runs the middleware chain on the messages sent and received
+ */
+export class MiddlewareManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {{debug?: boolean}} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: {
+        debug?: boolean;
+    });
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * @private
+     * @type {Array<MiddlewareOptions & {middleware: Middleware}>}
+     */
+    private _middlewares;
+    /**
+     * Registers a middleware
+     * @param {Middleware} middleware
+     * @param {MiddlewareOptions} [options]
+     * @returns {() => void} Removes the middleware
+     * @throws {StarlingError} When the middleware is not a function
+     */
+    use(middleware: Middleware, options?: MiddlewareOptions): () => void;
+    /**
+     * Passes the messages the socket sends through the chain, keeping their order
+     * @param {WebSocket} ws
+     */
+    attach(ws: WebSocket): void;
+    /**
+     * Runs the chain on a received message, which is handled at the end of it
+     * @param {MessageType} type
+     * @param {Object} context Message context from the proxy configuration
+     * @param {() => void} handle Default handling
+     * @returns {Promise<void>}
+     */
+    incoming(type: MessageType, context: any, handle: () => void): Promise<void>;
+    /**
+     * @private
+     * @param {Array<{middleware: Middleware}>} chain
+     * @param {Object} message
+     * @param {(text: string) => void} send
+     * @param {WebSocket} ws
+     * @returns {Promise<void>}
+     */
+    private _runOutgoing;
+    /**
+     * Runs a chain, the last `next()` calling `final`
+     * @private
+     * @param {Array<{middleware: Middleware}>} chain
+     * @param {MiddlewareContext} context
+     * @param {() => Promise<void>} final
+     * @returns {Promise<boolean>} Whether the chain reached `final`
+     */
+    private _run;
+    /**
+     * Middlewares applying to a message
+     * @private
+     * @param {'incoming'|'outgoing'} direction
+     * @param {MessageType} type
+     * @returns {Array<{middleware: Middleware}>}
+     */
+    private _chain;
+    /**
+     * @private
+     * @param {'incoming'|'outgoing'} direction
+     * @param {MessageType} type
+     * @param {Object} message
+     * @returns {MiddlewareContext}
+     */
+    private _createContext;
+    /**
+     * @private
+     * @param {string} data
+     * @returns {Object|null}
+     */
+    private _parse;
+    /**
+     * @private
+     * @param {MiddlewareContext} context
+     * @param {Error} cause
+     * @returns {StarlingError}
+     */
+    private _reject;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type MessageType = import("../config/proxy.config").MessageType;
+export type MiddlewareContext = {
+    direction: "incoming" | "outgoing";
+    type: MessageType;
+    /**
+     * Protocol message, changes are applied to what is sent or handled
+     */
+    message: any;
+    /**
+     * Shared by the middlewares of this message
+     */
+    state: any;
+    starling: import("../core/starling").Starling;
+};
+/**
+ * Inspects or changes a message, passing it on with `next()`. Not calling `next` drops the message,
+ * throwing rejects it.
+ */
+export type Middleware = (context: MiddlewareContext, next: () => Promise<void>) => any;
+export type MiddlewareOptions = {
+    /**
+     * Messages the middleware sees
+     */
+    direction?: "incoming" | "outgoing" | "both";
+    /**
+     * Message types the middleware sees, all when omitted
+     */
+    types?: MessageType[];
+    /**
+     * Higher priorities run first, then registration order
+     */
+    priority?: number;
+};
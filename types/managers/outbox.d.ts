@@ -0,0 +1,247 @@
+/**
+ * @typedef {Object} OutboxOptions
+ * @property {import('../storage').StorageOption} [storage] Where entries are persisted (`indexedDB` when available, `memory` otherwise)
+ * @property {string} [storageKey='starling:outbox'] Storage key
+ * @property {number} [ttl=86400000] Time an entry may wait before it expires (ms)
+ * @property {number} [maxSize=1000] Maximum number of pending entries
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {'pending'|'sending'|'delivered'|'failed'|'expired'|'cancelled'} OutboxStatus
+ */
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id Entry identifier, sent as the idempotency key of requests
+ * @property {'request'|'notification'} type
+ * @property {string} [method] Request method
+ * @property {string} [topic] Notification topic
+ * @property {any} payload Request payload or notification data
+ * @property {Object} [options] Request options
+ * @property {number} createdAt
+ * @property {number} expiresAt
+ * @property {number} attempts Replay attempts
+ * @property {OutboxStatus} status
+ * @property {string} [error] Last error message
+ */
+/**
+ * Durable queue for requests and notifications issued while disconnected,
+ * replayed in order once the connection is back
+ */
+export class OutboxManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {OutboxOptions|boolean} [options] Disabled unless truthy
+     */
+    constructor(starling: import("../core/starling").Starling, options?: OutboxOptions | boolean);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _enabled;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /** @private */
+    private _storage;
+    /**
+     * @private
+     * @type {OutboxEntry[]}
+     */
+    private _entries;
+    /**
+     * Callers waiting for the response of a queued request
+     * @private
+     * @type {Map<string, {resolve: (value: any) => void, reject: (error: Error) => void}>}
+     */
+    private _waiting;
+    /** @private */
+    private _replaying;
+    /**
+     * Resolves once persisted entries have been restored
+     * @type {Promise<void>}
+     */
+    ready: Promise<void>;
+    /**
+     * Pending writes, starting after the restore so it is never overwritten
+     * @private
+     */
+    private _writes;
+    /**
+     * Whether the outbox is enabled
+     * @returns {boolean}
+     */
+    get enabled(): boolean;
+    /**
+     * Number of entries waiting to be sent
+     * @returns {number}
+     */
+    get size(): number;
+    /**
+     * Whether a call should go through the outbox rather than the socket
+     * @param {Object} [options] Call options, `outbox: false` bypasses the outbox
+     * @returns {boolean}
+     */
+    shouldQueue(options?: any): boolean;
+    /**
+     * Queues a request, resolving with its response once replayed
+     * @param {string} method
+     * @param {any} payload
+     * @param {Object} [options] Request options, `outbox.ttl` overrides the entry lifetime
+     * @returns {Promise<any>}
+     */
+    enqueueRequest(method: string, payload: any, options?: any): Promise<any>;
+    /**
+     * Queues a notification
+     * @param {string} topic
+     * @param {any} data
+     * @returns {OutboxEntry}
+     */
+    enqueueNotification(topic: string, data: any): OutboxEntry;
+    /**
+     * Snapshot of the entries waiting to be sent
+     * @returns {OutboxEntry[]}
+     */
+    list(): OutboxEntry[];
+    /**
+     * Cancels a pending entry
+     * @param {string} id
+     * @returns {boolean} Whether an entry was cancelled
+     */
+    cancel(id: string): boolean;
+    /**
+     * Cancels every pending entry
+     */
+    clear(): void;
+    /**
+     * Drops the entries that waited too long
+     * @returns {number} Number of expired entries
+     */
+    expire(): number;
+    /**
+     * Sends the pending entries in order
+     * @returns {Promise<void>}
+     */
+    replay(): Promise<void>;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {OutboxOptions} userOptions
+     * @returns {OutboxOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Binds event handlers for connection states
+     * @private
+     */
+    private _bindConnectionEvents;
+    /**
+     * Adds an entry
+     * @private
+     * @param {Partial<OutboxEntry>} fields
+     * @param {number} [ttl]
+     * @returns {OutboxEntry}
+     * @throws {OutboxError} When the outbox is full
+     */
+    private _add;
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    private _executeReplay;
+    /**
+     * Sends an entry, bypassing the outbox
+     * @private
+     * @param {OutboxEntry} entry
+     * @returns {Promise<any>}
+     */
+    private _send;
+    /**
+     * Removes an entry with its final status
+     * @private
+     * @param {OutboxEntry} entry
+     * @param {OutboxStatus} status
+     * @param {Error|null} error
+     * @param {any} [response]
+     */
+    private _settle;
+    /**
+     * Restores persisted entries, keeping their order ahead of new ones
+     * @private
+     * @returns {Promise<void>}
+     */
+    private _restore;
+    /**
+     * Writes the entries, one write at a time
+     * @private
+     */
+    private _persist;
+    /**
+     * @private
+     * @param {OutboxEntry} entry
+     */
+    private _emitStatus;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type OutboxOptions = {
+    /**
+     * Where entries are persisted (`indexedDB` when available, `memory` otherwise)
+     */
+    storage?: import("../storage").StorageOption;
+    /**
+     * Storage key
+     */
+    storageKey?: string;
+    /**
+     * Time an entry may wait before it expires (ms)
+     */
+    ttl?: number;
+    /**
+     * Maximum number of pending entries
+     */
+    maxSize?: number;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+export type OutboxStatus = "pending" | "sending" | "delivered" | "failed" | "expired" | "cancelled";
+export type OutboxEntry = {
+    /**
+     * Entry identifier, sent as the idempotency key of requests
+     */
+    id: string;
+    type: "request" | "notification";
+    /**
+     * Request method
+     */
+    method?: string;
+    /**
+     * Notification topic
+     */
+    topic?: string;
+    /**
+     * Request payload or notification data
+     */
+    payload: any;
+    /**
+     * Request options
+     */
+    options?: any;
+    createdAt: number;
+    expiresAt: number;
+    /**
+     * Replay attempts
+     */
+    attempts: number;
+    status: OutboxStatus;
+    /**
+     * Last error message
+     */
+    error?: string;
+};
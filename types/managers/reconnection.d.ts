@@ -4,8 +4,14 @@
  * @property {number} [maxDelay=30000] Maximum delay between attempts (ms)
  * @property {number} [maxAttempts=Infinity] Maximum number of attempts
  * @property {number} [backoffMultiplier=1.5] Exponential backoff multiplier
+ * @property {'exponential'|'full-jitter'|'equal-jitter'|'decorrelated-jitter'|'linear'|'fixed'|import('../core/backoff').BackoffPolicy} [strategy='exponential'] Backoff policy, or a custom function returning the delay
+ * @property {number} [step=1000] Increment per attempt for the linear policy (ms)
+ * @property {() => number} [random=Math.random] Random source used by jittered policies
  * @property {number} [resetThreshold=60000] Time before resetting attempt counter (ms)
- * @property {boolean} [debug=false] Enable debug logs
+ * @property {import('../config/close-codes.config').CloseCodeActions} [closeCodes] Close code classification, merged over the defaults
+ * @property {number} [closeCodeDelay=5000] Minimum delay before reconnecting after a `delay` close code (ms)
+ * @property {(closeEvent: CloseEvent|null, metrics: ReconnectionMetrics) => boolean|import('../config/close-codes.config').CloseAction|void} [shouldReconnect] Decides whether to reconnect, falls back to the close code classification when it returns nothing, throwing stops the reconnection
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
  */
 /**
  * @typedef {Object} ReconnectionMetrics
@@ -20,7 +26,7 @@
  * @property {number} currentDelay Current delay between attempts (ms)
  */
 /**
- * Manages automatic reconnection with exponential backoff
+ * Manages automatic reconnection with configurable backoff
  */
 export class ReconnectionManager {
     /**
@@ -33,20 +39,38 @@ export class ReconnectionManager {
     /** @private */
     private _options;
     /** @private */
+    private _logger;
+    /** @private */
     private _state;
     /** @private */
     private _metrics;
     /**
      * Starts the reconnection process if not already active
+     * @param {CloseEvent|null} [closeEvent] Close event that ended the connection
      * @returns {Promise<void>}
      */
-    start(): Promise<void>;
+    start(closeEvent?: CloseEvent | null): Promise<void>;
     /**
      * Stops the current reconnection process
      */
     stop(): void;
     /**
-     * Forces an immediate reconnection attempt
+     * Suspends attempts until every pause reason has been resumed.
+     * An active process stays active and continues on {@link resume}.
+     * @param {string} [reason='manual'] Pause reason (e.g. `offline`, `hidden`)
+     */
+    pause(reason?: string): void;
+    /**
+     * Lifts a pause reason. Once no reason is left, an active process schedules its next attempt
+     * @param {string} [reason='manual'] Pause reason given to {@link pause}
+     * @param {{immediate?: boolean}} [options] `immediate` attempts right away instead of waiting out the backoff
+     * @returns {Promise<void>}
+     */
+    resume(reason?: string, options?: {
+        immediate?: boolean;
+    }): Promise<void>;
+    /**
+     * Forces an immediate reconnection attempt, replacing the scheduled or pending one
      */
     forceAttempt(): Promise<void>;
     /**
@@ -62,6 +86,7 @@ export class ReconnectionManager {
      * @private
      * @param {ReconnectionOptions} userOptions
      * @returns {ReconnectionOptions}
+     * @throws {StarlingError} With code `INVALID_CONFIGURATION` when the strategy is unknown
      */
     private _initializeOptions;
     /**
@@ -81,7 +106,14 @@ export class ReconnectionManager {
      */
     private _executeReconnection;
     /**
-     * Attempts to establish a connection with abort capability
+     * Close event of an attempt closed by the server, null when it failed otherwise
+     * @private
+     * @param {Error & {details?: Object}} error
+     * @returns {{code: number, reason: string}|null}
+     */
+    private _closeEventOf;
+    /**
+     * Attempts to establish a connection, {@link stop} closes its pending socket
      * @private
      */
     private _attemptConnection;
@@ -112,6 +144,13 @@ export class ReconnectionManager {
      * @param {Error} error
      */
     private _handleFailedAttempt;
+    /**
+     * Decides what to do after a close, asking `shouldReconnect` first
+     * @private
+     * @param {CloseEvent|null} closeEvent
+     * @returns {import('../config/close-codes.config').CloseAction}
+     */
+    private _resolveCloseAction;
     /**
      * Checks if maximum attempts have been reached
      * @private
@@ -119,7 +158,7 @@ export class ReconnectionManager {
      */
     private _hasReachedMaxAttempts;
     /**
-     * Calculates the next delay using exponential backoff
+     * Calculates the next delay using the configured backoff policy
      * @private
      * @returns {number}
      */
@@ -175,17 +214,28 @@ export class ReconnectionManager {
      */
     private _emitMaxAttemptsReached;
     /**
-     * Logs a debug message if debug is enabled
+     * Emits a reconnection aborted event
+     * @private
+     * @param {CloseEvent|null} closeEvent
+     */
+    private _emitAborted;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
      * @private
      * @param {string} message
+     * @param {Object} [fields] Structured context
      */
     private _log;
     get state(): {
         active: boolean;
         currentAttempt: any;
         timeoutId: any;
+        minimumDelay: number;
+        lastClose: any;
+        pauseReasons: Set<any>;
     };
     get active(): boolean;
+    get paused(): boolean;
 }
 export type ReconnectionOptions = {
     /**
@@ -204,12 +254,36 @@ export type ReconnectionOptions = {
      * Exponential backoff multiplier
      */
     backoffMultiplier?: number;
+    /**
+     * Backoff policy, or a custom function returning the delay
+     */
+    strategy?: "exponential" | "full-jitter" | "equal-jitter" | "decorrelated-jitter" | "linear" | "fixed" | import("../core/backoff").BackoffPolicy;
+    /**
+     * Increment per attempt for the linear policy (ms)
+     */
+    step?: number;
+    /**
+     * Random source used by jittered policies
+     */
+    random?: () => number;
     /**
      * Time before resetting attempt counter (ms)
      */
     resetThreshold?: number;
     /**
-     * Enable debug logs
+     * Close code classification, merged over the defaults
+     */
+    closeCodes?: import("../config/close-codes.config").CloseCodeActions;
+    /**
+     * Minimum delay before reconnecting after a `delay` close code (ms)
+     */
+    closeCodeDelay?: number;
+    /**
+     * Decides whether to reconnect, falls back to the close code classification when it returns nothing, throwing stops the reconnection
+     */
+    shouldReconnect?: (closeEvent: CloseEvent | null, metrics: ReconnectionMetrics) => boolean | import("../config/close-codes.config").CloseAction | void;
+    /**
+     * Lower this manager's log level to debug and emit debug events
      */
     debug?: boolean;
 };
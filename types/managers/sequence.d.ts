@@ -0,0 +1,175 @@
+/**
+ * Tracks the sequence numbers of incoming notifications to detect gaps and duplicates
+ */
+export class SequenceManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {SequenceOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: SequenceOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * Last sequence and missing ranges by topic
+     * @private
+     * @type {Map<string, {last: number, missing: Array<[number, number]>}>}
+     */
+    private _streams;
+    /** @private */
+    private _metrics;
+    /**
+     * Checks an incoming notification, from the proxy configuration
+     * @param {Object} context Notification context
+     * @returns {boolean} Whether the notification should be dispatched
+     */
+    accept(context: any): boolean;
+    /**
+     * Last sequence received
+     * @param {string} [topic] Ignored when sequences are numbered per session
+     * @returns {number|null}
+     */
+    last(topic?: string): number | null;
+    /**
+     * Sequences still missing
+     * @returns {SequenceGap[]}
+     */
+    gaps(): SequenceGap[];
+    /**
+     * Asks the server to resend what was missed, once the connection is open
+     * @returns {Promise<void>}
+     */
+    replay(): Promise<void>;
+    /**
+     * Forgets every sequence
+     */
+    reset(): void;
+    /**
+     * @returns {SequenceMetrics}
+     */
+    getMetrics(): SequenceMetrics;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {SequenceOptions} userOptions
+     * @returns {SequenceOptions}
+     */
+    private _initializeOptions;
+    /**
+     * @private
+     */
+    private _setupEventListeners;
+    /**
+     * Topic and sequence of a notification, the sequence being an envelope field
+     * @private
+     * @param {Object} context
+     * @returns {{topic: string|undefined, sequence: any}}
+     */
+    private _read;
+    /**
+     * @private
+     * @param {string} [topic]
+     * @returns {string}
+     */
+    private _key;
+    /**
+     * Records a sequence
+     * @private
+     * @param {string} topic
+     * @param {number} sequence
+     * @returns {boolean} False for a duplicate that should be dropped
+     */
+    private _check;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type SequenceOptions = {
+    /**
+     * Track sequence numbers
+     */
+    enabled?: boolean;
+    /**
+     * Whether the server numbers notifications per topic or once for the whole session
+     */
+    scope?: "topic" | "session";
+    /**
+     * Envelope field holding the sequence number
+     */
+    field?: string;
+    /**
+     * Drop notifications already received instead of dispatching them again
+     */
+    dropDuplicates?: boolean;
+    /**
+     * Forget topic sequences when a new session starts, disable it when the server keeps numbering topics across sessions (session sequences are always forgotten)
+     */
+    resetOnSession?: boolean;
+    /**
+     * Missing ranges remembered per stream, the oldest being forgotten first
+     */
+    maxGaps?: number;
+    /**
+     * Ask the server to resend missed notifications on reconnection
+     */
+    replay?: boolean;
+    /**
+     * Method called with `{ topic, since, missing }`
+     */
+    replayMethod?: string;
+    /**
+     * Timeout of the replay requests (ms)
+     */
+    timeout?: number;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+export type SequenceGap = {
+    /**
+     * Null when sequences are numbered per session
+     */
+    topic: string | null;
+    /**
+     * First missing sequence
+     */
+    from: number;
+    /**
+     * Last missing sequence
+     */
+    to: number;
+};
+export type SequenceMetrics = {
+    /**
+     * Topics (or sessions) tracked
+     */
+    streams: number;
+    /**
+     * Gaps detected
+     */
+    gaps: number;
+    /**
+     * Notifications missed, late arrivals included
+     */
+    missed: number;
+    /**
+     * Missed notifications received afterwards
+     */
+    recovered: number;
+    /**
+     * Notifications received twice
+     */
+    duplicates: number;
+    /**
+     * Sequences still missing
+     */
+    outstanding: number;
+};
@@ -0,0 +1,148 @@
+/**
+ * @typedef {Object} SessionOptions
+ * @property {string} [method='starling:session'] Method asked for the recovery result after a connection with a recovery token
+ * @property {number} [timeout=5000] Timeout of that request (ms)
+ * @property {ResyncCallback[]} [resync] Callbacks run when the server session was not recovered
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {'no-token'|'rejected'|'unsupported'} NewSessionReason
+ * `no-token`: nothing to recover, `rejected`: the server refused the token,
+ * `unsupported`: the server does not report recovery results
+ */
+/**
+ * @typedef {Object} SessionOutcome
+ * @property {boolean} recovered Whether the server restored the previous session
+ * @property {string|null} sessionId Server session identifier, when reported
+ * @property {NewSessionReason} [reason] Why a new session started
+ */
+/**
+ * @typedef {(context: {outcome: SessionOutcome, starling: import('../core/starling').Starling}) => void|Promise<void>} ResyncCallback
+ */
+/**
+ * Learns whether the server restored the session and resynchronizes the client when it did not
+ */
+export class SessionManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {SessionOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: SessionOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * @private
+     * @type {Set<ResyncCallback>}
+     */
+    private _resyncCallbacks;
+    /**
+     * @private
+     * @type {SessionOutcome|null}
+     */
+    private _outcome;
+    /**
+     * Whether a session was established before, so a new one loses server state
+     * @private
+     */
+    private _established;
+    /** @private */
+    private _since;
+    /**
+     * Server session identifier, when reported
+     * @returns {string|null}
+     */
+    get id(): string | null;
+    /**
+     * Outcome of the last connection, null before the first one
+     * @returns {SessionOutcome|null}
+     */
+    get outcome(): SessionOutcome | null;
+    /**
+     * Start of the current session
+     * @returns {number|null}
+     */
+    get since(): number | null;
+    /**
+     * Registers a callback run after a connection that did not recover the session
+     * (re-subscribe, re-fetch state...)
+     * @param {ResyncCallback} callback
+     * @returns {() => void} Unregisters the callback
+     */
+    onResync(callback: ResyncCallback): () => void;
+    /**
+     * Finds out whether the server restored the session, on an open connection
+     * @param {string|null} token Recovery token sent with the connection
+     * @returns {Promise<SessionOutcome>}
+     */
+    resolve(token: string | null): Promise<SessionOutcome>;
+    /**
+     * Runs the resync callbacks when server state was lost, once the connection is open
+     * @returns {Promise<void>}
+     */
+    resync(): Promise<void>;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {SessionOptions} userOptions
+     * @returns {SessionOptions}
+     */
+    private _initializeOptions;
+    /**
+     * Asks the server for the recovery result
+     * @private
+     * @returns {Promise<SessionOutcome>}
+     */
+    private _request;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type SessionOptions = {
+    /**
+     * Method asked for the recovery result after a connection with a recovery token
+     */
+    method?: string;
+    /**
+     * Timeout of that request (ms)
+     */
+    timeout?: number;
+    /**
+     * Callbacks run when the server session was not recovered
+     */
+    resync?: ResyncCallback[];
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+/**
+ * `no-token`: nothing to recover, `rejected`: the server refused the token,
+ * `unsupported`: the server does not report recovery results
+ */
+export type NewSessionReason = "no-token" | "rejected" | "unsupported";
+export type SessionOutcome = {
+    /**
+     * Whether the server restored the previous session
+     */
+    recovered: boolean;
+    /**
+     * Server session identifier, when reported
+     */
+    sessionId: string | null;
+    /**
+     * Why a new session started
+     */
+    reason?: NewSessionReason;
+};
+export type ResyncCallback = (context: {
+    outcome: SessionOutcome;
+    starling: import("../core/starling").Starling;
+}) => void | Promise<void>;
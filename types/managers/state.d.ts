@@ -5,7 +5,16 @@
  * @property {number} [retryAttempts=3] Number of retry attempts on failure
  * @property {number} [retryDelay=1000] Delay between retry attempts (ms)
  * @property {boolean} [forceRefreshOnReconnect=true] Force a refresh after reconnect
- * @property {boolean} [debug=false] Enable debug logs
+ * @property {import('../storage').StorageOption|null} [storage=null] Where to persist the recovery token
+ * @property {string} [storageKey] Storage key (defaults to one derived from the primary endpoint URL)
+ * @property {number|null} [tokenTtl=null] Token lifetime (ms) when the server does not send `expiresAt`
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {Object} RecoveryRecord
+ * @property {string} token Recovery token
+ * @property {number|null} lastRefresh Refresh timestamp
+ * @property {number|null} expiresAt Expiry timestamp, null when unknown
  */
 /**
  * Manages connection state and synchronization with the server
@@ -21,21 +30,33 @@ export class StateManager {
     /** @private */
     private _options;
     /** @private */
+    private _logger;
+    /** @private */
+    private _storage;
+    /** @private */
     private _token;
     /** @private */
     private _lastRefresh;
     /** @private */
+    private _expiresAt;
+    /** @private */
     private _refreshTimer;
     /** @private */
     private _refreshing;
     /** @private */
     private _metrics;
+    /**
+     * Resolves once the persisted token, if any, has been restored
+     * @type {Promise<void>}
+     */
+    ready: Promise<void>;
     /**
      * Refresh the state token
      * @param {Object} [options] Refresh options
      * @param {boolean} [options.force=false] Ignore minimum interval
      * @param {number} [options.timeout] Custom timeout
      * @returns {Promise<string>} Recovery token
+     * @throws {StateError} With code `STATE_REFRESH_IN_PROGRESS`, `STATE_REFRESH_THROTTLED` or `STATE_REFRESH_FAILED`
      */
     refresh(options?: {
         force?: boolean;
@@ -47,15 +68,41 @@ export class StateManager {
      */
     ensureFreshToken(): Promise<string>;
     /**
-     * Get the current token
+     * Forget the current token, including its persisted copy
+     * @returns {Promise<void>}
+     */
+    clear(): Promise<void>;
+    /**
+     * Current token with its refresh timestamp and expiry, as persisted
+     * @returns {RecoveryRecord|null} Null without a valid token
+     */
+    snapshot(): RecoveryRecord | null;
+    /**
+     * Takes over a token obtained elsewhere (e.g. by another tab), unless it is expired or older than the current one
+     * @param {RecoveryRecord|null} record
+     * @returns {Promise<boolean>} Whether the token was adopted
+     */
+    adopt(record: RecoveryRecord | null): Promise<boolean>;
+    /**
+     * Get the current token, null when missing or expired
      * @returns {string|null} Recovery token or null
      */
     get token(): string | null;
+    /**
+     * Get the current token expiry timestamp
+     * @returns {number|null} Expiry timestamp or null when unknown
+     */
+    get expiresAt(): number | null;
     /**
      * Get connection metrics
      * @returns {Object} Metrics object
      */
     get metrics(): any;
+    /**
+     * Get connection metrics
+     * @returns {Object} Metrics object
+     */
+    getMetrics(): any;
     /**
      * Reset connection metrics
      */
@@ -65,6 +112,18 @@ export class StateManager {
      * @private
      */
     private _bindEvents;
+    /**
+     * Restore the persisted token
+     * @private
+     * @returns {Promise<void>}
+     */
+    private _restore;
+    /**
+     * Persist the current token
+     * @private
+     * @returns {Promise<void>}
+     */
+    private _persist;
     /**
      * Schedule the next refresh
      * @private
@@ -82,8 +141,9 @@ export class StateManager {
      */
     private _emitRefreshSuccess;
     /**
-     * Debug log
+     * Debug log, also emitted as an event when debug is enabled
      * @param {string} message Debug message
+     * @param {Object} [fields] Structured context
      * @private
      */
     private _debug;
@@ -110,7 +170,33 @@ export type StateManagerOptions = {
      */
     forceRefreshOnReconnect?: boolean;
     /**
-     * Enable debug logs
+     * Where to persist the recovery token
+     */
+    storage?: import("../storage").StorageOption | null;
+    /**
+     * Storage key (defaults to one derived from the primary endpoint URL)
+     */
+    storageKey?: string;
+    /**
+     * Token lifetime (ms) when the server does not send `expiresAt`
+     */
+    tokenTtl?: number | null;
+    /**
+     * Lower this manager's log level to debug and emit debug events
      */
     debug?: boolean;
 };
+export type RecoveryRecord = {
+    /**
+     * Recovery token
+     */
+    token: string;
+    /**
+     * Refresh timestamp
+     */
+    lastRefresh: number | null;
+    /**
+     * Expiry timestamp, null when unknown
+     */
+    expiresAt: number | null;
+};
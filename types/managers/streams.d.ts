@@ -0,0 +1,140 @@
+/**
+ * @typedef {Object} StreamManagerOptions
+ * @property {string} [openMethod='starling:stream'] Method called with `{ id, method, payload, window, since }` to open or resume a stream
+ * @property {string} [frameTopic='starling:stream:frame'] Topic of the frames sent by the server
+ * @property {string} [ackTopic='starling:stream:ack'] Topic notified with `{ id, sequence, window }` as frames are read
+ * @property {string} [cancelTopic='starling:stream:cancel'] Topic notified with `{ id, reason }` when a stream is cancelled
+ * @property {number} [window=16] Frames the server may send ahead of the consumer
+ * @property {number} [timeout=10000] Timeout of the requests opening the streams (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * Runs streaming requests: the server answers with frames read through {@link Stream}, sends more as they are read,
+ * and resumes them from the last frame received once a session is recovered
+ */
+export class StreamManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {StreamManagerOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: StreamManagerOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * Streams not finished yet, by id
+     * @private
+     * @type {Map<string, Stream>}
+     */
+    private _streams;
+    /**
+     * Removes the abort listener of a stream opened with a signal, by id
+     * @private
+     * @type {Map<string, () => void>}
+     */
+    private _detach;
+    /**
+     * Streams not finished yet
+     * @returns {Stream[]}
+     */
+    list(): Stream[];
+    /**
+     * Opens a streaming request
+     * @template [T=any]
+     * @param {string} method
+     * @param {any} [payload]
+     * @param {import('../core/stream').StreamOptions} [options]
+     * @returns {Stream<T>}
+     * @throws {StarlingError} When the window is not a positive integer
+     */
+    open<T = any>(method: string, payload?: any, options?: import("../core/stream").StreamOptions): Stream<T>;
+    /**
+     * Resumes the streams interrupted by the connection loss when the session was recovered, fails them otherwise
+     * @returns {Promise<void>}
+     */
+    resume(): Promise<void>;
+    /**
+     * Credits the server with the frames read
+     * @param {Stream} stream
+     */
+    acknowledge(stream: Stream): void;
+    /**
+     * Tells the server to stop a stream
+     * @param {Stream} stream
+     * @param {string} reason
+     */
+    cancel(stream: Stream, reason: string): void;
+    /**
+     * Forgets a finished stream
+     * @param {Stream} stream
+     */
+    release(stream: Stream): void;
+    /**
+     * Opens or resumes a stream on the server
+     * @private
+     * @param {Stream} stream
+     * @param {number} timeout
+     * @param {boolean} [resuming=false]
+     * @returns {Promise<void>}
+     */
+    private _send;
+    /**
+     * Fails a stream that cannot be resumed
+     * @private
+     * @param {Stream} stream
+     * @param {string} reason
+     */
+    private _interrupt;
+    /**
+     * @private
+     * @param {string} topic
+     * @param {Object} data
+     */
+    private _notify;
+    /**
+     * Routes the frames to their stream and follows the connection
+     * @private
+     */
+    private _setupEventListeners;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type StreamManagerOptions = {
+    /**
+     * Method called with `{ id, method, payload, window, since }` to open or resume a stream
+     */
+    openMethod?: string;
+    /**
+     * Topic of the frames sent by the server
+     */
+    frameTopic?: string;
+    /**
+     * Topic notified with `{ id, sequence, window }` as frames are read
+     */
+    ackTopic?: string;
+    /**
+     * Topic notified with `{ id, reason }` when a stream is cancelled
+     */
+    cancelTopic?: string;
+    /**
+     * Frames the server may send ahead of the consumer
+     */
+    window?: number;
+    /**
+     * Timeout of the requests opening the streams (ms)
+     */
+    timeout?: number;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+import { Stream } from '../core/stream';
@@ -0,0 +1,177 @@
+/**
+ * @typedef {Object} SubscriptionManagerOptions
+ * @property {string} [subscribeMethod='starling:subscribe'] Method called with `{ topic, options, since }`
+ * @property {string} [unsubscribeMethod='starling:unsubscribe'] Method called with `{ topic }`
+ * @property {number} [timeout=10000] Timeout of those requests (ms)
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * @typedef {'pending'|'active'|'failed'} SubscriptionStatus
+ * `pending`: waiting to be sent or acknowledged, `active`: acknowledged in the current session,
+ * `failed`: refused by the server
+ */
+/**
+ * @typedef {Object} Subscription
+ * @property {string} topic
+ * @property {Object} options Options sent to the server
+ * @property {SubscriptionStatus} status
+ * @property {number|null} acknowledgedAt Last acknowledgement timestamp
+ * @property {number|null} sequence Sequence of the last notification seen, sent as `since` when replayed
+ * @property {number|null} receivedAt Timestamp of the last notification seen
+ * @property {StarlingError|null} error Why the server refused the subscription
+ */
+/**
+ * @typedef {(notification: any) => void} TopicHandler
+ */
+/**
+ * Records topic subscriptions and replays them on the server whenever a new session starts
+ */
+export class SubscriptionManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {SubscriptionManagerOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: SubscriptionManagerOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * Subscriptions with their handlers and the subscribe request sent in the current session
+     * @private
+     * @type {Map<string, Subscription & {listeners: Array<() => void>, request: Promise<any>|null}>}
+     */
+    private _subscriptions;
+    /**
+     * Subscribes to a topic on the server, optionally registering a handler for its notifications
+     * @param {string} topic
+     * @param {TopicHandler|Object} [handler] Handler, or the options when there is none
+     * @param {Object} [options] Options sent to the server, except `schema` validating the notification data
+     * @returns {Promise<Subscription>} Resolves once acknowledged, or right away with a pending subscription while disconnected
+     * @throws {StarlingError} `SUBSCRIPTION_FAILED` when the server refuses it
+     */
+    subscribe(topic: string, handler?: TopicHandler | any, options?: any): Promise<Subscription>;
+    /**
+     * Removes a subscription and its handlers
+     * @param {string} topic
+     * @returns {Promise<boolean>} Whether the topic was subscribed
+     */
+    unsubscribe(topic: string): Promise<boolean>;
+    /**
+     * @param {string} topic
+     * @returns {Subscription|null}
+     */
+    get(topic: string): Subscription | null;
+    /**
+     * Every recorded subscription
+     * @returns {Subscription[]}
+     */
+    list(): Subscription[];
+    /**
+     * Subscriptions acknowledged in the current session
+     * @returns {Subscription[]}
+     */
+    get active(): Subscription[];
+    /**
+     * Records a notification received on a topic, with its sequence number when it has one
+     * @param {string} topic
+     * @param {number} [sequence]
+     */
+    track(topic: string, sequence?: number): void;
+    /**
+     * Sends the subscriptions the server does not know about, once the connection is open
+     * @returns {Promise<void>}
+     */
+    replay(): Promise<void>;
+    /**
+     * Initializes manager options with defaults
+     * @private
+     * @param {SubscriptionManagerOptions} userOptions
+     * @returns {SubscriptionManagerOptions}
+     */
+    private _initializeOptions;
+    /**
+     * @private
+     */
+    private _setupEventListeners;
+    /**
+     * Registers a topic handler
+     * @private
+     * @param {Subscription} subscription
+     * @param {TopicHandler} handler
+     * @param {import('./validation').Schema} [schema] Schema of the notification data
+     * @returns {() => void} Removes the handler
+     */
+    private _listen;
+    /**
+     * Asks the server for a subscription and records the acknowledgement
+     * @private
+     * @param {Subscription} subscription
+     * @returns {Promise<void>}
+     */
+    private _send;
+    /**
+     * @private
+     * @param {Subscription} subscription
+     * @returns {Subscription}
+     */
+    private _snapshot;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+export type SubscriptionManagerOptions = {
+    /**
+     * Method called with `{ topic, options, since }`
+     */
+    subscribeMethod?: string;
+    /**
+     * Method called with `{ topic }`
+     */
+    unsubscribeMethod?: string;
+    /**
+     * Timeout of those requests (ms)
+     */
+    timeout?: number;
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+/**
+ * `pending`: waiting to be sent or acknowledged, `active`: acknowledged in the current session,
+ * `failed`: refused by the server
+ */
+export type SubscriptionStatus = "pending" | "active" | "failed";
+export type Subscription = {
+    topic: string;
+    /**
+     * Options sent to the server
+     */
+    options: any;
+    status: SubscriptionStatus;
+    /**
+     * Last acknowledgement timestamp
+     */
+    acknowledgedAt: number | null;
+    /**
+     * Sequence of the last notification seen, sent as `since` when replayed
+     */
+    sequence: number | null;
+    /**
+     * Timestamp of the last notification seen
+     */
+    receivedAt: number | null;
+    /**
+     * Why the server refused the subscription
+     */
+    error: StarlingError | null;
+};
+export type TopicHandler = (notification: any) => void;
+import { StarlingError } from '../core/errors';
@@ -0,0 +1,164 @@
+/**
+ * Zod schema, or any object with a compatible `safeParse`
+ * @typedef {import('zod').ZodTypeAny} Schema
+ */
+/**
+ * @typedef {Object} MethodSchema
+ * @property {Schema} [payload] Schema of the request payload
+ * @property {Schema} [result] Schema of the response data
+ */
+/**
+ * @typedef {Object} ValidationOptions
+ * @property {Object<string, MethodSchema>} [methods] Schemas of the methods called and handled, by name
+ * @property {Object<string, Schema>} [topics] Schemas of the notification data, by topic
+ * @property {boolean} [debug=false] Lower this manager's log level to debug and emit debug events
+ */
+/**
+ * Method map inferred from method schemas, typing `client.api`
+ * @template {Object<string, MethodSchema>} S
+ * @typedef {{
+ *   [K in keyof S]: (...args: S[K] extends {payload: Schema} ? [payload: import('zod').input<S[K]['payload']>] : [payload?: any])
+ *     => S[K] extends {result: Schema} ? import('zod').output<S[K]['result']> : any
+ * }} InferMethods
+ */
+/**
+ * Validates payloads, results and notification data against their schemas
+ */
+export class ValidationManager {
+    /**
+     * @param {import('../core/starling').Starling} starling
+     * @param {ValidationOptions} [options]
+     */
+    constructor(starling: import("../core/starling").Starling, options?: ValidationOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private */
+    private _logger;
+    /**
+     * @private
+     * @type {Map<string, MethodSchema>}
+     */
+    private _methods;
+    /**
+     * @private
+     * @type {Map<string, Schema>}
+     */
+    private _topics;
+    /**
+     * Registers method and topic schemas, replacing those with the same name
+     * @param {{methods?: Object<string, MethodSchema>, topics?: Object<string, Schema>}} schemas
+     * @throws {StarlingError} When a schema has no `safeParse`
+     */
+    register({ methods, topics }: {
+        methods?: {
+            [x: string]: MethodSchema;
+        };
+        topics?: {
+            [x: string]: Schema;
+        };
+    }): void;
+    /**
+     * Parses a value with a schema
+     * @param {Schema} schema
+     * @param {any} value
+     * @param {Object} [details] Context of the value (method, topic, target)
+     * @returns {any} The parsed value, with the schema defaults and transforms applied
+     * @throws {ValidationError} When the value does not match
+     */
+    validate(schema: Schema, value: any, details?: any): any;
+    /**
+     * Validates a request payload before sending it, and its response once received
+     * @param {string} method
+     * @param {any} payload
+     * @param {Object|undefined} options Request options, `schema` overrides the registered method schema
+     * @param {(method: string, payload: any, options?: Object) => any} send Sends the request
+     * @returns {any} The request, or a promise of its validated result
+     */
+    request(method: string, payload: any, options: any | undefined, send: (method: string, payload: any, options?: any) => any): any;
+    /**
+     * Wraps a method handler, answering invalid payloads with a validation error
+     * and checking the results it sends
+     * @param {string} name
+     * @param {Function} handler
+     * @param {MethodSchema} [schema] Overrides the registered method schema
+     * @returns {Function}
+     */
+    method(name: string, handler: Function, schema?: MethodSchema): Function;
+    /**
+     * Wraps a topic handler, dropping the notifications with invalid data
+     * @param {string} topic
+     * @param {Function} handler
+     * @param {Schema} [schema] Overrides the registered topic schema
+     * @returns {Function}
+     */
+    topic(topic: string, handler: Function, schema?: Schema): Function;
+    /**
+     * @private
+     * @param {any} schema
+     * @param {string} name
+     */
+    private _assertSchema;
+    /**
+     * Reports an invalid value
+     * @private
+     * @param {ValidationError} error
+     */
+    private _failed;
+    /**
+     * Tells the server that a message it sent was rejected
+     * @private
+     * @param {ValidationError} error
+     */
+    private _sendError;
+    /**
+     * Logs a debug message, also emitted as an event when debug is enabled
+     * @private
+     * @param {string} message
+     * @param {Object} [fields] Structured context
+     */
+    private _log;
+}
+/**
+ * Zod schema, or any object with a compatible `safeParse`
+ */
+export type Schema = import("zod").ZodTypeAny;
+export type MethodSchema = {
+    /**
+     * Schema of the request payload
+     */
+    payload?: Schema;
+    /**
+     * Schema of the response data
+     */
+    result?: Schema;
+};
+export type ValidationOptions = {
+    /**
+     * Schemas of the methods called and handled, by name
+     */
+    methods?: {
+        [x: string]: MethodSchema;
+    };
+    /**
+     * Schemas of the notification data, by topic
+     */
+    topics?: {
+        [x: string]: import("zod").ZodTypeAny;
+    };
+    /**
+     * Lower this manager's log level to debug and emit debug events
+     */
+    debug?: boolean;
+};
+/**
+ * Method map inferred from method schemas, typing `client.api`
+ */
+export type InferMethods<S extends {
+    [x: string]: MethodSchema;
+}> = { [K in keyof S]: (...args: S[K] extends {
+    payload: Schema;
+} ? [payload: import("zod").input<S[K]["payload"]>] : [payload?: any]) => S[K] extends {
+    result: Schema;
+} ? import("zod").output<S[K]["result"]> : any; };
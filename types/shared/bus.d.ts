@@ -0,0 +1,88 @@
+/**
+ * Port the tabs talk over: a `BroadcastChannel`, or the port of a `SharedWorker`
+ * @typedef {Object} SharedPort
+ * @property {(message: any) => void} postMessage
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} addEventListener
+ * @property {() => void} [start]
+ * @property {() => void} [close]
+ */
+/**
+ * @typedef {Object} SharedMessage
+ * @property {string} protocol Always {@link SHARED_PROTOCOL}
+ * @property {string} kind
+ * @property {string} from Sending tab, or `worker`
+ * @property {string} [to] Recipient tab, every tab when omitted
+ */
+/**
+ * Tags the shared connection messages, other messages on the port are ignored
+ */
+export const SHARED_PROTOCOL: "starling-shared";
+/**
+ * Events of the connection owner relayed to every tab
+ */
+export const SHARED_EVENTS: readonly string[];
+export function listen(port: SharedPort, handler: (message: SharedMessage) => void): void;
+export function toCloneable(value: any): any;
+export function serializeError(error: any): {
+    code: string;
+    message: string;
+    details?: any;
+    retryable?: boolean;
+};
+export function deserializeError(error: {
+    code: string;
+    message: string;
+    details?: any;
+    retryable?: boolean;
+}): StarlingError;
+/**
+ * Listeners of the events relayed to a tab
+ */
+export class SharedEvents {
+    /**
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    private _listeners;
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {() => void} Removes the listener
+     */
+    on(event: string, listener: Function): () => void;
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     */
+    off(event: string, listener: Function): void;
+    /**
+     * @param {string} event
+     * @param {any} [data]
+     */
+    emit(event: string, data?: any): void;
+}
+/**
+ * Port the tabs talk over: a `BroadcastChannel`, or the port of a `SharedWorker`
+ */
+export type SharedPort = {
+    postMessage: (message: any) => void;
+    addEventListener: (type: "message", listener: (event: MessageEvent) => void) => void;
+    start?: () => void;
+    close?: () => void;
+};
+export type SharedMessage = {
+    /**
+     * Always {@link SHARED_PROTOCOL}
+     */
+    protocol: string;
+    kind: string;
+    /**
+     * Sending tab, or `worker`
+     */
+    from: string;
+    /**
+     * Recipient tab, every tab when omitted
+     */
+    to?: string;
+};
+import { StarlingError } from '../core/errors';
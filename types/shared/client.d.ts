@@ -0,0 +1,309 @@
+/**
+ * Client sharing one connection between the tabs of a browser.
+ * The leading tab, or a `SharedWorker`, owns the connection and the other tabs go through it over a `BroadcastChannel`,
+ * with the same `request`, `notify`, topic and method surface as {@link Starling}.
+ * When the leading tab closes another one takes over and recovers the session with the shared recovery token.
+ * @template [M=any] Method map typing {@link SharedStarling#api}
+ */
+export class SharedStarling<M = any> {
+    /**
+     * @param {string} url Server URL
+     * @param {SharedClientOptions} [options]
+     */
+    constructor(url: string, options?: SharedClientOptions);
+    /** @private */
+    private _url;
+    /** @private */
+    private _clientOptions;
+    /** @private */
+    private _options;
+    /**
+     * Id of the tab
+     * @type {string}
+     */
+    id: string;
+    /**
+     * Connection events, relayed from the client owning the connection
+     * @type {SharedEvents}
+     */
+    events: SharedEvents;
+    /**
+     * Client owning the connection while this tab leads
+     * @private
+     * @type {import('../core/starling').Starling|null}
+     */
+    private _starling;
+    /**
+     * @private
+     * @type {SharedHost|null}
+     */
+    private _host;
+    /**
+     * Id of the tab owning the connection, `worker` for a `SharedWorker`
+     * @private
+     * @type {string|null}
+     */
+    private _leader;
+    /**
+     * Last status relayed by the leader
+     * @private
+     */
+    private _status;
+    /**
+     * Last recovery token relayed by the leader, adopted when taking over
+     * @private
+     * @type {import('../managers/state').RecoveryRecord|null}
+     */
+    private _token;
+    /**
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    private _topics;
+    /**
+     * @private
+     * @type {Map<string, Function>}
+     */
+    private _methods;
+    /**
+     * Requests sent to the leader, waiting for its response
+     * @private
+     * @type {Map<string, {message: Object, resolve: Function, reject: Function}>}
+     */
+    private _pending;
+    /**
+     * Messages waiting for a leader
+     * @private
+     * @type {Object[]}
+     */
+    private _queue;
+    /**
+     * Whether `connect()` was called, the next leader connects then
+     * @private
+     */
+    private _wantsConnection;
+    /** @private */
+    private _closed;
+    /** @private */
+    private _port;
+    /** @private */
+    private _election;
+    /**
+     * Leaves when the tab is unloaded, a page kept in the back/forward cache may come back and stays
+     * @private
+     * @param {Event & {persisted?: boolean}} event
+     */
+    private _onPageHide;
+    /**
+     * Methods of the server as nested functions: `api.user.get(payload)` requests `user:get`
+     * @type {import('../core/rpc').RpcApi<M>}
+     */
+    api: import("../core/rpc").RpcApi<M>;
+    /**
+     * Whether this tab owns the connection
+     * @returns {boolean}
+     */
+    get isLeader(): boolean;
+    /**
+     * Id of the tab owning the connection, `worker` for a `SharedWorker`, null while unknown
+     * @returns {string|null}
+     */
+    get leader(): string | null;
+    /**
+     * Client owning the connection while this tab leads, null otherwise
+     * @returns {import('../core/starling').Starling|null}
+     */
+    get starling(): import("../core/starling").Starling | null;
+    /**
+     * Connection status, see {@link ConnectionStatus}
+     * @returns {ConnectionStatus}
+     */
+    get status(): ConnectionStatus;
+    /**
+     * @returns {boolean}
+     */
+    get connected(): boolean;
+    /**
+     * Last recovery token shared between the tabs
+     * @returns {import('../managers/state').RecoveryRecord|null}
+     */
+    get token(): import("../managers/state").RecoveryRecord | null;
+    /**
+     * Connects the shared connection, resolving once it is open
+     * @returns {Promise<void>}
+     */
+    connect(): Promise<void>;
+    /**
+     * Sends a request through the shared connection.
+     * Payload and options must survive `postMessage`, functions and signals are dropped.
+     * @param {string} method
+     * @param {any} [payload]
+     * @param {Object} [options] Request options
+     * @returns {Promise<any>}
+     * @throws {StarlingError} `CONNECTION_LOST` when the leader changes before answering, safe to retry
+     */
+    request(method: string, payload?: any, options?: any): Promise<any>;
+    /**
+     * Sends a notification through the shared connection
+     * @param {string} topic
+     * @param {any} data
+     * @param {string} [requestId]
+     */
+    notify(topic: string, data: any, requestId?: string): any;
+    /**
+     * Registers a topic handler, notifications being received by every tab listening to the topic
+     * @param {string} topic
+     * @param {Function} handler
+     * @returns {() => void} Removes the handler
+     */
+    on(topic: string, handler: Function): () => void;
+    /**
+     * Registers a method handler, replacing the previous one of this tab.
+     * When several tabs register the same method, the last one handles it.
+     * @param {string} name
+     * @param {Function} handler
+     * @returns {() => void} Removes the handler
+     */
+    method(name: string, handler: Function): () => void;
+    /**
+     * Waits until the shared connection reaches a status
+     * @param {ConnectionStatus|ConnectionStatus[]} status Expected status, or any of several
+     * @param {{timeout?: number}} [options]
+     * @returns {Promise<ConnectionStatus>} The status reached
+     * @throws {StarlingError} `STATUS_TIMEOUT` when the timeout elapses first
+     */
+    waitFor(status: ConnectionStatus | ConnectionStatus[], options?: {
+        timeout?: number;
+    }): Promise<ConnectionStatus>;
+    /**
+     * Leaves the shared connection. A leading tab hands it over with the recovery token,
+     * the connection itself is closed once no tab is left to take it over.
+     * @param {string} [reason]
+     * @returns {Promise<void>}
+     */
+    close(reason?: string): Promise<void>;
+    /**
+     * @private
+     * @param {string|null} leader
+     */
+    private _setLeader;
+    /**
+     * Takes the connection over: adopts the shared token, serves the other tabs and connects again
+     * when the previous leader was connected
+     * @private
+     */
+    private _promote;
+    /**
+     * Gives the connection up, the next leader takes it over
+     * @private
+     */
+    private _demote;
+    /**
+     * @private
+     * @param {import('./bus').SharedMessage & Object} message
+     */
+    private _handle;
+    /**
+     * Runs a method call forwarded by the leader and sends back its outcome
+     * @private
+     * @param {{id: string, name: string, payload: any}} message
+     */
+    private _answer;
+    /**
+     * Runs a method handler of this tab
+     * @private
+     * @param {string} name
+     * @param {Object} context Request context
+     */
+    private _run;
+    /**
+     * Runs the topic handlers of this tab
+     * @private
+     * @param {string} topic
+     * @param {Object} context Notification context
+     */
+    private _deliver;
+    /**
+     * @private
+     * @param {string} topic
+     */
+    private _listen;
+    /**
+     * @private
+     * @param {string} name
+     */
+    private _register;
+    /**
+     * Sends a message to the leader and waits for its response
+     * @private
+     * @param {{kind: string} & Object} message
+     * @returns {Promise<any>}
+     */
+    private _call;
+    /**
+     * @private
+     * @param {{id: string, success: boolean, data?: any, error?: Object}} message
+     */
+    private _settle;
+    /**
+     * Fails the requests sent to the previous leader, they may or may not have reached the server
+     * @private
+     * @param {string} reason
+     */
+    private _rejectPending;
+    /**
+     * Runs a message queued before this tab took the connection over
+     * @private
+     * @param {{kind: string, id?: string} & Object} message
+     */
+    private _replay;
+    /**
+     * Posts a message on the bus, queued until a leader is known when `queue` is set
+     * @private
+     * @param {{kind: string} & Object} message
+     * @param {boolean} [queue=false]
+     */
+    private _post;
+    /**
+     * @private
+     * @param {ConnectionStatus} status
+     */
+    private _updateStatus;
+    /**
+     * @private
+     * @throws {StarlingError} `CONNECTION_ABORTED` once closed
+     */
+    private _assertOpen;
+    /**
+     * @private
+     * @returns {StarlingError}
+     */
+    private _closedError;
+}
+export function createSharedClient<M = any>(url: string, options?: SharedClientOptions): SharedStarling<M>;
+export type SharedOptions = {
+    /**
+     * Name of the `BroadcastChannel` and Web Lock the tabs share, derived from the URL by default
+     */
+    name?: string;
+    /**
+     * `SharedWorker` owning the connection, see {@link serveSharedConnection}.
+     * The tabs elect one of them to own it otherwise.
+     */
+    worker?: {
+        port: import("./bus").SharedPort;
+    };
+    /**
+     * Delay between two heartbeats of the leading tab, in milliseconds
+     */
+    heartbeatInterval?: number;
+    /**
+     * Silence after which the leading tab is considered gone, in milliseconds
+     */
+    leaderTimeout?: number;
+};
+export type SharedClientOptions = import("../core/client").ClientOptions & {
+    shared?: SharedOptions;
+};
+import { SharedEvents } from './bus';
+import { ConnectionStatus } from '../core/status';
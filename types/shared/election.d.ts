@@ -0,0 +1,123 @@
+/**
+ * @typedef {Object} ElectionOptions
+ * @property {number} [heartbeatInterval=1000] Delay between two heartbeats of the leader, in milliseconds
+ * @property {number} [leaderTimeout=3000] Silence after which the leader is considered gone, in milliseconds
+ * @property {string} [lockName] Web Lock held by the leader, elections fall back to heartbeats without Web Locks
+ */
+/**
+ * @typedef {Object} ElectionCallbacks
+ * @property {(leader: string|null, previous: string|null) => void} onChange Called whenever the known leader changes
+ */
+/**
+ * Elects one leader among the tabs sharing a bus.
+ * With Web Locks the tab holding the lock leads, and the lock moves on by itself when that tab closes.
+ * Without them the tabs claim the lead when the leader stops beating and the lowest id wins.
+ */
+export class LeaderElection {
+    /**
+     * @param {(kind: string, fields?: Object) => void} post Broadcasts an election message to the other tabs
+     * @param {string} id Id of this tab
+     * @param {ElectionOptions} [options]
+     */
+    constructor(post: (kind: string, fields?: any) => void, id: string, options?: ElectionOptions);
+    /** @private */
+    private _post;
+    /** @private */
+    private _id;
+    /** @private */
+    private _options;
+    /** @private */
+    private _locks;
+    /** @private */
+    private _leader;
+    /**
+     * When the leader last beat, on this tab's monotonic clock: leases never compare the clocks of two tabs
+     * and survive changes of the system time
+     * @private
+     */
+    private _lastSeen;
+    /**
+     * Ids claiming the lead during a campaign, null when not campaigning
+     * @private
+     * @type {Set<string>|null}
+     */
+    private _claims;
+    /** @private */
+    private _callbacks;
+    /** @private */
+    private _timer;
+    /**
+     * Ends the current campaign
+     * @private
+     */
+    private _campaignTimer;
+    /**
+     * Releases the Web Lock
+     * @private
+     * @type {(() => void)|null}
+     */
+    private _release;
+    /** @private */
+    private _stopped;
+    /**
+     * Id of the current leader, null while unknown
+     * @returns {string|null}
+     */
+    get leader(): string | null;
+    /**
+     * @returns {boolean}
+     */
+    get isLeader(): boolean;
+    /**
+     * Joins the election
+     * @param {ElectionCallbacks} callbacks
+     */
+    start(callbacks: ElectionCallbacks): void;
+    /**
+     * Handles an election message of another tab
+     * @param {import('./bus').SharedMessage} message
+     */
+    handle(message: import("./bus").SharedMessage): void;
+    /**
+     * Gives up the lead, the other tabs elect a new leader right away
+     */
+    resign(): void;
+    /**
+     * Leaves the election, resigning first when leading
+     */
+    stop(): void;
+    /**
+     * @private
+     */
+    private _tick;
+    /**
+     * Claims the lead, the lowest id among the claims of the next interval wins
+     * @private
+     */
+    private _campaign;
+    /**
+     * @private
+     * @param {string|null} leader
+     */
+    private _setLeader;
+}
+export type ElectionOptions = {
+    /**
+     * Delay between two heartbeats of the leader, in milliseconds
+     */
+    heartbeatInterval?: number;
+    /**
+     * Silence after which the leader is considered gone, in milliseconds
+     */
+    leaderTimeout?: number;
+    /**
+     * Web Lock held by the leader, elections fall back to heartbeats without Web Locks
+     */
+    lockName?: string;
+};
+export type ElectionCallbacks = {
+    /**
+     * Called whenever the known leader changes
+     */
+    onChange: (leader: string | null, previous: string | null) => void;
+};
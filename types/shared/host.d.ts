@@ -0,0 +1,125 @@
+/**
+ * Handlers of the tab owning the connection, absent in a worker
+ * @typedef {Object} SharedLocal
+ * @property {string} id Id of the tab
+ * @property {(name: string, context: Object) => any} call Runs a method registered by the tab
+ * @property {(topic: string, context: Object) => void} deliver Runs the topic handlers of the tab
+ */
+/**
+ * Serves the other tabs from the client owning the connection: runs their requests and notifications,
+ * forwards them the notifications and method calls they registered for and relays the connection events
+ */
+export class SharedHost {
+    /**
+     * @param {import('../core/starling').Starling} starling Client owning the connection
+     * @param {(message: {kind: string, to?: string} & Object) => void} send Sends a message to a tab, or to every tab without `to`
+     * @param {SharedLocal|null} [local]
+     */
+    constructor(starling: import("../core/starling").Starling, send: (message: {
+        kind: string;
+        to?: string;
+    } & any) => void, local?: SharedLocal | null);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _send;
+    /** @private */
+    private _local;
+    /**
+     * Topics listened to on the connection
+     * @private
+     * @type {Set<string>}
+     */
+    private _topics;
+    /**
+     * Tab handling each method
+     * @private
+     * @type {Map<string, string>}
+     */
+    private _methods;
+    /**
+     * Method calls waiting for the result of a tab
+     * @private
+     * @type {Map<string, {tab: string, context: Object}>}
+     */
+    private _calls;
+    /** @private */
+    private _closed;
+    /**
+     * Client owning the connection
+     * @returns {import('../core/starling').Starling}
+     */
+    get starling(): import("../core/starling").Starling;
+    /**
+     * Handles a message of a tab
+     * @param {import('./bus').SharedMessage & Object} message
+     */
+    handle(message: import("./bus").SharedMessage & any): void;
+    /**
+     * Connects unless already connected or on the way
+     * @returns {Promise<void>}
+     */
+    connect(): Promise<void>;
+    /**
+     * Listens to a topic on the connection, once, relaying its notifications to every tab
+     * @param {string} topic
+     */
+    listen(topic: string): void;
+    /**
+     * Routes a method to the tab handling it, the last tab registering it wins
+     * @param {string} name
+     * @param {string} tab
+     */
+    method(name: string, tab: string): void;
+    /**
+     * Forgets a tab gone: its methods and the calls it was running
+     * @param {string} tab
+     */
+    drop(tab: string): void;
+    /**
+     * Stops serving the tabs, the calls still running fail
+     */
+    close(): void;
+    /**
+     * @private
+     * @param {string} name
+     * @param {Object} context Request context
+     */
+    private _call;
+    /**
+     * Answers a method call with the result of the tab
+     * @private
+     * @param {{id: string, success: boolean, data?: any, error?: {code: string, message: string, details?: Object}}} message
+     */
+    private _settle;
+    /**
+     * Runs an operation for a tab and sends back its outcome
+     * @private
+     * @param {string} tab
+     * @param {string} id
+     * @param {() => Promise<any>} operation
+     */
+    private _respond;
+    /**
+     * Relays the connection events and the recovery token to the tabs
+     * @private
+     */
+    private _bindEvents;
+}
+/**
+ * Handlers of the tab owning the connection, absent in a worker
+ */
+export type SharedLocal = {
+    /**
+     * Id of the tab
+     */
+    id: string;
+    /**
+     * Runs a method registered by the tab
+     */
+    call: (name: string, context: any) => any;
+    /**
+     * Runs the topic handlers of the tab
+     */
+    deliver: (topic: string, context: any) => void;
+};
@@ -0,0 +1,8 @@
+import { LeaderElection } from './election';
+import { SHARED_EVENTS } from './bus';
+import { SharedEvents } from './bus';
+import { SharedHost } from './host';
+import { SharedStarling } from './client';
+import { createSharedClient } from './client';
+import { serveSharedConnection } from './worker';
+export { LeaderElection, SHARED_EVENTS, SharedEvents, SharedHost, SharedStarling, createSharedClient, serveSharedConnection };
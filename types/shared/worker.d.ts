@@ -0,0 +1,3 @@
+export function serveSharedConnection<M = any>(scope: {
+    onconnect: ((event: MessageEvent) => void) | null;
+}, url: string, options?: import("../core/client").ClientOptions): import("../core/starling").Starling<M>;
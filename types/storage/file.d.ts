@@ -0,0 +1,42 @@
+/**
+ * Stores records in a JSON file, for Node and Bun processes.
+ * Writes go through a temporary file and a rename so a crash never leaves a truncated file.
+ */
+export class FileStorageAdapter {
+    /**
+     * @param {string} path File path
+     */
+    constructor(path: string);
+    /** @private */
+    private _path;
+    /** @private */
+    private _queue;
+    /**
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    get(key: string): Promise<any>;
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    set(key: string, value: any): Promise<void>;
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key: string): Promise<void>;
+    /**
+     * @private
+     * @returns {Promise<Object>}
+     */
+    private _read;
+    /**
+     * Serializes read-modify-write cycles
+     * @private
+     * @param {(records: Object) => void} mutate
+     * @returns {Promise<void>}
+     */
+    private _update;
+}
@@ -0,0 +1,23 @@
+export function resolveStorage(option: StorageOption | null | undefined): StorageAdapter | null;
+export type StorageAdapter = {
+    /**
+     * Reads a record, null when missing
+     */
+    get: (key: string) => Promise<any> | any;
+    /**
+     * Writes a record
+     */
+    set: (key: string, value: any) => Promise<void> | void;
+    /**
+     * Deletes a record
+     */
+    remove: (key: string) => Promise<void> | void;
+};
+export type StorageOption = "memory" | "localStorage" | "sessionStorage" | "indexedDB" | {
+    path: string;
+} | StorageAdapter;
+import { FileStorageAdapter } from './file';
+import { IndexedDBStorageAdapter } from './indexeddb';
+import { MemoryStorageAdapter } from './memory';
+import { WebStorageAdapter } from './web';
+export { FileStorageAdapter, IndexedDBStorageAdapter, MemoryStorageAdapter, WebStorageAdapter };
@@ -0,0 +1,63 @@
+/**
+ * @typedef {Object} IndexedDBStorageOptions
+ * @property {string} [database='helios-starling'] Database name
+ * @property {string} [store='recovery'] Object store name
+ * @property {IDBFactory} [indexedDB] IndexedDB factory (defaults to the global `indexedDB`)
+ */
+/**
+ * Stores records in an IndexedDB object store
+ */
+export class IndexedDBStorageAdapter {
+    /**
+     * @param {IndexedDBStorageOptions} [options]
+     */
+    constructor(options?: IndexedDBStorageOptions);
+    /** @private */
+    private _options;
+    /** @private */
+    private _db;
+    /**
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    get(key: string): Promise<any>;
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    set(key: string, value: any): Promise<void>;
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key: string): Promise<void>;
+    /**
+     * Opens the database, creating the object store on first use
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    private _open;
+    /**
+     * Runs a single request in its own transaction
+     * @private
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} operation
+     * @returns {Promise<any>}
+     */
+    private _run;
+}
+export type IndexedDBStorageOptions = {
+    /**
+     * Database name
+     */
+    database?: string;
+    /**
+     * Object store name
+     */
+    store?: string;
+    /**
+     * IndexedDB factory (defaults to the global `indexedDB`)
+     */
+    indexedDB?: IDBFactory;
+};
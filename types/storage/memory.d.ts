@@ -0,0 +1,23 @@
+/**
+ * Keeps records in memory, useful for tests and as a base for custom adapters
+ */
+export class MemoryStorageAdapter {
+    /** @private */
+    private _records;
+    /**
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    get(key: string): Promise<any>;
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    set(key: string, value: any): Promise<void>;
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key: string): Promise<void>;
+}
@@ -0,0 +1,27 @@
+/**
+ * Stores records as JSON in a Web Storage area (`localStorage` or `sessionStorage`)
+ */
+export class WebStorageAdapter {
+    /**
+     * @param {Storage} storage Storage area
+     */
+    constructor(storage: Storage);
+    /** @private */
+    private _storage;
+    /**
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    get(key: string): Promise<any>;
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    set(key: string, value: any): Promise<void>;
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key: string): Promise<void>;
+}
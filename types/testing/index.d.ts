@@ -0,0 +1,3 @@
+export * from "./websocket";
+export * from "./server";
+export * from "./protocol";
@@ -0,0 +1,15 @@
+/**
+ * Protocol identifiers stamped on every mock server frame
+ */
+export const PROTOCOL_NAME: "helios-starling";
+export const PROTOCOL_VERSION: "1.0.0";
+export function createMessage(type: "request" | "response" | "notification" | "error", fields?: any): any;
+export function createResponse(requestId: string, data: any): any;
+export function createErrorResponse(requestId: string, error: {
+    code?: string;
+    message: string;
+    details?: any;
+}): any;
+export function createNotification(topic: string, data: any, fields?: any): any;
+export function createRequest(requestId: string, method: string, payload: any): any;
+export function parseMessage(raw: any): any | null;
@@ -0,0 +1,536 @@
+/**
+ * @typedef {Object} MockServerOptions
+ * @property {number} [latency=0] Delay applied to every frame and handshake (ms)
+ * @property {number} [tokenTtl=Infinity] Lifetime of issued recovery tokens (ms)
+ * @property {string[]|null} [protocols=null] Supported subprotocols, `null` accepts whatever the client offers
+ * @property {boolean} [register=true] Listen on the URL so plain `MockWebSocket` instances reach this server
+ * @property {(connection: MockConnection) => boolean} [authenticate] Checks the credentials of a new connection (e.g. its `token` query parameter or `protocol`), which is closed with 4001 when it returns false
+ * @property {import('../codecs').CodecOption[]} [codecs=['json', 'msgpack', 'cbor']] Codecs spoken when the selected subprotocol announces one
+ */
+/**
+ * @typedef {Object} MockSession
+ * @property {string} id Session identifier
+ * @property {string} token Current recovery token
+ * @property {number} issuedAt Token issue timestamp
+ * @property {number} expiresAt Token expiry timestamp (Infinity when tokens never expire)
+ * @property {boolean} revoked Whether the token was revoked
+ * @property {Set<string>} subscriptions Topics subscribed through `starling:subscribe`, kept when the session is recovered
+ * @property {Map<string, MockStream>} streams Streams opened through `starling:stream`, resumed when the session is recovered
+ */
+/**
+ * @typedef {Object} TrafficEntry
+ * @property {'in'|'out'} direction `in` for client to server, `out` for server to client
+ * @property {number} connectionId
+ * @property {any} raw Raw frame
+ * @property {Object|null} message Parsed frame, null when not JSON
+ * @property {number} timestamp
+ */
+/**
+ * @typedef {Object} MethodContext
+ * @property {MockConnection} connection Connection that sent the request
+ * @property {Object} message Raw request message
+ * @property {MockHeliosServer} server
+ */
+/**
+ * @typedef {(payload: any, context: MethodContext) => any} MockMethodHandler
+ */
+/**
+ * Produces the frames of a stream, stopped through `context.signal` when the client cancels it
+ * @typedef {(payload: any, context: MethodContext & {signal: AbortSignal}) => Iterable<any>|AsyncIterable<any>} MockStreamHandler
+ */
+/**
+ * @typedef {Object} MockStream
+ * @property {string} id
+ * @property {string} method
+ * @property {MockConnection} connection Connection the frames are sent to
+ * @property {Object[]} frames Every frame produced, replayed when the stream is resumed
+ * @property {number} sequence Sequence of the last frame produced
+ * @property {number} credit Last sequence the client allows
+ * @property {boolean} closed Whether the stream ended, failed or was cancelled
+ * @property {string|null} cancelReason Reason given by the client when it cancelled
+ */
+/**
+ * Server side of a mock connection
+ */
+export class MockConnection {
+    /**
+     * @param {MockHeliosServer} server
+     * @param {MockWebSocket} socket
+     * @param {number} id
+     * @param {string} protocol
+     */
+    constructor(server: MockHeliosServer, socket: MockWebSocket, id: number, protocol: string);
+    /** @private */
+    private _server;
+    id: number;
+    socket: MockWebSocket;
+    url: URL;
+    protocol: string;
+    open: boolean;
+    /**
+     * Whether frames are silently dropped in both directions (half-open connection)
+     */
+    frozen: boolean;
+    /**
+     * Session attached to the connection
+     * @type {MockSession|null}
+     */
+    session: MockSession | null;
+    /**
+     * Whether the session was restored from the `recover` token
+     */
+    recovered: boolean;
+    /**
+     * Recovery token presented by the client, if any
+     * @type {string|null}
+     */
+    recoveryToken: string | null;
+    /**
+     * Frame codec announced by the subprotocol, null for plain JSON
+     * @type {FrameCodec|null}
+     */
+    frames: FrameCodec | null;
+    /**
+     * Keeps frames in order while they are encoded or decoded
+     * @private
+     */
+    private _queues;
+    /**
+     * Topics subscribed through `starling:subscribe`
+     * @type {Set<string>}
+     */
+    subscriptions: Set<string>;
+    /**
+     * Streams opened through `starling:stream`, by id
+     * @type {Map<string, MockStream>}
+     */
+    streams: Map<string, MockStream>;
+    /**
+     * Whether the client presented a token that could not be honored
+     */
+    get recoveryRejected(): boolean;
+    /**
+     * Sends a frame to the client
+     * @param {Object|string} message
+     */
+    send(message: any | string): void;
+    /**
+     * Pushes a notification to the client
+     * @param {string} topic
+     * @param {any} data
+     * @param {Object} [fields] Extra envelope fields
+     */
+    notify(topic: string, data: any, fields?: any): void;
+    /**
+     * Sends a request to the client and waits for its response
+     * @param {string} method
+     * @param {any} [payload]
+     * @param {{timeout?: number}} [options]
+     * @returns {Promise<any>}
+     */
+    request(method: string, payload?: any, options?: {
+        timeout?: number;
+    }): Promise<any>;
+    /**
+     * Silently drops every frame in both directions, like a half-open TCP connection
+     */
+    freeze(): void;
+    /**
+     * Resumes frame delivery after {@link freeze}
+     */
+    unfreeze(): void;
+    /**
+     * Closes the connection cleanly
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     */
+    close(code?: number, reason?: string): void;
+    /**
+     * Drops the connection without a closing handshake
+     */
+    drop(): void;
+    /**
+     * @private
+     */
+    private _handleOpen;
+    /**
+     * @private
+     * @param {any} raw
+     */
+    private _receive;
+    /**
+     * @private
+     * @param {number} code
+     * @param {string} reason
+     */
+    private _handleClose;
+}
+/**
+ * Scriptable in-process Helios server.
+ *
+ * Answers `starling:state` requests with recovery tokens, `starling:session`
+ * recovery results, `starling:subscribe` / `starling:unsubscribe` and
+ * `starling:ping` heartbeats and `starling:stream` streams, restores sessions
+ * (and their subscriptions and streams) from the `recover` query parameter,
+ * runs registered methods and streams, pushes notifications,
+ * drops connections on command and records all traffic. Frames use the codec
+ * announced by the selected subprotocol, traffic being recorded as JSON.
+ */
+export class MockHeliosServer {
+    /**
+     * @param {string|URL} [url='ws://localhost']
+     * @param {MockServerOptions} [options]
+     */
+    constructor(url?: string | URL, options?: MockServerOptions);
+    url: URL;
+    /** @private */
+    private _options;
+    /** @private */
+    private _codecs;
+    /**
+     * Open connections
+     * @type {Set<MockConnection>}
+     */
+    connections: Set<MockConnection>;
+    /**
+     * Every frame exchanged, in order
+     * @type {TrafficEntry[]}
+     */
+    traffic: TrafficEntry[];
+    /**
+     * Sessions by recovery token
+     * @type {Map<string, MockSession>}
+     */
+    sessions: Map<string, MockSession>;
+    /** @private */
+    private _methods;
+    /** @private */
+    private _streams;
+    /** @private */
+    private _listeners;
+    /** @private */
+    private _pending;
+    /** @private */
+    private _refusing;
+    /** @private */
+    private _counters;
+    /** @private */
+    private _WebSocket;
+    /**
+     * WebSocket constructor bound to this server, whatever URL it is given
+     * @returns {typeof MockWebSocket}
+     */
+    get WebSocket(): typeof MockWebSocket;
+    set latency(value: number);
+    /**
+     * Frame and handshake latency (ms)
+     */
+    get latency(): number;
+    /**
+     * Registers (or replaces) a method handler.
+     * The returned value is sent as the response data, a thrown error as an error response.
+     * @param {string} name
+     * @param {MockMethodHandler} handler
+     */
+    method(name: string, handler: MockMethodHandler): void;
+    /**
+     * Registers (or replaces) a stream handler, opened by the client with `starling.stream(name)`.
+     * Each value produced is sent as a frame as the client credits the server, the value returned ends the stream
+     * and a thrown error fails it.
+     * @param {string} name
+     * @param {MockStreamHandler} handler
+     */
+    stream(name: string, handler: MockStreamHandler): void;
+    /**
+     * Subscribes to server events: `connection`, `close`, `message`, `request`, `notification`, `error`
+     * @param {string} event
+     * @param {(data: any) => void} handler
+     * @returns {() => void} Unsubscribe function
+     */
+    on(event: string, handler: (data: any) => void): () => void;
+    /**
+     * Resolves with the next accepted connection
+     * @returns {Promise<MockConnection>}
+     */
+    nextConnection(): Promise<MockConnection>;
+    /**
+     * Pushes a notification to every open connection
+     * @param {string} topic
+     * @param {any} data
+     * @param {Object} [fields] Extra envelope fields
+     */
+    notify(topic: string, data: any, fields?: any): void;
+    /**
+     * Pushes a notification to the connections subscribed to the topic
+     * @param {string} topic
+     * @param {any} data
+     * @param {Object} [fields] Extra envelope fields
+     */
+    publish(topic: string, data: any, fields?: any): void;
+    /**
+     * Issues a new recovery token for the connection's session
+     * @param {MockConnection} connection
+     * @returns {MockSession}
+     */
+    issueToken(connection: MockConnection): MockSession;
+    /**
+     * Revokes a recovery token so the next recovery attempt fails
+     * @param {string} token
+     */
+    revokeToken(token: string): void;
+    /**
+     * Revokes every issued token
+     */
+    revokeAllTokens(): void;
+    /**
+     * Refuses (or accepts again) new connections, simulating a server outage
+     * @param {boolean} [refusing=true]
+     */
+    refuse(refusing?: boolean): void;
+    /**
+     * Drops every open connection without a closing handshake
+     */
+    dropAll(): void;
+    /**
+     * Closes every open connection cleanly
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     */
+    closeAll(code?: number, reason?: string): void;
+    /**
+     * Traffic entries matching a filter
+     * @param {{direction?: 'in'|'out', type?: string, method?: string, topic?: string}} [filter]
+     * @returns {TrafficEntry[]}
+     */
+    messages(filter?: {
+        direction?: "in" | "out";
+        type?: string;
+        method?: string;
+        topic?: string;
+    }): TrafficEntry[];
+    /**
+     * Clears recorded traffic
+     */
+    clearTraffic(): void;
+    /**
+     * Closes every connection and stops listening
+     */
+    close(): void;
+    /**
+     * Accepts or refuses an incoming socket
+     * @private
+     * @param {MockWebSocket} socket
+     * @returns {MockConnection|null}
+     */
+    private _accept;
+    /**
+     * @private
+     * @param {string[]} offered
+     * @returns {string|null} Selected protocol, empty string when none was offered, null when refused
+     */
+    private _negotiateProtocol;
+    /**
+     * @private
+     * @param {MockConnection} connection
+     */
+    private _handleOpen;
+    /**
+     * @private
+     * @param {MockConnection} connection
+     * @param {number} code
+     * @param {string} reason
+     */
+    private _handleClose;
+    /**
+     * @private
+     * @param {MockConnection} connection
+     * @param {any} raw
+     */
+    private _handleFrame;
+    /**
+     * @private
+     * @param {MockConnection} connection
+     * @param {Object} message
+     */
+    private _runMethod;
+    /**
+     * Opens a stream, or resumes it from the frame after `since`
+     * @private
+     * @param {{id: string, method: string, payload: any, window: number, since?: number}} request
+     * @param {MethodContext} context
+     * @returns {{id: string, resumed: boolean}}
+     */
+    private _openStream;
+    /**
+     * Sends frames while the client has credit
+     * @private
+     * @param {MockStream & {iterator: Iterator<any>|AsyncIterator<any>, pumping: boolean}} stream
+     */
+    private _pumpStream;
+    /**
+     * @private
+     * @param {MockStream} stream
+     * @param {Object} fields
+     */
+    private _sendStreamFrame;
+    /**
+     * Applies the credits and cancellations of the client
+     * @private
+     * @param {MockConnection} connection
+     * @param {{topic: string, data: any}} [notification]
+     */
+    private _handleStreamNotification;
+    /**
+     * @private
+     * @param {MockConnection} connection
+     * @param {string} method
+     * @param {any} payload
+     * @param {{timeout?: number}} [options]
+     * @returns {Promise<any>}
+     */
+    private _request;
+    /**
+     * @private
+     * @param {Object} message
+     */
+    private _resolvePending;
+    /**
+     * @private
+     * @param {'in'|'out'} direction
+     * @param {MockConnection} connection
+     * @param {any} raw
+     * @returns {TrafficEntry}
+     */
+    private _record;
+    /**
+     * @private
+     * @param {() => void} callback
+     */
+    private _schedule;
+    /**
+     * @private
+     * @param {string} event
+     * @param {any} data
+     */
+    private _emit;
+}
+export type MockServerOptions = {
+    /**
+     * Delay applied to every frame and handshake (ms)
+     */
+    latency?: number;
+    /**
+     * Lifetime of issued recovery tokens (ms)
+     */
+    tokenTtl?: number;
+    /**
+     * Supported subprotocols, `null` accepts whatever the client offers
+     */
+    protocols?: string[] | null;
+    /**
+     * Listen on the URL so plain `MockWebSocket` instances reach this server
+     */
+    register?: boolean;
+    /**
+     * Checks the credentials of a new connection (e.g. its `token` query parameter or `protocol`), which is closed with 4001 when it returns false
+     */
+    authenticate?: (connection: MockConnection) => boolean;
+    /**
+     * Codecs spoken when the selected subprotocol announces one
+     */
+    codecs?: import("../codecs").CodecOption[];
+};
+export type MockSession = {
+    /**
+     * Session identifier
+     */
+    id: string;
+    /**
+     * Current recovery token
+     */
+    token: string;
+    /**
+     * Token issue timestamp
+     */
+    issuedAt: number;
+    /**
+     * Token expiry timestamp (Infinity when tokens never expire)
+     */
+    expiresAt: number;
+    /**
+     * Whether the token was revoked
+     */
+    revoked: boolean;
+    /**
+     * Topics subscribed through `starling:subscribe`, kept when the session is recovered
+     */
+    subscriptions: Set<string>;
+    /**
+     * Streams opened through `starling:stream`, resumed when the session is recovered
+     */
+    streams: Map<string, MockStream>;
+};
+export type TrafficEntry = {
+    /**
+     * `in` for client to server, `out` for server to client
+     */
+    direction: "in" | "out";
+    connectionId: number;
+    /**
+     * Raw frame
+     */
+    raw: any;
+    /**
+     * Parsed frame, null when not JSON
+     */
+    message: any | null;
+    timestamp: number;
+};
+export type MethodContext = {
+    /**
+     * Connection that sent the request
+     */
+    connection: MockConnection;
+    /**
+     * Raw request message
+     */
+    message: any;
+    server: MockHeliosServer;
+};
+export type MockMethodHandler = (payload: any, context: MethodContext) => any;
+/**
+ * Produces the frames of a stream, stopped through `context.signal` when the client cancels it
+ */
+export type MockStreamHandler = (payload: any, context: MethodContext & {
+    signal: AbortSignal;
+}) => Iterable<any> | AsyncIterable<any>;
+export type MockStream = {
+    id: string;
+    method: string;
+    /**
+     * Connection the frames are sent to
+     */
+    connection: MockConnection;
+    /**
+     * Every frame produced, replayed when the stream is resumed
+     */
+    frames: any[];
+    /**
+     * Sequence of the last frame produced
+     */
+    sequence: number;
+    /**
+     * Last sequence the client allows
+     */
+    credit: number;
+    /**
+     * Whether the stream ended, failed or was cancelled
+     */
+    closed: boolean;
+    /**
+     * Reason given by the client when it cancelled
+     */
+    cancelReason: string | null;
+};
+import { MockWebSocket } from './websocket';
+import { FrameCodec } from '../codecs';
@@ -0,0 +1,150 @@
+/**
+ * In-memory WebSocket implementation for tests.
+ *
+ * Every transition (open, message delivery, close) is scheduled with `setTimeout`,
+ * so tests drive the socket deterministically with fake timers. When a
+ * {@link import('./server').MockHeliosServer} listens on the socket URL, the socket
+ * is connected to it; otherwise it opens and simply records what is sent.
+ */
+export class MockWebSocket {
+    static CONNECTING: number;
+    static OPEN: number;
+    static CLOSING: number;
+    static CLOSED: number;
+    /**
+     * Server the socket is bound to, regardless of its URL (set on server-bound subclasses)
+     * @type {import('./server').MockHeliosServer|null}
+     */
+    static server: import("./server").MockHeliosServer | null;
+    /**
+     * Every socket created, in creation order
+     * @type {MockWebSocket[]}
+     */
+    static instances: MockWebSocket[];
+    /**
+     * Servers listening on a URL
+     * @private
+     * @type {Map<string, import('./server').MockHeliosServer>}
+     */
+    private static _servers;
+    /**
+     * Registers a server for its URL
+     * @param {import('./server').MockHeliosServer} server
+     */
+    static register(server: import("./server").MockHeliosServer): void;
+    /**
+     * Unregisters a server
+     * @param {import('./server').MockHeliosServer} server
+     */
+    static unregister(server: import("./server").MockHeliosServer): void;
+    /**
+     * Forgets every created socket
+     */
+    static reset(): void;
+    /**
+     * @private
+     * @param {string|URL} url
+     * @returns {string}
+     */
+    private static _key;
+    /**
+     * @param {string|URL} url
+     * @param {string|string[]} [protocols]
+     */
+    constructor(url: string | URL, protocols?: string | string[]);
+    CONNECTING: number;
+    OPEN: number;
+    CLOSING: number;
+    CLOSED: number;
+    url: string;
+    protocols: string[];
+    protocol: string;
+    extensions: string;
+    binaryType: string;
+    bufferedAmount: number;
+    readyState: number;
+    onopen: any;
+    onmessage: any;
+    onerror: any;
+    onclose: any;
+    /**
+     * Raw frames sent by the client
+     * @type {any[]}
+     */
+    sent: any[];
+    /** @private */
+    private _listeners;
+    /** @private */
+    private _server;
+    /**
+     * Server side of the connection
+     * @type {import('./server').MockConnection|null}
+     */
+    connection: import("./server").MockConnection | null;
+    /**
+     * Sends a frame to the server
+     * @param {any} data
+     */
+    send(data: any): void;
+    /**
+     * Closes the connection from the client side
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     */
+    close(code?: number, reason?: string): void;
+    /**
+     * Delivers a frame to the client as if the server sent it
+     * @param {any} data Strings and binary data are delivered as is, anything else is JSON encoded
+     */
+    receive(data: any): void;
+    /**
+     * Closes the connection as if the server closed it cleanly
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     */
+    serverClose(code?: number, reason?: string): void;
+    /**
+     * Drops the connection abnormally (error followed by a 1006 close)
+     */
+    drop(): void;
+    /**
+     * @param {string} type
+     * @param {(event: any) => void} listener
+     */
+    addEventListener(type: string, listener: (event: any) => void): void;
+    /**
+     * @param {string} type
+     * @param {(event: any) => void} listener
+     */
+    removeEventListener(type: string, listener: (event: any) => void): void;
+    /**
+     * @param {{type: string}} event
+     * @returns {boolean}
+     */
+    dispatchEvent(event: {
+        type: string;
+    }): boolean;
+    /**
+     * Completes the opening handshake
+     * @private
+     */
+    private _establish;
+    /**
+     * @private
+     * @param {number} code
+     * @param {string} reason
+     * @param {boolean} wasClean
+     */
+    private _finalizeClose;
+    /**
+     * @private
+     * @param {string} type
+     * @param {Object} init
+     */
+    private _dispatch;
+    /**
+     * @private
+     * @param {() => void} callback
+     */
+    private _schedule;
+}